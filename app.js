@@ -1,7 +1,6 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const cron = require('node-cron');
 const connectDB = require('./config/db');
 
 // Import middleware
@@ -36,6 +35,12 @@ const faqRoutes = require('./routes/faqRoutes');
 const bannerRoutes = require('./routes/bannerRoutes');
 const menuItemRoutes = require('./routes/menuItemRoutes');
 const nutritionRoutes = require('./routes/nutritionRoutes');
+const kdsRoutes = require('./routes/kdsRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const slotRoutes = require('./routes/slotRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const deliveryZoneRoutes = require('./routes/deliveryZoneRoutes');
+const jobRoutes = require('./routes/jobRoutes');
 const dotenv = require('dotenv');
 
 require('dotenv').config();
@@ -91,6 +96,7 @@ app.use('/api/menu', menuRoutes);
 app.use('/api/menu-items', menuItemRoutes);
 app.use('/api/combos', comboRoutes);
 app.use('/api/coupons', couponRoutes);
+app.use('/api/slots', slotRoutes);
 
 // Protected routes (require authentication)
 app.use('/api/users', userRoutes);
@@ -108,11 +114,16 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/tables', tableRoutes);
 app.use('/api/spin-wheel', spinWheelRoutes);
 app.use('/api/nutrition', nutritionRoutes);
+app.use('/api/delivery-zones', deliveryZoneRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 // Admin routes (require admin authentication)
 app.use('/api/admin/auth', adminAuthRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/kds', kdsRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Note: uploads are served from Cloudinary; do not serve local 'uploads' directory
 // (previously: app.use('/uploads', express.static('uploads')))
@@ -141,10 +152,10 @@ app.use(errorHandler);
 // Get port from environment or use default
 const PORT = process.env.PORT || 5000;
 
-// Setup cron jobs
-const { cleanupGuests } = require('./utils/guestCleanup');
-cron.schedule('0 2 * * *', cleanupGuests); // Daily at 2 AM
-console.log('🧹 Guest cleanup cron job scheduled (daily at 2 AM)');
+// Background jobs and cron schedules (run once across instances, see services/jobQueue.js)
+const jobQueue = require('./services/jobQueue');
+require('./utils/scheduledJobs').registerJobs();
+jobQueue.start();
 
 // Start server
 const server = app.listen(PORT, () => {
@@ -153,6 +164,17 @@ const server = app.listen(PORT, () => {
   console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
 });
 
+// Realtime gateway (websockets) shares the API port at /ws
+require('./config/websocket').attach(server);
+
+// Hand over the scheduler lease before exiting so another instance takes over quickly
+process.on('SIGTERM', async () => {
+  await jobQueue.stop();
+  server.close(() => {
+    process.exit(0);
+  });
+});
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
@@ -1,41 +1,356 @@
 const WebSocket = require('ws');
-const wss = new WebSocket.Server({ port: 8082 }); // WebSocket server on port 8080
+const crypto = require('crypto');
+const authService = require('../services/auth');
+const firebaseService = require('../services/firebase');
+const adminAccess = require('../services/adminAccess');
+const User = require('../models/userModel');
+const Admin = require('../models/adminModel');
+const Order = require('../models/orderModel');
+const Chat = require('../models/chatModel');
 
-// Store connected clients
-const clients = new Map();
+/**
+ * Realtime Gateway - The single websocket server, attached to the API's HTTP server
+ *
+ * Connect:   ws(s)://<api host>/ws?token=<JWT or Firebase ID token>
+ *            (or an Authorization: Bearer header from native clients)
+ * Client ->  { type: 'subscribe', channel, lastEventId? } | { type: 'unsubscribe', channel } | { type: 'ping' }
+ * Server ->  { type: 'welcome' | 'subscribed' | 'unsubscribed' | 'event' | 'replay_gap' | 'error' | 'pong', ... }
+ *
+ * Channels:  user:<userId>     (joined automatically; order updates, chat messages)
+ *            order:<orderId>   (order owner or admin)
+ *            chat:<chatId>     (chat participant or admin)
+ *            admin:dashboard   (admins)
+ *            kitchen           (admins with manage_orders, kitchen accounts)
+ *
+ * Every event carries an increasing id. On reconnect, pass the last id seen
+ * to `subscribe` to replay what was missed from the in-memory buffer; if the
+ * buffer no longer reaches back that far the server sends `replay_gap` and the
+ * client should refetch over REST.
+ */
 
-wss.on('connection', (ws, req) => {
-  const userId = req.url.split('?userId=')[1]; // Extract userId from query params
-  if (userId) {
-    clients.set(userId, ws); // Map userId to WebSocket connection
+const PATH = '/ws';
+const HEARTBEAT_INTERVAL_MS = 30000;
+const REPLAY_BUFFER_SIZE = 100; // events kept per channel
+const REPLAY_WINDOW_MS = 10 * 60 * 1000; // and for at most 10 minutes
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+let wss = null;
+let heartbeatTimer = null;
+let lastEventId = 0;
+
+// channel -> Set<ws>
+const subscriptions = new Map();
+// channel -> { events: [{ id, channel, event, data, ts }], droppedUpTo: id of the newest evicted event }
+const replayBuffers = new Map();
+
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Resolve a token to a principal, the same way the REST middlewares do:
+ * app JWT first (users, guests and admins), then a Firebase ID token
+ * @param {String} token - Bearer token
+ * @returns {Object|null} { kind: 'user'|'admin', id, role, permissions, isGuest }
+ */
+const authenticate = async (token) => {
+  if (!token) return null;
+
+  let decoded = null;
+  try {
+    decoded = await authService.verifyToken(token);
+  } catch (error) {
+    decoded = null;
   }
 
-  console.log(`Client connected: ${userId}`);
+  if (decoded) {
+    if (decoded.role === 'admin') {
+      // Role and permissions are resolved like requirePermission does, so custom
+      // roles and legacy admins get the same access here as on the REST routes
+      const admin = await Admin.findById(decoded.userId).select('role permissions isActive');
+      if (admin && admin.isActive !== false) {
+        return {
+          kind: 'admin',
+          id: String(admin._id),
+          role: adminAccess.roleOf(admin),
+          permissions: await adminAccess.getEffectivePermissions(admin)
+        };
+      }
+      // Some setups store admins as Users (see middlewares/adminAuth.js)
+      const adminUser = await User.findById(decoded.userId).select('role isActive');
+      if (adminUser && adminUser.role === 'admin' && adminUser.isActive !== false) {
+        return {
+          kind: 'admin',
+          id: String(adminUser._id),
+          role: adminAccess.roleOf(adminUser),
+          permissions: await adminAccess.getEffectivePermissions(adminUser)
+        };
+      }
+      return null;
+    }
+
+    const user = await User.findById(decoded.userId).select('isGuest guestExpiresAt');
+    if (!user || (user.isGuest && user.guestExpiresAt < new Date())) return null;
+    return { kind: 'user', id: String(user._id), role: 'user', permissions: [], isGuest: !!user.isGuest };
+  }
 
-  ws.on('message', (message) => {
-    console.log(`Received message from ${userId}:`, message);
+  const firebase = await firebaseService.verifyIdToken(token);
+  if (!firebase.success || firebase.isMockData) return null;
+  const user = await User.findOne({ firebaseUid: firebase.uid }).select('isGuest');
+  if (!user) return null;
+  return { kind: 'user', id: String(user._id), role: 'user', permissions: [], isGuest: !!user.isGuest };
+};
+
+/**
+ * Decide whether a principal may join a channel
+ * @param {Object} principal - Output of authenticate
+ * @param {String} channel - Channel name
+ * @returns {Boolean}
+ */
+const canSubscribe = async (principal, channel) => {
+  const [kind, id] = channel.split(':');
+  const isAdmin = principal.kind === 'admin';
+
+  switch (kind) {
+    case 'user':
+      return isAdmin || id === principal.id;
+    case 'order':
+      if (isAdmin) return true;
+      return !!(id && /^[a-f0-9]{24}$/i.test(id) && await Order.exists({ _id: id, user: principal.id }));
+    case 'chat':
+      if (isAdmin) return true;
+      return !!(id && /^[a-f0-9]{24}$/i.test(id) && await Chat.exists({ _id: id, participants: principal.id }));
+    case 'admin':
+      return isAdmin && id === 'dashboard';
+    case 'kitchen':
+      return isAdmin && (principal.role === 'kitchen' || principal.permissions.includes('manage_orders'));
+    default:
+      return false;
+  }
+};
+
+const addSubscription = (ws, channel) => {
+  if (!subscriptions.has(channel)) subscriptions.set(channel, new Set());
+  subscriptions.get(channel).add(ws);
+  ws.channels.add(channel);
+};
+
+const removeSubscription = (ws, channel) => {
+  const members = subscriptions.get(channel);
+  if (members) {
+    members.delete(ws);
+    if (members.size === 0) subscriptions.delete(channel);
+  }
+  ws.channels.delete(channel);
+};
+
+/**
+ * Send buffered events newer than lastSeenId; flag a gap if the buffer doesn't reach back
+ */
+const replay = (ws, channel, lastSeenId) => {
+  const since = Number(lastSeenId);
+  if (!Number.isFinite(since)) return;
+
+  const buffer = replayBuffers.get(channel) || { events: [], droppedUpTo: 0 };
+  // An id from before a restart, or events after it were already evicted
+  if (since > lastEventId || since < buffer.droppedUpTo) {
+    send(ws, { type: 'replay_gap', channel, lastEventId: since });
+  }
+
+  buffer.events.filter(e => e.id > since).forEach(e => send(ws, { type: 'event', replay: true, ...e }));
+};
+
+const pruneReplayBuffers = (now = Date.now()) => {
+  replayBuffers.forEach((buffer, channel) => {
+    while (buffer.events.length > 0 && now - Date.parse(buffer.events[0].ts) > REPLAY_WINDOW_MS) {
+      buffer.droppedUpTo = buffer.events.shift().id;
+    }
+    // Nothing left to replay and nobody listening: forget the channel
+    if (buffer.events.length === 0 && !subscriptions.has(channel)) {
+      replayBuffers.delete(channel);
+    }
   });
+};
+
+const handleMessage = async (ws, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(ws, { type: 'error', message: 'Messages must be JSON' });
+  }
+
+  const channel = typeof message.channel === 'string' ? message.channel.trim() : '';
+
+  switch (message.type) {
+    case 'ping':
+      return send(ws, { type: 'pong', ts: Date.now() });
+
+    case 'subscribe':
+      if (!channel) return send(ws, { type: 'error', message: 'channel is required' });
+      try {
+        if (!(await canSubscribe(ws.principal, channel))) {
+          return send(ws, { type: 'error', channel, message: 'Not allowed to subscribe to this channel' });
+        }
+      } catch (error) {
+        console.error('Realtime subscribe check failed:', error.message);
+        return send(ws, { type: 'error', channel, message: 'Subscription failed' });
+      }
+      addSubscription(ws, channel);
+      send(ws, { type: 'subscribed', channel, lastEventId });
+      if (message.lastEventId !== undefined) replay(ws, channel, message.lastEventId);
+      return;
+
+    case 'unsubscribe':
+      removeSubscription(ws, channel);
+      return send(ws, { type: 'unsubscribed', channel });
+
+    default:
+      return send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+  }
+};
+
+const handleConnection = (ws, req, principal) => {
+  ws.id = crypto.randomUUID();
+  ws.principal = principal;
+  ws.channels = new Set();
+  ws.isAlive = true;
 
+  ws.on('pong', () => { ws.isAlive = true; });
+  ws.on('message', (raw) => {
+    ws.isAlive = true;
+    handleMessage(ws, raw.toString()).catch(err => console.error('Realtime message error:', err));
+  });
   ws.on('close', () => {
-    console.log(`Client disconnected: ${userId}`);
-    clients.delete(userId); // Remove client from map
+    ws.channels.forEach(channel => removeSubscription(ws, channel));
+  });
+
+  // Personal channel; replay with ?lastEventId= after a reconnect
+  const personal = principal.kind === 'user' ? `user:${principal.id}` : null;
+  if (personal) addSubscription(ws, personal);
+
+  send(ws, {
+    type: 'welcome',
+    sessionId: ws.id,
+    principal: { kind: principal.kind, id: principal.id, role: principal.role },
+    channels: [...ws.channels],
+    heartbeatInterval: HEARTBEAT_INTERVAL_MS,
+    lastEventId
   });
-});
+
+  const lastSeen = new URL(req.url, 'http://localhost').searchParams.get('lastEventId');
+  if (personal && lastSeen !== null) replay(ws, personal, lastSeen);
+};
+
+/**
+ * Attach the gateway to the HTTP server (call once, after app.listen)
+ * @param {Object} server - http.Server
+ * @returns {Object} WebSocket.Server
+ */
+exports.attach = (server) => {
+  if (wss) return wss;
+
+  wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== PATH && url.pathname !== `${PATH}/`) {
+      socket.destroy();
+      return;
+    }
+
+    const token = url.searchParams.get('token') || authService.extractToken(req.headers.authorization);
+    let principal = null;
+    try {
+      principal = await authenticate(token);
+    } catch (error) {
+      console.error('Realtime auth error:', error.message);
+    }
+
+    if (!principal) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, req, principal));
+  });
+
+  // Drop connections that stopped answering pings, and expire old replay events
+  heartbeatTimer = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+    pruneReplayBuffers();
+  }, HEARTBEAT_INTERVAL_MS);
+
+  server.on('close', () => exports.close());
+
+  console.log(`🔌 Realtime gateway listening on ${PATH}`);
+  return wss;
+};
+
+/**
+ * Stop heartbeats and close every connection
+ */
+exports.close = () => {
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  if (wss) {
+    wss.clients.forEach(ws => ws.terminate());
+    wss.close();
+  }
+  wss = null;
+  subscriptions.clear();
+};
+
+/**
+ * Publish an event to a channel; buffered for replay even with no listeners
+ * @param {String} channel - Channel name
+ * @param {String} event - Event name, e.g. order.status
+ * @param {Object} data - Event payload
+ * @returns {Object} The event envelope
+ */
+exports.publish = (channel, event, data = {}) => {
+  const envelope = { id: ++lastEventId, channel, event, data, ts: new Date().toISOString() };
+
+  const buffer = replayBuffers.get(channel) || { events: [], droppedUpTo: 0 };
+  buffer.events.push(envelope);
+  if (buffer.events.length > REPLAY_BUFFER_SIZE) {
+    buffer.droppedUpTo = buffer.events.shift().id;
+  }
+  replayBuffers.set(channel, buffer);
+
+  const members = subscriptions.get(channel);
+  if (members) {
+    members.forEach(ws => send(ws, { type: 'event', ...envelope }));
+  }
+  return envelope;
+};
 
 // Emit order status updates
 exports.emitOrderStatusUpdate = (userId, orderId, status) => {
-  const ws = clients.get(userId);
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({ orderId, status }));
-  }
+  const data = { orderId, status };
+  exports.publish(`user:${userId}`, 'order.status', data);
+  exports.publish(`order:${orderId}`, 'order.status', data);
+  exports.publish('admin:dashboard', 'order.status', { ...data, userId });
 };
 
 // Broadcast message to participants
 exports.broadcastMessage = (participants, message) => {
+  if (message && message.chatId) {
+    exports.publish(`chat:${message.chatId}`, 'chat.message', message);
+  }
   participants.forEach(participantId => {
-    const ws = clients.get(participantId.toString());
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(message));
-    }
+    exports.publish(`user:${participantId.toString()}`, 'chat.message', message);
   });
-};
\ No newline at end of file
+};
+
+// Push a kitchen display event to every subscribed tablet
+exports.emitToKitchen = (type, payload) => {
+  exports.publish('kitchen', type, payload);
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Admin = require('../models/adminModel');
 const User = require('../models/userModel');
 const Order = require('../models/orderModel');
@@ -9,11 +10,17 @@ const { Location } = require('../models/locationModel');
 const { generateToken } = require('../services/auth');
 const { sendEmail } = require('../services/email');
 const bcrypt = require('bcryptjs');
-
-// Register admin
+const orderStateMachine = require('../services/orderStateMachine');
+const adminAccess = require('../services/adminAccess');
+const complaintSla = require('../services/complaintSla');
+const jobQueue = require('../services/jobQueue');
+const analyticsExport = require('../services/analyticsExport');
+const Job = require('../models/jobModel');
+
+// Register admin (requires manage_admins)
 exports.registerAdmin = async (req, res) => {
   try {
-    const { name, email, password, permissions } = req.body;
+    const { name, email, password, role = 'support', permissions = [] } = req.body;
 
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({ email });
@@ -21,32 +28,36 @@ exports.registerAdmin = async (req, res) => {
       return res.status(400).json({ message: 'Admin already exists' });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    // Only hand out roles and extra permissions the creator is allowed to
+    await adminAccess.assertAssignable(role, req.admin);
+    const extra = adminAccess.validatePermissions(permissions);
+    const own = await adminAccess.getEffectivePermissions(req.admin);
+    const beyond = extra.filter(p => !own.includes(p));
+    if (beyond.length > 0) {
+      return res.status(403).json({ message: `You cannot grant permissions you do not have: ${beyond.join(', ')}` });
+    }
 
-    // Create admin
+    // Password is hashed by the model's pre-save hook
     const admin = await Admin.create({
       name,
       email,
-      password: hashedPassword,
-      permissions: permissions || Admin.getDefaultPermissions(),
-      role: 'admin'
+      password,
+      role,
+      permissions: extra
     });
 
-  // Generate token (include role so verification middleware recognizes admin)
-  const token = generateToken(admin._id, 'admin');
-
     // Remove password from response
     const adminResponse = admin.toObject();
     delete adminResponse.password;
 
     res.status(201).json({
       message: 'Admin registered successfully',
-      admin: adminResponse,
-      token
+      admin: adminResponse
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
@@ -570,68 +581,44 @@ exports.rejectReview = async (req, res) => {
   }
 };
 // Export analytics data (CSV)
+// ?async=true queues the export as a background job; download it from /analytics-export/:jobId
 exports.exportAnalytics = async (req, res) => {
   try {
-    // --- 1. User/Order/Revenue Trends (monthly, last 12 months) ---
-    const now = new Date();
-    const months = [];
-    for (let i = 11; i >= 0; i--) {
-      const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      months.push({ year: d.getFullYear(), month: d.getMonth() });
-    }
-    const getMonthRange = (year, month) => {
-      const start = new Date(year, month, 1);
-      const end = new Date(year, month + 1, 1);
-      return { start, end };
-    };
-    const userTrends = [];
-    const orderTrends = [];
-    const revenueTrends = [];
-    for (const m of months) {
-      const { start, end } = getMonthRange(m.year, m.month);
-      userTrends.push(await User.countDocuments({ createdAt: { $gte: start, $lt: end } }));
-      orderTrends.push(await Order.countDocuments({ createdAt: { $gte: start, $lt: end } }));
-      const revenue = await Order.aggregate([
-        { $match: { createdAt: { $gte: start, $lt: end }, paymentStatus: 'paid' } },
-        { $group: { _id: null, total: { $sum: '$billing.totalAmount' } } }
-      ]);
-      revenueTrends.push(revenue[0]?.total || 0);
+    if (req.query.async === 'true') {
+      const job = await jobQueue.enqueue('export.analytics', {}, { createdBy: req.adminId });
+      return res.status(202).json({ success: true, message: 'Export started', data: { jobId: job._id, status: job.status } });
     }
 
-    // --- 2. Orders by Category (bar chart) ---
-    const ordersByCategoryAgg = await Order.aggregate([
-      { $unwind: '$items' },
-      { $lookup: {
-          from: 'menuitems',
-          localField: 'items.itemId',
-          foreignField: '_id',
-          as: 'menuItem'
-        }
-      },
-      { $unwind: '$menuItem' },
-      { $group: { _id: '$menuItem.category', count: { $sum: '$items.quantity' } } },
-      { $sort: { count: -1 } }
-    ]);
-    const ordersByCategory = ordersByCategoryAgg.map(c => ({ category: c._id, count: c.count }));
+    const file = await analyticsExport.buildAnalyticsCsv();
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${file.filename}`);
+    res.status(200).send(file.content);
+  } catch (err) {
+    console.error('Export analytics error:', err);
+    res.status(500).json({ message: 'Failed to export analytics' });
+  }
+};
 
-    // Prepare CSV
-    let csv = 'Month,User Signups,Orders,Revenue\n';
-    for (let i = 0; i < months.length; i++) {
-      const m = months[i];
-      csv += `${m.year}-${String(m.month + 1).padStart(2, '0')},${userTrends[i]},${orderTrends[i]},${revenueTrends[i]}\n`;
+// Download a background analytics export once its job has completed
+exports.downloadAnalyticsExport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID' });
     }
-
-    csv += '\nOrders by Category\nCategory,Order Count\n';
-    for (const c of ordersByCategory) {
-      csv += `${c.category},${c.count}\n`;
+    const job = await Job.findOne({ _id: req.params.jobId, name: 'export.analytics' });
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ message: `Export is ${job.status}`, data: { status: job.status, lastError: job.lastError } });
     }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename=analytics.csv');
-    res.status(200).send(csv);
+    res.setHeader('Content-Type', job.result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${job.result.filename}`);
+    res.status(200).send(job.result.content);
   } catch (err) {
-    console.error('Export analytics error:', err);
-    res.status(500).json({ message: 'Failed to export analytics' });
+    console.error('Download analytics export error:', err);
+    res.status(500).json({ message: 'Failed to download export' });
   }
 };
 // Admin Dashboard Analytics (single API for all analytics data)
@@ -680,9 +667,8 @@ exports.getDashboardAnalytics = async (req, res) => {
     const ordersByCategory = ordersByCategoryAgg.map(c => ({ category: c._id, count: c.count }));
 
     // --- 3. Order Status Distribution (pie chart) ---
-    const statusList = ['placed', 'preparing', 'out-for-delivery', 'delivered', 'cancelled'];
     const orderStatusCounts = {};
-    for (const status of statusList) {
+    for (const status of orderStateMachine.ORDER_STATUSES) {
       orderStatusCounts[status] = await Order.countDocuments({ status });
     }
 
@@ -1037,7 +1023,8 @@ exports.getComplaintById = async (req, res) => {
 // Update complaint (admin action)
 exports.updateComplaint = async (req, res) => {
   try {
-    const update = req.body;
+    // The compensation ledger only changes through the compensation endpoints
+    const { compensations, compensationTotal, ...update } = req.body;
     const id = req.params.complaintId;
     let complaint = null;
     // Try to update by MongoDB _id if valid, else fallback to complaintId
@@ -1050,6 +1037,10 @@ exports.updateComplaint = async (req, res) => {
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
+    // New category or priority means new deadlines
+    if (update.category !== undefined || update.priority !== undefined) {
+      complaint = await complaintSla.refreshDeadlines(complaint);
+    }
     res.status(200).json({ message: 'Complaint updated', complaint });
   } catch (err) {
     console.error('Update complaint error:', err);
@@ -1099,7 +1090,10 @@ exports.addComplaint = async (req, res) => {
       description
     };
     console.log('Creating Complaint with data:', complaintData);
-    const complaint = await Complaint.create(complaintData);
+    const complaint = new Complaint(complaintData);
+    const assignee = await complaintSla.prepareNew(complaint);
+    await complaint.save();
+    if (assignee) complaintSla.announceAssignment(complaint, assignee);
     console.log('Complaint created successfully:', complaint);
     res.status(201).json({ message: 'Complaint created', complaint });
   } catch (err) {
@@ -1233,7 +1227,10 @@ exports.updateMenuItem = async (req, res) => {
     }
     
     if (preparationTime !== undefined) update.preparationTime = preparationTime;
-    if (status !== undefined) update.status = status;
+    if (status !== undefined) {
+      update.status = status;
+      update.stockedOut = false; // a manual status wins over inventory until stock changes again
+    }
     if (isVeg !== undefined) update.isVeg = isVeg;
     if (moodTag !== undefined) update.moodTag = moodTag;
     if (hungerLevelTag !== undefined) update.hungerLevelTag = hungerLevelTag;
@@ -1509,17 +1506,29 @@ exports.getOrderById = async (req, res) => {
 // Update order status (admin action)
 exports.updateOrderStatus = async (req, res) => {
   try {
-    const { status, paymentStatus } = req.body;
-    const update = {};
-    if (status) update.status = status;
-    if (paymentStatus) update.paymentStatus = paymentStatus;
-    const order = await Order.findByIdAndUpdate(req.params.orderId, update, { new: true });
+    const { status, paymentStatus, reason, notes } = req.body;
+    let order = await Order.findById(req.params.orderId);
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
+    if (paymentStatus) {
+      order.paymentStatus = paymentStatus;
+      await order.save();
+    }
+    if (status && orderStateMachine.normalizeStatus(status) !== order.status) {
+      order = await orderStateMachine.transition(order, status, {
+        actor: req.adminRole === 'kitchen' ? 'kitchen' : 'admin',
+        actorId: req.adminId,
+        reason: reason || '',
+        notes: notes || ''
+      });
+    }
     res.status(200).json({ message: 'Order updated', order });
   } catch (err) {
     console.error('Update order status error:', err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Failed to update order' });
   }
 };
@@ -2052,6 +2061,7 @@ module.exports = {
   approveReview: exports.approveReview,
   rejectReview: exports.rejectReview,
   exportAnalytics: exports.exportAnalytics,
+  downloadAnalyticsExport: exports.downloadAnalyticsExport,
   getDashboardAnalytics: exports.getDashboardAnalytics,
   deleteComplaint: exports.deleteComplaint,
   getAllOrders: exports.getAllOrders,
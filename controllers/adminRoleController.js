@@ -0,0 +1,189 @@
+const Admin = require('../models/adminModel');
+const adminAccess = require('../services/adminAccess');
+
+/**
+ * What the signed-in admin can do, for hiding dashboard actions
+ * GET /api/admin/permissions/me
+ */
+exports.getMyPermissions = async (req, res) => {
+  try {
+    const permissions = await adminAccess.getEffectivePermissions(req.admin);
+
+    res.json({
+      success: true,
+      data: {
+        admin: { _id: req.admin._id, name: req.admin.name, email: req.admin.email, role: req.adminRole },
+        permissions,
+        can: Object.fromEntries(Admin.PERMISSIONS.map(p => [p, permissions.includes(p)]))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching admin permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch permissions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Roles x permissions matrix (Admin only)
+ * GET /api/admin/permissions/matrix
+ */
+exports.getPermissionMatrix = async (req, res) => {
+  try {
+    const roles = await adminAccess.listRoles();
+
+    res.json({
+      success: true,
+      data: adminAccess.buildMatrix(roles)
+    });
+  } catch (error) {
+    console.error('Error building permission matrix:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build permission matrix',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List built-in and custom roles (Admin only)
+ * GET /api/admin/roles
+ */
+exports.listRoles = async (req, res) => {
+  try {
+    const roles = await adminAccess.listRoles();
+
+    res.json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    console.error('Error fetching admin roles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a custom role (Super admin only)
+ * POST /api/admin/roles
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const role = await adminAccess.createRole(req.body, req.adminId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error creating admin role:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create role',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a custom role (Super admin only)
+ * PUT /api/admin/roles/:name
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await adminAccess.updateRole(req.params.name, req.body, req.adminId);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error updating admin role:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update role',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a custom role (Super admin only)
+ * DELETE /api/admin/roles/:name
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    await adminAccess.deleteRole(req.params.name);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error deleting admin role:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete role',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List admin accounts (Admin only)
+ * GET /api/admin/admins
+ */
+exports.listAdmins = async (req, res) => {
+  try {
+    const admins = await Admin.find()
+      .select('name email phone role permissions isActive lastLogin createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: admins
+    });
+  } catch (error) {
+    console.error('Error fetching admins:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admins',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change an admin's role, extra permissions or active flag (Super admin only)
+ * PUT /api/admin/admins/:adminId/access
+ */
+exports.updateAdminAccess = async (req, res) => {
+  try {
+    const { role, permissions, isActive } = req.body;
+    const admin = await adminAccess.setAdminAccess(req.params.adminId, { role, permissions, isActive }, req.admin);
+
+    res.json({
+      success: true,
+      message: 'Admin access updated successfully',
+      data: admin
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error updating admin access:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update admin access',
+      error: error.message
+    });
+  }
+};
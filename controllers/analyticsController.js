@@ -1,7 +1,7 @@
 const Order = require('../models/orderModel');
 const User = require('../models/userModel');
 const MenuItem = require('../models/menuItemModel');
-const Cart = require('../models/cartModel');
+const cartRecovery = require('../services/cartRecovery');
 const KPICache = require('../models/kpiCacheModel');
 const SessionAnalytics = require('../models/sessionAnalyticsModel');
 const ProductAnalytics = require('../models/productAnalyticsModel');
@@ -261,69 +261,9 @@ const getAbandonedCarts = async (req, res) => {
       });
     }
 
-    // Get abandoned cart statistics
-    const abandonedStats = await Cart.aggregate([
-      {
-        $match: {
-          status: 'abandoned',
-          createdAt: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalAbandonedCarts: { $sum: 1 },
-          totalAbandonedValue: { $sum: '$totalAmount' },
-          avgCartValue: { $avg: '$totalAmount' },
-          recovered: {
-            $sum: { $cond: [{ $eq: ['$convertedToOrder', true] }, 1, 0] }
-          },
-          recoveredValue: {
-            $sum: {
-              $cond: [
-                { $eq: ['$convertedToOrder', true] },
-                '$totalAmount',
-                0
-              ]
-            }
-          }
-        }
-      }
-    ]);
-
-    const stats = abandonedStats[0] || {
-      totalAbandonedCarts: 0,
-      totalAbandonedValue: 0,
-      avgCartValue: 0,
-      recovered: 0,
-      recoveredValue: 0
-    };
-
-    // Calculate recovery rate
-    stats.recoveryRate = stats.totalAbandonedCarts > 0 ? (stats.recovered / stats.totalAbandonedCarts) * 100 : 0;
-    stats.recoveryValueRate = stats.totalAbandonedValue > 0 ? (stats.recoveredValue / stats.totalAbandonedValue) * 100 : 0;
-
-    // Get abandonment reasons (if available)
-    const abandonmentReasons = await Cart.aggregate([
-      {
-        $match: {
-          status: 'abandoned',
-          createdAt: { $gte: startDate, $lte: endDate },
-          abandonmentReason: { $exists: true }
-        }
-      },
-      {
-        $group: {
-          _id: '$abandonmentReason',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
-
-    stats.abandonmentReasons = abandonmentReasons;
+    // Abandoned carts and how the recovery reminders performed
+    const { totals: stats, byStep } = await cartRecovery.getPerformance(startDate, endDate);
+    stats.byStep = byStep;
 
     await setCachedMetric(cacheKey, 'Abandoned Carts', stats, {}, [], 'daily');
 
@@ -376,9 +316,7 @@ const getRevenueOverview = async (req, res) => {
     const gmv = orders.reduce((sum, order) => sum + (order.billing?.totalAmount || 0), 0);
 
     // Net Revenue (GMV minus refunds, cancellations, discounts)
-    const refunds = orders
-      .filter(o => o.status === 'cancelled')
-      .reduce((sum, order) => sum + (order.billing?.totalAmount || 0), 0);
+    const refunds = orders.reduce((sum, order) => sum + (order.refundedAmount || 0), 0);
 
     const discounts = orders.reduce((sum, order) =>
       sum + (order.billing?.discounts?.totalDiscount || 0), 0);
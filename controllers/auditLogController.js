@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLogModel');
+const auditLog = require('../services/auditLog');
+
+/**
+ * Search the audit log (Admin only)
+ * GET /api/admin/audit-logs?adminId=&entityType=&entityId=&action=&method=&status=&from=&to=&search=&page=&limit=
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { logs, pagination } = await auditLog.list(req.query);
+
+    res.json({
+      success: true,
+      data: logs,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Export matching audit log entries as CSV (Admin only)
+ * GET /api/admin/audit-logs/export
+ */
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const { filename, contentType, content } = await auditLog.exportCsv(req.query);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.status(200).send(content);
+  } catch (error) {
+    console.error('Error exporting audit logs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit logs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Single audit log entry (Admin only)
+ * GET /api/admin/audit-logs/:id
+ */
+exports.getAuditLogById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid audit log ID' });
+    }
+
+    const log = await AuditLog.findById(req.params.id).lean();
+    if (!log) {
+      return res.status(404).json({ success: false, message: 'Audit log entry not found' });
+    }
+
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    console.error('Error fetching audit log entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log entry',
+      error: error.message
+    });
+  }
+};
@@ -1,7 +1,6 @@
 const User = require('../models/userModel');
 const { generateToken, verifyToken, blacklistToken } = require('../services/auth');
-const { createNotification } = require('../services/notification');
-const { updateUserTier } = require('../services/tier');
+const notificationService = require('../services/notification');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 
@@ -869,8 +868,7 @@ const sendWhatsappOtp = async (req, res) => {
     await redisClient.set('wa_otp:' + phone, otp, { EX: 300 });
 
     // Send via MSG91
-    const msg91Service = require('../services/msg91');
-    await msg91Service.sendWhatsappOtp(phone, otp);
+    await notificationService.sendDirect('whatsapp', { phone }, 'otp', { otp, expiresInMinutes: 5 });
 
     return res.status(200).json({ success: true, message: 'OTP sent via WhatsApp' });
   } catch (error) {
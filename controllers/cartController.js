@@ -3,8 +3,17 @@ const User = require('../models/userModel');
 const MenuItem = require('../models/menuItemModel');
 const Coupon = require('../models/couponModel');
 const Settings = require('../models/settingsModel');
+const pricingService = require('../services/pricing');
+const deliveryService = require('../services/delivery');
+const dietarySafety = require('../services/dietarySafety');
 const mongoose = require('mongoose');
 
+// Allergy / diet warnings for the cart; checkout needs safety.acknowledgementToken to go ahead
+const getCartSafety = async (userId, cart) => {
+  const user = await User.findById(userId).select('preferences').lean();
+  return dietarySafety.checkLines(user, cart.items);
+};
+
 // Get user's cart
 const getCart = async (req, res) => {
   try {
@@ -31,6 +40,7 @@ const getCart = async (req, res) => {
     res.status(200).json({
       success: true,
       cart,
+      safety: await getCartSafety(userId, cart),
       isNewCart,
       isGuest: req.isGuest
     });
@@ -113,6 +123,7 @@ const addToCart = async (req, res) => {
       success: true,
       message: 'Item added to cart',
       cart,
+      safety: await getCartSafety(userId, cart),
       isGuest: req.isGuest
     });
   } catch (error) {
@@ -124,6 +135,91 @@ const addToCart = async (req, res) => {
   }
 };
 
+// Add a whole meal (e.g. a meal builder suggestion) to the cart, one of each item
+const addMealToCart = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0 || items.length > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Between 1 and 5 menu item IDs are required'
+      });
+    }
+    if (items.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid menu item ID format'
+      });
+    }
+
+    const menuItems = await MenuItem.find({ _id: { $in: items } }).select('name price isAvailable').lean();
+    const byId = new Map(menuItems.map(item => [String(item._id), item]));
+    for (const id of items) {
+      const menuItem = byId.get(String(id));
+      if (!menuItem) {
+        return res.status(404).json({
+          success: false,
+          message: `Menu item not found: ${id}`
+        });
+      }
+      if (!menuItem.isAvailable) {
+        return res.status(400).json({
+          success: false,
+          message: `${menuItem.name} is not available`
+        });
+      }
+    }
+
+    let cart = await Cart.findOne({ user: userId });
+    if (!cart) {
+      cart = new Cart({
+        user: userId,
+        items: [],
+        totalAmount: 0
+      });
+    }
+
+    // Same merge rule as addToCart: an uncustomized line of the item gets one more
+    for (const id of items) {
+      const existing = cart.items.find(
+        item => item.menuItem.toString() === String(id) &&
+                JSON.stringify(item.customizations) === JSON.stringify({})
+      );
+      if (existing) {
+        existing.quantity += 1;
+      } else {
+        cart.items.push({
+          menuItem: id,
+          quantity: 1,
+          price: byId.get(String(id)).price,
+          customizations: {}
+        });
+      }
+    }
+
+    await cart.calculateTotal();
+
+    await cart.save();
+    await cart.populate('items.menuItem', 'name price image category nutritionInfo.calories');
+
+    res.status(200).json({
+      success: true,
+      message: 'Meal added to cart',
+      cart,
+      safety: await getCartSafety(userId, cart),
+      isGuest: req.isGuest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add meal to cart',
+      error: error.message
+    });
+  }
+};
+
 // Update cart item
 const updateCartItem = async (req, res) => {
   try {
@@ -279,7 +375,7 @@ const applyCoupon = async (req, res) => {
       validUntil: { $gt: now }
     });
 
-    if (!coupon) {
+    if (!coupon || (coupon.assignedTo && coupon.assignedTo.toString() !== String(userId))) {
       return res.status(400).json({ success: false, message: 'Invalid or expired coupon' });
     }
 
@@ -355,15 +451,17 @@ const removeCoupon = async (req, res) => {
 };
 
 // Get cart summary
+// Query: orderType, promoCode, nanoPoints, walletAmount, locationId — priced by services/pricing.js
 const getCartSummary = async (req, res) => {
   try {
     const userId = req.userId;
+    const { orderType = 'delivery', promoCode, nanoPoints = 0, walletAmount = 0, locationId } = req.query;
 
     const cart = await Cart.findOne({ user: userId })
       .populate('items.menuItem', 'name price image')
       .populate('coupon', 'code discountType discountValue');
 
-    if (!cart) {
+    if (!cart || cart.items.length === 0) {
       return res.status(200).json({
         success: true,
         summary: {
@@ -376,13 +474,45 @@ const getCartSummary = async (req, res) => {
       });
     }
 
+    // Quote the real delivery fee for a saved address; checkout enforces the result
+    let delivery = null;
+    if (orderType === 'delivery' && locationId) {
+      const { point } = await deliveryService.resolveAddress(locationId, userId);
+      delivery = await deliveryService.checkServiceability(point);
+    }
+
+    const bill = await pricingService.calculateBill({
+      userId,
+      lines: cart.items.map(item => ({
+        menuItem: item.menuItem,
+        quantity: item.quantity,
+        customizations: item.customizations
+      })),
+      orderType,
+      couponId: cart.coupon?._id,
+      ignoreInvalidCoupon: true,
+      promoCode,
+      nanoPoints: Number(nanoPoints) || 0,
+      walletAmount: Number(walletAmount) || 0,
+      distanceKm: delivery?.serviceable ? delivery.distanceKm : 0,
+      zone: delivery?.serviceable ? delivery.zone : null
+    });
+
+    if (delivery?.serviceable) {
+      const belowMinimum = deliveryService.getMinimumOrderMessage(delivery, bill.subtotal);
+      if (belowMinimum) delivery = { ...delivery, serviceable: false, reason: 'below_minimum', message: belowMinimum };
+    }
+
     const summary = {
       itemCount: cart.items.length,
-      totalAmount: cart.totalAmount,
-      discount: cart.discountAmount,
-      finalAmount: cart.totalAmount - cart.discountAmount,
+      totalAmount: bill.subtotal,
+      discount: bill.discounts.totalDiscount,
+      finalAmount: bill.totalAmount,
       items: cart.items,
-      coupon: cart.coupon
+      coupon: bill.discounts.coupon.couponId ? cart.coupon : null,
+      delivery,
+      bill,
+      safety: await getCartSafety(userId, cart)
     };
 
     res.status(200).json({
@@ -391,9 +521,9 @@ const getCartSummary = async (req, res) => {
       isGuest: req.isGuest
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to get cart summary',
+      message: error.statusCode ? error.message : 'Failed to get cart summary',
       error: error.message
     });
   }
@@ -402,6 +532,7 @@ const getCartSummary = async (req, res) => {
 module.exports = {
   getCart,
   addToCart,
+  addMealToCart,
   updateCartItem,
   removeFromCart,
   clearCart,
@@ -179,7 +179,7 @@ exports.getCategories = async (req, res) => {
 // Create a new category
 exports.createCategory = async (req, res) => {
   try {
-    const { name, description, displayOrder, image } = req.body;
+    const { name, description, displayOrder, image, kitchenStation } = req.body;
 
     if (!name) {
       return res.status(400).json({ message: "Category name is required" });
@@ -190,6 +190,7 @@ exports.createCategory = async (req, res) => {
       description,
       displayOrder: displayOrder || 0
     };
+    if (kitchenStation) categoryData.kitchenStation = kitchenStation;
     
     // Add image if uploaded
     if (req.file) {
@@ -216,7 +217,7 @@ exports.createCategory = async (req, res) => {
 exports.updateCategory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, displayOrder, isActive } = req.body;
+    const { name, description, displayOrder, isActive, kitchenStation } = req.body;
     
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid category ID format" });
@@ -233,6 +234,7 @@ exports.updateCategory = async (req, res) => {
     if (description !== undefined) updateData.description = description;
     if (displayOrder !== undefined) updateData.displayOrder = displayOrder;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (kitchenStation !== undefined) updateData.kitchenStation = kitchenStation;
     
     // Add image if uploaded
     if (req.file) {
@@ -1,5 +1,8 @@
 const Complaint = require('../models/complaintModel');
+const Admin = require('../models/adminModel');
 const mongoose = require('mongoose');
+const complaintSla = require('../services/complaintSla');
+const compensationService = require('../services/compensation');
 
 // Helper to build a query that accepts either a Mongo _id or the human-friendly complaintId (e.g. CMP123456)
 const buildComplaintQuery = (id) => {
@@ -55,7 +58,9 @@ exports.submitComplaint = async (req, res) => {
       status: req.body.status || 'Open'
     });
 
+    const assignee = await complaintSla.prepareNew(complaint);
     await complaint.save();
+    if (assignee) complaintSla.announceAssignment(complaint, assignee);
 
     // Populate user details
     await complaint.populate('user', 'name email phone');
@@ -121,16 +126,19 @@ exports.getUserComplaints = async (req, res) => {
 };
 
 /**
- * Get complaint by ID
+ * Get complaint by ID, with the expected reply and resolution times
  * GET /api/complaints/:id
+ * GET /api/complaints/admin/:id (admin route)
  */
 exports.getComplaintById = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const isAdmin = !!req.admin || req.user?.role === 'admin';
 
     const query = buildComplaintQuery(id);
-    const complaint = await Complaint.findOne(query).populate('user', 'name email phone');
+    const complaint = await Complaint.findOne(query)
+      .populate('user', 'name email phone')
+      .populate('assignedTo', 'name email');
 
     if (!complaint) {
       return res.status(404).json({
@@ -140,16 +148,30 @@ exports.getComplaintById = async (req, res) => {
     }
 
     // Check if user owns this complaint (unless admin)
-    if (req.user.role !== 'admin' && complaint.user._id.toString() !== userId.toString()) {
+    if (!isAdmin && complaint.user._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to view this complaint'
       });
     }
 
+    const data = complaint.toObject();
+    data.eta = complaintSla.getEta(complaint);
+
+    // Customers don't see internal notes or escalation details
+    if (!isAdmin) {
+      data.responses = (data.responses || []).filter(r => !r.isInternal);
+      delete data.sla;
+      delete data.assignedTo;
+      delete data.assignedAt;
+      delete data.assignmentMethod;
+      delete data.compensationTotal;
+      data.compensations = (data.compensations || []).map(({ note, issuedBy, issuedByRole, ...entry }) => entry);
+    }
+
     res.json({
       success: true,
-      data: complaint
+      data
     });
   } catch (error) {
     console.error('Error fetching complaint:', error);
@@ -167,12 +189,26 @@ exports.getComplaintById = async (req, res) => {
  */
 exports.getAllComplaints = async (req, res) => {
   try {
-    const { status, category, priority, page = 1, limit = 20 } = req.query;
+    const { status, category, priority, assignedTo, sla, page = 1, limit = 20 } = req.query;
 
     const filter = {};
     if (status) filter.status = status;
     if (category) filter.category = category;
     if (priority) filter.priority = priority;
+    if (assignedTo === 'none') filter.assignedTo = null;
+    else if (assignedTo && mongoose.Types.ObjectId.isValid(assignedTo)) filter.assignedTo = assignedTo;
+
+    // sla=overdue: open and past a deadline; sla=escalated: escalated at least once
+    if (sla === 'overdue') {
+      const now = new Date();
+      filter.status = { $in: complaintSla.OPEN_STATUSES };
+      filter.$or = [
+        { 'sla.firstRespondedAt': null, 'sla.firstResponseDueAt': { $ne: null, $lt: now } },
+        { 'sla.resolutionDueAt': { $ne: null, $lt: now } }
+      ];
+    } else if (sla === 'escalated') {
+      filter['sla.escalationLevel'] = { $gt: 0 };
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -180,7 +216,8 @@ exports.getAllComplaints = async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .populate('user', 'name email phone');
+      .populate('user', 'name email phone')
+      .populate('assignedTo', 'name email');
 
     const total = await Complaint.countDocuments(filter);
 
@@ -212,7 +249,7 @@ exports.getAllComplaints = async (req, res) => {
 exports.updateComplaintStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, compensation } = req.body;
 
     const validStatuses = ['Open', 'In-progress', 'Resolved', 'Closed'];
     if (!validStatuses.includes(status)) {
@@ -222,12 +259,9 @@ exports.updateComplaintStatus = async (req, res) => {
       });
     }
 
+    // Saved rather than updated in place so resolvedAt/closedAt get stamped for SLA reporting
     const query = buildComplaintQuery(id);
-    const complaint = await Complaint.findOneAndUpdate(
-      query,
-      { status },
-      { new: true }
-    ).populate('user', 'name email phone');
+    const complaint = await Complaint.findOne(query);
 
     if (!complaint) {
       return res.status(404).json({
@@ -236,16 +270,35 @@ exports.updateComplaintStatus = async (req, res) => {
       });
     }
 
+    // Compensation goes out first so a refused one leaves the complaint open
+    let issued = null;
+    if (compensation) {
+      if (status !== 'Resolved') {
+        return res.status(400).json({
+          success: false,
+          message: 'Compensation can only be attached when resolving a complaint'
+        });
+      }
+      issued = await compensationService.issue(complaint, compensation, req.admin);
+    }
+
+    complaint.status = status;
+    if (status === 'Resolved' && !complaint.resolvedBy) complaint.resolvedBy = req.adminId;
+    await complaint.save();
+
+    const updated = await Complaint.findById(complaint._id).populate('user', 'name email phone');
+
     res.json({
       success: true,
       message: 'Complaint status updated successfully',
-      data: complaint
+      data: updated,
+      compensation: issued
     });
   } catch (error) {
     console.error('Error updating complaint status:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update complaint status',
+      message: error.statusCode ? error.message : 'Failed to update complaint status',
       error: error.message
     });
   }
@@ -285,6 +338,8 @@ exports.respondToComplaint = async (req, res) => {
       });
     }
 
+    await complaintSla.markResponded(complaint._id, complaint.respondedAt);
+
     res.json({
       success: true,
       message: 'Response added successfully',
@@ -380,10 +435,11 @@ exports.getComplaintStats = async (req, res) => {
 exports.updateComplaint = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    // The compensation ledger only changes through the compensation endpoints
+    const { compensations, compensationTotal, ...updates } = req.body;
 
     const query = buildComplaintQuery(id);
-    const complaint = await Complaint.findOneAndUpdate(
+    let complaint = await Complaint.findOneAndUpdate(
       query,
       updates,
       { new: true, runValidators: true }
@@ -396,6 +452,11 @@ exports.updateComplaint = async (req, res) => {
       });
     }
 
+    // New category or priority means new deadlines
+    if (updates.category !== undefined || updates.priority !== undefined) {
+      complaint = await complaintSla.refreshDeadlines(complaint);
+    }
+
     res.json({
       success: true,
       message: 'Complaint updated successfully',
@@ -546,10 +607,18 @@ exports.assignComplaint = async (req, res) => {
       });
     }
 
+    const assignee = await Admin.findOne({ _id: adminId, isActive: true }).select('name email');
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found or inactive'
+      });
+    }
+
     const query = buildComplaintQuery(id);
     const complaint = await Complaint.findOneAndUpdate(
       query,
-      { assignedTo: adminId },
+      { assignedTo: adminId, assignedAt: new Date(), assignmentMethod: 'manual' },
       { new: true }
     ).populate('assignedTo', 'name email');
 
@@ -560,6 +629,8 @@ exports.assignComplaint = async (req, res) => {
       });
     }
 
+    complaintSla.announceAssignment(complaint, assignee);
+
     res.status(200).json({
       success: true,
       message: 'Complaint assigned successfully',
@@ -575,6 +646,61 @@ exports.assignComplaint = async (req, res) => {
   }
 };
 
+/**
+ * Compensate the customer for a complaint (Admin only)
+ * POST /api/complaints/:id/compensation
+ * Body: { type: wallet_credit|item_refund|replacement_order|coupon, amount?, items?: [{ itemId, quantity }], note? }
+ */
+exports.issueCompensation = async (req, res) => {
+  try {
+    const complaint = await Complaint.findOne(buildComplaintQuery(req.params.id));
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    const entry = await compensationService.issue(complaint, req.body, req.admin);
+
+    res.status(201).json({
+      success: true,
+      message: 'Compensation issued successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error issuing compensation:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to issue compensation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compensation cost by complaint category, type and agent (Admin only)
+ * GET /api/complaints/compensation/report?from=&to=&category=&type=
+ */
+exports.getCompensationReport = async (req, res) => {
+  try {
+    const { from, to, category, type } = req.query;
+    const report = await compensationService.getReport({ from, to, category, type });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error fetching compensation report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch compensation report',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get complaint statistics
  * GET /api/admin/complaints/stats
@@ -690,6 +816,12 @@ exports.getComplaintStats = async (req, res) => {
     const avgResolutionTimeMs = resolutionTimes[0]?.avgResolutionTime || 0;
     const avgResolutionTimeHours = Math.round(avgResolutionTimeMs / (1000 * 60 * 60));
 
+    // SLA compliance
+    const sla = await complaintSla.getMetrics(matchStage);
+
+    // What resolving them cost
+    const compensation = await compensationService.getReport({ from: startDate, to: endDate });
+
     res.status(200).json({
       success: true,
       data: {
@@ -699,7 +831,13 @@ exports.getComplaintStats = async (req, res) => {
         byStatus: statusMap,
         byCategory: categoryMap,
         byPriority: priorityMap,
-        avgResolutionTimeHours
+        avgResolutionTimeHours,
+        sla,
+        compensation: {
+          total: compensation.total,
+          count: compensation.count,
+          byType: compensation.byType
+        }
       }
     });
   } catch (error) {
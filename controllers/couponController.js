@@ -46,7 +46,8 @@ exports.getUserCoupons = async (req, res) => {
       refunded: { $ne: true },
       validFrom: { $lte: now },
       validUntil: { $gt: now },
-      'meta.origin': { $nin: ['referral', 'spin_wheel'] }
+      'meta.origin': { $nin: ['referral', 'spin_wheel', 'cart_recovery', 'complaint'] },
+      assignedTo: null
     })
       .select('code title discountType discountValue minOrderValue maxDiscount termsAndConditions validUntil applicableTiers')
       .sort({ validUntil: 1 });
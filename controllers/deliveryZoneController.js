@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const DeliveryZone = require('../models/deliveryZoneModel');
+const deliveryService = require('../services/delivery');
+
+const ZONE_FIELDS = [
+  'name', 'area', 'baseFee', 'perKm', 'freeDeliveryThreshold', 'minOrderAmount',
+  'maxDistanceKm', 'etaMinutes', 'priority', 'isActive'
+];
+
+const handleError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  // MongoDB rejects self-intersecting polygons when building the 2dsphere key
+  if (error.code === 16755) {
+    return res.status(400).json({ success: false, message: 'Zone area is not a valid polygon (edges may cross)' });
+  }
+  console.error('Delivery zone controller error:', error);
+  res.status(500).json({ success: false, message: 'Server error', error: error.message });
+};
+
+const validId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    return false;
+  }
+  return true;
+};
+
+const pickZoneFields = (body = {}) => {
+  const data = {};
+  ZONE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.area !== undefined) deliveryService.validateArea(data.area);
+  return data;
+};
+
+// Can we deliver here? (?locationId= for a saved location, or ?latitude=&longitude=; optional &subtotal=)
+const checkServiceability = async (req, res) => {
+  try {
+    const { locationId, latitude, longitude, subtotal } = req.query;
+    let point = null;
+
+    if (locationId) {
+      if (!mongoose.Types.ObjectId.isValid(locationId)) {
+        return res.status(400).json({ success: false, message: 'Invalid location ID' });
+      }
+      const { location, point: resolved } = await deliveryService.resolveAddress(locationId, req.userId);
+      if (!location) {
+        return res.status(404).json({ success: false, message: 'Location not found' });
+      }
+      point = resolved;
+    } else if (latitude !== undefined && longitude !== undefined) {
+      point = deliveryService.toPoint({ latitude, longitude });
+      if (!point) {
+        return res.status(400).json({ success: false, message: 'latitude and longitude must be numbers' });
+      }
+    } else {
+      return res.status(400).json({ success: false, message: 'Provide locationId, or latitude and longitude' });
+    }
+
+    const result = await deliveryService.checkServiceability(point, {
+      subtotal: subtotal !== undefined ? Number(subtotal) : undefined
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: all zones
+const getZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find().sort({ priority: -1, name: 1 });
+    res.json({ success: true, data: zones });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const getZoneById = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Delivery zone not found' });
+    }
+    res.json({ success: true, data: zone });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const createZone = async (req, res) => {
+  try {
+    const data = pickZoneFields(req.body);
+    if (!data.area) {
+      return res.status(400).json({ success: false, message: 'area is required' });
+    }
+    const zone = await DeliveryZone.create(data);
+    res.status(201).json({ success: true, message: 'Delivery zone created', data: zone });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const updateZone = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const zone = await DeliveryZone.findByIdAndUpdate(req.params.id, pickZoneFields(req.body), {
+      new: true,
+      runValidators: true
+    });
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Delivery zone not found' });
+    }
+    res.json({ success: true, message: 'Delivery zone updated', data: zone });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const deleteZone = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Delivery zone not found' });
+    }
+    res.json({ success: true, message: 'Delivery zone deleted' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  checkServiceability,
+  getZones,
+  getZoneById,
+  createZone,
+  updateZone,
+  deleteZone
+};
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Ingredient = require('../models/ingredientModel');
+const StockMovement = require('../models/stockMovementModel');
+const MenuItem = require('../models/menuItemModel');
+const inventoryService = require('../services/inventory');
+
+const INGREDIENT_FIELDS = ['name', 'unit', 'lowStockThreshold', 'costPerUnit', 'supplier', 'isActive'];
+
+const handleError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'An ingredient with this name already exists' });
+  }
+  console.error('Inventory controller error:', error);
+  res.status(500).json({ success: false, message: 'Server error', error: error.message });
+};
+
+const validId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid ID' });
+    return false;
+  }
+  return true;
+};
+
+// All ingredients (?lowStock=true for those at or below their threshold)
+const getIngredients = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== 'all') filter.isActive = true;
+    if (req.query.lowStock === 'true') filter.$expr = { $lte: ['$stock', '$lowStockThreshold'] };
+    if (req.query.search) filter.name = { $regex: String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const ingredients = await Ingredient.find(filter).sort({ name: 1 });
+    res.json({ success: true, data: ingredients });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const getIngredientById = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const ingredient = await Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ success: false, message: 'Ingredient not found' });
+    }
+    const usedIn = await MenuItem.find({ 'recipe.ingredient': ingredient._id }).select('name isAvailable status stockedOut');
+    res.json({ success: true, data: { ...ingredient.toJSON(), usedIn } });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Create an ingredient; an opening stock is logged as a restock
+const createIngredient = async (req, res) => {
+  try {
+    const data = {};
+    INGREDIENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    const ingredient = await Ingredient.create(data);
+
+    const openingStock = Number(req.body.stock) || 0;
+    const saved = openingStock > 0
+      ? await inventoryService.adjustStock(ingredient._id, { quantity: openingStock, reason: 'restock', note: 'Opening stock', adminId: req.adminId })
+      : ingredient;
+    res.status(201).json({ success: true, message: 'Ingredient created', data: saved });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Update details; stock only changes through /stock so every change is logged
+const updateIngredient = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const data = {};
+    INGREDIENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    const ingredient = await Ingredient.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+    if (!ingredient) {
+      return res.status(404).json({ success: false, message: 'Ingredient not found' });
+    }
+    // Thresholds and active flags change what can be made and what is low
+    await inventoryService.checkLowStock([ingredient]);
+    await inventoryService.refreshAvailability([ingredient._id]);
+    res.json({ success: true, message: 'Ingredient updated', data: ingredient });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Restock, record wastage, or correct after a count ({ quantity } or { setTo }, reason, note)
+const adjustStock = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const { quantity, setTo, reason, note } = req.body || {};
+    const ingredient = await inventoryService.adjustStock(req.params.id, {
+      quantity,
+      setTo,
+      reason,
+      note,
+      adminId: req.adminId
+    });
+    res.json({ success: true, message: 'Stock updated', data: ingredient });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Stock history for one ingredient
+const getMovements = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const filter = { ingredient: req.params.id };
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('admin', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockMovement.countDocuments(filter)
+    ]);
+    res.json({
+      success: true,
+      data: movements,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const getRecipe = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const menuItem = await MenuItem.findById(req.params.id)
+      .select('name recipe isAvailable status stockedOut')
+      .populate('recipe.ingredient', 'name unit stock');
+    if (!menuItem) {
+      return res.status(404).json({ success: false, message: 'Menu item not found' });
+    }
+    res.json({ success: true, data: menuItem });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Replace a menu item's recipe ({ recipe: [{ ingredient, quantity }] }, quantities per portion)
+const setRecipe = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const menuItem = await inventoryService.setRecipe(req.params.id, req.body?.recipe);
+    res.json({ success: true, message: 'Recipe updated', data: menuItem });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  getIngredients,
+  getIngredientById,
+  createIngredient,
+  updateIngredient,
+  adjustStock,
+  getMovements,
+  getRecipe,
+  setRecipe
+};
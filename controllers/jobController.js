@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Job = require('../models/jobModel');
+const jobQueue = require('../services/jobQueue');
+
+const handleError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error('Job controller error:', error);
+  res.status(500).json({ success: false, message: 'Server error', error: error.message });
+};
+
+const validId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid ID' });
+    return false;
+  }
+  return true;
+};
+
+// Jobs, newest first (?status=dead for the dead-letter list, ?name=, ?page=, ?limit=)
+const getJobs = async (req, res) => {
+  try {
+    const { status, name, page, limit } = req.query;
+    const result = await jobQueue.listJobs({ status, name, page, limit });
+    res.json({ success: true, data: result.jobs, counts: result.counts, pagination: result.pagination });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// One job with its payload, result and error history
+const getJobById = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const job = await Job.findById(req.params.id).populate('createdBy', 'name email');
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const retryJob = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const job = await jobQueue.retryJob(req.params.id);
+    res.json({ success: true, message: 'Job queued', data: job });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const cancelJob = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const job = await jobQueue.cancelJob(req.params.id);
+    res.json({ success: true, message: 'Job cancelled', data: job });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobById,
+  retryJob,
+  cancelJob
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const kdsService = require('../services/kds');
+
+// Who is acting on the ticket, as the order state machine understands it
+const actorFrom = (req) => ({
+  actor: req.adminRole === 'kitchen' ? 'kitchen' : 'admin',
+  actorId: req.adminId
+});
+
+const handleError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error('KDS controller error:', error);
+  res.status(500).json({ success: false, message: 'Server error', error: error.message });
+};
+
+const validTicketId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid ticket ID' });
+    return false;
+  }
+  return true;
+};
+
+// Live ticket queue, optionally for one station (?station=grill)
+const getQueue = async (req, res) => {
+  try {
+    const station = req.query.station ? String(req.query.station).toLowerCase() : undefined;
+    const queue = await kdsService.getQueue({ station });
+    res.json({ success: true, station: station || 'all', data: queue });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Open tickets and waiting items per station
+const getStations = async (req, res) => {
+  try {
+    const stations = await kdsService.getStationSummary();
+    res.json({ success: true, data: stations });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Single ticket with timers
+const getTicket = async (req, res) => {
+  try {
+    if (!validTicketId(req, res)) return;
+    const ticket = await kdsService.findTicket(req.params.id);
+    res.json({ success: true, data: kdsService.toView(ticket) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Start every item on the ticket
+const startTicket = async (req, res) => {
+  try {
+    if (!validTicketId(req, res)) return;
+    const ticket = await kdsService.startTicket(req.params.id, actorFrom(req));
+    res.json({ success: true, message: 'Ticket started', data: kdsService.toView(ticket) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Update one item's prep status ({ status: pending | preparing | ready })
+const updateItemStatus = async (req, res) => {
+  try {
+    if (!validTicketId(req, res)) return;
+    const ticket = await kdsService.setItemStatus(req.params.id, req.params.itemId, req.body?.status, actorFrom(req));
+    res.json({ success: true, message: 'Item updated', data: kdsService.toView(ticket) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Bump: ticket done, order ready
+const bumpTicket = async (req, res) => {
+  try {
+    if (!validTicketId(req, res)) return;
+    const ticket = await kdsService.bumpTicket(req.params.id, actorFrom(req));
+    res.json({ success: true, message: 'Ticket bumped', data: kdsService.toView(ticket) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Recall: bring a bumped ticket back before hand-over
+const recallTicket = async (req, res) => {
+  try {
+    if (!validTicketId(req, res)) return;
+    const ticket = await kdsService.recallTicket(req.params.id, actorFrom(req));
+    res.json({ success: true, message: 'Ticket recalled', data: kdsService.toView(ticket) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  getQueue,
+  getStations,
+  getTicket,
+  startTicket,
+  updateItemStatus,
+  bumpTicket,
+  recallTicket
+};
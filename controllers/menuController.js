@@ -2,6 +2,7 @@ const MenuItem = require('../models/menuItemModel');
 const Category = require('../models/categoryModel');
 const { uploadImage, deleteImage } = require('../services/cloudinary');
 const { getPersonalizedRecommendations } = require('../services/recommendation');
+const mealBuilder = require('../services/mealBuilder');
 
 // Get all menu items
 const getAllMenuItems = async (req, res) => {
@@ -100,11 +101,12 @@ const getCategories = async (req, res) => {
   }
 };
 
-// Get personalized recommendations
+// Get personalized "you may also like" recommendations
 const getRecommendations = async (req, res) => {
   try {
     const userId = req.user?.id;
-    const recommendations = await getPersonalizedRecommendations(userId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const recommendations = await getPersonalizedRecommendations(userId, limit);
 
     res.json(recommendations);
   } catch (error) {
@@ -112,6 +114,19 @@ const getRecommendations = async (req, res) => {
   }
 };
 
+// Build 2-3 meal suggestions (main + side + drink)
+// Body: mood, hungerLevel (default to the user's latest answers), budget, count
+const buildMeal = async (req, res) => {
+  try {
+    const { mood, hungerLevel, budget, count } = req.body;
+    const result = await mealBuilder.buildMeals({ userId: req.user?.id, mood, hungerLevel, budget, count });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error', error: error.message });
+  }
+};
+
 // Get trending items
 const getTrendingItems = async (req, res) => {
   try {
@@ -296,6 +311,7 @@ const createMenuItem = async (req, res) => {
       badge,
       moodTag,
       hungerLevelTag,
+      mealRole,
       seasonal
     } = req.body;
 
@@ -367,6 +383,7 @@ const createMenuItem = async (req, res) => {
     if (badge) menuItemData.badge = badge;
     if (moodTag) menuItemData.moodTag = moodTag;
     if (hungerLevelTag) menuItemData.hungerLevelTag = hungerLevelTag;
+    if (mealRole) menuItemData.mealRole = mealRole;
     if (nutritionInfo) menuItemData.nutritionInfo = nutritionInfo;
     if (seasonal) menuItemData.seasonal = seasonal;
 
@@ -406,6 +423,7 @@ const updateMenuItem = async (req, res) => {
       badge,
       moodTag,
       hungerLevelTag,
+      mealRole,
       seasonal,
       isAvailable
     } = req.body;
@@ -463,6 +481,7 @@ const updateMenuItem = async (req, res) => {
     if (badge !== undefined) menuItem.badge = badge;
     if (moodTag !== undefined) menuItem.moodTag = moodTag;
     if (hungerLevelTag !== undefined) menuItem.hungerLevelTag = hungerLevelTag;
+    if (mealRole !== undefined) menuItem.mealRole = mealRole || null;
     if (nutritionInfo) menuItem.nutritionInfo = nutritionInfo;
     if (seasonal) menuItem.seasonal = seasonal;
     if (tags) menuItem.tags = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
@@ -613,6 +632,7 @@ module.exports = {
   getAllMenuItems,
   getCategories,
   getRecommendations,
+  buildMeal,
   getTrendingItems,
   searchMenuItems,
   getMenuItemById,
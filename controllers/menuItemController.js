@@ -3,6 +3,7 @@ const Order = require('../models/orderModel');
 const Rating = require('../models/ratingModel');
 const Category = require('../models/categoryModel'); // Add this import
 const mongoose = require('mongoose');
+const recommendationService = require('../services/recommendation');
 const Restaurant = require('../models/restaurantModel'); // Add this import
 
 // Toggle menu item special status (Chef-specific - REMOVED)
@@ -384,51 +385,21 @@ exports.getMenuItemsBySource = async (req, res) => {
   }
 };
 
-// Get similar menu items
+// Get "frequently bought together" items, filtered by the user's allergens and diet
 exports.getSimilarMenuItems = async (req, res) => {
   try {
     const { id } = req.params;
-    const { limit = 5 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
     
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid menu item ID format" });
     }
     
-    // Get the reference menu item
-    const menuItem = await MenuItem.findById(id);
-    
-    if (!menuItem) {
+    if (!(await MenuItem.exists({ _id: id }))) {
       return res.status(404).json({ message: "Menu item not found" });
     }
     
-    // Build query for similar items
-    const query = {
-      _id: { $ne: id }, // Exclude the current item
-      $or: [
-        // Same category
-        { category: menuItem.category },
-        // Similar price range (±20%)
-        {
-          price: {
-            $gte: menuItem.price * 0.8,
-            $lte: menuItem.price * 1.2
-          }
-        }
-      ]
-    };
-    
-    // Add source filter (either same restaurant or same chef)
-    if (menuItem.restaurantId) {
-      query.restaurantId = menuItem.restaurantId;
-    } else if (menuItem.chefId) {
-      query.chefId = menuItem.chefId;
-    }
-    
-    // Find similar items
-    const similarItems = await MenuItem.find(query)
-      .limit(parseInt(limit))
-      .populate('restaurantId', 'name')
-      .populate('chefId', 'name kitchenName');
+    const similarItems = await recommendationService.getSimilarItems(id, { user: req.user, limit });
     
     res.status(200).json(similarItems);
   } catch (err) {
@@ -1,4 +1,5 @@
 const notificationService = require('../services/notificationService');
+const jobQueue = require('../services/jobQueue');
 const Notification = require('../models/notificationModel');
 const User = require('../models/userModel');
 
@@ -20,9 +21,21 @@ exports.updateFcmToken = async (req, res) => {
   }
 };
 
+// Send to one user ({ userId }) or, as a background job, to many ({ userIds: [...] })
 exports.sendNotification = async (req, res) => {
   try {
-    const { userId, title, body, data, type } = req.body;
+    const { userId, userIds, title, body, data, type } = req.body;
+    if (Array.isArray(userIds)) {
+      if (userIds.length === 0 || !title || !body) {
+        return res.status(400).json({ success: false, message: 'User IDs, title, and body are required' });
+      }
+      const job = await jobQueue.enqueue(
+        'notifications.bulk',
+        { userIds, title, message: body, type, data: data || {} },
+        { createdBy: req.adminId }
+      );
+      return res.status(202).json({ success: true, message: `Sending to ${userIds.length} users`, data: { jobId: job._id } });
+    }
     if (!userId || !title || !body) {
       return res.status(400).json({ success: false, message: 'User ID, title, and body are required' });
     }
@@ -1,5 +1,6 @@
 const NutritionLog = require('../models/nutritionLogModel');
 const User = require('../models/userModel');
+const nutritionService = require('../services/nutrition');
 
 // Helper: 'YYYY-MM-DD' string for a Date
 const toDateStr = (date) => date.toISOString().split('T')[0];
@@ -40,7 +41,7 @@ exports.getSummary = async (req, res) => {
     const userId = req.user.id;
     const dateStr = req.query.date || toDateStr(new Date());
 
-    const user = await User.findById(userId).select('calorieGoal macroGoals').lean();
+    const user = await User.findById(userId).select('calorieGoal macroGoals waterGoal').lean();
     const calorieGoal = user.calorieGoal || 2000;
     const macroGoals = user.macroGoals || {
       protein: 120, carbs: 280, fat: 233, fiber: 38, sugar: 50
@@ -66,6 +67,8 @@ exports.getSummary = async (req, res) => {
     // Today's log
     const todayLog = logs.find(l => l.date === dateStr) || {
       consumed: { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0 },
+      entries: [],
+      water: 0,
       withinGoal: false
     };
 
@@ -99,6 +102,9 @@ exports.getSummary = async (req, res) => {
           fiber:    todayLog.consumed.fiber,
           sugar:    todayLog.consumed.sugar
         },
+        // Orders and manually logged meals behind today's totals
+        entries: todayLog.entries || [],
+        water: { consumed: todayLog.water || 0, goal: user.waterGoal || 2500 },
         // All goals in one place
         goals: { calories: calorieGoal, ...macroGoals },
         // Weekly stat
@@ -117,12 +123,13 @@ exports.getSummary = async (req, res) => {
 // GET /api/nutrition/goals — get user's calorie + macro goals
 exports.getGoals = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('calorieGoal macroGoals').lean();
+    const user = await User.findById(req.user.id).select('calorieGoal macroGoals waterGoal bodyMetrics').lean();
     const macroGoals = user.macroGoals || { protein: 120, carbs: 280, fat: 233, fiber: 38, sugar: 50 };
     res.json({
       success: true,
       data: {
-        goals: { calories: user.calorieGoal || 2000, ...macroGoals }
+        goals: { calories: user.calorieGoal || 2000, ...macroGoals, water: user.waterGoal || 2500 },
+        bodyMetrics: user.bodyMetrics || null
       }
     });
   } catch (err) {
@@ -138,7 +145,8 @@ exports.updateGoals = async (req, res) => {
 
     const update = {};
     if (goals.calories !== undefined) update.calorieGoal = goals.calories;
-    const { calories, ...macros } = goals;
+    if (goals.water !== undefined) update.waterGoal = goals.water;
+    const { calories, water, ...macros } = goals;
     if (Object.keys(macros).length > 0) {
       Object.entries(macros).forEach(([key, val]) => {
         update[`macroGoals.${key}`] = val;
@@ -147,17 +155,110 @@ exports.updateGoals = async (req, res) => {
 
     await User.findByIdAndUpdate(req.user.id, update, { new: true });
 
-    const updated = await User.findById(req.user.id).select('calorieGoal macroGoals').lean();
+    const updated = await User.findById(req.user.id).select('calorieGoal macroGoals waterGoal').lean();
     const macroGoals = updated.macroGoals || { protein: 120, carbs: 280, fat: 233, fiber: 38, sugar: 50 };
 
     res.json({
       success: true,
       message: 'Goals updated',
       data: {
-        goals: { calories: updated.calorieGoal || 2000, ...macroGoals }
+        goals: { calories: updated.calorieGoal || 2000, ...macroGoals, water: updated.waterGoal || 2500 }
       }
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to update goals' });
   }
 };
+
+// POST /api/nutrition/entries — log a meal eaten outside NextGenFix
+exports.addEntry = async (req, res) => {
+  try {
+    const log = await nutritionService.addManualEntry(req.user.id, req.body);
+    res.status(201).json({ success: true, message: 'Meal logged', data: log });
+  } catch (err) {
+    if (!err.statusCode) console.error('Add nutrition entry error:', err);
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to log meal' });
+  }
+};
+
+// DELETE /api/nutrition/entries/:entryId — remove a manually logged meal
+exports.removeEntry = async (req, res) => {
+  try {
+    const log = await nutritionService.removeManualEntry(req.user.id, req.params.entryId);
+    res.json({ success: true, message: 'Meal removed', data: log });
+  } catch (err) {
+    if (!err.statusCode) console.error('Remove nutrition entry error:', err);
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to remove meal' });
+  }
+};
+
+// POST /api/nutrition/water — { amount (ml, negative to correct), date? }
+exports.addWater = async (req, res) => {
+  try {
+    const data = await nutritionService.addWater(req.user.id, req.body.amount, req.body.date);
+    res.json({ success: true, data });
+  } catch (err) {
+    if (!err.statusCode) console.error('Add water error:', err);
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to log water' });
+  }
+};
+
+// GET /api/nutrition/report?period=week|month&date=YYYY-MM-DD — trends and goal adherence
+exports.getReport = async (req, res) => {
+  try {
+    const data = await nutritionService.getReport(req.user.id, {
+      period: req.query.period,
+      date: req.query.date
+    });
+    res.json({ success: true, data });
+  } catch (err) {
+    if (!err.statusCode) console.error('Nutrition report error:', err);
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to build nutrition report' });
+  }
+};
+
+// POST /api/nutrition/goals/calculate — suggested goals from body metrics; `save: true` applies them
+exports.calculateGoals = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('gender birthDate bodyMetrics').lean();
+    const metrics = { ...(user.bodyMetrics || {}), ...req.body };
+    const age = req.body.age !== undefined ? Number(req.body.age) : nutritionService.ageFrom(user.birthDate);
+    if (age === null) {
+      return res.status(400).json({ message: 'age is required (or set a birth date on your profile)' });
+    }
+
+    const result = nutritionService.calculateGoals({
+      age,
+      gender: req.body.gender || user.gender,
+      weightKg: Number(metrics.weightKg),
+      heightCm: Number(metrics.heightCm),
+      activityLevel: metrics.activityLevel,
+      goal: metrics.goal
+    });
+
+    if (req.body.save) {
+      const { calories, water, ...macros } = result.goals;
+      await User.findByIdAndUpdate(req.user.id, {
+        calorieGoal: calories,
+        waterGoal: water,
+        ...Object.fromEntries(Object.entries(macros).map(([key, val]) => [`macroGoals.${key}`, val])),
+        bodyMetrics: {
+          weightKg: Number(metrics.weightKg),
+          heightCm: Number(metrics.heightCm),
+          activityLevel: metrics.activityLevel || 'light',
+          goal: metrics.goal || 'maintain',
+          updatedAt: new Date()
+        }
+      }, { runValidators: true });
+    }
+
+    res.json({
+      success: true,
+      message: req.body.save ? 'Goals updated' : 'Suggested goals',
+      data: { ...result, saved: !!req.body.save }
+    });
+  } catch (err) {
+    if (!err.statusCode) console.error('Calculate goals error:', err);
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to calculate goals' });
+  }
+};
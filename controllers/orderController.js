@@ -2,60 +2,19 @@ const Order = require('../models/orderModel');
 const Cart = require('../models/cartModel');
 const User = require('../models/userModel');
 const MenuItem = require('../models/menuItemModel');
-const NutritionLog = require('../models/nutritionLogModel');
 const mongoose = require('mongoose');
-const { initiatePayment, verifyPayment } = require('../services/payment');
-const { createNotification } = require('../services/notification');
-const { updateUserTier } = require('../services/tier');
+const notificationService = require('../services/notification');
+const cartRecovery = require('../services/cartRecovery');
 const walletService = require('../services/walletService');
-
-// Update the daily nutrition log when an order is placed
-const updateNutritionLog = async (userId, orderId, orderItems) => {
-  try {
-    const dateStr = new Date().toISOString().split('T')[0];
-    const user = await User.findById(userId).select('calorieGoal').lean();
-    const calorieGoal = user?.calorieGoal || 2000;
-
-    // Sum up nutrition from all ordered items
-    const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0 };
-    for (const item of orderItems) {
-      const menuItem = await MenuItem.findById(item.itemId).select('nutritionInfo').lean();
-      if (menuItem?.nutritionInfo) {
-        const qty = item.quantity;
-        totals.calories += (menuItem.nutritionInfo.calories || 0) * qty;
-        totals.protein  += (menuItem.nutritionInfo.protein  || 0) * qty;
-        totals.carbs    += (menuItem.nutritionInfo.carbs    || 0) * qty;
-        totals.fat      += (menuItem.nutritionInfo.fat      || 0) * qty;
-        totals.fiber    += (menuItem.nutritionInfo.fiber    || 0) * qty;
-        totals.sugar    += (menuItem.nutritionInfo.sugar    || 0) * qty;
-      }
-    }
-
-    // Upsert — increment today's log
-    const log = await NutritionLog.findOneAndUpdate(
-      { user: userId, date: dateStr },
-      {
-        $inc: {
-          'consumed.calories': totals.calories,
-          'consumed.protein':  totals.protein,
-          'consumed.carbs':    totals.carbs,
-          'consumed.fat':      totals.fat,
-          'consumed.fiber':    totals.fiber,
-          'consumed.sugar':    totals.sugar
-        },
-        $addToSet: { orders: orderId }
-      },
-      { upsert: true, new: true }
-    );
-
-    // Update withinGoal flag
-    log.withinGoal = log.consumed.calories <= calorieGoal;
-    await log.save();
-  } catch (err) {
-    console.error('Nutrition log update error:', err);
-    // Non-blocking — do not throw
-  }
-};
+const pricingService = require('../services/pricing');
+const orderStateMachine = require('../services/orderStateMachine');
+const slotService = require('../services/slot');
+const nanoPointsService = require('../services/nanoPoints');
+const deliveryService = require('../services/delivery');
+const dietarySafety = require('../services/dietarySafety');
+const nutritionService = require('../services/nutrition');
+require('../services/refund'); // registers the refund-on-cancel transition listener
+require('../services/inventory'); // registers the stock deduct/restore transition listener
 
 // Create new order
 const createOrder = async (req, res) => {
@@ -68,23 +27,35 @@ const createOrder = async (req, res) => {
       deliveryAddress,
       deliveryInstructions,
       paymentMethod,
-      specialInstructions
+      specialInstructions,
+      promoCode,
+      nanoPoints = 0,
+      dietaryAcknowledgement
     } = req.body;
     // couponCode may be auto-applied for first-time referees, so make it mutable
     let couponCode = req.body.couponCode;
 
+    // Scheduled orders must fall in an open slot within the booking window
+    const slot = scheduleType === 'scheduled' ? await slotService.resolveSlot(scheduledTime) : null;
+
+    // Delivery orders must go to an address inside our zones and range
+    let delivery = null;
+    if (orderType === 'delivery') {
+      const { point } = await deliveryService.resolveAddress(deliveryAddress, req.user.id);
+      delivery = await deliveryService.assertDeliverable(point);
+    }
+
     // load user early so we can evaluate referral coupons for auto-apply
-    const currentUser = await User.findById(req.user.id).select('totalOrders referralCoupons referredBy referrals').lean();
+    const currentUser = await User.findById(req.user.id).select('totalOrders referralCoupons referredBy referrals preferences').lean();
 
-    let orderItems = [];
-    let totalAmount = 0;
-    let discountAmount = 0;
+    let lines = [];
+    let cart = null;
 
     // Handle items from request or cart
     if (items && items.length > 0) {
       // Direct items from request
       for (const item of items) {
-        const menuItem = await MenuItem.findById(item.menuItemId || item.itemId);
+        const menuItem = await MenuItem.findById(item.menuItemId || item.itemId).select('name isAvailable');
         if (!menuItem) {
           return res.status(400).json({ message: `Menu item not found: ${item.menuItemId || item.itemId}` });
         }
@@ -92,20 +63,21 @@ const createOrder = async (req, res) => {
           return res.status(400).json({ message: `${menuItem.name} is not available` });
         }
 
-        orderItems.push({
-          itemId: menuItem._id,
+        const customizations = { ...(item.customizations || {}) };
+        if (item.specialInstructions && !customizations.cookingInstructions) {
+          customizations.cookingInstructions = item.specialInstructions;
+        }
+
+        lines.push({
+          menuItem: menuItem._id,
           quantity: item.quantity,
-          price: menuItem.price,
-          customizations: item.customizations || item.specialInstructions || {}
+          customizations
         });
-
-        totalAmount += menuItem.price * item.quantity;
       }
     } else {
       // From cart (existing logic)
-      const cart = await Cart.findOne({ user: req.userId })
-        .populate('items.menuItem')
-        .populate('coupon');
+      cart = await Cart.findOne({ user: req.userId })
+        .populate('items.menuItem');
 
       if (!cart || cart.items.length === 0) {
         return res.status(400).json({ message: 'Cart is empty' });
@@ -120,19 +92,28 @@ const createOrder = async (req, res) => {
         }
       }
 
-      orderItems = cart.items.map(item => ({
-        itemId: item.menuItem._id,
+      lines = cart.items.map(item => ({
+        menuItem: item.menuItem._id,
         quantity: item.quantity,
-        price: item.price,
         customizations: item.customizations
       }));
+    }
 
-      totalAmount = cart.finalAmount || cart.totalAmount;
-      discountAmount = cart.discountAmount || 0;
+    // Allergy / diet conflicts need the customer's acknowledgement of exactly these warnings
+    const safety = await dietarySafety.checkLines(currentUser, lines);
+    if (safety.warnings.length > 0 && dietaryAcknowledgement !== safety.acknowledgementToken) {
+      return res.status(409).json({
+        success: false,
+        code: 'DIETARY_CONFLICT',
+        message: 'Some items conflict with your allergies or diet. Please review and confirm to continue.',
+        warnings: safety.warnings,
+        acknowledgementToken: safety.acknowledgementToken
+      });
     }
 
     // Auto-apply referee referral coupon on first order if applicable
-    if (!couponCode && currentUser && (currentUser.totalOrders || 0) === 0 && currentUser.referralCoupons && currentUser.referralCoupons.length > 0) {
+    let autoAppliedCoupon = false;
+    if (!couponCode && !cart?.coupon && !promoCode && currentUser && (currentUser.totalOrders || 0) === 0 && currentUser.referralCoupons && currentUser.referralCoupons.length > 0) {
       try {
         const Coupon = require('../models/couponModel');
         const now = new Date();
@@ -142,68 +123,84 @@ const createOrder = async (req, res) => {
           validFrom: { $lte: now },
           validUntil: { $gt: now }
         }).sort({ validUntil: 1 });
-        // We will later check minOrderValue against totalAmount when applying
+        // The pricing engine drops it if the order does not qualify
         if (candidate) {
           couponCode = candidate.code;
+          autoAppliedCoupon = true;
         }
       } catch (e) {
         console.error('Auto-apply referral coupon error:', e.message);
       }
     }
 
-    // Apply coupon if provided
-    let appliedCoupon = null;
-    let deliveryFee = orderType === 'delivery' ? 40 : 0; // default delivery fee
-    let freeDelivery = false;
-    if (couponCode) {
-      const Coupon = require('../models/couponModel');
-      const coupon = await Coupon.findOne({ code: couponCode, isActive: true, validUntil: { $gt: new Date() } });
-      if (coupon) {
-        // Issue 5: validate minOrderValue
-        if (coupon.minOrderValue && totalAmount < coupon.minOrderValue) {
-          return res.status(400).json({
-            success: false,
-            message: `Minimum order value of ₹${coupon.minOrderValue} required to use this coupon`
-          });
-        }
-        appliedCoupon = coupon._id;
-        if (coupon.discountType === 'percentage') {
-          // Issue 2: apply maxDiscount cap
-          discountAmount = (totalAmount * coupon.discountValue) / 100;
-          if (coupon.maxDiscount) discountAmount = Math.min(discountAmount, coupon.maxDiscount);
-        } else if (coupon.discountType === 'fixed') {
-          discountAmount = Math.min(coupon.discountValue, totalAmount);
-        } else if (coupon.discountType === 'free_delivery') {
-          // Issue 3: handle free_delivery
-          freeDelivery = true;
-          deliveryFee = 0;
-        } else if (coupon.discountType === 'bogo') {
-          // Issue 3: handle bogo — discount = price of cheapest item
-          const prices = orderItems.map(i => i.price);
-          if (prices.length > 0) discountAmount = Math.min(...prices);
-        }
-      }
+    // Price the order server-side (coupon/promo, tier, nano points, taxes, fees, wallet)
+    const { useWallet = false, walletAmount = 0 } = req.body;
+    const bill = await pricingService.calculateBill({
+      userId: req.user.id,
+      lines,
+      orderType,
+      couponCode,
+      couponId: couponCode ? undefined : cart?.coupon,
+      ignoreInvalidCoupon: autoAppliedCoupon,
+      promoCode,
+      nanoPoints,
+      walletAmount: useWallet ? walletAmount : 0,
+      distanceKm: delivery ? delivery.distanceKm : 0,
+      zone: delivery ? delivery.zone : null
+    });
+
+    const belowMinimum = delivery ? deliveryService.getMinimumOrderMessage(delivery, bill.subtotal) : null;
+    if (belowMinimum) {
+      return res.status(400).json({ success: false, message: belowMinimum });
     }
 
-    const finalAmount = totalAmount + deliveryFee - discountAmount;
+    const orderItems = bill.lineItems.map(line => ({
+      itemId: line.itemId,
+      quantity: line.quantity,
+      price: line.basePrice,
+      customizations: line.customizations
+    }));
+    const appliedCoupon = bill.discounts.coupon.couponId;
+
+    // Hold a place in the slot before taking any money
+    const orderId = new mongoose.Types.ObjectId();
+    if (slot) {
+      await slotService.reserve(orderId, slot.start, orderType);
+    }
+
+    // Redeem nano points (the ledger checks the balance again)
+    const redeemedPoints = bill.discounts.nanoPointsRedemption.points;
+    if (redeemedPoints > 0) {
+      try {
+        await nanoPointsService.redeemForOrder(req.user.id, orderId, redeemedPoints);
+      } catch (error) {
+        if (slot) await slotService.release(orderId);
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+    const restorePoints = () => (redeemedPoints > 0
+      ? nanoPointsService.restoreRedemption(req.user.id, orderId, 'Order not placed')
+      : Promise.resolve());
 
     // Handle wallet payment
-    const { useWallet = false, walletAmount = 0 } = req.body;
-    let walletPaymentAmount = 0;
+    const walletPaymentAmount = bill.discounts.walletPayment.amount;
     let walletTransactionId = null;
-    let remainingAmount = finalAmount;
-    let paidViaWallet = false;
 
-    if (useWallet && walletAmount > 0) {
+    if (walletPaymentAmount > 0) {
       try {
         // Verify user has sufficient wallet balance
-        const balanceCheck = await walletService.verifyBalance(req.user.id, walletAmount);
+        const balanceCheck = await walletService.verifyBalance(req.user.id, walletPaymentAmount);
         if (!balanceCheck.hasBalance) {
+          if (slot) await slotService.release(orderId);
+          await restorePoints();
           return res.status(400).json({
             success: false,
             message: 'Insufficient wallet balance',
             data: {
-              required: walletAmount,
+              required: walletPaymentAmount,
               available: balanceCheck.currentBalance,
               shortfall: balanceCheck.shortfall
             }
@@ -213,7 +210,7 @@ const createOrder = async (req, res) => {
         // Debit from wallet
         const walletResult = await walletService.debitWallet(
           req.user.id,
-          walletAmount,
+          walletPaymentAmount,
           'order_payment',
           `Payment for order using wallet`,
           {
@@ -221,12 +218,10 @@ const createOrder = async (req, res) => {
           }
         );
 
-        walletPaymentAmount = walletAmount;
         walletTransactionId = walletResult.transaction.transactionId;
-        remainingAmount = finalAmount - walletPaymentAmount;
-        if (remainingAmount < 0) remainingAmount = 0;
-        paidViaWallet = true;
       } catch (error) {
+        if (slot) await slotService.release(orderId);
+        await restorePoints();
         return res.status(400).json({
           success: false,
           message: 'Wallet payment failed: ' + error.message
@@ -236,31 +231,51 @@ const createOrder = async (req, res) => {
 
     // Create order
     const order = await Order.create({
+      _id: orderId,
       user: req.user.id,
       orderType,
       scheduleType,
-      scheduledTime: scheduleType === 'scheduled' && scheduledTime ? new Date(scheduledTime) : undefined,
+      scheduledTime: slot ? slot.start : undefined,
       items: orderItems,
       billing: {
-        subtotal: totalAmount,
-        deliveryFee,
+        ...bill,
         discounts: {
-          totalDiscount: discountAmount,
+          ...bill.discounts,
           walletPayment: {
             amount: walletPaymentAmount,
             transactionId: walletTransactionId
           }
-        },
-        totalAmount: finalAmount,
-        remainingAmount,
-        paidViaWallet
+        }
       },
+      appliedCoupon,
+      trackingHistory: [{
+        status: 'placed',
+        timestamp: new Date(),
+        actor: 'user',
+        actorId: req.user.id
+      }],
       deliveryAddress: orderType === 'delivery' ? deliveryAddress : undefined,
+      deliveryZone: delivery?.zone ? delivery.zone.id : undefined,
       deliveryInstructions: orderType === 'delivery' ? (deliveryInstructions || '') : undefined,
       paymentDetails: {
         method: paymentMethod
       },
-      cookingInstructions: specialInstructions
+      cookingInstructions: specialInstructions,
+      dietaryAcknowledgement: safety.warnings.length > 0 ? {
+        acknowledgedAt: new Date(),
+        note: dietarySafety.kitchenNote(safety.warnings),
+        conflicts: safety.warnings
+      } : undefined
+    }).catch(async (error) => {
+      if (slot) await slotService.release(orderId);
+      await restorePoints();
+      if (walletTransactionId) {
+        await walletService.creditWallet(req.user.id, walletPaymentAmount, 'refund', 'Refund for order that was not placed', {
+          reason: 'Order was not created',
+          referenceNumber: walletTransactionId
+        });
+      }
+      throw error;
     });
 
     // Update menu item order counts
@@ -271,14 +286,15 @@ const createOrder = async (req, res) => {
     }
 
     // Update daily nutrition log (non-blocking)
-    updateNutritionLog(req.user.id, order._id, orderItems);
+    nutritionService.logOrder(req.user.id, order)
+      .catch(err => console.error('Nutrition log update error:', err));
 
     // Create notification
-    await createNotification({
-      userId: req.user.id,
-      title: 'Order Placed',
-      message: `Your order has been placed successfully`,
-      type: 'order',
+    await notificationService.notify(req.user.id, 'order_placed', {
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      amount: order.billing?.totalAmount
+    }, {
       data: { orderId: order._id }
     });
 
@@ -301,6 +317,7 @@ const createOrder = async (req, res) => {
         tableNumber: order.tableNumber,
         paymentDetails: order.paymentDetails,
         cookingInstructions: order.cookingInstructions,
+        dietaryAcknowledgement: order.dietaryAcknowledgement,
         scheduledTime: order.scheduledTime,
         status: order.status,
         createdAt: order.createdAt
@@ -308,53 +325,44 @@ const createOrder = async (req, res) => {
     });
 
     // Clear cart after order creation if cart was used
-    if (!items || items.length === 0) {
-      const cart = await Cart.findOne({ user: req.userId });
-      if (cart) {
-        await Cart.findByIdAndUpdate(cart._id, {
-          items: [],
-          totalAmount: 0,
-          discountAmount: 0,
-          finalAmount: 0,
-          coupon: null
-        });
+    if (cart) {
+      await Cart.findByIdAndUpdate(cart._id, {
+        items: [],
+        totalAmount: 0,
+        discountAmount: 0,
+        finalAmount: 0,
+        coupon: null
+      });
+    }
 
-        // Update coupon usage if applied
-        if (cart.coupon) {
-          try {
-            const Coupon = require('../models/couponModel');
-            const c = await Coupon.findById(cart.coupon);
-            if (c) {
-              c.usedCount = (c.usedCount || 0) + 1;
-              // increment per-user count
-              const userIdStr = String(req.user.id);
-              const entry = (c.usedBy || []).find(u => String(u.user) === userIdStr);
-              if (entry) entry.count = (entry.count || 0) + 1;
-              else c.usedBy = c.usedBy || [], c.usedBy.push({ user: req.user.id, count: 1 });
-              await c.save();
-            }
-          } catch (e) {
-            console.error('Error updating coupon usage for cart.coupon:', e.message);
-          }
+    // Credit an open abandoned cart campaign (non-blocking)
+    cartRecovery.recordConversion(req.user.id, order)
+      .catch(err => console.error('Cart recovery attribution error:', err.message));
+
+    // Update coupon / promo code usage if applied
+    if (appliedCoupon) {
+      try {
+        const Coupon = require('../models/couponModel');
+        const c = await Coupon.findById(appliedCoupon);
+        if (c) {
+          c.usedCount = (c.usedCount || 0) + 1;
+          // increment per-user count
+          const userIdStr = String(req.user.id);
+          const entry = (c.usedBy || []).find(u => String(u.user) === userIdStr);
+          if (entry) entry.count = (entry.count || 0) + 1;
+          else c.usedBy = c.usedBy || [], c.usedBy.push({ user: req.user.id, count: 1 });
+          await c.save();
         }
+      } catch (e) {
+        console.error('Error updating coupon usage for appliedCoupon:', e.message);
       }
-    } else {
-      // Update coupon usage if applied
-      if (appliedCoupon) {
-        try {
-          const Coupon = require('../models/couponModel');
-          const c = await Coupon.findById(appliedCoupon);
-          if (c) {
-            c.usedCount = (c.usedCount || 0) + 1;
-            const userIdStr = String(req.user.id);
-            const entry = (c.usedBy || []).find(u => String(u.user) === userIdStr);
-            if (entry) entry.count = (entry.count || 0) + 1;
-            else c.usedBy = c.usedBy || [], c.usedBy.push({ user: req.user.id, count: 1 });
-            await c.save();
-          }
-        } catch (e) {
-          console.error('Error updating coupon usage for appliedCoupon:', e.message);
-        }
+    }
+    if (bill.discounts.promoCode.code) {
+      try {
+        const PromoCode = require('../models/promoCodeModel');
+        await PromoCode.updateOne({ code: bill.discounts.promoCode.code }, { $inc: { usageCount: 1 } });
+      } catch (e) {
+        console.error('Error updating promo code usage:', e.message);
       }
     }
 
@@ -385,6 +393,10 @@ const createOrder = async (req, res) => {
     }
 
   } catch (error) {
+    // Pricing errors (invalid coupon, unknown add-on...) carry their own status
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
@@ -452,44 +464,20 @@ const cancelOrder = async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (!['pending', 'confirmed', 'placed'].includes(order.status)) {
+    const check = orderStateMachine.canTransition(order, 'cancelled', 'user');
+    if (!check.allowed) {
       return res.status(400).json({
-        message: 'Order cannot be cancelled at this stage'
+        message: 'Order cannot be cancelled at this stage',
+        reason: check.reason
       });
     }
 
-    // Refund wallet payment if applicable
-    if (order.billing?.paidViaWallet && order.billing?.discounts?.walletPayment?.amount > 0) {
-      try {
-        const refundAmount = order.billing.discounts.walletPayment.amount;
-        await walletService.creditWallet(
-          order.user,
-          refundAmount,
-          'refund',
-          `Refund for cancelled order #${order.orderNumber}`,
-          {
-            orderId: order._id,
-            reason: 'Order cancellation'
-          }
-        );
-      } catch (error) {
-        console.error('Wallet refund error:', error.message);
-        // Continue with cancellation even if refund fails
-      }
-    }
-
-    // Update order status
-    order.status = 'cancelled';
-    order.cancelledAt = new Date();
-    await order.save();
-
-    // Create notification
-    await createNotification({
-      userId: req.user.id,
-      title: 'Order Cancelled',
-      message: `Your order #${order.orderNumber} has been cancelled`,
-      type: 'order',
-      data: { orderId: order._id }
+    // Update order status (notifies the user, pushes the websocket event and
+    // refunds wallet / online payments through services/refund.js)
+    await orderStateMachine.transition(order, 'cancelled', {
+      actor: 'user',
+      actorId: req.user.id,
+      reason: req.body?.reason || 'Cancelled by customer'
     });
 
     res.json({
@@ -497,6 +485,9 @@ const cancelOrder = async (req, res) => {
       order
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
@@ -641,7 +632,7 @@ const getAllOrders = async (req, res) => {
 // Admin: Update order status
 const updateOrderStatus = async (req, res) => {
   try {
-    const { status: requestedStatus, notes } = req.body;
+    const { status: requestedStatus, notes, reason } = req.body;
 
     if (!requestedStatus || typeof requestedStatus !== 'string') {
       return res.status(400).json({ message: 'Invalid or missing status in request body' });
@@ -654,90 +645,23 @@ const updateOrderStatus = async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Map external/pretty status values to internal enum values
-    const statusMap = {
-      Ordered: 'placed',
-      ordered: 'placed',
-      Preparing: 'preparing',
-      preparing: 'preparing',
-      Dispatched: 'out-for-delivery',
-      dispatched: 'out-for-delivery',
-      Delivered: 'delivered',
-      delivered: 'delivered',
-      Canceled: 'cancelled',
-      cancelled: 'cancelled',
-      canceled: 'cancelled',
-    };
-
-    const mappedStatus = statusMap[requestedStatus] || requestedStatus.toLowerCase();
-
-    const allowed = ['placed', 'preparing', 'out-for-delivery', 'delivered', 'cancelled'];
-    if (!allowed.includes(mappedStatus)) {
-      return res.status(400).json({ message: `Unsupported status: ${requestedStatus}` });
-    }
-
-    // Update status
-    const oldStatus = order.status;
-    order.status = mappedStatus;
-
-    // Add to tracking history (store the requestedStatus for human readability)
-    if (!Array.isArray(order.trackingHistory)) order.trackingHistory = [];
-    order.trackingHistory.push({
-      status: mappedStatus,
-      timestamp: new Date(),
+    // Validates the move for this actor, records it in trackingHistory and notifies the user
+    await orderStateMachine.transition(order, requestedStatus, {
+      actor: req.adminRole === 'kitchen' ? 'kitchen' : 'admin',
+      actorId: req.adminId,
+      reason: reason || '',
       notes: notes || ''
     });
 
-    // Set estimated delivery time for certain statuses
-    if (mappedStatus === 'preparing' || mappedStatus === 'out-for-delivery') {
-      // Set an estimated delivery time only when moving to preparing or dispatched
-      order.estimatedDeliveryTime = new Date(Date.now() + 45 * 60 * 1000); // 45 minutes
-    }
-
-    if (mappedStatus === 'delivered') {
-      order.deliveredAt = new Date();
-
-      // Update user tier and total spent (use billing.totalAmount if present)
-      try {
-        const userId = order.user && order.user._id ? order.user._id : order.user;
-        const user = await User.findById(userId);
-        if (user) {
-          const amount = (order.billing && order.billing.totalAmount) || order.totalAmount || 0;
-          user.totalSpent = (user.totalSpent || 0) + amount;
-          await user.save();
-          try {
-            await updateUserTier(user._id);
-          } catch (tierErr) {
-            console.error('updateUserTier error for user', user._id, tierErr);
-          }
-        }
-      } catch (userErr) {
-        console.error('Error updating user after delivery for order', order._id, userErr);
-      }
-    }
-
-    await order.save();
-
-    // Create notification for user (send user id)
-    try {
-      const notifyUserId = order.user && order.user._id ? order.user._id : order.user;
-      await createNotification({
-        userId: notifyUserId,
-        title: 'Order Status Updated',
-        message: `Your order #${order.orderNumber || order._id} status changed to ${requestedStatus}`,
-        type: 'order',
-        data: { orderId: order._id }
-      });
-    } catch (notifErr) {
-      console.error('Notification error after status update:', notifErr);
-    }
-
     res.json({
       message: 'Order status updated successfully',
       order
     });
   } catch (error) {
     console.error('Update order status error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     // If it's a mongoose validation error, return 400 with message for debugging
     if (error && error.name === 'ValidationError') {
       return res.status(400).json({ message: 'Validation error', error: error.message });
@@ -746,6 +670,26 @@ const updateOrderStatus = async (req, res) => {
   }
 };
 
+// Admin: Get statuses the current admin may move an order to
+const getAllowedTransitions = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('status orderType paymentStatus billing.paidViaWallet');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const actor = req.adminRole === 'kitchen' ? 'kitchen' : 'admin';
+    res.json({
+      success: true,
+      status: order.status,
+      allowedTransitions: orderStateMachine.getAllowedTransitions(order, actor)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Admin: Get order statistics
 const getOrderStats = async (req, res) => {
   try {
@@ -794,5 +738,6 @@ module.exports = {
   reorder,
   getAllOrders,
   updateOrderStatus,
+  getAllowedTransitions,
   getOrderStats
 };
@@ -1,35 +1,13 @@
 const Payment = require('../models/paymentModel');
 const Order = require('../models/orderModel');
 const mongoose = require('mongoose');
-const crypto = require('crypto');
-const axios = require('axios');
+const paymentService = require('../services/payment');
+const refundService = require('../services/refund');
 
-// PhonePe configuration
-const PHONEPE_MERCHANT_ID = process.env.PHONEPE_MERCHANT_ID || 'MERCHANTUAT';
-const PHONEPE_SALT_KEY = process.env.PHONEPE_SALT_KEY || '099eb0cd-02cf-4e2a-8aca-3e6c6aff0399';
-const PHONEPE_SALT_INDEX = process.env.PHONEPE_SALT_INDEX || '1';
-const PHONEPE_API_URL = process.env.PHONEPE_API_URL || 'https://api-preprod.phonepe.com/apis/pg-sandbox';
-const PHONEPE_CALLBACK_URL = process.env.PHONEPE_CALLBACK_URL || 'http://localhost:5000/api/payments/phonepe/callback';
-const PHONEPE_REDIRECT_URL = process.env.PHONEPE_REDIRECT_URL || 'http://localhost:3000/payment-status';
-
-/**
- * Generate PhonePe checksum
- */
-const generatePhonePeChecksum = (payload) => {
-  const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64');
-  const string = base64Payload + '/pg/v1/pay' + PHONEPE_SALT_KEY;
-  const sha256 = crypto.createHash('sha256').update(string).digest('hex');
-  return sha256 + '###' + PHONEPE_SALT_INDEX;
-};
-
-/**
- * Verify PhonePe checksum
- */
-const verifyPhonePeChecksum = (response, receivedChecksum) => {
-  const string = response + PHONEPE_SALT_KEY;
-  const sha256 = crypto.createHash('sha256').update(string).digest('hex');
-  const expectedChecksum = sha256 + '###' + PHONEPE_SALT_INDEX;
-  return expectedChecksum === receivedChecksum;
+// Amount still owed on an order after wallet usage
+const getPayableAmount = (order) => {
+  const billing = order.billing || {};
+  return billing.remainingAmount !== undefined ? billing.remainingAmount : (billing.totalAmount || 0);
 };
 
 /**
@@ -79,7 +57,7 @@ exports.initiatePayment = async (req, res) => {
         orderId: order._id,
         method: 'cod',
         status: 'success',
-        amount: order.totalAmount,
+        amount: getPayableAmount(order),
         transactionId: `COD_${Date.now()}_${order._id}`
       });
 
@@ -87,7 +65,11 @@ exports.initiatePayment = async (req, res) => {
 
       // Update order payment status
       order.paymentStatus = 'paid';
-      order.paymentMethod = 'cod';
+      order.paymentDetails = {
+        paymentId: payment.transactionId,
+        method: 'cod',
+        status: 'Completed'
+      };
       await order.save();
 
       return res.json({
@@ -102,62 +84,54 @@ exports.initiatePayment = async (req, res) => {
 
     // Handle online payment via PhonePe
     if (['card', 'upi', 'netbanking', 'wallet'].includes(method)) {
+      const amount = getPayableAmount(order);
+      if (amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing left to pay on this order'
+        });
+      }
+
       // Create payment record
       const payment = new Payment({
         orderId: order._id,
         method,
         status: 'pending',
-        amount: order.totalAmount
+        amount
       });
 
-      await payment.save();
-
-      // Prepare PhonePe payload
-      const merchantTransactionId = `TXN_${Date.now()}_${payment._id}`;
-      const payload = {
-        merchantId: PHONEPE_MERCHANT_ID,
-        merchantTransactionId,
-        merchantUserId: userId.toString(),
-        amount: Math.round(order.totalAmount * 100), // Convert to paise
-        redirectUrl: `${PHONEPE_REDIRECT_URL}?transactionId=${merchantTransactionId}`,
-        redirectMode: 'POST',
-        callbackUrl: PHONEPE_CALLBACK_URL,
-        mobileNumber: req.user.phone || '9999999999',
-        paymentInstrument: {
-          type: 'PAY_PAGE'
-        }
-      };
-
-      // Generate checksum
-      const checksum = generatePhonePeChecksum(payload);
-      const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64');
-
       // Store transaction ID in payment
+      const merchantTransactionId = `TXN_${Date.now()}_${payment._id}`;
       payment.transactionId = merchantTransactionId;
-      payment.phonePePayload = payload;
       await payment.save();
 
       // Make API call to PhonePe
       try {
-        const response = await axios.post(
-          `${PHONEPE_API_URL}/pg/v1/pay`,
-          {
-            request: base64Payload
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'X-VERIFY': checksum
-            }
-          }
-        );
+        const result = await paymentService.initiatePayment({
+          merchantTransactionId,
+          amount,
+          userId,
+          mobileNumber: req.user.phone
+        });
+
+        payment.phonePePayload = result.payload;
+        payment.phonePeResponse = result.response;
+
+        if (result.success) {
+          await payment.save();
+
+          order.paymentDetails = {
+            paymentId: merchantTransactionId,
+            method: 'online',
+            status: 'Pending'
+          };
+          await order.save();
 
-        if (response.data.success) {
           return res.json({
             success: true,
             message: 'Payment initiated',
             data: {
-              paymentUrl: response.data.data.instrumentResponse.redirectInfo.url,
+              paymentUrl: result.paymentUrl,
               transactionId: merchantTransactionId,
               payment
             }
@@ -170,7 +144,7 @@ exports.initiatePayment = async (req, res) => {
           return res.status(400).json({
             success: false,
             message: 'Payment initiation failed',
-            error: response.data.message
+            error: result.message
           });
         }
       } catch (phonePeError) {
@@ -234,6 +208,20 @@ exports.getPaymentStatus = async (req, res) => {
       });
     }
 
+    // Callback may not have arrived yet: ask PhonePe directly
+    if (payment.status === 'pending' && payment.method !== 'cod' && payment.transactionId) {
+      try {
+        const gatewayResponse = await paymentService.getPaymentStatus(payment.transactionId);
+        const result = await paymentService.applyGatewayResult(gatewayResponse, 'poll');
+        if (result.payment) {
+          const refreshed = await Payment.findById(id).populate('orderId');
+          return res.json({ success: true, data: refreshed });
+        }
+      } catch (pollError) {
+        console.error('PhonePe status poll error:', pollError.response?.data || pollError.message);
+      }
+    }
+
     res.json({
       success: true,
       data: payment
@@ -257,8 +245,10 @@ exports.phonePeCallback = async (req, res) => {
     const { response } = req.body;
     const checksum = req.headers['x-verify'];
 
-    // Verify checksum
-    if (!verifyPhonePeChecksum(response, checksum)) {
+    // Verify checksum, then settle Payment/Order exactly once
+    const result = await paymentService.handleCallback(response, checksum, 'callback');
+
+    if (!result.verified) {
       console.error('Invalid checksum in PhonePe callback');
       return res.status(400).json({
         success: false,
@@ -266,52 +256,21 @@ exports.phonePeCallback = async (req, res) => {
       });
     }
 
-    // Decode response
-    const decodedResponse = JSON.parse(Buffer.from(response, 'base64').toString());
-    const { transactionId, code, amount } = decodedResponse;
-
-    // Find payment by transaction ID
-    const payment = await Payment.findOne({ transactionId });
-
-    if (!payment) {
+    if (!result.payment) {
       return res.status(404).json({
         success: false,
         message: 'Payment not found'
       });
     }
 
-    // Update payment status
-    if (code === 'PAYMENT_SUCCESS') {
-      payment.status = 'success';
-      payment.paymentGatewayResponse = 'success';
-      payment.phonePeResponse = decodedResponse;
-      await payment.save();
-
-      // Update order
-      const order = await Order.findById(payment.orderId);
-      if (order) {
-        order.paymentStatus = 'paid';
-        order.paymentMethod = payment.method;
-        await order.save();
-      }
-
-      return res.json({
-        success: true,
-        message: 'Payment successful',
-        data: payment
-      });
-    } else {
-      payment.status = 'failed';
-      payment.paymentGatewayResponse = 'failed';
-      payment.phonePeResponse = decodedResponse;
-      await payment.save();
-
-      return res.json({
-        success: false,
-        message: 'Payment failed',
-        data: payment
-      });
-    }
+    return res.json({
+      success: result.status === 'success',
+      message: result.status === 'success'
+        ? 'Payment successful'
+        : (result.status === 'pending' ? 'Payment pending' : 'Payment failed'),
+      duplicate: result.duplicate,
+      data: result.payment
+    });
   } catch (error) {
     console.error('Error in PhonePe callback:', error);
     res.status(500).json({
@@ -331,42 +290,13 @@ exports.phonePeWebhook = async (req, res) => {
     const { response } = req.body;
     const checksum = req.headers['x-verify'];
 
-    // Verify checksum
-    if (!verifyPhonePeChecksum(response, checksum)) {
+    const result = await paymentService.handleCallback(response, checksum, 'webhook');
+
+    if (!result.verified) {
       console.error('Invalid checksum in PhonePe webhook');
       return res.status(400).send('Invalid checksum');
     }
 
-    // Decode response
-    const decodedResponse = JSON.parse(Buffer.from(response, 'base64').toString());
-    const { transactionId, code } = decodedResponse;
-
-    // Find payment by transaction ID
-    const payment = await Payment.findOne({ transactionId });
-
-    if (payment) {
-      // Update payment status
-      if (code === 'PAYMENT_SUCCESS') {
-        payment.status = 'success';
-        payment.paymentGatewayResponse = 'success';
-      } else {
-        payment.status = 'failed';
-        payment.paymentGatewayResponse = 'failed';
-      }
-      payment.phonePeResponse = decodedResponse;
-      await payment.save();
-
-      // Update order if payment successful
-      if (code === 'PAYMENT_SUCCESS') {
-        const order = await Order.findById(payment.orderId);
-        if (order && order.paymentStatus !== 'paid') {
-          order.paymentStatus = 'paid';
-          order.paymentMethod = payment.method;
-          await order.save();
-        }
-      }
-    }
-
     // Always return 200 to PhonePe
     res.status(200).send('OK');
   } catch (error) {
@@ -416,42 +346,41 @@ exports.processRefund = async (req, res) => {
       });
     }
 
-    // For COD, just mark as refunded
-    if (payment.method === 'cod') {
-      payment.refundStatus = 'refunded';
-      payment.refundReason = reason;
-      payment.refundedAt = new Date();
-      await payment.save();
+    if (!payment.orderId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found for this payment'
+      });
+    }
 
-      // Update order
-      const order = await Order.findById(payment.orderId);
-      if (order) {
-        order.paymentStatus = 'refunded';
-        await order.save();
-      }
+    // Split across wallet / gateway, ledger on the order (see services/refund.js)
+    const refund = await refundService.requestRefund(payment.orderId._id, {
+      items: req.body.items,
+      amount: req.body.amount,
+      reason,
+      actor: 'admin',
+      actorId: req.adminId
+    });
 
-      return res.json({
-        success: true,
-        message: 'COD payment marked as refunded',
-        data: payment
+    if (!refund) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing left to refund for this payment'
       });
     }
 
-    // For online payments, initiate PhonePe refund
-    // Note: This is a simplified version. Actual PhonePe refund API integration needed
-    payment.refundStatus = 'processing';
-    payment.refundReason = reason;
-    await payment.save();
-
-    // TODO: Integrate actual PhonePe refund API
-    // For now, just mark as processing
-    
-    res.json({
-      success: true,
-      message: 'Refund initiated',
-      data: payment
+    res.status(refund.status === 'failed' ? 502 : 200).json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? `Refund failed: ${refund.failureReason}` : 'Refund initiated',
+      data: refund
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error processing refund:', error);
     res.status(500).json({
       success: false,
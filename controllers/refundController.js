@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Order = require('../models/orderModel');
+const Payment = require('../models/paymentModel');
+const refundService = require('../services/refund');
+
+const handleError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error('Refund controller error:', error);
+  res.status(500).json({ success: false, message: 'Server error', error: error.message });
+};
+
+// Admin: Refund ledger and refundable balance for an order
+const getOrderRefunds = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    await refundService.syncPendingRefunds(order);
+    const payment = await Payment.findOne({ orderId: order._id, status: 'success' });
+
+    res.json({
+      success: true,
+      data: {
+        refunds: order.refunds,
+        refundedAmount: order.refundedAmount,
+        funding: refundService.getFundingSources(order, payment)
+      }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: Refund an order in full, per item ({ items: [{ itemId, quantity }] }) or by amount
+const createRefund = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID' });
+    }
+
+    const { items, amount, reason } = req.body || {};
+    const refund = await refundService.requestRefund(req.params.id, {
+      items,
+      amount,
+      reason,
+      actor: req.adminRole === 'kitchen' ? 'kitchen' : 'admin',
+      actorId: req.adminId
+    });
+
+    if (!refund) {
+      return res.status(400).json({ success: false, message: 'Nothing left to refund on this order' });
+    }
+
+    res.status(refund.status === 'failed' ? 502 : 201).json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? `Refund failed: ${refund.failureReason}` : `Refund ${refund.status.replace('_', ' ')}`,
+      data: refund
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: Approve a refund waiting for review, or retry a failed one
+const approveRefund = async (req, res) => {
+  try {
+    const refund = await refundService.approveRefund(req.params.id, req.params.refundId, {
+      adminId: req.adminId,
+      note: req.body?.note
+    });
+
+    res.status(refund.status === 'failed' ? 502 : 200).json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? `Refund failed: ${refund.failureReason}` : 'Refund approved',
+      data: refund
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: Reject a refund waiting for review
+const rejectRefund = async (req, res) => {
+  try {
+    const refund = await refundService.rejectRefund(req.params.id, req.params.refundId, {
+      adminId: req.adminId,
+      note: req.body?.note
+    });
+
+    res.json({ success: true, message: 'Refund rejected', data: refund });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: Refunds waiting for approval across all orders
+const getPendingRefunds = async (req, res) => {
+  try {
+    const orders = await Order.find({ 'refunds.status': 'pending_approval' })
+      .select('orderNumber user billing.totalAmount status refunds createdAt')
+      .populate('user', 'name phone')
+      .sort({ updatedAt: 1 });
+
+    const refunds = orders.flatMap(order =>
+      order.refunds
+        .filter(r => r.status === 'pending_approval')
+        .map(r => ({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          orderStatus: order.status,
+          orderTotal: order.billing?.totalAmount,
+          user: order.user,
+          refund: r
+        }))
+    );
+
+    res.json({ success: true, count: refunds.length, data: refunds });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  getOrderRefunds,
+  createRefund,
+  approveRefund,
+  rejectRefund,
+  getPendingRefunds
+};
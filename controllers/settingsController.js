@@ -1,4 +1,6 @@
 const Settings = require('../models/settingsModel');
+const Complaint = require('../models/complaintModel');
+const mongoose = require('mongoose');
 
 /**
  * Get public settings (no auth required)
@@ -28,6 +30,7 @@ exports.getPublicSettings = async (req, res) => {
         schedulingConfig: {
           allowPreOrders: settings.schedulingConfig.allowPreOrders,
           maxDaysInAdvance: settings.schedulingConfig.maxDaysInAdvance,
+          slotDuration: settings.schedulingConfig.slotDuration,
           allowTableReservation: settings.schedulingConfig.allowTableReservation
         }
       }
@@ -173,7 +176,7 @@ exports.updateBusinessHours = async (req, res) => {
  */
 exports.updateBusinessInfo = async (req, res) => {
   try {
-    const { name, description, phone, email, address, website, logo } = req.body;
+    const { name, description, phone, email, address, website, logo, coordinates } = req.body;
 
     // Server-side validation
     const errors = [];
@@ -216,6 +219,14 @@ exports.updateBusinessInfo = async (req, res) => {
       }
     }
 
+    if (coordinates !== undefined && coordinates !== null) {
+      const { latitude, longitude } = coordinates;
+      if (typeof latitude !== 'number' || latitude < -90 || latitude > 90 ||
+          typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+        errors.push('Coordinates must be { latitude, longitude } within valid ranges');
+      }
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({ success: false, message: 'Validation errors', errors });
     }
@@ -230,6 +241,9 @@ exports.updateBusinessInfo = async (req, res) => {
     settings.business.address = address !== undefined ? address : settings.business.address;
     settings.business.website = website !== undefined ? website : settings.business.website;
     settings.business.logo = logo !== undefined ? logo : settings.business.logo;
+    if (coordinates !== undefined) {
+      settings.business.coordinates = coordinates || { latitude: null, longitude: null };
+    }
 
     await settings.save();
 
@@ -305,11 +319,26 @@ exports.updateTierConfig = async (req, res) => {
         if (tierConfig[tier].minOrders !== undefined) {
           settings.tierConfig[tier].minOrders = tierConfig[tier].minOrders;
         }
+        if (tierConfig[tier].minSpend !== undefined) {
+          settings.tierConfig[tier].minSpend = tierConfig[tier].minSpend;
+        }
         if (tierConfig[tier].discount !== undefined) {
           settings.tierConfig[tier].discount = tierConfig[tier].discount;
         }
       }
     }
+    if (tierConfig.windowDays !== undefined) settings.tierConfig.windowDays = tierConfig.windowDays;
+    if (tierConfig.gracePeriodDays !== undefined) settings.tierConfig.gracePeriodDays = tierConfig.gracePeriodDays;
+
+    // Higher tiers must not be easier to reach than lower ones
+    const config = settings.tierConfig;
+    if (config.silver.minOrders < config.bronze.minOrders || config.gold.minOrders < config.silver.minOrders
+      || config.silver.minSpend < config.bronze.minSpend || config.gold.minSpend < config.silver.minSpend) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tier thresholds must increase from bronze to silver to gold'
+      });
+    }
 
     await settings.save();
 
@@ -425,7 +454,7 @@ exports.updateTaxConfig = async (req, res) => {
  */
 exports.updateSchedulingConfig = async (req, res) => {
   try {
-    const { allowPreOrders, maxDaysInAdvance, slotDuration, allowTableReservation } = req.body;
+    const { allowPreOrders, maxDaysInAdvance, slotDuration, minLeadMinutes, slotCapacity, allowTableReservation } = req.body;
 
     const settings = await Settings.getSettings();
 
@@ -448,6 +477,27 @@ exports.updateSchedulingConfig = async (req, res) => {
       }
       settings.schedulingConfig.slotDuration = slotDuration;
     }
+    if (minLeadMinutes !== undefined) {
+      if (minLeadMinutes < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Minimum lead time cannot be negative'
+        });
+      }
+      settings.schedulingConfig.minLeadMinutes = minLeadMinutes;
+    }
+    if (slotCapacity !== undefined) {
+      for (const kind of ['delivery', 'pickup']) {
+        if (slotCapacity[kind] === undefined) continue;
+        if (!Number.isInteger(slotCapacity[kind]) || slotCapacity[kind] < 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Slot capacity for ${kind} must be a whole number of 0 or more`
+          });
+        }
+        settings.schedulingConfig.slotCapacity[kind] = slotCapacity[kind];
+      }
+    }
     if (allowTableReservation !== undefined) settings.schedulingConfig.allowTableReservation = allowTableReservation;
 
     await settings.save();
@@ -466,3 +516,446 @@ exports.updateSchedulingConfig = async (req, res) => {
     });
   }
 };
+
+/**
+ * Update refund configuration (Admin only)
+ * PUT /api/settings/refunds
+ */
+exports.updateRefundConfig = async (req, res) => {
+  try {
+    const { approvalThreshold, autoRefundOnCancel } = req.body;
+
+    const settings = await Settings.getSettings();
+
+    if (approvalThreshold !== undefined) {
+      if (approvalThreshold < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Approval threshold cannot be negative'
+        });
+      }
+      settings.refundConfig.approvalThreshold = approvalThreshold;
+    }
+    if (autoRefundOnCancel !== undefined) settings.refundConfig.autoRefundOnCancel = autoRefundOnCancel;
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Refund configuration updated successfully',
+      data: settings.refundConfig
+    });
+  } catch (error) {
+    console.error('Error updating refund config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update refund configuration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update abandoned cart recovery configuration (Admin only)
+ * PUT /api/settings/cart-recovery
+ */
+exports.updateCartRecoveryConfig = async (req, res) => {
+  try {
+    const {
+      enabled,
+      idleMinutes,
+      minCartValue,
+      pushAfterMinutes,
+      whatsappAfterMinutes,
+      couponAfterMinutes,
+      coupon,
+      attributionDays
+    } = req.body;
+
+    const settings = await Settings.getSettings();
+    const config = settings.cartRecoveryConfig;
+
+    const numbers = { idleMinutes, minCartValue, pushAfterMinutes, whatsappAfterMinutes, couponAfterMinutes, attributionDays };
+    for (const [key, value] of Object.entries(numbers)) {
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || value < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${key} must be a number of 0 or more`
+        });
+      }
+      config[key] = value;
+    }
+    if (config.idleMinutes < 15) {
+      return res.status(400).json({
+        success: false,
+        message: 'Carts must be idle for at least 15 minutes before they count as abandoned'
+      });
+    }
+    if (!(config.pushAfterMinutes <= config.whatsappAfterMinutes && config.whatsappAfterMinutes <= config.couponAfterMinutes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reminders must be in order: push, then WhatsApp, then coupon'
+      });
+    }
+
+    if (coupon !== undefined) {
+      const { discountType, discountValue, maxDiscount, validHours } = coupon;
+      if (discountType !== undefined && !['percentage', 'fixed'].includes(discountType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Coupon discountType must be percentage or fixed'
+        });
+      }
+      if (discountValue !== undefined && (typeof discountValue !== 'number' || discountValue <= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Coupon discountValue must be a positive number'
+        });
+      }
+      if (validHours !== undefined && (typeof validHours !== 'number' || validHours < 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Coupon must be valid for at least 1 hour'
+        });
+      }
+      if (discountType !== undefined) config.coupon.discountType = discountType;
+      if (discountValue !== undefined) config.coupon.discountValue = discountValue;
+      if (maxDiscount !== undefined) config.coupon.maxDiscount = maxDiscount;
+      if (validHours !== undefined) config.coupon.validHours = validHours;
+      if (config.coupon.discountType === 'percentage' && config.coupon.discountValue > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'A percentage discount cannot be more than 100'
+        });
+      }
+    }
+
+    if (enabled !== undefined) config.enabled = enabled;
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Cart recovery configuration updated successfully',
+      data: settings.cartRecoveryConfig
+    });
+  } catch (error) {
+    console.error('Error updating cart recovery config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update cart recovery configuration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update nano points loyalty configuration (Admin only)
+ * PUT /api/settings/loyalty
+ */
+exports.updateLoyaltyConfig = async (req, res) => {
+  try {
+    const {
+      pointValue,
+      maxRedemptionPercent,
+      maxRedeemPointsPerOrder,
+      earnEnabled,
+      pointsPerRupee,
+      tierMultipliers,
+      categoryBonuses,
+      expiryDays
+    } = req.body;
+
+    const settings = await Settings.getSettings();
+    const config = settings.loyaltyConfig;
+
+    const numbers = { pointValue, maxRedemptionPercent, maxRedeemPointsPerOrder, pointsPerRupee, expiryDays };
+    for (const [key, value] of Object.entries(numbers)) {
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || value < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${key} must be a number of 0 or more`
+        });
+      }
+      config[key] = value;
+    }
+    if (config.maxRedemptionPercent > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxRedemptionPercent cannot be more than 100'
+      });
+    }
+
+    if (tierMultipliers !== undefined) {
+      for (const tier of ['bronze', 'silver', 'gold']) {
+        const value = tierMultipliers[tier];
+        if (value === undefined) continue;
+        if (typeof value !== 'number' || value < 0) {
+          return res.status(400).json({
+            success: false,
+            message: `The ${tier} multiplier must be a number of 0 or more`
+          });
+        }
+        config.tierMultipliers[tier] = value;
+      }
+    }
+
+    if (categoryBonuses !== undefined) {
+      if (!Array.isArray(categoryBonuses) || categoryBonuses.some(b => !mongoose.Types.ObjectId.isValid(b.category) || typeof b.multiplier !== 'number' || b.multiplier < 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'categoryBonuses must be a list of { category, multiplier } with multipliers of 1 or more'
+        });
+      }
+      config.categoryBonuses = categoryBonuses.map(b => ({ category: b.category, multiplier: b.multiplier }));
+    }
+
+    if (earnEnabled !== undefined) config.earnEnabled = earnEnabled;
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Loyalty configuration updated successfully',
+      data: settings.loyaltyConfig
+    });
+  } catch (error) {
+    console.error('Error updating loyalty config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update loyalty configuration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update reservation configuration (Admin only)
+ * PUT /api/settings/reservations
+ */
+exports.updateReservationConfig = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const config = settings.reservationConfig;
+
+    // Smallest value each setting accepts
+    const minimums = {
+      durationMinutes: 30,
+      slotInterval: 15,
+      minLeadMinutes: 0,
+      maxDaysInAdvance: 1,
+      bufferMinutes: 0,
+      maxPartySize: 1,
+      maxCombinedTables: 1,
+      reminderMinutesBefore: 0,
+      noShowGraceMinutes: 0,
+      noShowLimit: 1,
+      noShowWindowDays: 1,
+      noShowBlockDays: 0
+    };
+    for (const [key, min] of Object.entries(minimums)) {
+      const value = req.body[key];
+      if (value === undefined) continue;
+      if (!Number.isInteger(value) || value < min) {
+        return res.status(400).json({
+          success: false,
+          message: `${key} must be a whole number of ${min} or more`
+        });
+      }
+      config[key] = value;
+    }
+    if (config.maxCombinedTables > 4) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxCombinedTables cannot be more than 4'
+      });
+    }
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Reservation configuration updated successfully',
+      data: settings.reservationConfig
+    });
+  } catch (error) {
+    console.error('Error updating reservation config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reservation configuration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update complaint SLA configuration (Admin only)
+ * PUT /api/settings/complaint-sla
+ */
+exports.updateComplaintSlaConfig = async (req, res) => {
+  try {
+    const { enabled, priorityTargets, policies, assignment, assigneeRoles, escalationRoles } = req.body;
+
+    const settings = await Settings.getSettings();
+    const config = settings.complaintSlaConfig;
+    const categories = Complaint.schema.path('category').enumValues;
+    const priorities = Complaint.schema.path('priority').enumValues;
+    const isMinutes = (value) => Number.isInteger(value) && value >= 1;
+
+    if (priorityTargets !== undefined) {
+      for (const priority of priorities) {
+        const targets = priorityTargets[priority];
+        if (targets === undefined) continue;
+        for (const key of ['firstResponseMinutes', 'resolutionMinutes']) {
+          if (targets[key] === undefined) continue;
+          if (!isMinutes(targets[key])) {
+            return res.status(400).json({
+              success: false,
+              message: `priorityTargets.${priority}.${key} must be a whole number of 1 or more`
+            });
+          }
+          config.priorityTargets[priority][key] = targets[key];
+        }
+        if (config.priorityTargets[priority].resolutionMinutes < config.priorityTargets[priority].firstResponseMinutes) {
+          return res.status(400).json({
+            success: false,
+            message: `${priority} resolution target cannot be shorter than its first response target`
+          });
+        }
+      }
+    }
+
+    if (policies !== undefined) {
+      const invalid = !Array.isArray(policies) || policies.some(p =>
+        !categories.includes(p.category) ||
+        (p.priority && !priorities.includes(p.priority)) ||
+        !isMinutes(p.firstResponseMinutes) ||
+        !isMinutes(p.resolutionMinutes) ||
+        p.resolutionMinutes < p.firstResponseMinutes
+      );
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: `policies must be a list of { category, priority?, firstResponseMinutes, resolutionMinutes }; categories: ${categories.join(', ')}`
+        });
+      }
+      config.policies = policies.map(p => ({
+        category: p.category,
+        priority: p.priority || null,
+        firstResponseMinutes: p.firstResponseMinutes,
+        resolutionMinutes: p.resolutionMinutes
+      }));
+    }
+
+    if (assignment !== undefined) {
+      if (!['round_robin', 'load_based', 'off'].includes(assignment)) {
+        return res.status(400).json({
+          success: false,
+          message: 'assignment must be round_robin, load_based or off'
+        });
+      }
+      config.assignment = assignment;
+    }
+
+    for (const [key, roles] of Object.entries({ assigneeRoles, escalationRoles })) {
+      if (roles === undefined) continue;
+      if (!Array.isArray(roles) || roles.length === 0 || roles.some(r => typeof r !== 'string' || !r.trim())) {
+        return res.status(400).json({
+          success: false,
+          message: `${key} must be a non-empty list of admin roles`
+        });
+      }
+      config[key] = roles.map(r => r.trim());
+    }
+
+    if (enabled !== undefined) config.enabled = !!enabled;
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Complaint SLA configuration updated successfully',
+      data: settings.complaintSlaConfig
+    });
+  } catch (error) {
+    console.error('Error updating complaint SLA config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update complaint SLA configuration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update complaint compensation limits (Admin only)
+ * PUT /api/settings/complaint-compensation
+ */
+exports.updateComplaintCompensationConfig = async (req, res) => {
+  try {
+    const { enabled, roleLimits, couponValidityDays } = req.body;
+
+    const settings = await Settings.getSettings();
+    const config = settings.complaintCompensationConfig;
+    const types = Complaint.schema.path('compensations').schema.path('type').enumValues;
+    const isAmount = (value) => typeof value === 'number' && value >= 0;
+
+    if (roleLimits !== undefined) {
+      const invalid = !Array.isArray(roleLimits) || roleLimits.some(l =>
+        typeof l.role !== 'string' || !l.role.trim() ||
+        l.role === 'super_admin' ||
+        (l.types !== undefined && (!Array.isArray(l.types) || l.types.some(t => !types.includes(t)))) ||
+        !isAmount(l.maxPerComplaint) ||
+        (l.maxPerDay !== undefined && l.maxPerDay !== null && !isAmount(l.maxPerDay))
+      );
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: `roleLimits must be a list of { role, types?, maxPerComplaint, maxPerDay? } (super_admin has no limits); types: ${types.join(', ')}`
+        });
+      }
+      const roles = roleLimits.map(l => l.role.trim());
+      if (new Set(roles).size !== roles.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'roleLimits has more than one entry for a role'
+        });
+      }
+      config.roleLimits = roleLimits.map(l => ({
+        role: l.role.trim(),
+        types: l.types || types,
+        maxPerComplaint: l.maxPerComplaint,
+        maxPerDay: l.maxPerDay ?? null
+      }));
+    }
+
+    if (couponValidityDays !== undefined) {
+      if (!Number.isInteger(couponValidityDays) || couponValidityDays < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'couponValidityDays must be a whole number of 1 or more'
+        });
+      }
+      config.couponValidityDays = couponValidityDays;
+    }
+
+    if (enabled !== undefined) config.enabled = !!enabled;
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Complaint compensation configuration updated successfully',
+      data: settings.complaintCompensationConfig
+    });
+  } catch (error) {
+    console.error('Error updating complaint compensation config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update complaint compensation configuration',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,46 @@
+const slotService = require('../services/slot');
+
+const handleError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error('Slot controller error:', error);
+  res.status(500).json({ success: false, message: 'Server error', error: error.message });
+};
+
+// Slots with remaining capacity (?date=YYYY-MM-DD&days=3&orderType=delivery)
+const getAvailableSlots = async (req, res) => {
+  try {
+    const orderType = req.query.orderType || 'delivery';
+    if (!['delivery', 'take_away', 'car'].includes(orderType)) {
+      return res.status(400).json({ success: false, message: 'orderType must be delivery, take_away or car' });
+    }
+    const days = await slotService.getAvailableSlots({
+      date: req.query.date,
+      days: req.query.days,
+      orderType
+    });
+    res.json({ success: true, orderType, data: days });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: set or clear ({ capacity: null }) one slot's cap
+const setSlotCapacity = async (req, res) => {
+  try {
+    const { date, time, orderType, capacity } = req.body || {};
+    if (!date || !time || capacity === undefined) {
+      return res.status(400).json({ success: false, message: 'date, time and capacity are required' });
+    }
+    const reservation = await slotService.setSlotCapacity({ date, time, orderType, capacity });
+    res.json({ success: true, message: 'Slot capacity updated', data: reservation });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  getAvailableSlots,
+  setSlotCapacity
+};
@@ -1,8 +1,12 @@
+const crypto = require('crypto');
 const SpinWheelConfig = require('../models/spinWheelConfigModel');
 const SpinHistory = require('../models/spinHistoryModel');
 const Coupon = require('../models/couponModel');
 const User = require('../models/userModel');
 const Order = require('../models/orderModel');
+const Settings = require('../models/settingsModel');
+const nanoPointsService = require('../services/nanoPoints');
+const spinWheelService = require('../services/spinWheel');
 const mongoose = require('mongoose');
 
 // Helper to generate a unique coupon code
@@ -10,7 +14,7 @@ const generateSpinCouponCode = () => {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
   let result = 'SPIN-';
   for (let i = 0; i < 6; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+    result += chars.charAt(crypto.randomInt(chars.length));
   }
   return result;
 };
@@ -20,7 +24,8 @@ const generateSpinCouponCode = () => {
 // Get spin wheel config
 exports.getConfig = async (req, res) => {
   try {
-    let config = await SpinWheelConfig.findOne();
+    // The first config is the always-on wheel; scheduled campaigns live under /admin/campaigns
+    let config = await SpinWheelConfig.findOne().sort({ createdAt: 1 });
     if (!config) {
       // Create default config if none exists
       config = await SpinWheelConfig.create({
@@ -41,23 +46,74 @@ exports.getConfig = async (req, res) => {
 // Update spin wheel config
 exports.updateConfig = async (req, res) => {
   try {
-    const { name, isActive, frequency, eligibility, prizes } = req.body;
-    
-    // Validate probabilities total 100
-    const totalProb = prizes.reduce((sum, p) => sum + p.probability, 0);
-    if (Math.abs(totalProb - 100) > 0.1) {
-      return res.status(400).json({ success: false, message: 'Total probability must be 100%' });
-    }
+    const fields = spinWheelService.validateCampaign(req.body);
 
-    const config = await SpinWheelConfig.findOneAndUpdate(
-      {},
-      { name, isActive, frequency, eligibility, prizes },
-      { upsert: true, new: true, runValidators: true }
-    );
+    const config = await SpinWheelConfig.findOne().sort({ createdAt: 1 }) || new SpinWheelConfig();
+    spinWheelService.applyCampaign(config, fields);
+    await config.save();
 
     res.status(200).json({ success: true, config, message: 'Config updated successfully' });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Error updating config', error: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Error updating config', error: err.message });
+  }
+};
+
+// List campaigns with where each is in its schedule
+exports.getCampaigns = async (req, res) => {
+  try {
+    const now = new Date();
+    const [campaigns, current] = await Promise.all([
+      SpinWheelConfig.find().sort({ createdAt: -1 }),
+      spinWheelService.getActiveCampaign(now)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      campaigns: campaigns.map(c => ({
+        ...c.toObject(),
+        status: spinWheelService.getStatus(c, now),
+        isCurrent: !!current && current._id.equals(c._id)
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Error fetching campaigns', error: err.message });
+  }
+};
+
+// Create a (scheduled) campaign
+exports.createCampaign = async (req, res) => {
+  try {
+    const fields = spinWheelService.validateCampaign(req.body);
+
+    const campaign = new SpinWheelConfig();
+    spinWheelService.applyCampaign(campaign, fields);
+    await campaign.save();
+
+    res.status(201).json({ success: true, campaign, message: 'Campaign created successfully' });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Error creating campaign', error: err.message });
+  }
+};
+
+// Update a campaign; prize counters and budget spent are kept
+exports.updateCampaign = async (req, res) => {
+  try {
+    const fields = spinWheelService.validateCampaign(req.body, true);
+
+    const campaign = await SpinWheelConfig.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Campaign not found' });
+    }
+
+    spinWheelService.applyCampaign(campaign, fields);
+    if (campaign.startsAt && campaign.endsAt && campaign.endsAt <= campaign.startsAt) {
+      return res.status(400).json({ success: false, message: 'endsAt must be after startsAt' });
+    }
+    await campaign.save();
+
+    res.status(200).json({ success: true, campaign, message: 'Campaign updated successfully' });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Error updating campaign', error: err.message });
   }
 };
 
@@ -144,6 +200,17 @@ exports.getAnalytics = async (req, res) => {
     // Flagged count
     const flaggedCount = await SpinHistory.countDocuments({ "flaggedForReview.isFlagged": true, "flaggedForReview.reviewedAt": null });
 
+    // Budget burn for the requested campaign, else the one running now
+    const { campaignId } = req.query;
+    const campaign = campaignId && mongoose.Types.ObjectId.isValid(campaignId)
+      ? await SpinWheelConfig.findById(campaignId)
+      : await spinWheelService.getActiveCampaign();
+    let budget = null;
+    if (campaign) {
+      const settings = await Settings.getSettings();
+      budget = await spinWheelService.getBudgetReport(campaign, settings.loyaltyConfig?.pointValue ?? 1);
+    }
+
     res.status(200).json({
       success: true,
       stats: {
@@ -151,7 +218,8 @@ exports.getAnalytics = async (req, res) => {
         recentSpins,
         redemptionRate,
         flaggedCount,
-        distribution
+        distribution,
+        budget
       }
     });
   } catch (err) {
@@ -171,8 +239,8 @@ exports.spin = async (req, res) => {
     const isGuest = req.isGuest;
     const guestId = isGuest ? req.user.guestId : null;
 
-    // 1. Get Config
-    const config = await SpinWheelConfig.findOne({ isActive: true });
+    // 1. Get the campaign running now
+    const config = await spinWheelService.getActiveCampaign();
     if (!config) {
       return res.status(404).json({ success: false, message: 'Spin wheel is currently unavailable' });
     }
@@ -207,26 +275,27 @@ exports.spin = async (req, res) => {
       }
     }
 
-    // 3. Select Prize (Weighted Random)
-    const random = Math.random() * 100;
-    let selectedPrize = null;
-    let cumulativeProb = 0;
-
-    for (const prize of config.prizes) {
-      cumulativeProb += prize.probability;
-      if (random <= cumulativeProb) {
-        selectedPrize = prize;
-        break;
-      }
-    }
-
-    if (!selectedPrize) selectedPrize = config.prizes[0]; // Fallback
+    // 3. Draw against the seed the player was shown; sold-out and unaffordable prizes go to the blanks
+    const settings = await Settings.getSettings();
+    const pointValue = settings.loyaltyConfig?.pointValue ?? 1;
+    const clientSeed = typeof req.body?.clientSeed === 'string' && req.body.clientSeed.trim()
+      ? req.body.clientSeed.trim().slice(0, 64)
+      : crypto.randomBytes(8).toString('hex');
+
+    const draw = await spinWheelService.draw(config, {
+      owner: spinWheelService.ownerKey(isGuest, userId, guestId),
+      clientSeed,
+      serverSeedHash: req.body?.serverSeedHash,
+      pointValue,
+      session
+    });
+    const selectedPrize = draw.prize;
 
     // 4. Process Prize
     let prizeResult = {
       type: selectedPrize.type,
       label: selectedPrize.label,
-      value: null,
+      value: draw.value,
       message: selectedPrize.message
     };
     let couponGeneratedId = null;
@@ -234,25 +303,13 @@ exports.spin = async (req, res) => {
     let flagReason = '';
 
     if (selectedPrize.type === 'points') {
-      const points = Math.floor(Math.random() * (selectedPrize.pointsRange.max - selectedPrize.pointsRange.min + 1)) + selectedPrize.pointsRange.min;
-      prizeResult.value = points;
-      if (!isGuest) {
-        await User.findByIdAndUpdate(userId, {
-          $inc: { nanoPoints: points },
-          $push: {
-            nanoPointsHistory: {
-              points,
-              type: 'bonus',
-              description: 'Spin Wheel Reward',
-              timestamp: new Date()
-            }
-          }
-        }, { session });
+      const points = draw.value;
+      if (!isGuest && points > 0) {
+        await nanoPointsService.credit(userId, points, 'bonus', 'Spin Wheel Reward', {}, { session });
       }
     } else if (selectedPrize.type === 'coupon' || selectedPrize.type === 'bogo') {
-      const discount = Math.floor(Math.random() * (selectedPrize.couponConfig.discountRange.max - selectedPrize.couponConfig.discountRange.min + 1)) + selectedPrize.couponConfig.discountRange.min;
-      prizeResult.value = discount;
-      
+      const discount = draw.value;
+
       const code = generateSpinCouponCode();
       const validUntil = new Date();
       validUntil.setDate(validUntil.getDate() + selectedPrize.couponConfig.validityDays);
@@ -294,12 +351,16 @@ exports.spin = async (req, res) => {
       user: userId,
       isGuest,
       guestId: isGuest ? guestId : null,
+      campaign: config._id,
       prizeWon: {
         type: prizeResult.type,
         label: prizeResult.label,
         value: prizeResult.value,
-        couponCode: prizeResult.couponCode
+        couponCode: prizeResult.couponCode,
+        prizeId: selectedPrize._id
       },
+      cost: draw.cost,
+      fairness: draw.fairness,
       couponGenerated: couponGeneratedId,
       ipAddress: req.ip,
       deviceInfo: req.headers['user-agent'],
@@ -314,13 +375,25 @@ exports.spin = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: prizeResult,
+      data: {
+        ...prizeResult,
+        spinId: history._id,
+        // Enough to check the draw: sha256(serverSeed) must equal the hash shown before the spin
+        fairness: {
+          serverSeed: draw.fairness.serverSeed,
+          serverSeedHash: draw.fairness.serverSeedHash,
+          clientSeed,
+          nonce: draw.fairness.nonce,
+          nextServerSeedHash: draw.next.serverSeedHash,
+          nextNonce: draw.next.nonce
+        }
+      },
       message: prizeResult.type === 'blank' ? prizeResult.message : `Congratulations! You won ${prizeResult.label}`
     });
 
   } catch (err) {
     await session.abortTransaction();
-    res.status(500).json({ success: false, message: 'Error during spin', error: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : 'Error during spin', error: err.message });
   } finally {
     session.endSession();
   }
@@ -333,7 +406,7 @@ exports.getSpinStatus = async (req, res) => {
     const isGuest = req.isGuest;
     const guestId = isGuest ? req.user.guestId : null;
 
-    const config = await SpinWheelConfig.findOne({ isActive: true });
+    const config = await spinWheelService.getActiveCampaign();
     if (!config) return res.status(200).json({ success: true, available: false });
 
     let eligible = true;
@@ -370,6 +443,11 @@ exports.getSpinStatus = async (req, res) => {
       }
     }
 
+    const settings = await Settings.getSettings();
+    const pointValue = settings.loyaltyConfig?.pointValue ?? 1;
+    // Commitment for the next spin: send serverSeedHash back with it to hold us to this seed
+    const fairness = await spinWheelService.getCommitment(spinWheelService.ownerKey(isGuest, userId, guestId));
+
     res.status(200).json({
       success: true,
       available: true,
@@ -377,10 +455,49 @@ exports.getSpinStatus = async (req, res) => {
       reason,
       config: {
         name: config.name,
-        prizes: config.prizes.map(p => ({ label: p.label, type: p.type }))
-      }
+        endsAt: config.endsAt,
+        prizes: config.prizes.map(p => ({
+          label: p.label,
+          type: p.type,
+          available: spinWheelService.isWinnable(config, p, pointValue)
+        }))
+      },
+      fairness
     });
   } catch (err) {
     res.status(500).json({ success: false, message: 'Error checking spin status', error: err.message });
   }
 };
+
+// Re-run one of the player's spins from its revealed seeds
+exports.verifySpin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid spin ID' });
+    }
+
+    const owner = req.isGuest ? { guestId: req.user.guestId } : { user: req.userId };
+    const history = await SpinHistory.findOne({ _id: id, ...owner }).lean();
+    if (!history) {
+      return res.status(404).json({ success: false, message: 'Spin not found' });
+    }
+
+    const result = spinWheelService.verify(history.fairness);
+    const matches = result.valid && String(result.prizeId || '') === String(history.prizeWon.prizeId || '');
+
+    res.status(200).json({
+      success: true,
+      verified: matches,
+      reason: result.valid && !matches ? 'Recorded prize does not match the draw' : result.reason,
+      spin: {
+        prizeWon: history.prizeWon,
+        createdAt: history.createdAt
+      },
+      fairness: history.fairness,
+      draw: result
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Error verifying spin', error: err.message });
+  }
+};
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const SubscriptionPlan = require('../models/subscriptionPlanModel');
+const Subscription = require('../models/subscriptionModel');
+const subscriptionService = require('../services/subscription');
+
+const PLAN_FIELDS = [
+  'name', 'description', 'image', 'items', 'mealBoxes', 'pricePerDelivery', 'billingCycle',
+  'deliveryDays', 'deliverySlots', 'orderTypes', 'leadTimeHours', 'cutoffHours', 'tags', 'isActive'
+];
+
+const handleError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error('Subscription controller error:', error);
+  res.status(500).json({ success: false, message: 'Server error', error: error.message });
+};
+
+const validId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid ID' });
+    return false;
+  }
+  return true;
+};
+
+const pickPlanFields = (body = {}) => {
+  const data = {};
+  PLAN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// ===== Plans =====
+
+// Active plans for the subscription catalogue
+const getPlans = async (req, res) => {
+  try {
+    const plans = await SubscriptionPlan.find({ isActive: true })
+      .populate('items.menuItem', 'name image price isVeg')
+      .populate('mealBoxes.mealBox', 'name image price isVeg')
+      .sort({ pricePerDelivery: 1 });
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const getPlanById = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const plan = await SubscriptionPlan.findOne({ _id: req.params.id, isActive: true })
+      .populate('items.menuItem', 'name image price isVeg description')
+      .populate('mealBoxes.mealBox', 'name image price isVeg description');
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Subscription plan not found' });
+    }
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: create a plan
+const createPlan = async (req, res) => {
+  try {
+    const plan = await SubscriptionPlan.create(pickPlanFields(req.body));
+    res.status(201).json({ success: true, message: 'Subscription plan created', data: plan });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: update a plan (existing subscribers keep their price until renewal)
+const updatePlan = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const plan = await SubscriptionPlan.findByIdAndUpdate(req.params.id, pickPlanFields(req.body), {
+      new: true,
+      runValidators: true
+    });
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Subscription plan not found' });
+    }
+    res.json({ success: true, message: 'Subscription plan updated', data: plan });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: retire a plan. Current subscriptions run to the end of their cycle and don't renew.
+const deletePlan = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const plan = await SubscriptionPlan.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Subscription plan not found' });
+    }
+    res.json({ success: true, message: 'Subscription plan deactivated' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// ===== User subscriptions =====
+
+const subscribe = async (req, res) => {
+  try {
+    const subscription = await subscriptionService.subscribe(req.userId, req.body || {});
+    res.status(201).json({ success: true, message: 'Subscribed successfully', data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const getMySubscriptions = async (req, res) => {
+  try {
+    const filter = { user: req.userId };
+    if (req.query.status) filter.status = req.query.status;
+    const subscriptions = await Subscription.find(filter)
+      .populate('planId', 'name image pricePerDelivery billingCycle')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, data: subscriptions });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const getSubscriptionById = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const subscription = await subscriptionService.findSubscription(req.params.id, req.userId);
+    await subscription.populate('planId');
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Next deliveries with their skip state and generated orders (?days=14)
+const getUpcomingDeliveries = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 60);
+    const subscription = await subscriptionService.findSubscription(req.params.id, req.userId);
+    const deliveries = await subscriptionService.getUpcomingDeliveries(subscription, days);
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Change delivery days, slot, address or instructions for future deliveries
+const updatePreferences = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const subscription = await subscriptionService.updatePreferences(req.params.id, req.userId, req.body || {});
+    res.json({ success: true, message: 'Subscription updated', data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Pause until a date ({ until }) or until resumed
+const pauseSubscription = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const subscription = await subscriptionService.findSubscription(req.params.id, req.userId);
+    await subscriptionService.pause(subscription, req.body?.until);
+    res.json({ success: true, message: 'Subscription paused', data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const resumeSubscription = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const subscription = await subscriptionService.findSubscription(req.params.id, req.userId);
+    await subscriptionService.resume(subscription);
+    res.json({ success: true, message: 'Subscription resumed', data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Skip one delivery ({ date: 'YYYY-MM-DD' })
+const skipDelivery = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const subscription = await subscriptionService.findSubscription(req.params.id, req.userId);
+    await subscriptionService.skipDate(subscription, req.body?.date);
+    res.json({ success: true, message: 'Delivery skipped', data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const unskipDelivery = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const subscription = await subscriptionService.findSubscription(req.params.id, req.userId);
+    await subscriptionService.unskipDate(subscription, req.params.date);
+    res.json({ success: true, message: 'Delivery restored', data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+const cancelSubscription = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const subscription = await subscriptionService.findSubscription(req.params.id, req.userId);
+    await subscriptionService.cancel(subscription, req.body?.reason);
+    res.json({ success: true, message: 'Subscription cancelled', data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// ===== Admin =====
+
+const getAllSubscriptions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.planId && mongoose.Types.ObjectId.isValid(req.query.planId)) filter.planId = req.query.planId;
+
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find(filter)
+        .populate('user', 'name email phone')
+        .populate('planId', 'name pricePerDelivery')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Subscription.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Admin: cancel on the customer's behalf
+const adminCancelSubscription = async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const subscription = await subscriptionService.findSubscription(req.params.id);
+    await subscriptionService.cancel(subscription, req.body?.reason || 'Cancelled by admin');
+    res.json({ success: true, message: 'Subscription cancelled', data: subscription });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = {
+  getPlans,
+  getPlanById,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  subscribe,
+  getMySubscriptions,
+  getSubscriptionById,
+  getUpcomingDeliveries,
+  updatePreferences,
+  pauseSubscription,
+  resumeSubscription,
+  skipDelivery,
+  unskipDelivery,
+  cancelSubscription,
+  getAllSubscriptions,
+  adminCancelSubscription
+};
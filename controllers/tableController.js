@@ -1,28 +1,46 @@
 const Table = require('../models/tableModel');
+const Reservation = require('../models/reservationModel');
+const Settings = require('../models/settingsModel');
+const reservationService = require('../services/reservation');
 const mongoose = require('mongoose');
 const QRCode = require('qrcode');
 
-// Helper: convert a timeSlot like "19:00-20:30" to 12-hour format using the provided date
-const formatTimeSlotTo12 = (timeSlot, dateObj) => {
-  try {
-    if (!timeSlot) return timeSlot;
-    const parts = timeSlot.split('-').map(p => p.trim());
-    const formatPart = (part) => {
-      // accept HH:mm or H:mm
-      const m = part.match(/^(\d{1,2}):(\d{2})$/);
-      if (!m) return part; // unknown format, return as-is
-      const hours = parseInt(m[1], 10);
-      const minutes = parseInt(m[2], 10);
-      // build a date based on dateObj (if provided) or today
-      const d = dateObj ? new Date(dateObj) : new Date();
-      d.setHours(hours, minutes, 0, 0);
-      return d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-    };
-    if (parts.length === 1) return formatPart(parts[0]);
-    return parts.map(formatPart).join(' - ');
-  } catch (e) {
-    return timeSlot;
-  }
+// Helper: "7:00 PM - 8:30 PM" for a booking
+const formatTimeRange = (start, end) => {
+  const format = (date) => new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+  return `${format(start)} - ${format(end)}`;
+};
+
+// Frontend vocabulary: upcoming and seated bookings both show as confirmed
+const mapStatus = (status) => (status === 'seated' ? 'confirmed' : status);
+const statusesFor = (status) => (status === 'confirmed' ? ['confirmed', 'seated'] : [status]);
+
+// Older clients send the embedded-reservation statuses
+const LEGACY_STATUSES = { reserved: 'confirmed', occupied: 'seated' };
+
+// Helper: reservation in the shape the app and admin UI expect
+const formatReservation = (r) => {
+  const tables = (r.tables || []).filter(Boolean);
+  return {
+    _id: r._id,
+    userId: r.user?._id || r.user,
+    userName: r.user?.name || '',
+    userPhone: r.user?.phone || '',
+    tableId: tables[0]?._id || null,
+    tableNumber: tables.map(t => t.tableNumber).join(' + '),
+    tables: tables.map(t => ({ _id: t._id, tableNumber: t.tableNumber, location: t.location, capacity: t.capacity })),
+    combined: tables.length > 1,
+    reservationDate: r.startTime,
+    reservationTime: formatTimeRange(r.startTime, r.endTime),
+    startTime: r.startTime,
+    endTime: r.endTime,
+    guestCount: r.guestCount,
+    specialRequests: r.specialRequests,
+    status: mapStatus(r.status),
+    rawStatus: r.status,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt
+  };
 };
 
 /**
@@ -31,7 +49,7 @@ const formatTimeSlotTo12 = (timeSlot, dateObj) => {
  */
 exports.getAvailableTables = async (req, res) => {
   try {
-    const { date, timeSlot, capacity, location, status } = req.query;
+    const { startTime, durationMinutes, capacity, location, status } = req.query;
 
     const filter = {};
     
@@ -51,10 +69,20 @@ exports.getAvailableTables = async (req, res) => {
 
     const tables = await Table.find(filter).sort({ displayOrder: 1, tableNumber: 1 });
 
-    // Filter by date and time slot if provided
+    // Only tables free for a booking starting at startTime, if given
     let availableTables = tables;
-    if (date && timeSlot) {
-      availableTables = tables.filter(table => table.isAvailableAt(date, timeSlot));
+    if (startTime) {
+      const start = new Date(startTime);
+      if (Number.isNaN(start.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'startTime must be a valid date'
+        });
+      }
+      const settings = await Settings.getSettings();
+      const duration = parseInt(durationMinutes) || settings.reservationConfig.durationMinutes;
+      const end = new Date(start.getTime() + duration * 60 * 1000);
+      availableTables = tables.filter(table => table.isFreeBetween(start, end, settings.reservationConfig.bufferMinutes));
     }
 
     res.json({
@@ -66,13 +94,11 @@ exports.getAvailableTables = async (req, res) => {
           if (obj.isAvailableForReservation === undefined) obj.isAvailableForReservation = !!obj.isAvailable;
           // Frontend expects `status` but backend uses `currentStatus` in the model — map it when missing
           if (obj.status === undefined && obj.currentStatus !== undefined) obj.status = obj.currentStatus;
-          // Format any reservation timeSlots to 12-hour clock for frontend readability
+          // Upcoming held times, readable for the frontend
           if (obj.reservations && Array.isArray(obj.reservations)) {
-            obj.reservations = obj.reservations.map(r => {
-              const rr = r && r.toObject ? r.toObject() : r;
-              rr.timeSlot = formatTimeSlotTo12(rr.timeSlot, rr.date);
-              return rr;
-            });
+            obj.reservations = obj.reservations
+              .filter(r => new Date(r.endTime) > new Date())
+              .map(r => ({ ...r, reservationTime: formatTimeRange(r.startTime, r.endTime) }));
           }
         return obj;
       }),
@@ -103,9 +129,7 @@ exports.getTableById = async (req, res) => {
       });
     }
 
-    const table = await Table.findById(id)
-      .populate('reservations.userId', 'name phone email')
-      .populate('reservations.orderId');
+    const table = await Table.findById(id);
 
     if (!table) {
       return res.status(404).json({
@@ -119,14 +143,17 @@ exports.getTableById = async (req, res) => {
   if (tableObj.isAvailableForReservation === undefined) tableObj.isAvailableForReservation = !!tableObj.isAvailable;
   if (tableObj.status === undefined && tableObj.currentStatus !== undefined) tableObj.status = tableObj.currentStatus;
 
-  // Format reservation timeSlots to 12-hour clock
-  if (tableObj.reservations && Array.isArray(tableObj.reservations)) {
-    tableObj.reservations = tableObj.reservations.map(r => {
-      const rr = r;
-      try { rr.timeSlot = formatTimeSlotTo12(rr.timeSlot, rr.date); } catch (e) {}
-      return rr;
-    });
-  }
+  // Upcoming bookings on this table
+  const upcoming = await Reservation.find({
+    tables: table._id,
+    status: { $in: ['confirmed', 'seated'] },
+    endTime: { $gt: new Date() }
+  })
+    .sort({ startTime: 1 })
+    .populate('tables', 'tableNumber location capacity')
+    .populate('user', 'name phone email')
+    .lean();
+  tableObj.reservations = upcoming.map(formatReservation);
 
     res.json({
       success: true,
@@ -143,12 +170,37 @@ exports.getTableById = async (req, res) => {
 };
 
 /**
- * Reserve a table
+ * Reservation availability for a day
+ * GET /api/tables/availability?date=YYYY-MM-DD&guestCount=4&location=Indoor
+ */
+exports.getReservationAvailability = async (req, res) => {
+  try {
+    const data = await reservationService.getAvailability({
+      date: req.query.date,
+      guestCount: req.query.guestCount,
+      location: req.query.location
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error fetching reservation availability:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch availability',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reserve a table (or join the waitlist with joinWaitlist: true)
  * POST /api/tables/reserve
  */
 exports.reserveTable = async (req, res) => {
   try {
-    const { tableId, date, timeSlot, guestCount } = req.body;
     const userId = req.user?._id;
 
     if (!userId) {
@@ -158,154 +210,83 @@ exports.reserveTable = async (req, res) => {
       });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(tableId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid table ID'
-      });
-    }
+    const { tableId, startTime, date, timeSlot, guestCount, location, specialRequests, joinWaitlist } = req.body;
+    const result = await reservationService.book(userId, {
+      tableId,
+      startTime,
+      date,
+      timeSlot,
+      guestCount,
+      location,
+      specialRequests,
+      joinWaitlist: joinWaitlist === true
+    });
 
-    // Validate date is in the future
-    const reservationDate = new Date(date);
-    if (reservationDate < new Date()) {
-      return res.status(400).json({
+    if (result.status === 'unavailable') {
+      return res.status(409).json({
         success: false,
-        message: 'Reservation date must be in the future'
+        code: 'NO_TABLE_AVAILABLE',
+        message: tableId
+          ? 'That table is not free at the requested time.'
+          : `No table for ${guestCount || 1} is free at the requested time.`,
+        canJoinWaitlist: true,
+        alternatives: result.alternatives.map(slot => ({ startTime: slot.start, endTime: slot.end, time: slot.time }))
       });
     }
 
-    // Use an atomic findOneAndUpdate to prevent race conditions / double bookings.
-    // Build date range for matching reservation dates (match same day)
-    const startOfDay = new Date(reservationDate);
-    startOfDay.setHours(0,0,0,0);
-    const endOfDay = new Date(startOfDay);
-    endOfDay.setDate(endOfDay.getDate() + 1);
-
-    // Build new reservation object
-    const newReservation = {
-      date: reservationDate,
-      timeSlot,
-      userId,
-      guestCount: guestCount || 1,
-      createdAt: new Date(),
-      status: 'reserved'
-    };
-
-    // Only set currentStatus to 'reserved' if reservation is for today
-    const today = new Date();
-    const isToday = reservationDate.toDateString() === today.toDateString();
-
-    // Prepare update operations
-    const update = { $push: { reservations: newReservation } };
-    if (isToday) update.$set = { currentStatus: 'reserved' };
-
-    // Perform an atomic update: ensure capacity, availability and no conflicting reservation exists
-    const query = {
-      _id: tableId,
-      capacity: { $gte: parseInt(guestCount || 1) },
-      isAvailable: true,
-      currentStatus: { $ne: 'maintenance' },
-      // Ensure there is NO existing reservation for the same day/time with status 'reserved'
-      reservations: { $not: { $elemMatch: {
-        date: { $gte: startOfDay, $lt: endOfDay },
-        timeSlot: timeSlot,
-        status: 'reserved'
-      } } }
-    };
-
-    const table = await Table.findOneAndUpdate(query, update, { new: true }).populate('reservations.userId', 'name phone email');
-
-    if (!table) {
-      // Determine whether table exists at all to give a clearer message
-      const exists = await Table.exists({ _id: tableId });
-      if (!exists) {
-        return res.status(404).json({ success: false, message: 'Table not found' });
-      }
-
-      // Table exists but reservation failed. Diagnose the reason with targeted checks
-      const tableDoc = await Table.findById(tableId).lean();
-
-      // Capacity check
-      if (tableDoc.capacity < (parseInt(guestCount || 1))) {
-        return res.status(400).json({
-          success: false,
-          code: 'CAPACITY_EXCEEDED',
-          message: `Requested guest count (${guestCount || 1}) exceeds table capacity (${tableDoc.capacity}).`
-        });
-      }
-
-      // Availability check
-      if (!tableDoc.isAvailable) {
-        return res.status(409).json({
-          success: false,
-          code: 'TABLE_UNAVAILABLE',
-          message: 'Table is currently marked unavailable for reservations.'
-        });
-      }
+    const reservation = await Reservation.findById(result.reservation._id)
+      .populate('tables', 'tableNumber location capacity')
+      .populate('user', 'name phone email')
+      .lean();
 
-      // Maintenance / status check
-      if (tableDoc.currentStatus === 'maintenance') {
-        return res.status(409).json({
-          success: false,
-          code: 'TABLE_MAINTENANCE',
-          message: 'Table is under maintenance and cannot be reserved at this time.'
-        });
-      }
-
-      // Conflicting reservation check - find any reserved reservation for same day/time
-      const conflicts = (tableDoc.reservations || []).filter(r => {
-        try {
-          const rd = new Date(r.date);
-          const start = new Date(startOfDay);
-          const end = new Date(endOfDay);
-          return rd >= start && rd < end && r.timeSlot === timeSlot && r.status === 'reserved';
-        } catch (e) { return false; }
-      });
+    res.status(result.status === 'confirmed' ? 201 : 202).json({
+      success: true,
+      message: result.status === 'confirmed'
+        ? 'Table reserved successfully'
+        : "You're on the waitlist. We'll book you in automatically if a table frees up.",
+      data: formatReservation(reservation)
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error reserving table:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reserve table',
+      error: error.message
+    });
+  }
+};
 
-      if (conflicts.length > 0) {
-        // Return a conflict with limited info about the conflicting reservation
-        const conflict = conflicts[0];
-        return res.status(409).json({
-          success: false,
-          code: 'TIME_CONFLICT',
-          message: 'Table already has a reservation at the requested date and time.',
-          conflict: {
-            reservationId: conflict._id,
-            reservationDate: conflict.date,
-            timeSlot: conflict.timeSlot,
-            guestCount: conflict.guestCount
-          }
-        });
-      }
+/**
+ * Cancel own reservation or waitlist entry
+ * POST /api/tables/reservations/:id/cancel
+ */
+exports.cancelReservation = async (req, res) => {
+  try {
+    const userId = req.user?._id;
 
-      // Fallback generic message if none of the above matched
-      console.warn('[reserveTable] reservation failed for unknown reason', { tableId, userId, date, timeSlot, guestCount });
-      return res.status(400).json({
+    if (!userId) {
+      return res.status(401).json({
         success: false,
-        message: 'Table is not available at the requested date and time, or capacity/availability constraint failed'
+        message: 'Authentication required'
       });
     }
 
-    // Format reservation time slots to 12-hour clock for frontend
-    if (table.reservations && Array.isArray(table.reservations)) {
-      table.reservations = table.reservations.map(r => {
-        // avoid mutating mongoose subdocument's date; create plain object
-        const rr = r && r.toObject ? r.toObject() : r;
-        rr.timeSlot = formatTimeSlotTo12(rr.timeSlot, rr.date);
-        return rr;
-      });
-    }
+    const reservation = await reservationService.cancel(req.params.id, {
+      userId,
+      by: 'user',
+      reason: req.body?.reason
+    });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Table reserved successfully',
-      data: table
+      message: 'Reservation cancelled',
+      data: { _id: reservation._id, status: reservation.status }
     });
   } catch (error) {
-    console.error('Error reserving table:', error);
-    res.status(500).json({
+    if (!error.statusCode) console.error('Error cancelling reservation:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to reserve table',
+      message: error.statusCode ? error.message : 'Failed to cancel reservation',
       error: error.message
     });
   }
@@ -326,67 +307,24 @@ exports.getUserReservations = async (req, res) => {
       });
     }
 
-    const { status, page = 1, limit = 10 } = req.query;
-
-    // Find all tables with reservations by this user
-    const tables = await Table.find({
-      'reservations.userId': userId
-    }).populate('reservations.userId', 'name phone email');
-
-    // Extract and normalize reservations to frontend shape
-    let allReservations = [];
-    tables.forEach(table => {
-      const userReservations = table.reservations
-        .filter(r => r.userId._id.toString() === userId.toString())
-            .map(r => {
-              // Map internal reservation statuses to frontend expected statuses
-              const rawStatus = r.status;
-              let mappedStatus = rawStatus;
-              if (rawStatus === 'reserved' || rawStatus === 'occupied') mappedStatus = 'confirmed';
-              else if (rawStatus === 'completed') mappedStatus = 'completed';
-              else if (rawStatus === 'cancelled') mappedStatus = 'cancelled';
-
-              return {
-                _id: r._id,
-                userId: r.userId?._id || r.userId,
-                userName: r.userId?.name || r.userName || '',
-                userPhone: r.userId?.phone || r.userPhone || '',
-                tableId: table._id,
-                tableNumber: table.tableNumber,
-                reservationDate: r.date,
-                reservationTime: formatTimeSlotTo12(r.timeSlot, r.date),
-                guestCount: r.guestCount || 1,
-                // status mapped to frontend vocabulary, keep rawStatus for reference
-                status: mappedStatus,
-                rawStatus,
-                createdAt: r.createdAt || (r._id && r._id.getTimestamp ? new Date(r._id.getTimestamp()) : undefined),
-                updatedAt: r.updatedAt || undefined
-              };
-            });
-      allReservations = allReservations.concat(userReservations);
-    });
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
 
-    // Filter by status if provided
-    if (status) {
-      allReservations = allReservations.filter(r => r.status === status);
-    }
+    const filter = { user: userId };
+    if (status) filter.status = { $in: statusesFor(status) };
 
-    // Sort by date (newest first)
-    allReservations.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const paginatedReservations = allReservations.slice(skip, skip + parseInt(limit));
+    const { reservations, total } = await reservationService.list(filter, { page, limit });
 
     res.json({
       success: true,
-      data: paginatedReservations,
+      data: reservations.map(formatReservation),
       pagination: {
-        total: allReservations.length,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(allReservations.length / parseInt(limit)),
-        hasMore: skip + paginatedReservations.length < allReservations.length
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: (page - 1) * limit + reservations.length < total
       }
     });
   } catch (error) {
@@ -543,9 +481,7 @@ exports.deleteTable = async (req, res) => {
     }
 
     // Check if table has active reservations
-    const hasActiveReservations = table.reservations.some(r => 
-      r.status === 'reserved' && new Date(r.date) >= new Date()
-    );
+    const hasActiveReservations = table.reservations.some(r => new Date(r.endTime) >= new Date());
 
     if (hasActiveReservations) {
       return res.status(400).json({
@@ -670,71 +606,39 @@ exports.bulkCreateTables = async (req, res) => {
  */
 exports.getAllReservations = async (req, res) => {
   try {
-    const { status, date, page = 1, limit = 20 } = req.query;
-
-    // Find all tables with reservations
-    const tables = await Table.find({ 'reservations.0': { $exists: true } })
-      .populate('reservations.userId', 'name phone email')
-      .populate('reservations.orderId');
-
-    // Extract and normalize all reservations to match admin UI expectations
-    let allReservations = [];
-    tables.forEach(table => {
-      const tableReservations = table.reservations.map(r => {
-        const rawStatus = r.status;
-        let mappedStatus = rawStatus;
-        if (rawStatus === 'reserved' || rawStatus === 'occupied') mappedStatus = 'confirmed';
-        else if (rawStatus === 'completed') mappedStatus = 'completed';
-        else if (rawStatus === 'cancelled') mappedStatus = 'cancelled';
-
-        return {
-          _id: r._id,
-          userId: r.userId?._id || r.userId,
-          userName: r.userId?.name || r.userName || '',
-          userPhone: r.userId?.phone || r.userPhone || '',
-          tableId: table._id,
-          tableNumber: table.tableNumber,
-          reservationDate: r.date,
-          reservationTime: formatTimeSlotTo12(r.timeSlot, r.date),
-          guestCount: r.guestCount || 1,
-          status: mappedStatus,
-          rawStatus,
-          createdAt: r.createdAt || (r._id && r._id.getTimestamp ? new Date(r._id.getTimestamp()) : undefined),
-          updatedAt: r.updatedAt || undefined
-        };
-      });
-      allReservations = allReservations.concat(tableReservations);
-    });
+    const { status, date } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
-    // Filter by status if provided
-    if (status) {
-      allReservations = allReservations.filter(r => r.status === status);
-    }
+    const filter = {};
+    if (status) filter.status = { $in: statusesFor(status) };
 
-    // Filter by date if provided
+    // Filter by day if provided
     if (date) {
-      const filterDate = new Date(date);
-      allReservations = allReservations.filter(r => 
-        new Date(r.date).toDateString() === filterDate.toDateString()
-      );
+      const start = new Date(date);
+      if (Number.isNaN(start.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date'
+        });
+      }
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+      filter.startTime = { $gte: start, $lt: end };
     }
 
-    // Sort by date (newest first)
-    allReservations.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const paginatedReservations = allReservations.slice(skip, skip + parseInt(limit));
+    const { reservations, total } = await reservationService.list(filter, { page, limit });
 
     res.json({
       success: true,
-      data: paginatedReservations,
+      data: reservations.map(formatReservation),
       pagination: {
-        total: allReservations.length,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(allReservations.length / parseInt(limit)),
-        hasMore: skip + paginatedReservations.length < allReservations.length
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: (page - 1) * limit + reservations.length < total
       }
     });
   } catch (error) {
@@ -754,16 +658,9 @@ exports.getAllReservations = async (req, res) => {
 exports.updateReservationStatus = async (req, res) => {
   try {
     const { id } = req.params; // reservation ID
-    const { status } = req.body;
-
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid reservation ID'
-      });
-    }
+    const status = LEGACY_STATUSES[req.body.status] || req.body.status;
 
-    const validStatuses = ['reserved', 'occupied', 'completed', 'cancelled'];
+    const validStatuses = ['seated', 'completed', 'cancelled', 'no_show'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -771,58 +668,25 @@ exports.updateReservationStatus = async (req, res) => {
       });
     }
 
-    // Find the table containing this reservation
-    const table = await Table.findOne({ 'reservations._id': id });
+    await reservationService.updateStatus(id, status, { reason: req.body.reason });
 
-    if (!table) {
-      return res.status(404).json({
-        success: false,
-        message: 'Reservation not found'
-      });
-    }
-
-    // Update the reservation status
-    const reservation = table.reservations.id(id);
-    if (!reservation) {
-      return res.status(404).json({
-        success: false,
-        message: 'Reservation not found'
-      });
-    }
-
-    reservation.status = status;
-
-    // Update table current status based on reservation status
-    if (status === 'occupied') {
-      table.currentStatus = 'occupied';
-    } else if (status === 'completed' || status === 'cancelled') {
-      // Check if there are other active reservations for today
-      const today = new Date();
-      const hasActiveReservations = table.reservations.some(r => 
-        r._id.toString() !== id &&
-        r.status === 'reserved' &&
-        new Date(r.date).toDateString() === today.toDateString()
-      );
-      
-      table.currentStatus = hasActiveReservations ? 'reserved' : 'available';
-    }
-
-    await table.save();
-    await table.populate('reservations.userId', 'name phone email');
+    const reservation = await Reservation.findById(id)
+      .populate('tables', 'tableNumber location capacity')
+      .populate('user', 'name phone email')
+      .lean();
 
     res.json({
       success: true,
       message: 'Reservation status updated successfully',
       data: {
-        table,
-        reservation
+        reservation: formatReservation(reservation)
       }
     });
   } catch (error) {
-    console.error('Error updating reservation status:', error);
-    res.status(500).json({
+    if (!error.statusCode) console.error('Error updating reservation status:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update reservation status',
+      message: error.statusCode ? error.message : 'Failed to update reservation status',
       error: error.message
     });
   }
@@ -1,10 +1,13 @@
 const User = require('../models/userModel');
 const Settings = require('../models/settingsModel');
+const Cart = require('../models/cartModel');
 const { Location } = require('../models/locationModel');
 const { generateToken, blacklistToken } = require('../services/auth');
 const { sendEmail } = require('../services/email');
-const { createNotification } = require('../services/notification');
-const { calculateTier, updateUserTier } = require('../services/tier');
+const notificationService = require('../services/notification');
+const nanoPointsService = require('../services/nanoPoints');
+const pricingService = require('../services/pricing');
+const tierService = require('../services/tier');
 const bcrypt = require('bcryptjs');
 
 // Get current user profile
@@ -47,25 +50,10 @@ const updatePreferences = async (req, res) => {
 // Get user tier information
 const getTierInfo = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('tier tierProgress totalSpent');
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-  // Settings model exposes a static getSettings() helper
-  const settings = await Settings.getSettings();
-  // tierConfig is stored as an object with keys for each tier
-  const tierInfo = settings.tierConfig ? settings.tierConfig[user.tier] : null;
-
-    res.json({
-      currentTier: user.tier,
-      progress: user.tierProgress,
-      totalSpent: user.totalSpent,
-      nextTier: tierInfo?.nextTier,
-      benefits: tierInfo?.benefits
-    });
+    const progress = await tierService.getTierProgress(req.user.id);
+    res.json(progress);
   } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error', error: error.message });
   }
 };
 
@@ -186,12 +174,7 @@ const applyReferralCode = async (req, res) => {
     await Promise.all([user.save(), referrer.save()]);
 
     // Create notification for referrer
-    await createNotification({
-      userId: referrer._id,
-      title: 'New Referral',
-      message: `${user.name || user.phone || 'A user'} joined using your referral code!`,
-      type: 'referral'
-    });
+    await notificationService.notify(referrer._id, 'referral_joined', { name: user.name || user.phone });
 
     res.json({
       message: 'Referral code applied successfully',
@@ -219,11 +202,30 @@ const getReferrals = async (req, res) => {
 // Update notification preferences
 const updateNotificationPreferences = async (req, res) => {
   try {
-    const { notificationPreferences } = req.body;
+    const { notificationPreferences = {} } = req.body;
+
+    // Update only the keys sent, so older apps don't reset newer settings
+    const update = {};
+    for (const key of ['push', 'sms', 'email', 'whatsapp', 'orderUpdates', 'promotions', 'newItems']) {
+      if (typeof notificationPreferences[key] === 'boolean') {
+        update[`notificationPreferences.${key}`] = notificationPreferences[key];
+      }
+    }
+    const quietHours = notificationPreferences.quietHours;
+    if (quietHours) {
+      const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+      if ((quietHours.start !== undefined && !timeRegex.test(quietHours.start)) ||
+          (quietHours.end !== undefined && !timeRegex.test(quietHours.end))) {
+        return res.status(400).json({ message: 'Quiet hours must use HH:mm times' });
+      }
+      if (typeof quietHours.enabled === 'boolean') update['notificationPreferences.quietHours.enabled'] = quietHours.enabled;
+      if (quietHours.start !== undefined) update['notificationPreferences.quietHours.start'] = quietHours.start;
+      if (quietHours.end !== undefined) update['notificationPreferences.quietHours.end'] = quietHours.end;
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { notificationPreferences },
+      { $set: update },
       { new: true }
     ).select('-password');
 
@@ -547,7 +549,7 @@ exports.updateProfile = async (req, res) => {
     if (birthDate !== undefined) update.birthDate = birthDate;
     if (address !== undefined) update.address = address;
     if (calorieGoal !== undefined) update.calorieGoal = calorieGoal;
-    if (allergens !== undefined) update.allergens = allergens;
+    if (allergens !== undefined) update['preferences.allergens'] = allergens;
 
     if (Object.keys(update).length === 0) {
       return res.status(400).json({ message: 'No fields to update' });
@@ -979,15 +981,15 @@ exports.editProfile = (req, res) => {
       
       // Handle notification preferences if provided
       if (notificationPreferences) {
-        updateData.notificationPreferences = {};
+        // Dotted paths keep the channel and quiet-hours settings intact
         if (notificationPreferences.orderUpdates !== undefined) {
-          updateData.notificationPreferences.orderUpdates = notificationPreferences.orderUpdates;
+          updateData['notificationPreferences.orderUpdates'] = notificationPreferences.orderUpdates;
         }
         if (notificationPreferences.promotions !== undefined) {
-          updateData.notificationPreferences.promotions = notificationPreferences.promotions;
+          updateData['notificationPreferences.promotions'] = notificationPreferences.promotions;
         }
         if (notificationPreferences.newItems !== undefined) {
-          updateData.notificationPreferences.newItems = notificationPreferences.newItems;
+          updateData['notificationPreferences.newItems'] = notificationPreferences.newItems;
         }
       }
       
@@ -1090,68 +1092,99 @@ exports.getNotificationPreferences = async (req, res) => {
   }
 };
 
-// Get user's nano points balance and history
+// Get user's nano points balance, points expiring soon and ledger history
 exports.getNanoPoints = async (req, res) => {
+  try {
+    const summary = await nanoPointsService.getSummary(req.user.id, req.query);
+    res.status(200).json({ success: true, ...summary });
+  } catch (err) {
+    console.error("Get nano points error:", err);
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : "Failed to fetch nano points" });
+  }
+};
+
+// Preview the nano points an order would burn and earn
+// Body: items [{ menuItemId, quantity, customizations }] (defaults to the cart), orderType, promoCode, nanoPoints
+exports.previewNanoPoints = async (req, res) => {
   const userId = req.user.id;
+  const { items, orderType = 'delivery', promoCode, nanoPoints = 0 } = req.body;
 
   try {
-    const user = await User.findById(userId)
-      .select('nanoPoints nanoPointsHistory')
-      .populate({
-        path: 'nanoPointsHistory.orderId',
-        select: 'billing.totalAmount createdAt'
-      });
+    let lines;
+    let couponId;
+    if (Array.isArray(items) && items.length > 0) {
+      lines = items.map(item => ({
+        menuItem: item.menuItemId || item.itemId,
+        quantity: item.quantity,
+        customizations: item.customizations
+      }));
+    } else {
+      const cart = await Cart.findOne({ user: userId }).select('items coupon').lean();
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ message: "Cart is empty" });
+      }
+      lines = cart.items.map(item => ({
+        menuItem: item.menuItem,
+        quantity: item.quantity,
+        customizations: item.customizations
+      }));
+      couponId = cart.coupon;
+    }
 
+    const user = await User.findById(userId).select('nanoPoints tier isGuest').lean();
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
+    const price = (points) => pricingService.calculateBill({
+      userId, lines, orderType, couponId, ignoreInvalidCoupon: true, promoCode, nanoPoints: points
+    });
+    // Redeeming the whole balance shows how much the caps allow
+    const [bill, maxBill] = await Promise.all([price(Number(nanoPoints) || 0), price(user.nanoPoints || 0)]);
+    const earn = await nanoPointsService.estimateEarn(bill, user);
+    const redeem = bill.discounts.nanoPointsRedemption;
+
     res.status(200).json({
-      nanoPoints: user.nanoPoints,
-      pointsHistory: user.nanoPointsHistory
+      success: true,
+      balance: user.nanoPoints || 0,
+      redeem: {
+        points: redeem.points,
+        amount: redeem.amount,
+        maxRedeemable: maxBill.discounts.nanoPointsRedemption.points
+      },
+      earn,
+      balanceAfter: (user.nanoPoints || 0) - redeem.points + earn.points,
+      totalAmount: bill.totalAmount
     });
   } catch (err) {
-    console.error("Get nano points error:", err);
-    res.status(500).json({ message: "Failed to fetch nano points" });
+    console.error("Preview nano points error:", err);
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : "Failed to preview nano points" });
   }
 };
 
 // Add bonus nano points to user (admin only)
 exports.addBonusNanoPoints = async (req, res) => {
   const { userId, points, description } = req.body;
-  
-  if (!userId || !points || points <= 0) {
-    return res.status(400).json({ message: "User ID and points (>0) are required" });
+
+  if (!userId || !Number.isInteger(points) || points <= 0) {
+    return res.status(400).json({ message: "User ID and whole points (>0) are required" });
   }
 
   try {
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-
-    // Add points to user's balance
-    user.nanoPoints += points;
-    
-    // Add to history
-    user.nanoPointsHistory.push({
-      points,
-      type: 'bonus',
-      description: description || 'Bonus nano points'
+    const transaction = await nanoPointsService.credit(userId, points, 'bonus', description || 'Bonus nano points', {
+      adminId: req.adminId
     });
-    
-    await user.save();
 
     res.status(200).json({ 
       message: "Bonus points added successfully",
       userId,
       pointsAdded: points,
-      newBalance: user.nanoPoints
+      newBalance: transaction.balanceAfter,
+      expiresAt: transaction.expiresAt
     });
   } catch (err) {
     console.error("Add bonus points error:", err);
-    res.status(500).json({ message: "Failed to add bonus points" });
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : "Failed to add bonus points" });
   }
 };
 
@@ -1171,7 +1204,7 @@ exports.completePersonalDetails = async (req, res) => {
       }
     }
     if (calorieGoal !== undefined) user.calorieGoal = calorieGoal;
-    if (allergens !== undefined) user.allergens = allergens;
+    if (allergens !== undefined) user.preferences.allergens = allergens;
 
     // Handle referral code if provided and not already applied
     let referralResult = null;
@@ -1248,12 +1281,7 @@ exports.completePersonalDetails = async (req, res) => {
       referrer.referrals.push({ user: user._id, dateReferred: new Date(), rewardClaimed: false });
       await referrer.save();
 
-      await createNotification({
-        userId: referrer._id,
-        title: 'New Referral',
-        message: `${user.name || user.phone || 'A user'} joined using your referral code!`,
-        type: 'referral'
-      });
+      await notificationService.notify(referrer._id, 'referral_joined', { name: user.name || user.phone });
 
       referralResult = {
         refereeCoupon: refereeCoupon ? { id: refereeCoupon._id, code: refereeCoupon.code } : null,
@@ -1311,6 +1339,7 @@ module.exports = Object.assign({}, exports, {
   editProfile: exports.editProfile,
   getNotificationPreferences: exports.getNotificationPreferences,
   getNanoPoints: exports.getNanoPoints,
+  previewNanoPoints: exports.previewNanoPoints,
   addBonusNanoPoints: exports.addBonusNanoPoints,
   completePersonalDetails: exports.completePersonalDetails
 });
\ No newline at end of file
@@ -1,6 +1,8 @@
 const authService = require('../services/auth');
 const Admin = require('../models/adminModel');
 const User = require('../models/userModel');
+const adminAccess = require('../services/adminAccess');
+const auditLog = require('../services/auditLog');
 
 /**
  * Verify admin JWT token
@@ -81,9 +83,12 @@ const verifyAdmin = async (req, res, next) => {
     // Attach admin to request
     req.admin = admin;
     req.adminId = admin._id;
-    req.adminRole = admin.role || 'admin';
+    req.adminRole = adminAccess.roleOf(admin);
     console.debug('[verifyAdmin] authentication successful', { adminId: req.adminId, role: req.adminRole });
 
+    // Record every change made through an admin route
+    await auditLog.track(req, res);
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -93,13 +98,34 @@ const verifyAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Run verifyAdmin unless an earlier middleware already did
+ * @returns {Boolean} Whether the request is from an active admin (verifyAdmin has responded otherwise)
+ */
+const authenticateAdmin = async (req, res) => {
+  if (req.admin) return true;
+  let authenticated = false;
+  await verifyAdmin(req, res, () => { authenticated = true; });
+  return authenticated;
+};
+
+/**
+ * Permissions of the admin on this request, looked up once
+ */
+const loadPermissions = async (req) => {
+  if (!req.adminPermissions) {
+    req.adminPermissions = await adminAccess.getEffectivePermissions(req.admin);
+  }
+  return req.adminPermissions;
+};
+
 /**
  * Verify super admin role
  */
 const verifySuperAdmin = async (req, res, next) => {
   try {
     // First verify admin
-    await verifyAdmin(req, res, () => {});
+    if (!(await authenticateAdmin(req, res))) return;
 
     if (req.adminRole !== 'super_admin') {
       return res.status(403).json({
@@ -117,6 +143,34 @@ const verifySuperAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate the admin and require every listed permission
+ * e.g. router.put('/x', requirePermission('manage_settings'), handler)
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await authenticateAdmin(req, res))) return;
+
+      const granted = await loadPermissions(req);
+      const missing = permissions.filter(perm => !granted.includes(perm));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Permission denied. Required: ${missing.join(', ')}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+  };
+};
+
 /**
  * Verify specific permission
  */
@@ -130,13 +184,9 @@ const verifyPermission = (permission) => {
         });
       }
 
-      // Super admin has all permissions
-      if (req.adminRole === 'super_admin') {
-        return next();
-      }
-
       // Check if admin has the required permission
-      if (!req.admin.permissions.includes(permission)) {
+      const granted = await loadPermissions(req);
+      if (!granted.includes(permission)) {
         return res.status(403).json({
           success: false,
           message: `Permission denied. Required: ${permission}`
@@ -159,22 +209,11 @@ const verifyPermission = (permission) => {
 const verifyAnyPermission = (permissions = []) => {
   return async (req, res, next) => {
     try {
-      if (!req.admin) {
-        return res.status(401).json({
-          success: false,
-          message: 'Admin authentication required'
-        });
-      }
-
-      // Super admin has all permissions
-      if (req.adminRole === 'super_admin') {
-        return next();
-      }
+      if (!(await authenticateAdmin(req, res))) return;
 
       // Check if admin has any of the required permissions
-      const hasPermission = permissions.some(perm => 
-        req.admin.permissions.includes(perm)
-      );
+      const granted = await loadPermissions(req);
+      const hasPermission = permissions.some(perm => granted.includes(perm));
 
       if (!hasPermission) {
         return res.status(403).json({
@@ -196,6 +235,7 @@ const verifyAnyPermission = (permissions = []) => {
 module.exports = {
   verifyAdmin,
   verifySuperAdmin,
+  requirePermission,
   verifyPermission,
   verifyAnyPermission
 };
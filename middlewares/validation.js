@@ -297,17 +297,25 @@ const validateComplaint = [
  */
 const validateTableReservation = [
   body('tableId')
-    .notEmpty()
-    .withMessage('Table ID is required'),
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid table ID'),
+  body('startTime')
+    .if(body('timeSlot').not().exists())
+    .isISO8601()
+    .withMessage('Valid startTime is required'),
   body('date')
+    .if(body('timeSlot').exists())
     .isISO8601()
     .withMessage('Valid date is required'),
-  body('timeSlot')
-    .notEmpty()
-    .withMessage('Time slot is required'),
   body('guestCount')
     .isInt({ min: 1, max: 20 })
     .withMessage('Guest count must be between 1 and 20'),
+  body('specialRequests')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Special requests must be at most 300 characters'),
   handleValidationErrors
 ];
 
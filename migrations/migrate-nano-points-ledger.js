@@ -0,0 +1,90 @@
+/**
+ * MongoDB Migration: Nano points ledger
+ *
+ * This migration:
+ * 1. Gives every user with a nano points balance and no ledger rows an
+ *    opening 'adjustment' lot for that balance
+ *
+ * Opening lots expire after Settings.loyaltyConfig.expiryDays, counted from
+ * the day the migration runs, so nobody loses points on day one.
+ *
+ * Run with: node migrations/migrate-nano-points-ledger.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Settings = require('../models/settingsModel');
+const PointsTransaction = require('../models/pointsTransactionModel');
+
+// Connect to MongoDB
+const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/nextgenfix';
+
+mongoose.connect(mongoUri);
+
+const db = mongoose.connection;
+
+db.on('error', (error) => {
+  console.error('Connection error:', error);
+  process.exit(1);
+});
+
+db.once('open', async () => {
+  console.log('✅ Connected to MongoDB');
+  await migrateNanoPointsLedger();
+  process.exit(0);
+});
+
+async function migrateNanoPointsLedger() {
+  try {
+    console.log('\n📊 Nano Points Ledger Migration Summary:');
+    console.log('========================================\n');
+
+    const settings = await Settings.getSettings();
+    const expiryDays = settings.loyaltyConfig?.expiryDays || 0;
+    const expiresAt = expiryDays > 0 ? new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000) : null;
+
+    const withPoints = await User.countDocuments({ nanoPoints: { $gt: 0 } });
+    console.log(`Users with a nano points balance: ${withPoints}\n`);
+
+    let migratedCount = 0;
+    let skippedCount = 0;
+    let errorCount = 0;
+
+    const cursor = User.find({ nanoPoints: { $gt: 0 } }).select('nanoPoints').lean().cursor();
+    for await (const user of cursor) {
+      try {
+        if (await PointsTransaction.exists({ user: user._id })) {
+          skippedCount++;
+          continue;
+        }
+        const points = Math.floor(user.nanoPoints);
+        await PointsTransaction.create({
+          user: user._id,
+          type: 'adjustment',
+          points,
+          balanceAfter: user.nanoPoints,
+          remaining: points,
+          expiresAt,
+          description: 'Opening balance'
+        });
+        migratedCount++;
+      } catch (error) {
+        console.error(`  ❌ Error migrating ${user._id}:`, error.message);
+        errorCount++;
+      }
+    }
+
+    console.log('\n✅ Migration Results:');
+    console.log(`  ✓ Opening balances created: ${migratedCount}`);
+    console.log(`  ✓ Users already on the ledger: ${skippedCount}`);
+    if (errorCount > 0) {
+      console.log(`  ✗ Errors: ${errorCount}`);
+    }
+
+    console.log('\n✨ Migration complete!\n');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
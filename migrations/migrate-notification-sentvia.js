@@ -0,0 +1,118 @@
+/**
+ * MongoDB Migration: Notification delivery status
+ *
+ * This migration:
+ * 1. Converts sentVia from a list of channel names (['push']) to per-channel
+ *    delivery entries ({ channel, status, attempts, ... })
+ * 2. Adds the in_app entry every notification now carries
+ *
+ * Old notifications are recorded as sent so the retry job leaves them alone.
+ *
+ * Run with: node migrations/migrate-notification-sentvia.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Connect to MongoDB
+const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/nextgenfix';
+
+mongoose.connect(mongoUri);
+
+const db = mongoose.connection;
+
+db.on('error', (error) => {
+  console.error('Connection error:', error);
+  process.exit(1);
+});
+
+db.once('open', async () => {
+  console.log('✅ Connected to MongoDB');
+  await migrateNotificationSentVia();
+  process.exit(0);
+});
+
+const CHANNELS = ['push', 'sms', 'email'];
+
+/**
+ * Delivery entries for an old notification
+ */
+function toDeliveries(sentVia, createdAt) {
+  const channels = ['in_app', ...new Set((sentVia || []).filter(c => CHANNELS.includes(c)))];
+  return channels.map(channel => ({
+    channel,
+    status: 'sent',
+    attempts: channel === 'in_app' ? 0 : 1,
+    nextAttemptAt: null,
+    lockedAt: null,
+    sentAt: createdAt || null,
+    providerMessageId: null,
+    lastError: null
+  }));
+}
+
+async function migrateNotificationSentVia() {
+  try {
+    const Notification = mongoose.model('Notification', new mongoose.Schema({}, { strict: false }));
+
+    console.log('\n📊 Notification Delivery Migration Summary:');
+    console.log('==========================================\n');
+
+    const total = await Notification.countDocuments({});
+    console.log(`Total notifications in database: ${total}`);
+
+    // Old documents have plain strings (or nothing) in sentVia
+    const filter = {
+      $or: [
+        { sentVia: { $exists: false } },
+        { sentVia: { $type: 'string' } },
+        { sentVia: { $size: 0 } }
+      ]
+    };
+    const toMigrate = await Notification.countDocuments(filter);
+    console.log(`Notifications needing migration: ${toMigrate}\n`);
+
+    if (toMigrate === 0) {
+      console.log('✅ All notifications already have delivery entries');
+      console.log('\n✨ Migration complete!\n');
+      return;
+    }
+
+    let migratedCount = 0;
+    let errorCount = 0;
+
+    const cursor = Notification.find(filter).select('sentVia createdAt').lean().cursor();
+    for await (const notification of cursor) {
+      try {
+        await Notification.updateOne(
+          { _id: notification._id },
+          { $set: { sentVia: toDeliveries(notification.sentVia, notification.createdAt) } }
+        );
+        migratedCount++;
+      } catch (error) {
+        console.error(`  ❌ Error migrating ${notification._id}:`, error.message);
+        errorCount++;
+      }
+    }
+
+    console.log('\n✅ Migration Results:');
+    console.log(`  ✓ Notifications migrated: ${migratedCount}`);
+    if (errorCount > 0) {
+      console.log(`  ✗ Errors: ${errorCount}`);
+    }
+
+    // Verify migration
+    console.log('\n🔍 Verification:');
+    const remaining = await Notification.countDocuments({ sentVia: { $type: 'string' } });
+    if (remaining === 0) {
+      console.log('  ✓ No notifications with old-style sentVia left');
+    } else {
+      console.log(`  ⚠️  ${remaining} notifications still have old-style sentVia`);
+    }
+
+    console.log('\n✨ Migration complete!\n');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
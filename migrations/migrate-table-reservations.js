@@ -0,0 +1,150 @@
+/**
+ * MongoDB Migration: Table reservations
+ *
+ * This migration:
+ * 1. Moves each reservation embedded in a table ({ date, timeSlot, userId, ... })
+ *    into the Reservation collection with real start and end times, keeping its _id
+ * 2. Replaces the embedded list with time holds for bookings still upcoming
+ *
+ * timeSlot "19:00-20:30" gives both times; "19:00" ends after
+ * Settings.reservationConfig.durationMinutes; anything else starts at `date`.
+ * Past bookings still marked reserved or occupied become completed. Entries
+ * without a user can't be kept and are reported.
+ *
+ * Run with: node migrations/migrate-table-reservations.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Settings = require('../models/settingsModel');
+const Reservation = require('../models/reservationModel');
+
+// Connect to MongoDB
+const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/nextgenfix';
+
+mongoose.connect(mongoUri);
+
+const db = mongoose.connection;
+
+db.on('error', (error) => {
+  console.error('Connection error:', error);
+  process.exit(1);
+});
+
+db.once('open', async () => {
+  console.log('✅ Connected to MongoDB');
+  await migrateTableReservations();
+  process.exit(0);
+});
+
+/**
+ * Start and end of a legacy reservation
+ */
+function toTimes(reservation, durationMinutes) {
+  const day = new Date(reservation.date);
+  const match = /^(\d{1,2}):(\d{2})(?:\s*-\s*(\d{1,2}):(\d{2}))?$/.exec(String(reservation.timeSlot || '').trim());
+  if (!match) {
+    return { start: day, end: new Date(day.getTime() + durationMinutes * 60 * 1000) };
+  }
+
+  day.setHours(0, 0, 0, 0);
+  const start = new Date(day.getTime() + (Number(match[1]) * 60 + Number(match[2])) * 60 * 1000);
+  let end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+  if (match[3] !== undefined) {
+    end = new Date(day.getTime() + (Number(match[3]) * 60 + Number(match[4])) * 60 * 1000);
+    if (end <= start) end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+  }
+  return { start, end };
+}
+
+/**
+ * New status of a legacy reservation
+ */
+function mapStatus(status, end, now) {
+  if (status === 'cancelled' || status === 'completed') return status;
+  if (end <= now) return 'completed';
+  return status === 'occupied' ? 'seated' : 'confirmed';
+}
+
+async function migrateTableReservations() {
+  try {
+    console.log('\n📊 Table Reservations Migration Summary:');
+    console.log('========================================\n');
+
+    const settings = await Settings.getSettings();
+    const durationMinutes = settings.reservationConfig?.durationMinutes || 90;
+    const tables = db.collection('tables');
+    const now = new Date();
+
+    // Legacy entries have a `date`; holds have startTime/endTime
+    const legacyFilter = { 'reservations.date': { $exists: true } };
+    console.log(`Tables with embedded reservations: ${await tables.countDocuments(legacyFilter)}\n`);
+
+    let migratedCount = 0;
+    let skippedCount = 0;
+    let errorCount = 0;
+
+    for await (const table of tables.find(legacyFilter)) {
+      const holds = [];
+      let failed = false;
+
+      for (const legacy of table.reservations) {
+        if (!legacy.date) {
+          holds.push(legacy); // already a hold
+          continue;
+        }
+        if (!legacy.userId) {
+          console.log(`  ⚠️  ${table.tableNumber}: reservation ${legacy._id} has no user, dropped`);
+          skippedCount++;
+          continue;
+        }
+
+        const { start, end } = toTimes(legacy, durationMinutes);
+        const status = mapStatus(legacy.status, end, now);
+        try {
+          await Reservation.updateOne(
+            { _id: legacy._id },
+            {
+              $setOnInsert: {
+                user: legacy.userId,
+                tables: [table._id],
+                guestCount: legacy.guestCount || 1,
+                startTime: start,
+                endTime: end,
+                status,
+                orderId: legacy.orderId,
+                createdAt: legacy.createdAt || now
+              }
+            },
+            { upsert: true }
+          );
+          if (['confirmed', 'seated'].includes(status)) {
+            holds.push({ reservation: legacy._id, startTime: start, endTime: end });
+          }
+          migratedCount++;
+        } catch (error) {
+          console.error(`  ❌ Error migrating reservation ${legacy._id}:`, error.message);
+          errorCount++;
+          failed = true;
+        }
+      }
+
+      // Keep the embedded entries of a table that didn't fully migrate, so it can be re-run
+      if (!failed) {
+        await tables.updateOne({ _id: table._id }, { $set: { reservations: holds } });
+      }
+    }
+
+    console.log('\n✅ Migration Results:');
+    console.log(`  ✓ Reservations moved: ${migratedCount}`);
+    console.log(`  ✓ Dropped (no user): ${skippedCount}`);
+    if (errorCount > 0) {
+      console.log(`  ✗ Errors: ${errorCount}`);
+    }
+
+    console.log('\n✨ Migration complete!\n');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
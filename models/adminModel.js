@@ -1,6 +1,26 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Every permission an admin can hold; routes check these with requirePermission
+const PERMISSIONS = [
+  'manage_users',
+  'manage_menu',
+  'manage_orders',
+  'manage_complaints',
+  'manage_settings',
+  'manage_admins',
+  'manage_coupons',
+  'manage_combos',
+  'manage_tables',
+  'manage_content',
+  'view_analytics',
+  'view_audit_log',
+  'send_notifications'
+];
+
+// Roles that always exist; super admins can add more (see AdminRole)
+const BUILT_IN_ROLES = ['super_admin', 'manager', 'support', 'kitchen'];
+
 const adminSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -24,26 +44,16 @@ const adminSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // A built-in role or the name of a custom AdminRole
   role: {
     type: String,
-    enum: ['super_admin', 'manager', 'support'],
+    trim: true,
     default: 'support'
   },
+  // Granted on top of the role's permissions
   permissions: [{
     type: String,
-    enum: [
-      'manage_users',
-      'manage_menu',
-      'manage_orders',
-      'manage_complaints',
-      'manage_settings',
-      'manage_admins',
-      'manage_coupons',
-      'manage_combos',
-      'manage_tables',
-      'view_analytics',
-      'send_notifications'
-    ]
+    enum: PERMISSIONS
   }],
   isActive: {
     type: Boolean,
@@ -89,19 +99,7 @@ adminSchema.methods.toJSON = function() {
 // Static method to get permissions by role
 adminSchema.statics.getDefaultPermissions = function(role) {
   const permissions = {
-    super_admin: [
-      'manage_users',
-      'manage_menu',
-      'manage_orders',
-      'manage_complaints',
-      'manage_settings',
-      'manage_admins',
-      'manage_coupons',
-      'manage_combos',
-      'manage_tables',
-      'view_analytics',
-      'send_notifications'
-    ],
+    super_admin: [...PERMISSIONS],
     manager: [
       'manage_users',
       'manage_menu',
@@ -110,6 +108,7 @@ adminSchema.statics.getDefaultPermissions = function(role) {
       'manage_coupons',
       'manage_combos',
       'manage_tables',
+      'manage_content',
       'view_analytics',
       'send_notifications'
     ],
@@ -117,10 +116,16 @@ adminSchema.statics.getDefaultPermissions = function(role) {
       'manage_orders',
       'manage_complaints',
       'view_analytics'
+    ],
+    kitchen: [
+      'manage_orders'
     ]
   };
   
   return permissions[role] || [];
 };
 
+adminSchema.statics.PERMISSIONS = PERMISSIONS;
+adminSchema.statics.BUILT_IN_ROLES = BUILT_IN_ROLES;
+
 module.exports = mongoose.model('Admin', adminSchema);
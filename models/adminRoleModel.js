@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Admin = require('./adminModel');
+
+// Custom admin role created by a super admin; Admin.role holds its name
+const adminRoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z][a-z0-9_]{1,39}$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  permissions: [{
+    type: String,
+    enum: Admin.PERMISSIONS
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AdminRole', adminRoleSchema);
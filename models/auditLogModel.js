@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One mutating admin request; written once and never changed
+const auditLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Copied so entries stay readable after the admin is renamed or removed
+  adminName: String,
+  adminEmail: String,
+  adminRole: String,
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  // Matched route pattern, e.g. /api/menu/:id
+  route: String,
+  // Requested path without the query string
+  path: {
+    type: String,
+    required: true
+  },
+  entityType: String,
+  entityId: String,
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  params: mongoose.Schema.Types.Mixed,
+  query: mongoose.Schema.Types.Mixed,
+  body: mongoose.Schema.Types.Mixed,
+  statusCode: Number,
+  success: Boolean,
+  durationMs: Number,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ admin: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// Append-only: refuse anything that would change or remove an entry
+const refuse = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+], { document: true, query: true }, refuse);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -83,6 +83,16 @@ const cartSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// A user changing an abandoned cart is active again (see services/cartRecovery.js)
+cartSchema.pre('save', function(next) {
+  if (this.isModified('items') && ['abandoned', 'expired'].includes(this.status)) {
+    this.status = 'active';
+  }
+  next();
+});
+
+cartSchema.index({ status: 1, updatedAt: 1 });
+
 // Calculate total amount
 cartSchema.methods.calculateTotal = async function() {
   let total = 0;
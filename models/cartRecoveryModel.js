@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// One recovery campaign: a cart that was abandoned and the reminders sent for it
+const cartRecoverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'recovered', 'expired'],
+    default: 'active'
+  },
+  abandonedAt: {
+    type: Date,
+    required: true
+  },
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  // Next reminder and when it is due (null once there are no more to send)
+  nextStep: {
+    type: String,
+    enum: ['push', 'whatsapp', 'coupon', null],
+    default: 'push'
+  },
+  nextStepAt: {
+    type: Date,
+    default: null
+  },
+  steps: [{
+    _id: false,
+    step: { type: String, enum: ['push', 'whatsapp', 'coupon'] },
+    sentAt: { type: Date, default: Date.now },
+    notification: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification' }
+  }],
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  // Conversion
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderAmount: {
+    type: Number,
+    default: 0
+  },
+  recoveredAt: Date,
+  // Reminder credited with the recovery (null if the user came back before any was sent)
+  attributedStep: {
+    type: String,
+    enum: ['push', 'whatsapp', 'coupon', null],
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+cartRecoverySchema.index({ status: 1, nextStepAt: 1 });
+cartRecoverySchema.index({ status: 1, expiresAt: 1 });
+cartRecoverySchema.index({ user: 1, status: 1 });
+cartRecoverySchema.index({ abandonedAt: -1 });
+
+module.exports = mongoose.model('CartRecovery', cartRecoverySchema);
@@ -24,6 +24,13 @@ const categorySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Kitchen display station that prepares items in this category (grill, tandoor, beverages...)
+  kitchenStation: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'main'
+  },
   isActive: {
     type: Boolean,
     default: true
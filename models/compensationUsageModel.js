@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Compensation one agent has issued on one day; the daily cap is reserved against `total`
+const compensationUsageSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  day: {
+    type: String,
+    required: true // 'YYYY-MM-DD', server local time
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+compensationUsageSchema.index({ admin: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('CompensationUsage', compensationUsageSchema);
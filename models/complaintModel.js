@@ -105,8 +105,80 @@ const complaintSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  assignmentMethod: {
+    type: String,
+    enum: ['auto', 'manual', null],
+    default: null
+  },
+
+  // Targets from Settings.complaintSlaConfig when the complaint was filed or re-prioritised
+  sla: {
+    firstResponseMinutes: Number,
+    resolutionMinutes: Number,
+    firstResponseDueAt: { type: Date, default: null },
+    resolutionDueAt: { type: Date, default: null },
+    firstRespondedAt: { type: Date, default: null }, // first reply the customer can see
+    firstResponseBreachedAt: { type: Date, default: null },
+    resolutionBreachedAt: { type: Date, default: null },
+    escalationLevel: { type: Number, default: 0 },
+    escalatedAt: { type: Date, default: null },
+    escalatedTo: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }]
+  },
   tags: [String],
 
+  // What the customer was given to make up for it (see services/compensation)
+  compensations: [{
+    type: {
+      type: String,
+      enum: ['wallet_credit', 'item_refund', 'replacement_order', 'coupon'],
+      required: true
+    },
+    cost: {
+      type: Number,
+      required: true,
+      min: 0  // What it cost us, used for limits and reporting
+    },
+    items: [{
+      _id: false,
+      itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+      name: String,
+      quantity: Number,
+      amount: Number
+    }],
+    walletTransactionId: String,
+    refundId: String,
+    replacementOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    couponCode: String,
+    note: String,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    issuedByRole: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  compensationTotal: {
+    type: Number,
+    default: 0
+  },
+
   // Deprecated field (kept for backward compatibility)
   respondedAt: {
     type: Date
@@ -120,6 +192,12 @@ const complaintSchema = new mongoose.Schema({
   ]
 });
 
+// Breach checks scan open complaints by deadline
+complaintSchema.index({ status: 1, 'sla.firstResponseDueAt': 1 });
+complaintSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+// Daily agent limits and cost reports
+complaintSchema.index({ 'compensations.issuedBy': 1, 'compensations.issuedAt': -1 });
+
 // Pre-validate hook to auto-generate complaintId in format CMP123456 if not provided
 complaintSchema.pre('validate', async function(next) {
   if (!this.complaintId) {
@@ -151,6 +229,12 @@ complaintSchema.pre('save', function(next) {
   // Update lastResponseAt when responses are added
   if (this.isModified('responses') && this.responses.length > 0) {
     this.lastResponseAt = this.responses[this.responses.length - 1].createdAt;
+
+    // Internal notes don't count towards the first-response SLA
+    const firstReply = this.responses.find(r => !r.isInternal);
+    if (firstReply && this.sla && !this.sla.firstRespondedAt) {
+      this.sla.firstRespondedAt = firstReply.createdAt;
+    }
   }
 
   next();
@@ -74,6 +74,12 @@ const couponSchema = new mongoose.Schema({
   refunded: { type: Boolean, default: false },
   refundReason: { type: String, default: null },
   refundedAt: { type: Date, default: null },
+  // Personal coupons (complaint compensation) can only be redeemed by this user
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   // Small meta object allowing origin tagging (e.g., 'referral')
   meta: {
     origin: { type: String, default: null },
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Unset (null) fees and limits fall back to Settings.deliveryCharges
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // GeoJSON Polygon or MultiPolygon, coordinates as [longitude, latitude]
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  baseFee: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  perKm: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  freeDeliveryThreshold: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  minOrderAmount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  maxDistanceKm: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Estimated delivery time shown to customers, in minutes
+  etaMinutes: {
+    min: { type: Number, default: 30 },
+    max: { type: Number, default: 45 }
+  },
+  // Where zones overlap, the highest priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliveryZoneSchema.index({ area: '2dsphere' });
+deliveryZoneSchema.index({ isActive: 1, priority: -1 });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
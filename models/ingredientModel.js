@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  // Recipes and stock use the same unit
+  unit: {
+    type: String,
+    enum: ['g', 'kg', 'ml', 'l', 'pcs'],
+    required: true
+  },
+  stock: {
+    type: Number,
+    default: 0
+  },
+  // Admins are alerted when stock falls to or below this level
+  lowStockThreshold: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  costPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  supplier: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set when the low-stock alert goes out, cleared once restocked above the threshold
+  lowStockAlertedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ingredientSchema.virtual('isLowStock').get(function() {
+  return this.stock <= this.lowStockThreshold;
+});
+
+ingredientSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Ingredient', ingredientSchema);
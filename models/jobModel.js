@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const COMPLETED_RETENTION_DAYS = 7;
+
+// A unit of background work (see services/jobQueue.js)
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead', 'cancelled'],
+    default: 'queued'
+  },
+  // Earliest time the job may run (delayed jobs and retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  // Worker holding the job while it runs; a lock older than the timeout is taken over
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  errorHistory: [{
+    _id: false,
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Set for jobs that must only be queued once (e.g. one per cron tick)
+  uniqueKey: {
+    type: String,
+    default: undefined
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+// Finished jobs are only kept for a week
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: COMPLETED_RETENTION_DAYS * 24 * 60 * 60, partialFilterExpression: { status: 'completed' } }
+);
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// One ticket per order on the kitchen display; written only by services/kds.js
+const kitchenTicketSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderNumber: {
+    type: String
+  },
+  orderType: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'in_progress', 'bumped', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  items: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem'
+    },
+    name: String,
+    quantity: Number,
+    station: {
+      type: String,
+      default: 'main'
+    },
+    prepTime: {
+      type: Number,
+      default: 30 // minutes, from MenuItem.preparationTime
+    },
+    spiceLevel: String,
+    addOns: [String],
+    instructions: String,
+    status: {
+      type: String,
+      enum: ['pending', 'preparing', 'ready'],
+      default: 'pending'
+    },
+    startedAt: Date,
+    readyAt: Date
+  }],
+  stations: {
+    type: [String],
+    index: true
+  },
+  cookingInstructions: {
+    type: String
+  },
+  // Allergy / diet warning the customer accepted; shown prominently
+  dietaryAlert: {
+    type: String
+  },
+  // Longest item prep time; drives dueAt
+  prepTime: {
+    type: Number,
+    default: 0
+  },
+  scheduledFor: {
+    type: Date
+  },
+  dueAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  readyAt: {
+    type: Date
+  },
+  bumpedAt: {
+    type: Date
+  },
+  bumpedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  recallCount: {
+    type: Number,
+    default: 0
+  },
+  lastRecalledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+kitchenTicketSchema.index({ status: 1, dueAt: 1 });
+
+module.exports = mongoose.model('KitchenTicket', kitchenTicketSchema);
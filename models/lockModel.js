@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named lease held by one app instance at a time (used when Redis isn't available)
+const lockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  holder: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Lock', lockSchema);
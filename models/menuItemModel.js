@@ -200,6 +200,12 @@ const menuItemSchema = new mongoose.Schema({
     enum: ['little_hungry', 'quite_hungry', 'very_hungry', 'super_hungry'],
     default: null
   },
+  // Place in a meal for the meal builder; when unset it is guessed from the category
+  mealRole: {
+    type: String,
+    enum: ['main', 'side', 'drink', 'dessert', null],
+    default: null
+  },
   badge: {
     type: String,
     enum: ['Recommended', 'Our Choice', 'Healthiest', 'Bestseller', 'New', null],
@@ -209,6 +215,24 @@ const menuItemSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Ingredients used per portion (see services/inventory.js)
+  recipe: [{
+    ingredient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ingredient',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // True while inventory, not an admin, has taken the item off the menu
+  stockedOut: {
+    type: Boolean,
+    default: false
+  },
   displayOrder: {
     type: Number,
     default: 0
@@ -223,6 +247,8 @@ const menuItemSchema = new mongoose.Schema({
   timestamps: true
 });
 
+menuItemSchema.index({ 'recipe.ingredient': 1 });
+
 // Validator to ensure either restaurantId or chefId is provided, but not both
 menuItemSchema.pre('validate', function(next) {
   // if ((this.restaurantId && this.chefId) || (!this.restaurantId && !this.chefId)) {
@@ -1,5 +1,43 @@
 const mongoose = require('mongoose');
 
+// Delivery of one notification on one channel (see services/notification.js)
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['in_app', 'push', 'sms', 'whatsapp', 'email'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'deferred', 'skipped'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now // null once nothing more will be tried
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 const notificationSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,7 +52,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['order', 'payment', 'promotion', 'system', 'chef_request', 'complaint'],
+    enum: ['order', 'payment', 'promotion', 'system', 'chef_request', 'complaint', 'referral', 'subscription', 'reservation'],
     default: 'system'
   },
   title: {
@@ -29,11 +67,19 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
-  sentVia: [{
+  // Template the notification was rendered from, and its variables (used for retries)
+  template: {
     type: String,
-    enum: ['push', 'sms', 'email'],
-    default: ['push']
-  }],
+    default: 'generic'
+  },
+  templateData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sentVia: {
+    type: [deliverySchema],
+    default: []
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -49,5 +95,6 @@ const notificationSchema = new mongoose.Schema({
 // Index to optimize querying by user and read status
 notificationSchema.index({ user: 1, isRead: 1 });
 notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ 'sentVia.status': 1, 'sentVia.nextAttemptAt': 1 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
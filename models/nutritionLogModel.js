@@ -20,6 +20,29 @@ const nutritionLogSchema = new mongoose.Schema({
     fiber:    { type: Number, default: 0 },
     sugar:    { type: Number, default: 0 }
   },
+  // What makes up `consumed`: an entry per order and per meal logged by hand
+  entries: [{
+    source: { type: String, enum: ['order', 'manual'], required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    name: { type: String, trim: true, maxlength: 100 },
+    mealType: { type: String, enum: ['breakfast', 'lunch', 'dinner', 'snack'] },
+    quantity: { type: Number, default: 1, min: 0 },
+    nutrition: {
+      calories: { type: Number, default: 0 },
+      protein:  { type: Number, default: 0 },
+      carbs:    { type: Number, default: 0 },
+      fat:      { type: Number, default: 0 },
+      fiber:    { type: Number, default: 0 },
+      sugar:    { type: Number, default: 0 }
+    },
+    loggedAt: { type: Date, default: Date.now }
+  }],
+  // Water drunk that day, in ml
+  water: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Orders that contributed to this log
   orders: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -33,5 +56,6 @@ const nutritionLogSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 nutritionLogSchema.index({ user: 1, date: 1 }, { unique: true });
+nutritionLogSchema.index({ orders: 1 });
 
 module.exports = mongoose.model('NutritionLog', nutritionLogSchema);
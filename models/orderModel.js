@@ -77,13 +77,31 @@ const orderSchema = new mongoose.Schema({
       default: 0  // Amount in rupees
     }
   },
-  // Bill details
+  // Bill details (computed by services/pricing.js)
   billing: {
+    lineItems: [{
+      itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+      name: String,
+      quantity: Number,
+      unitPrice: Number,   // basePrice + addOnsPrice
+      basePrice: Number,
+      addOnsPrice: Number,
+      lineTotal: Number
+    }],
     subtotal: {
       type: Number,
       required: true  // Sum of all items before discounts, taxes, fees
     },
     discounts: {
+      coupon: {
+        couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+        code: String,
+        discountType: String,
+        amount: {
+          type: Number,
+          default: 0
+        }
+      },
       promoCode: {
         code: String,
         amount: {
@@ -101,14 +119,24 @@ const orderSchema = new mongoose.Schema({
           default: 0
         }
       },
+      tier: {
+        tier: String,
+        percent: {
+          type: Number,
+          default: 0
+        },
+        amount: {
+          type: Number,
+          default: 0
+        }
+      },
       walletPayment: {
         amount: {
           type: Number,
           default: 0
         },
         transactionId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'WalletTransaction'
+          type: String // WalletTransaction.transactionId
         }
       },
       totalDiscount: {
@@ -116,14 +144,31 @@ const orderSchema = new mongoose.Schema({
         default: 0
       }
     },
+    taxableAmount: {
+      type: Number,
+      default: 0  // Subtotal minus all discounts
+    },
     deliveryFee: {
       type: Number,
       default: 0
     },
+    delivery: {
+      baseFee: Number,
+      perKm: Number,
+      distanceKm: Number,
+      freeDeliveryThreshold: Number,
+      freeDelivery: Boolean
+    },
     tax: {
       type: Number,
       default: 0
     },
+    taxBreakdown: {
+      gstRate: Number,
+      gst: Number,
+      serviceTaxRate: Number,
+      serviceTax: Number
+    },
     packagingFee: {
       type: Number,
       default: 0
@@ -145,18 +190,25 @@ const orderSchema = new mongoose.Schema({
     paidViaWallet: {
       type: Boolean,
       default: false
+    },
+    pricedAt: {
+      type: Date
     }
   },
-  // Original fields
+  appliedCoupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  // Lifecycle — change only through services/orderStateMachine.js
   status: {
     type: String,
-    enum: ['placed', 'preparing', 'out-for-delivery', 'delivered', 'cancelled'],
+    enum: ['placed', 'accepted', 'preparing', 'ready', 'picked_up', 'out-for-delivery', 'delivered', 'cancelled', 'rejected', 'refunded'],
     default: 'placed',
     required: true
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'refunded'],
     default: 'pending',
     required: true
   },
@@ -175,10 +227,29 @@ const orderSchema = new mongoose.Schema({
   deliveryAddress: {
     type: mongoose.Schema.Types.Mixed
   },
+  deliveryZone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  },
   scheduledFor: {
     type: Date,
     default: null // For chef orders with scheduled delivery
   },
+  // Allergen / diet conflicts the customer was warned about and accepted (see services/dietarySafety.js)
+  dietaryAcknowledgement: {
+    acknowledgedAt: Date,
+    note: String, // summary for the kitchen
+    conflicts: [{
+      _id: false,
+      itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+      itemName: String,
+      addOn: String,
+      type: { type: String, enum: ['allergen', 'diet'] },
+      restriction: String,
+      severity: { type: String, enum: ['high', 'medium'] },
+      message: String
+    }]
+  },
   // New field for nano points earned from this order
   nanoPointsEarned: {
     type: Number,
@@ -190,21 +261,167 @@ const orderSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    fromStatus: {
+      type: String
+    },
     timestamp: {
       type: Date,
       default: Date.now
     },
+    actor: {
+      type: String,
+      enum: ['user', 'admin', 'kitchen', 'system']
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId // User or Admin, depending on actor
+    },
+    reason: {
+      type: String
+    },
     notes: {
       type: String
     }
   }],
+  cancellationReason: {
+    type: String
+  },
+  acceptedAt: {
+    type: Date
+  },
+  readyAt: {
+    type: Date
+  },
+  pickedUpAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  rejectedAt: {
+    type: Date
+  },
+  refundedAt: {
+    type: Date
+  },
+  // Refund ledger — written only by services/refund.js
+  refunds: [{
+    refundId: {
+      type: String,
+      required: true
+    },
+    scope: {
+      type: String,
+      enum: ['full', 'partial'],
+      required: true
+    },
+    items: [{
+      itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+      name: String,
+      quantity: Number,
+      amount: Number
+    }],
+    amount: {
+      type: Number,
+      required: true
+    },
+    walletAmount: {
+      type: Number,
+      default: 0  // Returned to the customer's wallet (wallet, cash and manual portions)
+    },
+    gatewayAmount: {
+      type: Number,
+      default: 0  // Returned through PhonePe
+    },
+    status: {
+      type: String,
+      enum: ['pending_approval', 'processing', 'completed', 'failed', 'rejected'],
+      default: 'processing'
+    },
+    reason: {
+      type: String
+    },
+    requestedBy: {
+      actor: {
+        type: String,
+        enum: ['user', 'admin', 'kitchen', 'system']
+      },
+      actorId: {
+        type: mongoose.Schema.Types.ObjectId
+      }
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    reviewNote: {
+      type: String
+    },
+    walletTransactionId: {
+      type: String // WalletTransaction.transactionId
+    },
+    gatewayTransactionId: {
+      type: String // Merchant refund transaction ID sent to PhonePe
+    },
+    gatewayStatus: {
+      type: String,
+      enum: ['success', 'pending', 'failed']
+    },
+    pointsRestored: {
+      type: Number,
+      default: 0  // Redeemed nano points given back
+    },
+    pointsReversed: {
+      type: Number,
+      default: 0  // Earned nano points taken back
+    },
+    couponReleased: {
+      type: Boolean,
+      default: false
+    },
+    benefitsReversed: {
+      type: Boolean,
+      default: false  // Points and coupon usage were handled by this entry
+    },
+    failureReason: {
+      type: String
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    completedAt: {
+      type: Date
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0  // Sum of completed refunds
+  },
+  // Ingredient stock taken when accepted, given back if cancelled before cooking
+  inventory: {
+    deductedAt: { type: Date, default: null },
+    restoredAt: { type: Date, default: null }
+  },
   estimatedDeliveryTime: {
     type: Date
   },
   deliveredAt: {
     type: Date
   },
-  chef: { type: mongoose.Schema.Types.ObjectId, ref: 'Chef' }
+  chef: { type: mongoose.Schema.Types.ObjectId, ref: 'Chef' },
+  // Set on orders generated from a meal subscription
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Set on free replacement orders issued to settle a complaint
+  replacementFor: {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    complaint: { type: mongoose.Schema.Types.ObjectId, ref: 'Complaint' }
+  }
 }, {
   timestamps: true
 });
@@ -212,6 +429,11 @@ const orderSchema = new mongoose.Schema({
 // Indexes for faster queries
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+// One order per subscription slot, however often the scheduler runs
+orderSchema.index(
+  { subscription: 1, scheduledTime: 1 },
+  { unique: true, partialFilterExpression: { subscription: { $exists: true } } }
+);
 
 // Virtual field to format delivery address for display
 orderSchema.virtual('formattedDeliveryAddress').get(function() {
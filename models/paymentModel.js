@@ -39,14 +39,32 @@ const paymentSchema = new mongoose.Schema({
   phonePeResponse: {
     type: Object // Store the PhonePe response
   },
+  providerReferenceId: {
+    type: String // PhonePe's own transaction ID
+  },
+  // Every callback, webhook and status poll received for this payment
+  gatewayEvents: [{
+    source: { type: String, enum: ['callback', 'webhook', 'poll'] },
+    code: String,
+    status: String,
+    providerReferenceId: String,
+    receivedAt: { type: Date, default: Date.now }
+  }],
   refundStatus: {
     type: String,
-    enum: ['none', 'processing', 'refunded', 'failed'],
+    enum: ['none', 'processing', 'partially_refunded', 'refunded', 'failed'],
     default: 'none'
   },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   refundReason: {
     type: String
   },
+  refundTransactionId: {
+    type: String
+  },
   refundedAt: {
     type: Date
   }
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Nano points ledger (see services/nanoPoints.js). Credits are lots that
+// redemptions and expiry consume oldest-expiry first.
+const pointsTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    // earn/bonus/refund/adjustment add points; redeem/expire/reversal/deduction take them
+    enum: ['earn', 'bonus', 'refund', 'adjustment', 'redeem', 'expire', 'reversal', 'deduction'],
+    required: true
+  },
+  // Signed: positive for credits, negative for debits
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Credits only: points of this lot not yet used or expired
+  remaining: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null // never
+  },
+  // Debits only: lots the points were taken from
+  consumed: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'PointsTransaction' },
+    points: Number
+  }],
+  description: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // How earned points were worked out
+  breakdown: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+pointsTransactionSchema.index({ user: 1, createdAt: -1 });
+pointsTransactionSchema.index({ user: 1, remaining: 1, expiresAt: 1 });
+pointsTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+// An order earns, redeems, gets a redemption back and has earnings reversed at most once each
+pointsTransactionSchema.index({ order: 1, type: 1 }, { unique: true, partialFilterExpression: { order: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('PointsTransaction', pointsTransactionSchema);
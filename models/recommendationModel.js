@@ -1,21 +1,24 @@
 const mongoose = require('mongoose');
 
+// Item-to-item co-purchase neighbours, rebuilt offline by services/recommendation.js
 const recommendationSchema = new mongoose.Schema({
-  userId: {
+  item: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'MenuItem',
+    required: true,
+    unique: true
   },
-  topPicks: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'MenuItem'
-  }],
-  trending: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'MenuItem'
-  }],
-  combos: [{
-    type: mongoose.Schema.Types.ObjectId
+  // Delivered orders containing this item in the build window
+  orderCount: {
+    type: Number,
+    default: 0
+  },
+  // Best first
+  neighbours: [{
+    _id: false,
+    item: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', required: true },
+    score: { type: Number, required: true }, // cosine similarity, 0-1
+    coCount: { type: Number, required: true } // orders with both items
   }],
   generatedAt: {
     type: Date,
@@ -23,4 +26,4 @@ const recommendationSchema = new mongoose.Schema({
   }
 });
 
-module.exports = mongoose.model('Recommendation', recommendationSchema);
\ No newline at end of file
+module.exports = mongoose.model('Recommendation', recommendationSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A table booking. Confirmed bookings hold their tables through Table.reservations;
+// waitlisted ones hold nothing until a table frees up (see services/reservation.js)
+const reservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // More than one when tables were combined for a large party
+  tables: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table'
+  }],
+  guestCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  // Asked-for seating area; tables elsewhere aren't offered
+  location: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['waitlisted', 'confirmed', 'seated', 'completed', 'cancelled', 'no_show', 'expired'],
+    default: 'confirmed'
+  },
+  specialRequests: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  promotedAt: Date, // moved off the waitlist
+  reminderSentAt: Date,
+  seatedAt: Date,
+  completedAt: Date,
+  noShowAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['user', 'admin', 'system', null],
+    default: null
+  },
+  cancelReason: String
+}, {
+  timestamps: true
+});
+
+reservationSchema.index({ user: 1, startTime: -1 });
+reservationSchema.index({ status: 1, startTime: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
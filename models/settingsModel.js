@@ -19,7 +19,12 @@ const settingsSchema = new mongoose.Schema({
     email: { type: String, default: '' },
     address: { type: String, default: '' },
     website: { type: String, default: '' },
-    logo: { type: String, default: '' }
+    logo: { type: String, default: '' },
+    // Kitchen location, the origin for delivery distances
+    coordinates: {
+      latitude: { type: Number, default: null, min: -90, max: 90 },
+      longitude: { type: Number, default: null, min: -180, max: 180 }
+    }
   },
   
   // Tax Configuration
@@ -40,19 +45,25 @@ const settingsSchema = new mongoose.Schema({
   
   // Customer Tier Configuration
   tierConfig: {
+    // A tier is reached with at least minOrders delivered orders and minSpend spent in the last windowDays
     bronze: {
       minOrders: { type: Number, default: 0 },
+      minSpend: { type: Number, default: 0, min: 0 },
       discount: { type: Number, default: 0, min: 0, max: 100 }
     },
     silver: {
       minOrders: { type: Number, default: 5 },
+      minSpend: { type: Number, default: 0, min: 0 },
       discount: { type: Number, default: 5, min: 0, max: 100 }
     },
     gold: {
       minOrders: { type: Number, default: 15 },
+      minSpend: { type: Number, default: 0, min: 0 },
       discount: { type: Number, default: 10, min: 0, max: 100 }
     },
-    
+    windowDays: { type: Number, default: 30, min: 1 },
+    // Days a user keeps their tier after falling short at the monthly review (0 = drop at once)
+    gracePeriodDays: { type: Number, default: 7, min: 0 }
   },
   
   // Referral Program Configuration
@@ -67,14 +78,142 @@ const settingsSchema = new mongoose.Schema({
     validityDays: { type: Number, default: 30, min: 1 }
   },
   
+  // Nano Points Configuration
+  loyaltyConfig: {
+    pointValue: { type: Number, default: 1, min: 0 }, // rupees per point at redemption
+    maxRedemptionPercent: { type: Number, default: 20, min: 0, max: 100 }, // share of the bill payable with points
+    maxRedeemPointsPerOrder: { type: Number, default: 0, min: 0 }, // 0 = only the percentage cap applies
+    // Earning (credited when the order is delivered)
+    earnEnabled: { type: Boolean, default: true },
+    pointsPerRupee: { type: Number, default: 0.1, min: 0 }, // on the item total after discounts
+    tierMultipliers: {
+      bronze: { type: Number, default: 1, min: 0 },
+      silver: { type: Number, default: 1.25, min: 0 },
+      gold: { type: Number, default: 1.5, min: 0 }
+    },
+    // Extra earning on items from these categories, e.g. 2x on desserts
+    categoryBonuses: [{
+      _id: false,
+      category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+      multiplier: { type: Number, required: true, min: 1 }
+    }],
+    expiryDays: { type: Number, default: 365, min: 0 } // 0 = points never expire
+  },
+
+  // Refund Configuration
+  refundConfig: {
+    approvalThreshold: { type: Number, default: 1000, min: 0 }, // refunds above this wait for an admin unless an admin raised them
+    autoRefundOnCancel: { type: Boolean, default: true }
+  },
+
+  // Abandoned Cart Recovery Configuration
+  cartRecoveryConfig: {
+    enabled: { type: Boolean, default: true },
+    idleMinutes: { type: Number, default: 60, min: 15 }, // a cart untouched this long is abandoned
+    minCartValue: { type: Number, default: 0, min: 0 },
+    // Reminders, in minutes after the cart was abandoned
+    pushAfterMinutes: { type: Number, default: 0, min: 0 },
+    whatsappAfterMinutes: { type: Number, default: 360, min: 0 },
+    couponAfterMinutes: { type: Number, default: 1440, min: 0 },
+    // Single-use coupon sent with the last reminder
+    coupon: {
+      discountType: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' },
+      discountValue: { type: Number, default: 10, min: 0 },
+      maxDiscount: { type: Number, default: 100, min: 0 },
+      validHours: { type: Number, default: 24, min: 1 }
+    },
+    // Orders placed this long after the last reminder still count as recovered
+    attributionDays: { type: Number, default: 3, min: 1 }
+  },
+
   // Scheduling Configuration
   schedulingConfig: {
     allowPreOrders: { type: Boolean, default: true },
     maxDaysInAdvance: { type: Number, default: 7, min: 1 },
     slotDuration: { type: Number, default: 30, min: 15 }, // in minutes
+    minLeadMinutes: { type: Number, default: 45, min: 0 }, // earliest bookable slot from now
+    // Orders per slot; take away and car orders share the pickup cap
+    slotCapacity: {
+      delivery: { type: Number, default: 15, min: 0 },
+      pickup: { type: Number, default: 20, min: 0 }
+    },
     allowTableReservation: { type: Boolean, default: true }
   },
+
+  // Table Reservation Configuration (reservations open with businessHours)
+  reservationConfig: {
+    durationMinutes: { type: Number, default: 90, min: 30 }, // how long a booking holds its tables
+    slotInterval: { type: Number, default: 30, min: 15 }, // minutes between bookable start times
+    minLeadMinutes: { type: Number, default: 60, min: 0 },
+    maxDaysInAdvance: { type: Number, default: 30, min: 1 },
+    bufferMinutes: { type: Number, default: 10, min: 0 }, // turnover between bookings on a table
+    maxPartySize: { type: Number, default: 20, min: 1 },
+    maxCombinedTables: { type: Number, default: 3, min: 1 }, // 1 = never combine
+    reminderMinutesBefore: { type: Number, default: 120, min: 0 }, // 0 = no reminder
+    noShowGraceMinutes: { type: Number, default: 15, min: 0 },
+    // This many no-shows within noShowWindowDays blocks booking for noShowBlockDays
+    noShowLimit: { type: Number, default: 2, min: 1 },
+    noShowWindowDays: { type: Number, default: 90, min: 1 },
+    noShowBlockDays: { type: Number, default: 30, min: 0 }
+  },
   
+  // Complaint SLAs: reply and resolution targets, assignment and escalation
+  complaintSlaConfig: {
+    enabled: { type: Boolean, default: true },
+    // Minutes to the first customer-visible reply and to resolution, by priority
+    priorityTargets: {
+      Urgent: {
+        firstResponseMinutes: { type: Number, default: 30, min: 1 },
+        resolutionMinutes: { type: Number, default: 240, min: 1 }
+      },
+      High: {
+        firstResponseMinutes: { type: Number, default: 60, min: 1 },
+        resolutionMinutes: { type: Number, default: 480, min: 1 }
+      },
+      Medium: {
+        firstResponseMinutes: { type: Number, default: 240, min: 1 },
+        resolutionMinutes: { type: Number, default: 1440, min: 1 }
+      },
+      Low: {
+        firstResponseMinutes: { type: Number, default: 480, min: 1 },
+        resolutionMinutes: { type: Number, default: 4320, min: 1 }
+      }
+    },
+    // Targets for a category, for one priority or (priority unset) all of them
+    policies: [{
+      _id: false,
+      category: { type: String, required: true },
+      priority: { type: String, enum: ['Low', 'Medium', 'High', 'Urgent', null], default: null },
+      firstResponseMinutes: { type: Number, required: true, min: 1 },
+      resolutionMinutes: { type: Number, required: true, min: 1 }
+    }],
+    // New complaints go to active admins with one of assigneeRoles
+    assignment: { type: String, enum: ['round_robin', 'load_based', 'off'], default: 'load_based' },
+    assigneeRoles: { type: [String], default: ['support'] },
+    // Admins told when a complaint misses a target
+    escalationRoles: { type: [String], default: ['manager'] }
+  },
+
+  // What agents may give customers when resolving a complaint; super_admin has no limits
+  complaintCompensationConfig: {
+    enabled: { type: Boolean, default: true },
+    // Roles that aren't listed can't issue compensation
+    roleLimits: {
+      type: [{
+        _id: false,
+        role: { type: String, required: true },
+        types: { type: [String], enum: ['wallet_credit', 'item_refund', 'replacement_order', 'coupon'] },
+        maxPerComplaint: { type: Number, required: true, min: 0 },
+        maxPerDay: { type: Number, default: null, min: 0 } // per agent; null = no daily cap
+      }],
+      default: [
+        { role: 'support', types: ['wallet_credit', 'coupon', 'item_refund'], maxPerComplaint: 200, maxPerDay: 2000 },
+        { role: 'manager', types: ['wallet_credit', 'item_refund', 'replacement_order', 'coupon'], maxPerComplaint: 1000, maxPerDay: null }
+      ]
+    },
+    couponValidityDays: { type: Number, default: 30, min: 1 }
+  },
+
   // App Configuration (Public)
   appConfig: {
     appName: { type: String, default: 'NextGenFix' },
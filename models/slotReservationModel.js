@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Orders booked into one scheduling slot. Created on first booking or override.
+const slotReservationSchema = new mongoose.Schema({
+  slotStart: {
+    type: Date,
+    required: true
+  },
+  // Delivery and pickup (take away, car) are capped separately
+  kind: {
+    type: String,
+    enum: ['delivery', 'pickup'],
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Admin cap for this slot only; null = Settings.schedulingConfig.slotCapacity
+  capacityOverride: {
+    type: Number,
+    default: null,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+slotReservationSchema.index({ slotStart: 1, kind: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
@@ -14,6 +14,10 @@ const spinHistorySchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SpinWheelConfig'
+  },
   prizeWon: {
     type: {
       type: String,
@@ -22,7 +26,27 @@ const spinHistorySchema = new mongoose.Schema({
     },
     label: String,
     value: mongoose.Schema.Types.Mixed, // points amount, discount amount, etc.
-    couponCode: String
+    couponCode: String,
+    prizeId: mongoose.Schema.Types.ObjectId // null for the fallback blank
+  },
+  // Rupees charged to the campaign budget
+  cost: {
+    type: Number,
+    default: 0
+  },
+  // Everything needed to re-run the draw (see services/spinWheel verify)
+  fairness: {
+    serverSeed: String, // revealed after the spin
+    serverSeedHash: String, // the commitment shown before it
+    clientSeed: String,
+    nonce: Number,
+    hash: String, // HMAC-SHA256(serverSeed, clientSeed:nonce)
+    weights: [{
+      _id: false,
+      prizeId: mongoose.Schema.Types.ObjectId,
+      label: String,
+      weight: Number
+    }]
   },
   couponGenerated: {
     type: mongoose.Schema.Types.ObjectId,
@@ -50,5 +74,7 @@ const spinHistorySchema = new mongoose.Schema({
 // Index for eligibility checks
 spinHistorySchema.index({ user: 1, createdAt: -1 });
 spinHistorySchema.index({ guestId: 1, createdAt: -1 });
+// Budget burn reporting
+spinHistorySchema.index({ campaign: 1, createdAt: -1 });
 
 module.exports = mongoose.model('SpinHistory', spinHistorySchema);
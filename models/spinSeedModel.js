@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// The server seed committed for a player's next spin; rotated (and revealed) by every spin
+const spinSeedSchema = new mongoose.Schema({
+  owner: {
+    type: String,
+    required: true,
+    unique: true // 'user:<id>' or 'guest:<guestId>'
+  },
+  serverSeed: {
+    type: String,
+    required: true,
+    select: false // only ever revealed once it has been used
+  },
+  serverSeedHash: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: Number,
+    default: 0 // spins played with this owner's seeds so far
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SpinSeed', spinSeedSchema);
@@ -46,6 +46,23 @@ const prizeSchema = new mongoose.Schema({
       type: Number,
       default: null
     }
+  },
+  // Rupees charged to the campaign budget per win; null = worked out from the prize
+  budgetCost: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // How many can be won; null = no cap
+  inventory: {
+    dailyLimit: { type: Number, default: null, min: 0 },
+    totalLimit: { type: Number, default: null, min: 0 }
+  },
+  // Counters behind the caps, claimed atomically per spin
+  issued: {
+    total: { type: Number, default: 0 },
+    today: { type: Number, default: 0 },
+    day: { type: String, default: null } // YYYY-MM-DD that 'today' counts
   }
 }, { _id: true });
 
@@ -83,9 +100,26 @@ const spinWheelConfigSchema = new mongoose.Schema({
       default: true
     }
   },
+  // Campaign window; unset means always on. A scheduled campaign overrides an always-on one while it runs
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // Rupee budget for everything won; once it can't cover a prize, that prize's odds go to the blanks
+  budget: {
+    total: { type: Number, default: null, min: 0 }, // null = no budget
+    spent: { type: Number, default: 0 },
+    exhaustedAt: { type: Date, default: null }
+  },
   prizes: [prizeSchema]
 }, {
   timestamps: true
 });
 
+spinWheelConfigSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
 module.exports = mongoose.model('SpinWheelConfig', spinWheelConfigSchema);
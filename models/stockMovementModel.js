@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Every change to an ingredient's stock, newest balance included
+const stockMovementSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient',
+    required: true
+  },
+  change: {
+    type: Number,
+    required: true // negative = used
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['order_accepted', 'order_cancelled', 'restock', 'adjustment', 'wastage'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ ingredient: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
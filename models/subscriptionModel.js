@@ -2,23 +2,43 @@ const mongoose = require('mongoose');
 
 const subscriptionSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  plan: { type: String, required: true },
-  price: { type: Number, required: true },
+  planId: { type: mongoose.Schema.Types.ObjectId, ref: 'SubscriptionPlan' },
+  plan: { type: String, required: true }, // plan name at the time of subscribing
+  price: { type: Number, required: true }, // per delivery
   currency: { type: String, default: 'INR' },
   recurringInterval: { type: String, enum: ['weekly','monthly','yearly'], default: 'monthly' },
   isActive: { type: Boolean, default: true },
+  status: { type: String, enum: ['active', 'paused', 'cancelled', 'expired'], default: 'active' },
+  // Delivery preferences
+  deliveryDays: { type: [Number], default: [] }, // 0 = Sunday ... 6 = Saturday
+  slotTime: { type: String, required: true }, // 'HH:mm'
+  orderType: { type: String, enum: ['delivery', 'take_away'], default: 'delivery' },
+  deliveryAddress: { type: mongoose.Schema.Types.Mixed },
+  cookingInstructions: { type: String, default: '' },
+  skipDates: { type: [String], default: [] }, // 'YYYY-MM-DD'
+  pausedAt: { type: Date, default: null },
+  pausedUntil: { type: Date, default: null }, // null = until resumed
+  autoRenew: { type: Boolean, default: true },
   startDate: { type: Date, default: Date.now },
   endDate: { type: Date, default: null },
   cancelledAt: { type: Date, default: null },
+  cancellationReason: { type: String, default: null },
   lastChargeDate: { type: Date, default: null },
+  // Order generation bookkeeping
+  lastGeneratedFor: { type: Date, default: null }, // slot of the newest generated order
+  failedCharges: { type: Number, default: 0 }, // consecutive wallet failures
+  deliveriesCount: { type: Number, default: 0 },
+  renewalReminderSentAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
 subscriptionSchema.index({ user: 1 });
+subscriptionSchema.index({ status: 1, endDate: 1 });
 
 subscriptionSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+  this.isActive = this.status === 'active' || this.status === 'paused';
   next();
 });
 
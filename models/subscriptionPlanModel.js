@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const subscriptionPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  image: {
+    type: String,
+    default: ''
+  },
+  // What each delivery contains
+  items: [{
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
+  mealBoxes: [{
+    mealBox: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MealBox',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
+  // Price charged to the wallet for each delivery (inclusive of taxes and fees)
+  pricePerDelivery: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  billingCycle: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    default: 'monthly'
+  },
+  // Days subscribers may pick (0 = Sunday ... 6 = Saturday)
+  deliveryDays: {
+    type: [Number],
+    default: [1, 2, 3, 4, 5]
+  },
+  // Slot start times subscribers may pick, 'HH:mm'
+  deliverySlots: {
+    type: [String],
+    default: ['12:30']
+  },
+  orderTypes: {
+    type: [String],
+    enum: ['delivery', 'take_away'],
+    default: ['delivery']
+  },
+  // How long before a slot its order is created and the wallet charged
+  leadTimeHours: {
+    type: Number,
+    default: 12,
+    min: 1
+  },
+  // Skip / pause changes must arrive before this many hours ahead of a slot
+  cutoffHours: {
+    type: Number,
+    default: 14,
+    min: 0
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionPlanSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
@@ -39,38 +39,28 @@ const tableSchema = new mongoose.Schema({
     enum: ['available', 'occupied', 'reserved', 'maintenance'],
     default: 'available'
   },
+  // Can be pushed together with neighbouring tables in the same location for large parties
+  isCombinable: {
+    type: Boolean,
+    default: true
+  },
+  // Time this table is held by confirmed or seated bookings (the Reservation collection
+  // has the details). Conflicts are checked against these in the same atomic update
+  // that adds one, so two bookings can't take overlapping times.
   reservations: [{
-    date: {
-      type: Date,
+    _id: false,
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reservation',
       required: true
     },
-    timeSlot: {
-      type: String,
+    startTime: {
+      type: Date,
       required: true
     },
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    // Number of guests for this reservation
-    guestCount: {
-      type: Number,
-      default: 1,
-      min: 1
-    },
-    // When the reservation was created
-    createdAt: {
+    endTime: {
       type: Date,
-      default: Date.now
-    },
-    orderId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Order'
-    },
-    status: {
-      type: String,
-      enum: ['reserved', 'occupied', 'completed', 'cancelled'],
-      default: 'reserved'
+      required: true
     }
   }]
 }, {
@@ -79,20 +69,19 @@ const tableSchema = new mongoose.Schema({
 
 // Index for efficient queries
 tableSchema.index({ currentStatus: 1, isAvailable: 1 });
+tableSchema.index({ 'reservations.reservation': 1 });
 
-// Method to check if table is available at a specific date/time
-tableSchema.methods.isAvailableAt = function(date, timeSlot) {
+// Whether the table is free from start to end, with a turnover buffer around other bookings
+tableSchema.methods.isFreeBetween = function(start, end, bufferMinutes = 0) {
   if (!this.isAvailable || this.currentStatus === 'maintenance') {
     return false;
   }
-  
-  const reservation = this.reservations.find(r => 
-    r.date.toDateString() === new Date(date).toDateString() &&
-    r.timeSlot === timeSlot &&
-    r.status === 'reserved'
+
+  const bufferMs = bufferMinutes * 60 * 1000;
+  return !this.reservations.some(r =>
+    r.startTime.getTime() < new Date(end).getTime() + bufferMs &&
+    r.endTime.getTime() + bufferMs > new Date(start).getTime()
   );
-  
-  return !reservation;
 };
 
 module.exports = mongoose.model('Table', tableSchema);
@@ -119,8 +119,22 @@ const userSchema = new mongoose.Schema({
   },
   tierProgress: {
     currentMonthOrders: { type: Number, default: 0 },
-    lastTierUpdate: { type: Date, default: Date.now }
-  },
+    currentMonthSpend: { type: Number, default: 0 },
+    monthStart: { type: Date, default: null }, // month the counters above belong to
+    lastTierUpdate: { type: Date, default: Date.now },
+    // Set when the monthly review finds the user below their tier (see services/tier.js)
+    graceUntil: { type: Date, default: null },
+    graceTier: { type: String, enum: ['bronze', 'silver', 'gold', null], default: null }
+  },
+  tierHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    reason: { type: String, enum: ['upgrade', 'downgrade'] },
+    orders: Number, // delivered orders in the window when the tier changed
+    spend: Number,
+    changedAt: { type: Date, default: Date.now }
+  }],
   
   // User Preferences
   preferences: {
@@ -221,6 +235,24 @@ const userSchema = new mongoose.Schema({
     fiber: { type: Number, default: 38 },
     sugar: { type: Number, default: 50 }
   },
+  waterGoal: {
+    type: Number, // ml per day
+    default: 2500
+  },
+  // Inputs of the goal calculator (see services/nutrition.js)
+  bodyMetrics: {
+    weightKg: { type: Number, min: 20, max: 400 },
+    heightCm: { type: Number, min: 80, max: 260 },
+    activityLevel: { type: String, enum: ['sedentary', 'light', 'moderate', 'active', 'very_active'] },
+    goal: { type: String, enum: ['lose', 'maintain', 'gain'] },
+    updatedAt: Date
+  },
+  // Table reservation no-shows; booking is refused until blockedUntil
+  reservationStats: {
+    noShowCount: { type: Number, default: 0 },
+    lastNoShowAt: Date,
+    blockedUntil: Date
+  },
   totalOrders: {
     type: Number,
     default: 0
@@ -235,7 +267,7 @@ const userSchema = new mongoose.Schema({
   },
   nanoPointsHistory: [{
     points: Number,
-    type: { type: String }, // 'earn', 'redeem', 'bonus'
+    type: { type: String }, // 'earn', 'redeem', 'bonus' (legacy: the ledger is now PointsTransaction)
     description: String,
     timestamp: { type: Date, default: Date.now }
   }],
@@ -269,9 +301,16 @@ const userSchema = new mongoose.Schema({
     push: { type: Boolean, default: true },
     sms: { type: Boolean, default: true },
     email: { type: Boolean, default: true },
+    whatsapp: { type: Boolean, default: false }, // opt-in
     orderUpdates: { type: Boolean, default: true },
     promotions: { type: Boolean, default: true },
-    newItems: { type: Boolean, default: true }
+    newItems: { type: Boolean, default: true },
+    // Push, SMS and WhatsApp wait until the end of quiet hours (server local time)
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' },
+      end: { type: String, default: '08:00' }
+    }
   },
   fcmToken: {
     type: String,
@@ -294,6 +333,7 @@ const userSchema = new mongoose.Schema({
 // Removed duplicate schema-level indexes for fields that already declare indexes inline
 // to avoid duplicate index warnings from Mongoose.
 userSchema.index({ tier: 1 });
+userSchema.index({ 'tierProgress.graceUntil': 1 }, { partialFilterExpression: { 'tierProgress.graceUntil': { $type: 'date' } } });
 userSchema.index({ isGuest: 1 });
 userSchema.index({ guestId: 1 }, { sparse: true });
 userSchema.index({ isGuest: 1, guestExpiresAt: 1 });
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const adminRoleController = require('../controllers/adminRoleController');
+const auditLogController = require('../controllers/auditLogController');
 const walletController = require('../controllers/walletController');
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { verifyAdmin, verifySuperAdmin, requirePermission } = require('../middlewares/adminAuth');
 const { validateRegistration } = require('../middlewares/validation');
 const { uploadMenuItemPhoto } = require('../config/cloudinary');
 const { uploadSingleVideo, handleMulterError } = require('../middlewares/upload');
@@ -10,27 +12,41 @@ const { uploadSingleVideo, handleMulterError } = require('../middlewares/upload'
 // Import analytics routes
 const analyticsRoutes = require('./analyticsRoutes');
 
-// Admin authentication routes (public)
-router.post('/register', validateRegistration, adminController.registerAdmin);
+// Admin authentication routes
+router.post('/register', requirePermission('manage_admins'), validateRegistration, adminController.registerAdmin);
 router.post('/login', adminController.loginAdmin);
 
-// All other routes require admin authentication
-// router.use(verifyAdmin);
+// Every other route names the permission it needs
+
+// --- Roles & Permissions ---
+router.get('/permissions/me', verifyAdmin, adminRoleController.getMyPermissions);
+router.get('/permissions/matrix', requirePermission('manage_admins'), adminRoleController.getPermissionMatrix);
+router.get('/roles', requirePermission('manage_admins'), adminRoleController.listRoles);
+router.post('/roles', verifySuperAdmin, adminRoleController.createRole);
+router.put('/roles/:name', verifySuperAdmin, adminRoleController.updateRole);
+router.delete('/roles/:name', verifySuperAdmin, adminRoleController.deleteRole);
+router.get('/admins', requirePermission('manage_admins'), adminRoleController.listAdmins);
+router.put('/admins/:adminId/access', verifySuperAdmin, adminRoleController.updateAdminAccess);
+
+// --- Audit Log ---
+router.get('/audit-logs', requirePermission('view_audit_log'), auditLogController.getAuditLogs);
+router.get('/audit-logs/export', requirePermission('view_audit_log'), auditLogController.exportAuditLogs);
+router.get('/audit-logs/:id', requirePermission('view_audit_log'), auditLogController.getAuditLogById);
 
 // Dashboard routes
 // router.get('/dashboard/stats', adminController.getDashboardStats);
-router.get('/dashboard/revenue', adminController.getRevenueStats);
-router.get('/dashboard/orders', adminController.getOrderStats);
-router.get('/dashboard/users', adminController.getUserStats);
+router.get('/dashboard/revenue', requirePermission('view_analytics'), adminController.getRevenueStats);
+router.get('/dashboard/orders', requirePermission('view_analytics'), adminController.getOrderStats);
+router.get('/dashboard/users', requirePermission('view_analytics'), adminController.getUserStats);
 
 // User management
-router.get('/users', adminController.getAllUsers);
-router.get('/users/:id', adminController.getUserById);
-router.put('/users/:id', adminController.updateUser);
-router.delete('/users/:id', adminController.deleteUser);
+router.get('/users', requirePermission('manage_users'), adminController.getAllUsers);
+router.get('/users/:id', requirePermission('manage_users'), adminController.getUserById);
+router.put('/users/:id', requirePermission('manage_users'), adminController.updateUser);
+router.delete('/users/:id', requirePermission('manage_users'), adminController.deleteUser);
 
 // Guest user stats
-router.get('/guest-stats', verifyAdmin, async (req, res) => {
+router.get('/guest-stats', requirePermission('view_analytics'), async (req, res) => {
   try {
     const { getGuestStats } = require('../services/guestService');
     const stats = await getGuestStats();
@@ -42,22 +58,22 @@ router.get('/guest-stats', verifyAdmin, async (req, res) => {
 
 
 // Restaurant management
-router.get('/restaurants', adminController.getAllRestaurants);
-router.get('/restaurants/:id', adminController.getRestaurantById);
-router.put('/restaurants/:id/approve', adminController.approveRestaurant);
-router.put('/restaurants/:id/suspend', adminController.suspendRestaurant);
-router.delete('/restaurants/:id', adminController.deleteRestaurant);
+router.get('/restaurants', requirePermission('manage_settings'), adminController.getAllRestaurants);
+router.get('/restaurants/:id', requirePermission('manage_settings'), adminController.getRestaurantById);
+router.put('/restaurants/:id/approve', requirePermission('manage_settings'), adminController.approveRestaurant);
+router.put('/restaurants/:id/suspend', requirePermission('manage_settings'), adminController.suspendRestaurant);
+router.delete('/restaurants/:id', requirePermission('manage_settings'), adminController.deleteRestaurant);
 
 // Content management
-router.get('/reports', adminController.getReports);
-router.get('/analytics', adminController.getAnalytics);
+router.get('/reports', requirePermission('view_analytics'), adminController.getReports);
+router.get('/analytics', requirePermission('view_analytics'), adminController.getAnalytics);
 
 // Analytics routes (KPI Dashboard)
 router.use('/analytics', analyticsRoutes);
 
 // --- Category Management (Admin Categories Tab) ---
 // List all categories
-router.get('/categories', verifyAdmin, adminController.getCategories);
+router.get('/categories', requirePermission('manage_menu'), adminController.getCategories);
 
 
 // --- Category Management (Admin Categories Tab) ---
@@ -76,132 +92,133 @@ router.get('/categories', verifyAdmin, adminController.getCategories);
 
 // --- Menu Item Management (Admin Menu Items Tab) ---
 // List menu items with optional search, filter, pagination
-router.get('/menu-items', verifyAdmin, adminController.getMenuItems);
+router.get('/menu-items', requirePermission('manage_menu'), adminController.getMenuItems);
 
 // Get single menu item details
-router.get('/menu-items/:menuItemId', verifyAdmin, adminController.getMenuItemById);
+router.get('/menu-items/:menuItemId', requirePermission('manage_menu'), adminController.getMenuItemById);
 
 // Add menu item (admin action) with image upload
-router.post('/menu-items', verifyAdmin, uploadMenuItemPhoto.array('images', 5), adminController.addMenuItem);
+router.post('/menu-items', requirePermission('manage_menu'), uploadMenuItemPhoto.array('images', 5), adminController.addMenuItem);
 
 // Update menu item (admin action) with image upload
-router.put('/menu-items/:menuItemId', verifyAdmin, uploadMenuItemPhoto.array('images', 5), adminController.updateMenuItem);
+router.put('/menu-items/:menuItemId', requirePermission('manage_menu'), uploadMenuItemPhoto.array('images', 5), adminController.updateMenuItem);
 
 // Delete menu item (admin action)
-router.delete('/menu-items/:menuItemId', verifyAdmin, adminController.deleteMenuItem);
+router.delete('/menu-items/:menuItemId', requirePermission('manage_menu'), adminController.deleteMenuItem);
 
 // Export menu items (CSV/Excel)
-router.get('/menu-items-export', verifyAdmin, adminController.exportMenuItems);
+router.get('/menu-items-export', requirePermission('manage_menu'), adminController.exportMenuItems);
 
 // Dashboard Stats (chart and summary data)
-router.get('/stats', verifyAdmin, adminController.getStats);
+router.get('/stats', requirePermission('view_analytics'), adminController.getStats);
 
 // --- Complaint Management (Admin Complaints Tab) ---
 // List complaints with optional search, filter, pagination
-router.get('/complaints', verifyAdmin, adminController.getComplaints);
+router.get('/complaints', requirePermission('manage_complaints'), adminController.getComplaints);
 
 // Add complaint (admin action)
-router.post('/complaints', verifyAdmin, adminController.addComplaint);
+router.post('/complaints', requirePermission('manage_complaints'), adminController.addComplaint);
 
 // Get single complaint details
-router.get('/complaints/:complaintId', verifyAdmin, adminController.getComplaintById);
+router.get('/complaints/:complaintId', requirePermission('manage_complaints'), adminController.getComplaintById);
 
 // Update complaint (admin action)
-router.put('/complaints/:complaintId', verifyAdmin, adminController.updateComplaint);
+router.put('/complaints/:complaintId', requirePermission('manage_complaints'), adminController.updateComplaint);
 
 // Delete complaint (admin action)
-router.delete('/complaints/:complaintId', verifyAdmin, adminController.deleteComplaint);
+router.delete('/complaints/:complaintId', requirePermission('manage_complaints'), adminController.deleteComplaint);
 
 // Export complaints (CSV/Excel)
-router.get('/complaints-export', verifyAdmin, adminController.exportComplaints);
+router.get('/complaints-export', requirePermission('manage_complaints'), adminController.exportComplaints);
 
 
 // Overview Metrics
-router.get('/overview', verifyAdmin, adminController.getOverviewMetrics);
+router.get('/overview', requirePermission('view_analytics'), adminController.getOverviewMetrics);
 
 // Dashboard Analytics (single API for all analytics data)
-router.get('/dashboard-analytics', verifyAdmin, adminController.getDashboardAnalytics);
+router.get('/dashboard-analytics', requirePermission('view_analytics'), adminController.getDashboardAnalytics);
 
 // Export analytics data (CSV)
-router.get('/analytics-export', verifyAdmin, adminController.exportAnalytics);
+router.get('/analytics-export', requirePermission('view_analytics'), adminController.exportAnalytics);
+router.get('/analytics-export/:jobId', requirePermission('view_analytics'), adminController.downloadAnalyticsExport);
 
 // Recent Orders
-router.get('/recent-orders', verifyAdmin, adminController.getRecentOrders);
+router.get('/recent-orders', requirePermission('manage_orders'), adminController.getRecentOrders);
 
 // List all orders sorted from newest to oldest
-router.get('/all-orders', verifyAdmin, adminController.getAllOrders);
+router.get('/all-orders', requirePermission('manage_orders'), adminController.getAllOrders);
 
 // Get single order details
-router.get('/orders/:orderId', verifyAdmin, adminController.getOrderById);
+router.get('/orders/:orderId', requirePermission('manage_orders'), adminController.getOrderById);
 
 
 // Reviews Pending Moderation
-router.get('/reviews-pending', verifyAdmin, adminController.getReviewsPendingModeration);
-router.put('/reviews/:reviewId/approve', verifyAdmin, adminController.approveReview);
-router.put('/reviews/:reviewId/reject', verifyAdmin, adminController.rejectReview);
+router.get('/reviews-pending', requirePermission('manage_complaints'), adminController.getReviewsPendingModeration);
+router.put('/reviews/:reviewId/approve', requirePermission('manage_complaints'), adminController.approveReview);
+router.put('/reviews/:reviewId/reject', requirePermission('manage_complaints'), adminController.rejectReview);
 
 // Update order status (admin action)
-router.put('/orders/:orderId', verifyAdmin, adminController.updateOrderStatus);
+router.put('/orders/:orderId', requirePermission('manage_orders'), adminController.updateOrderStatus);
 
 // Export orders (CSV/Excel)
-router.get('/orders-export', verifyAdmin, adminController.exportOrders);
+router.get('/orders-export', requirePermission('manage_orders'), adminController.exportOrders);
 
 // --- User Management (Admin Users Tab) ---
 
 
 // List users with optional search, filter, pagination
-router.get('/users', verifyAdmin, adminController.getUsers);
+router.get('/users', requirePermission('manage_users'), adminController.getUsers);
 
 // Add user (admin action)
-router.post('/users', verifyAdmin, adminController.addUser);
+router.post('/users', requirePermission('manage_users'), adminController.addUser);
 
 // Get single user details
-router.get('/users/:userId', verifyAdmin, adminController.getUserById);
+router.get('/users/:userId', requirePermission('manage_users'), adminController.getUserById);
 
 // Update user (status, preferences, etc.)
-router.put('/users/:userId', verifyAdmin, adminController.updateUser);
+router.put('/users/:userId', requirePermission('manage_users'), adminController.updateUser);
 
 // Overview Metrics
-router.get('/overview', verifyAdmin, adminController.getOverviewMetrics);
+router.get('/overview', requirePermission('view_analytics'), adminController.getOverviewMetrics);
 
 // Recent Orders
-router.get('/recent-orders', verifyAdmin, adminController.getRecentOrders);
+router.get('/recent-orders', requirePermission('manage_orders'), adminController.getRecentOrders);
 
 // Reviews Pending Moderation
-router.get('/reviews-pending', verifyAdmin, adminController.getReviewsPendingModeration);
-router.put('/reviews/:reviewId/approve', verifyAdmin, adminController.approveReview);
-router.put('/reviews/:reviewId/reject', verifyAdmin, adminController.rejectReview);
+router.get('/reviews-pending', requirePermission('manage_complaints'), adminController.getReviewsPendingModeration);
+router.put('/reviews/:reviewId/approve', requirePermission('manage_complaints'), adminController.approveReview);
+router.put('/reviews/:reviewId/reject', requirePermission('manage_complaints'), adminController.rejectReview);
 
 // User addresses
-router.get('/users/:userId/locations', verifyAdmin, adminController.getUserAddresses);
+router.get('/users/:userId/locations', requirePermission('manage_users'), adminController.getUserAddresses);
 
 // User cancelled orders
-router.get('/users/:userId/cancelled-orders', verifyAdmin, adminController.getUserCancelledOrders);
+router.get('/users/:userId/cancelled-orders', requirePermission('manage_users'), adminController.getUserCancelledOrders);
 
 // Abandoned carts
-router.get('/carts/abandoned', verifyAdmin, adminController.getAbandonedCarts);
+router.get('/carts/abandoned', requirePermission('view_analytics'), adminController.getAbandonedCarts);
 
 // --- Wallet Management ---
 // Get specific user's wallet details
-router.get('/wallet/user/:userId', verifyAdmin, walletController.getUserWallet);
+router.get('/wallet/user/:userId', requirePermission('manage_users'), walletController.getUserWallet);
 
 // Add bonus to user wallet
-router.post('/wallet/add-bonus', verifyAdmin, walletController.addWalletBonus);
+router.post('/wallet/add-bonus', requirePermission('manage_users'), walletController.addWalletBonus);
 
 // Deduct amount from user wallet
-router.post('/wallet/deduct', verifyAdmin, walletController.deductWalletAmount);
+router.post('/wallet/deduct', requirePermission('manage_users'), walletController.deductWalletAmount);
 
 // Get platform-wide wallet statistics
-router.get('/wallet/stats', verifyAdmin, walletController.getWalletStats);
+router.get('/wallet/stats', requirePermission('view_analytics'), walletController.getWalletStats);
 
 // Search users by name or phone number
-router.get('/wallet/search', verifyAdmin, walletController.searchUsers);
+router.get('/wallet/search', requirePermission('manage_users'), walletController.searchUsers);
 
 // --- Video Management ---
 // Upload video to menu item
-router.post('/menu-items/:menuItemId/video', verifyAdmin, uploadSingleVideo, handleMulterError, adminController.uploadMenuItemVideo);
+router.post('/menu-items/:menuItemId/video', requirePermission('manage_menu'), uploadSingleVideo, handleMulterError, adminController.uploadMenuItemVideo);
 
 // Delete video from menu item
-router.delete('/menu-items/:menuItemId/video', verifyAdmin, adminController.deleteMenuItemVideo);
+router.delete('/menu-items/:menuItemId/video', requirePermission('manage_menu'), adminController.deleteMenuItemVideo);
 
 module.exports = router;
@@ -29,10 +29,10 @@ const {
 } = require('../controllers/analyticsController');
 
 // Middleware to verify admin token (reuse from admin routes)
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
 // Apply admin verification to all analytics routes
-router.use(verifyAdmin);
+router.use(requirePermission('view_analytics'));
 
 // ====================
 // ORDER ANALYTICS ROUTES
@@ -48,7 +48,7 @@ router.get('/orders/overview', getOrderOverview);
 
 /**
  * @route GET /api/admin/analytics/orders/abandoned-carts
- * @desc Get abandoned cart metrics and recovery rates
+ * @desc Get abandoned cart metrics, recovery rates and per-reminder campaign performance
  * @query {string} period - Time period (1d, 7d, 30d, 90d, 1y) default: 30d
  * @access Admin
  */
@@ -9,6 +9,9 @@ router.get('/', requireGuestOrUser, cartController.getCart);
 // Add item to cart
 router.post('/items', requireGuestOrUser, cartController.addToCart);
 
+// Add a whole meal (meal builder suggestion) to cart
+router.post('/meal', requireGuestOrUser, cartController.addMealToCart);
+
 // Update cart item
 router.put('/items/:itemId', requireGuestOrUser, cartController.updateCartItem);
 
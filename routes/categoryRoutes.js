@@ -11,11 +11,11 @@ router.get('/:id', categoryController.getCategoryById);
 router.get('/:id/items', optionalAuth, categoryController.getCategoryItems);
 
 // Admin routes
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
-router.post('/', verifyAdmin, uploadSingleImage, validateCategory, categoryController.createCategory);
-router.put('/:id', verifyAdmin, uploadSingleImage, validateCategory, categoryController.updateCategory);
-router.delete('/:id', verifyAdmin, categoryController.deleteCategory);
-router.put('/:id/toggle', verifyAdmin, categoryController.toggleCategoryStatus);
+router.post('/', requirePermission('manage_menu'), uploadSingleImage, validateCategory, categoryController.createCategory);
+router.put('/:id', requirePermission('manage_menu'), uploadSingleImage, validateCategory, categoryController.updateCategory);
+router.delete('/:id', requirePermission('manage_menu'), categoryController.deleteCategory);
+router.put('/:id/toggle', requirePermission('manage_menu'), categoryController.toggleCategoryStatus);
 
 module.exports = router;
\ No newline at end of file
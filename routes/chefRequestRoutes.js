@@ -11,11 +11,11 @@ router.get('/', verifyToken, chefRequestController.getUserRequests);
 router.get('/:id', verifyToken, chefRequestController.getRequestById);
 
 // Admin routes
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
-router.get('/admin/all', verifyAdmin, chefRequestController.getAllRequests);
-router.put('/:id/status', verifyAdmin, chefRequestController.updateRequestStatus);
-router.put('/:id/review', verifyAdmin, chefRequestController.reviewRequest);
+router.get('/admin/all', requirePermission('manage_menu'), chefRequestController.getAllRequests);
+router.put('/:id/status', requirePermission('manage_menu'), chefRequestController.updateRequestStatus);
+router.put('/:id/review', requirePermission('manage_menu'), chefRequestController.reviewRequest);
 
 module.exports = router;
 
@@ -6,22 +6,22 @@ const { validateObjectId } = require('../middlewares/validation');
 const { validateComboData, sanitizeComboInput } = require('../middlewares/comboValidation');
 
 // Admin routes (must come before dynamic routes like /:id)
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 const { uploadSingleImage } = require('../middlewares/upload');
 
 // Get all combos (including inactive) for admin panel
-router.get('/admin/all', verifyAdmin, comboController.getAllCombos);
+router.get('/admin/all', requirePermission('manage_combos'), comboController.getAllCombos);
 
 // Check price mismatches
-router.get('/admin/check-prices', verifyAdmin, comboController.checkPriceMismatches);
+router.get('/admin/check-prices', requirePermission('manage_combos'), comboController.checkPriceMismatches);
 
 // Public routes
 router.get('/', optionalAuth, comboController.getActiveCombos);
 router.get('/:id', optionalAuth, comboController.getComboById);
 
-router.post('/', verifyAdmin, uploadSingleImage, sanitizeComboInput, validateComboData, comboController.createCombo);
-router.put('/:id', verifyAdmin, uploadSingleImage, sanitizeComboInput, validateComboData, comboController.updateCombo);
-router.delete('/:id', verifyAdmin, comboController.deleteCombo);
-router.put('/:id/toggle', verifyAdmin, comboController.toggleComboStatus);
+router.post('/', requirePermission('manage_combos'), uploadSingleImage, sanitizeComboInput, validateComboData, comboController.createCombo);
+router.put('/:id', requirePermission('manage_combos'), uploadSingleImage, sanitizeComboInput, validateComboData, comboController.updateCombo);
+router.delete('/:id', requirePermission('manage_combos'), comboController.deleteCombo);
+router.put('/:id/toggle', requirePermission('manage_combos'), comboController.toggleComboStatus);
 
 module.exports = router;
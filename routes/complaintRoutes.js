@@ -4,16 +4,17 @@ const complaintController = require('../controllers/complaintController');
 const { verifyToken } = require('../middlewares/auth');
 const { validateComplaint } = require('../middlewares/validation');
 const { uploadMedia } = require('../middlewares/upload');
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
 // Admin routes (must be before /:id to avoid conflicts)
-router.get('/all', verifyAdmin, complaintController.getAllComplaints);
-router.get('/stats', verifyAdmin, complaintController.getComplaintStats);
-router.get('/admin/export', verifyAdmin, complaintController.exportComplaints);
-router.get('/admin/:id', verifyAdmin, complaintController.getComplaintById);
-router.post('/admin', verifyAdmin, validateComplaint, complaintController.submitComplaint);
-router.put('/admin/:id', verifyAdmin, complaintController.updateComplaint);
-router.delete('/admin/:id', verifyAdmin, complaintController.deleteComplaint);
+router.get('/all', requirePermission('manage_complaints'), complaintController.getAllComplaints);
+router.get('/stats', requirePermission('manage_complaints'), complaintController.getComplaintStats);
+router.get('/admin/export', requirePermission('manage_complaints'), complaintController.exportComplaints);
+router.get('/compensation/report', requirePermission('manage_complaints'), complaintController.getCompensationReport);
+router.get('/admin/:id', requirePermission('manage_complaints'), complaintController.getComplaintById);
+router.post('/admin', requirePermission('manage_complaints'), validateComplaint, complaintController.submitComplaint);
+router.put('/admin/:id', requirePermission('manage_complaints'), complaintController.updateComplaint);
+router.delete('/admin/:id', requirePermission('manage_complaints'), complaintController.deleteComplaint);
 
 // User routes
 router.post('/', verifyToken, uploadMedia(5), validateComplaint, complaintController.submitComplaint);
@@ -21,8 +22,9 @@ router.get('/', verifyToken, complaintController.getUserComplaints);
 router.get('/:id', verifyToken, complaintController.getComplaintById);
 
 // Admin routes with parameters
-router.put('/:id/status', verifyAdmin, complaintController.updateComplaintStatus);
-router.post('/:id/respond', verifyAdmin, complaintController.addComplaintResponse);
-router.put('/:id/assign', verifyAdmin, complaintController.assignComplaint);
+router.put('/:id/status', requirePermission('manage_complaints'), complaintController.updateComplaintStatus);
+router.post('/:id/respond', requirePermission('manage_complaints'), complaintController.addComplaintResponse);
+router.put('/:id/assign', requirePermission('manage_complaints'), complaintController.assignComplaint);
+router.post('/:id/compensation', requirePermission('manage_complaints'), complaintController.issueCompensation);
 
 module.exports = router;
@@ -11,16 +11,16 @@ router.get('/validate/:code', couponController.validateCoupon);
 router.get('/', requireGuestOrUser, couponController.getUserCoupons);
 
 // Admin routes
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
-router.get('/generate-code', verifyAdmin, couponController.generateCouponCode);
-router.post('/', verifyAdmin, validateCoupon, couponController.createCoupon);
-router.get('/admin/all', verifyAdmin, couponController.getAllCoupons);
-router.put('/:id', verifyAdmin, couponController.updateCoupon);
-router.delete('/:id', verifyAdmin, couponController.deleteCoupon);
-router.put('/:id/toggle', verifyAdmin, couponController.toggleCouponStatus);
+router.get('/generate-code', requirePermission('manage_coupons'), couponController.generateCouponCode);
+router.post('/', requirePermission('manage_coupons'), validateCoupon, couponController.createCoupon);
+router.get('/admin/all', requirePermission('manage_coupons'), couponController.getAllCoupons);
+router.put('/:id', requirePermission('manage_coupons'), couponController.updateCoupon);
+router.delete('/:id', requirePermission('manage_coupons'), couponController.deleteCoupon);
+router.put('/:id/toggle', requirePermission('manage_coupons'), couponController.toggleCouponStatus);
 // Referral-specific admin endpoints
-router.get('/admin/referrals', verifyAdmin, couponController.getReferralAudit);
-router.post('/admin/refunds/:id', verifyAdmin, couponController.refundReferralCoupon);
+router.get('/admin/referrals', requirePermission('manage_coupons'), couponController.getReferralAudit);
+router.post('/admin/refunds/:id', requirePermission('manage_coupons'), couponController.refundReferralCoupon);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const deliveryZoneController = require('../controllers/deliveryZoneController');
+const { requireAuth } = require('../middlewares/unifiedAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
+
+/**
+ * DELIVERY ZONE ROUTES - Serviceability checks and zone management
+ * The kitchen location is set with PUT /api/settings/business ({ coordinates })
+ */
+
+// Serviceability for a saved location or a map pin
+router.get('/check', requireAuth, deliveryZoneController.checkServiceability);
+
+// Admin zone management
+router.get('/', requirePermission('manage_settings'), deliveryZoneController.getZones);
+router.get('/:id', requirePermission('manage_settings'), deliveryZoneController.getZoneById);
+router.post('/', requirePermission('manage_settings'), deliveryZoneController.createZone);
+router.put('/:id', requirePermission('manage_settings'), deliveryZoneController.updateZone);
+router.delete('/:id', requirePermission('manage_settings'), deliveryZoneController.deleteZone);
+
+module.exports = router;
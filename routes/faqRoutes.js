@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const faqController = require('../controllers/faqController');
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 const { requireGuestOrUser } = require('../middlewares/unifiedAuth');
 
 /**
@@ -30,21 +30,21 @@ router.post('/:faqId/view', faqController.incrementFAQView);
  */
 
 // Create new FAQ
-router.post('/admin', verifyAdmin, faqController.createFAQ);
+router.post('/admin', requirePermission('manage_content'), faqController.createFAQ);
 
 // Get all FAQs (admin - includes inactive)
-router.get('/admin/list', verifyAdmin, faqController.getAllFAQsAdmin);
+router.get('/admin/list', requirePermission('manage_content'), faqController.getAllFAQsAdmin);
 
 // Get FAQ statistics
-router.get('/admin/stats', verifyAdmin, faqController.getFAQStats);
+router.get('/admin/stats', requirePermission('manage_content'), faqController.getFAQStats);
 
 // Update FAQ
-router.put('/admin/:id', verifyAdmin, faqController.updateFAQ);
+router.put('/admin/:id', requirePermission('manage_content'), faqController.updateFAQ);
 
 // Delete FAQ
-router.delete('/admin/:id', verifyAdmin, faqController.deleteFAQ);
+router.delete('/admin/:id', requirePermission('manage_content'), faqController.deleteFAQ);
 
 // Reorder FAQs
-router.post('/admin/reorder', verifyAdmin, faqController.reorderFAQs);
+router.post('/admin/reorder', requirePermission('manage_content'), faqController.reorderFAQs);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventoryController');
+const { requirePermission } = require('../middlewares/adminAuth');
+
+/**
+ * INVENTORY ROUTES - Ingredients, stock and recipes (admins with manage_menu)
+ * Low-stock alerts are pushed to the admin:dashboard channel on the realtime gateway
+ */
+router.use(requirePermission('manage_menu'));
+
+// Ingredients
+router.get('/ingredients', inventoryController.getIngredients);
+router.post('/ingredients', inventoryController.createIngredient);
+router.get('/ingredients/:id', inventoryController.getIngredientById);
+router.put('/ingredients/:id', inventoryController.updateIngredient);
+
+// Stock
+router.post('/ingredients/:id/stock', inventoryController.adjustStock);
+router.get('/ingredients/:id/movements', inventoryController.getMovements);
+
+// Recipes
+router.get('/recipes/:id', inventoryController.getRecipe);
+router.put('/recipes/:id', inventoryController.setRecipe);
+
+module.exports = router;
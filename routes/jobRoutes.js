@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { requirePermission } = require('../middlewares/adminAuth');
+
+/**
+ * JOB ROUTES - Background job queue (admins with manage_settings)
+ * Jobs that ran out of attempts have status 'dead' and can be retried from here
+ */
+router.use(requirePermission('manage_settings'));
+
+router.get('/', jobController.getJobs);
+router.get('/:id', jobController.getJobById);
+router.post('/:id/retry', jobController.retryJob);
+router.post('/:id/cancel', jobController.cancelJob);
+
+module.exports = router;
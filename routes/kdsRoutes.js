@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const kdsController = require('../controllers/kdsController');
+const { requirePermission } = require('../middlewares/adminAuth');
+
+/**
+ * KITCHEN DISPLAY ROUTES - Kitchen tablets and admins with manage_orders
+ * Live updates: subscribe to the `kitchen` channel on the realtime gateway (/ws)
+ */
+router.use(requirePermission('manage_orders'));
+
+// Ticket queue and station overview
+router.get('/tickets', kdsController.getQueue);
+router.get('/stations', kdsController.getStations);
+router.get('/tickets/:id', kdsController.getTicket);
+
+// Kitchen actions
+router.post('/tickets/:id/start', kdsController.startTicket);
+router.patch('/tickets/:id/items/:itemId', kdsController.updateItemStatus);
+router.post('/tickets/:id/bump', kdsController.bumpTicket);
+router.post('/tickets/:id/recall', kdsController.recallTicket);
+
+module.exports = router;
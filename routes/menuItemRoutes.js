@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const menuItemController = require('../controllers/menuItemController');
 const { protect, authorizeVendor } = require('../middlewares/authMiddleware');
+const { optionalAuth } = require('../middlewares/auth');
 const { uploadMenuItemPhoto } = require('../config/cloudinary'); // CORRECT PATH
 
 // Public routes - Search and filtering
@@ -12,7 +13,7 @@ router.get('/hunger-level/:level', menuItemController.getMenuItemsByHungerLevel)
 router.get('/restaurant/:sourceId', menuItemController.getMenuItemsBySource);
 router.get('/chef/:sourceId', menuItemController.getMenuItemsBySource);
 router.get('/:id', menuItemController.getMenuItemById);
-router.get('/:id/similar', menuItemController.getSimilarMenuItems);
+router.get('/:id/similar', optionalAuth, menuItemController.getSimilarMenuItems);
 
 // Protected routes for users
 router.post('/rate', protect, menuItemController.rateMenuItem);
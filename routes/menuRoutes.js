@@ -9,22 +9,23 @@ const { validateMenuItem } = require('../middlewares/validation');
 router.get('/', optionalAuth, menuController.getAllMenuItems);
 router.get('/categories', menuController.getCategories);
 router.get('/recommendations', optionalAuth, menuController.getRecommendations);
+router.post('/meal-builder', optionalAuth, menuController.buildMeal);
 router.get('/trending', menuController.getTrendingItems);
 router.get('/seasonal', menuController.getSeasonalItems);
 router.get('/search', searchLimiter, menuController.searchMenuItems);
 router.get('/:id', menuController.getMenuItemById);
 
 // Admin routes (require admin auth)
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 const { uploadSingleImage } = require('../middlewares/upload');
 
-router.post('/', verifyAdmin, uploadSingleImage, validateMenuItem, menuController.createMenuItem);
-router.put('/:id', verifyAdmin, uploadSingleImage, validateMenuItem, menuController.updateMenuItem);
-router.delete('/:id', verifyAdmin, menuController.deleteMenuItem);
+router.post('/', requirePermission('manage_menu'), uploadSingleImage, validateMenuItem, menuController.createMenuItem);
+router.put('/:id', requirePermission('manage_menu'), uploadSingleImage, validateMenuItem, menuController.updateMenuItem);
+router.delete('/:id', requirePermission('manage_menu'), menuController.deleteMenuItem);
 
 // Category management (admin only)
-router.post('/categories', verifyAdmin, menuController.createCategory);
-router.put('/categories/:id', verifyAdmin, menuController.updateCategory);
-router.delete('/categories/:id', verifyAdmin, menuController.deleteCategory);
+router.post('/categories', requirePermission('manage_menu'), menuController.createCategory);
+router.put('/categories/:id', requirePermission('manage_menu'), menuController.updateCategory);
+router.delete('/categories/:id', requirePermission('manage_menu'), menuController.deleteCategory);
 
 module.exports = router;
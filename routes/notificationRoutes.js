@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const { verifyToken } = require('../middlewares/auth');
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
 // User routes
 router.get('/', verifyToken, notificationController.getMyNotifications);
@@ -19,7 +19,7 @@ router.post('/topics/subscribe', verifyToken, notificationController.subscribeTo
 router.post('/topics/unsubscribe', verifyToken, notificationController.unsubscribeFromTopic);
 
 // Admin routes
-router.post('/send', verifyAdmin, notificationController.sendNotification);
-router.post('/topics/send', verifyAdmin, notificationController.sendTopicNotification);
+router.post('/send', requirePermission('send_notifications'), notificationController.sendNotification);
+router.post('/topics/send', requirePermission('send_notifications'), notificationController.sendTopicNotification);
 
 module.exports = router;
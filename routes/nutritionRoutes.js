@@ -6,5 +6,10 @@ const { requireAuth } = require('../middlewares/unifiedAuth');
 router.get('/summary', requireAuth, nutritionController.getSummary);
 router.get('/goals', requireAuth, nutritionController.getGoals);
 router.put('/goals', requireAuth, nutritionController.updateGoals);
+router.post('/goals/calculate', requireAuth, nutritionController.calculateGoals);
+router.get('/report', requireAuth, nutritionController.getReport);
+router.post('/entries', requireAuth, nutritionController.addEntry);
+router.delete('/entries/:entryId', requireAuth, nutritionController.removeEntry);
+router.post('/water', requireAuth, nutritionController.addWater);
 
 module.exports = router;
@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const refundController = require('../controllers/refundController');
 const { requireAuth } = require('../middlewares/unifiedAuth');
 const { validateOrder } = require('../middlewares/validation');
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
 // Admin routes (must be before /:id to avoid conflicts)
-router.get('/admin/all', verifyAdmin, orderController.getAllOrders);
-router.get('/admin/stats', verifyAdmin, orderController.getOrderStats);
+router.get('/admin/all', requirePermission('manage_orders'), orderController.getAllOrders);
+router.get('/admin/stats', requirePermission('manage_orders'), orderController.getOrderStats);
+router.get('/admin/refunds/pending', requirePermission('manage_orders'), refundController.getPendingRefunds);
 
 // Create new order
 router.post('/', requireAuth, validateOrder, orderController.createOrder);
@@ -27,7 +29,16 @@ router.get('/:id/tracking', requireAuth, orderController.getOrderTracking);
 // Reorder from previous order
 router.post('/:id/reorder', requireAuth, orderController.reorder);
 
-// Update order status (admin only)
-router.put('/:id/status', verifyAdmin, orderController.updateOrderStatus);
+// Update order status (admin/kitchen only)
+router.put('/:id/status', requirePermission('manage_orders'), orderController.updateOrderStatus);
+
+// Statuses the current admin/kitchen account may move the order to
+router.get('/:id/transitions', requirePermission('manage_orders'), orderController.getAllowedTransitions);
+
+// Refunds (admin only)
+router.get('/:id/refunds', requirePermission('manage_orders'), refundController.getOrderRefunds);
+router.post('/:id/refunds', requirePermission('manage_orders'), refundController.createRefund);
+router.post('/:id/refunds/:refundId/approve', requirePermission('manage_orders'), refundController.approveRefund);
+router.post('/:id/refunds/:refundId/reject', requirePermission('manage_orders'), refundController.rejectRefund);
 
 module.exports = router;
\ No newline at end of file
@@ -16,7 +16,7 @@ router.post('/phonepe/callback', paymentController.phonePeCallback);
 router.post('/phonepe/webhook', paymentController.phonePeWebhook);
 
 // Refund (admin only)
-const { verifyAdmin } = require('../middlewares/adminAuth');
-router.post('/:id/refund', verifyAdmin, paymentController.processRefund);
+const { requirePermission } = require('../middlewares/adminAuth');
+router.post('/:id/refund', requirePermission('manage_orders'), paymentController.processRefund);
 
 module.exports = router;
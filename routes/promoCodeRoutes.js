@@ -3,21 +3,21 @@ const router = express.Router();
 const promoCodeController = require('../controllers/promoCodeController');
 const { verifyToken } = require('../middlewares/auth');
 const { validatePromoCode } = require('../middlewares/validation');
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
 // Public routes (specific paths first)
 router.post('/validate', promoCodeController.validatePromoCode);
 
 // Admin routes (specific paths before /:id)
-router.post('/', verifyAdmin, validatePromoCode, promoCodeController.createPromoCode);
-router.get('/admin/all', verifyAdmin, promoCodeController.getAllPromoCodes);
+router.post('/', requirePermission('manage_coupons'), validatePromoCode, promoCodeController.createPromoCode);
+router.get('/admin/all', requirePermission('manage_coupons'), promoCodeController.getAllPromoCodes);
 
 // User routes
 router.get('/', verifyToken, promoCodeController.getUserPromoCodes);
 
 // Admin routes with parameters
-router.put('/:id', verifyAdmin, promoCodeController.updatePromoCode);
-router.delete('/:id', verifyAdmin, promoCodeController.deletePromoCode);
-router.put('/:id/toggle', verifyAdmin, promoCodeController.togglePromoCodeStatus);
+router.put('/:id', requirePermission('manage_coupons'), promoCodeController.updatePromoCode);
+router.delete('/:id', requirePermission('manage_coupons'), promoCodeController.deletePromoCode);
+router.put('/:id/toggle', requirePermission('manage_coupons'), promoCodeController.togglePromoCodeStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -45,10 +45,10 @@ router.get('/analytics', verifyToken, handler(restaurantController.getAnalytics)
 router.get('/earnings', verifyToken, handler(restaurantController.getEarnings));
 
 // Admin routes
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
-router.get('/admin/all', verifyAdmin, handler(restaurantController.getRestaurants));
-router.put('/:id/approve', verifyAdmin, handler(restaurantController.approveRestaurant));
-router.put('/:id/suspend', verifyAdmin, handler(restaurantController.suspendRestaurant));
+router.get('/admin/all', requirePermission('manage_settings'), handler(restaurantController.getRestaurants));
+router.put('/:id/approve', requirePermission('manage_settings'), handler(restaurantController.approveRestaurant));
+router.put('/:id/suspend', requirePermission('manage_settings'), handler(restaurantController.suspendRestaurant));
 
 module.exports = router;
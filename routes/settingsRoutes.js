@@ -3,21 +3,27 @@ const router = express.Router();
 const settingsController = require('../controllers/settingsController');
 const { optionalAuth } = require('../middlewares/auth');
 // Admin routes
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 
 // Public routes (no auth required)
 router.get('/public', settingsController.getPublicSettings);
 router.get('/business-hours', settingsController.getBusinessHours);
-router.put('/business', verifyAdmin, settingsController.updateBusinessInfo);
+router.put('/business', requirePermission('manage_settings'), settingsController.updateBusinessInfo);
 router.get('/delivery-charges', settingsController.getDeliveryCharges);
 
 // Admin routes (auth required)
-router.get('/', verifyAdmin, settingsController.getAllSettings);
-router.put('/business-hours', verifyAdmin, settingsController.updateBusinessHours);
-router.put('/delivery', verifyAdmin, settingsController.updateDeliveryConfig);
-router.put('/tiers', verifyAdmin, settingsController.updateTierConfig);
-router.put('/referral', verifyAdmin, settingsController.updateReferralConfig);
-router.put('/tax', verifyAdmin, settingsController.updateTaxConfig);
-router.put('/scheduling', verifyAdmin, settingsController.updateSchedulingConfig);
+router.get('/', requirePermission('manage_settings'), settingsController.getAllSettings);
+router.put('/business-hours', requirePermission('manage_settings'), settingsController.updateBusinessHours);
+router.put('/delivery', requirePermission('manage_settings'), settingsController.updateDeliveryConfig);
+router.put('/tiers', requirePermission('manage_settings'), settingsController.updateTierConfig);
+router.put('/referral', requirePermission('manage_settings'), settingsController.updateReferralConfig);
+router.put('/tax', requirePermission('manage_settings'), settingsController.updateTaxConfig);
+router.put('/scheduling', requirePermission('manage_settings'), settingsController.updateSchedulingConfig);
+router.put('/refunds', requirePermission('manage_settings'), settingsController.updateRefundConfig);
+router.put('/cart-recovery', requirePermission('manage_settings'), settingsController.updateCartRecoveryConfig);
+router.put('/loyalty', requirePermission('manage_settings'), settingsController.updateLoyaltyConfig);
+router.put('/reservations', requirePermission('manage_settings'), settingsController.updateReservationConfig);
+router.put('/complaint-sla', requirePermission('manage_settings'), settingsController.updateComplaintSlaConfig);
+router.put('/complaint-compensation', requirePermission('manage_settings'), settingsController.updateComplaintCompensationConfig);
 
 module.exports = router;
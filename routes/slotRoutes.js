@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const slotController = require('../controllers/slotController');
+const { requirePermission } = require('../middlewares/adminAuth');
+
+/**
+ * SLOT ROUTES - Scheduled order slots
+ * Default caps and slot length live in /api/settings/scheduling
+ */
+
+// Public: what can be booked
+router.get('/', slotController.getAvailableSlots);
+
+// Admin: per-slot capacity override
+router.put('/capacity', requirePermission('manage_orders'), slotController.setSlotCapacity);
+
+module.exports = router;
@@ -1,18 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const spinWheelController = require('../controllers/spinWheelController');
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
 const { requireGuestOrUser } = require('../middlewares/unifiedAuth');
 
 // User Endpoints
 router.get('/status', requireGuestOrUser, spinWheelController.getSpinStatus);
 router.post('/spin', requireGuestOrUser, spinWheelController.spin);
+router.get('/verify/:id', requireGuestOrUser, spinWheelController.verifySpin);
 
 // Admin Endpoints
-router.get('/admin/config', verifyAdmin, spinWheelController.getConfig);
-router.put('/admin/config', verifyAdmin, spinWheelController.updateConfig);
-router.get('/admin/history', verifyAdmin, spinWheelController.getHistory);
-router.get('/admin/analytics', verifyAdmin, spinWheelController.getAnalytics);
-router.put('/admin/revoke/:id', verifyAdmin, spinWheelController.revokeCoupon);
+router.get('/admin/config', requirePermission('manage_coupons'), spinWheelController.getConfig);
+router.put('/admin/config', requirePermission('manage_coupons'), spinWheelController.updateConfig);
+router.get('/admin/campaigns', requirePermission('manage_coupons'), spinWheelController.getCampaigns);
+router.post('/admin/campaigns', requirePermission('manage_coupons'), spinWheelController.createCampaign);
+router.put('/admin/campaigns/:id', requirePermission('manage_coupons'), spinWheelController.updateCampaign);
+router.get('/admin/history', requirePermission('manage_coupons'), spinWheelController.getHistory);
+router.get('/admin/analytics', requirePermission('manage_coupons'), spinWheelController.getAnalytics);
+router.put('/admin/revoke/:id', requirePermission('manage_coupons'), spinWheelController.revokeCoupon);
 
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { requireAuth } = require('../middlewares/unifiedAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
+
+/**
+ * SUBSCRIPTION ROUTES - Recurring meal plans
+ * Orders are generated by the subscription cron (see app.js) and paid from the wallet
+ */
+
+// Plan catalogue (public)
+router.get('/plans', subscriptionController.getPlans);
+router.get('/plans/:id', subscriptionController.getPlanById);
+
+// Admin routes (must be before /:id to avoid conflicts)
+router.post('/plans', requirePermission('manage_menu'), subscriptionController.createPlan);
+router.put('/plans/:id', requirePermission('manage_menu'), subscriptionController.updatePlan);
+router.delete('/plans/:id', requirePermission('manage_menu'), subscriptionController.deletePlan);
+router.get('/admin/all', requirePermission('manage_orders'), subscriptionController.getAllSubscriptions);
+router.put('/admin/:id/cancel', requirePermission('manage_orders'), subscriptionController.adminCancelSubscription);
+
+// User subscriptions
+router.post('/', requireAuth, subscriptionController.subscribe);
+router.get('/', requireAuth, subscriptionController.getMySubscriptions);
+router.get('/:id', requireAuth, subscriptionController.getSubscriptionById);
+router.get('/:id/upcoming', requireAuth, subscriptionController.getUpcomingDeliveries);
+router.put('/:id', requireAuth, subscriptionController.updatePreferences);
+router.put('/:id/pause', requireAuth, subscriptionController.pauseSubscription);
+router.put('/:id/resume', requireAuth, subscriptionController.resumeSubscription);
+router.post('/:id/skip', requireAuth, subscriptionController.skipDelivery);
+router.delete('/:id/skip/:date', requireAuth, subscriptionController.unskipDelivery);
+router.put('/:id/cancel', requireAuth, subscriptionController.cancelSubscription);
+
+module.exports = router;
@@ -36,20 +36,25 @@ router.get('/me/referral-code', requireAuth, userController.getReferralCode);
 router.post('/refer', requireAuth, userController.applyReferralCode);
 router.get('/me/referrals', requireAuth, userController.getReferrals);
 router.put('/me/notifications', requireAuth, userController.updateNotificationPreferences);
+router.get('/me/nano-points', requireAuth, userController.getNanoPoints);
+router.post('/me/nano-points/preview', requireAuth, userController.previewNanoPoints);
 
 // Admin routes (require admin auth)
-const { verifyAdmin } = require('../middlewares/adminAuth');
+const { requirePermission } = require('../middlewares/adminAuth');
+
+// Give bonus nano points (admin only)
+router.post('/nano-points/bonus', requirePermission('manage_users'), userController.addBonusNanoPoints);
 
 // Get all users (admin only)
-router.get('/', verifyAdmin, userController.getAllUsers);
+router.get('/', requirePermission('manage_users'), userController.getAllUsers);
 
 // Get user by ID (admin only)
-router.get('/:id', verifyAdmin, userController.getUserById);
+router.get('/:id', requirePermission('manage_users'), userController.getUserById);
 
 // Update user (admin only)
-router.put('/:id', verifyAdmin, userController.updateUser);
+router.put('/:id', requirePermission('manage_users'), userController.updateUser);
 
 // Delete user (admin only)
-router.delete('/:id', verifyAdmin, userController.deleteUser);
+router.delete('/:id', requirePermission('manage_users'), userController.deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const Admin = require('../models/adminModel');
+const AdminRole = require('../models/adminRoleModel');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Admin Access - Roles and permissions of admin accounts
+ *
+ * An admin's permissions are their role's permissions plus any granted to
+ * them directly. Built-in roles take theirs from Admin.getDefaultPermissions;
+ * custom roles are AdminRole documents that super admins manage. super_admin
+ * always has every permission.
+ */
+
+const ROLE_LABELS = {
+  super_admin: 'Super Admin',
+  manager: 'Manager',
+  support: 'Support',
+  kitchen: 'Kitchen'
+};
+
+// Admins kept in the User collection (role 'admin') predate roles; they act as managers
+const LEGACY_ROLES = {
+  admin: 'manager'
+};
+
+const uniq = (list) => [...new Set(list)];
+
+module.exports = {
+  /**
+   * Permissions of a role (built-in or custom)
+   * @param {String} role - Role name
+   * @returns {Array} Permissions; empty for an unknown role
+   */
+  async getRolePermissions(role) {
+    if (Admin.BUILT_IN_ROLES.includes(role)) {
+      return Admin.getDefaultPermissions(role);
+    }
+    const custom = await AdminRole.findOne({ name: role }).select('permissions').lean();
+    return custom ? custom.permissions : [];
+  },
+
+  /**
+   * The role an admin acts with; legacy admin users map to a built-in role
+   * @param {Object} admin - Admin (or legacy admin user)
+   * @returns {String} Role name
+   */
+  roleOf(admin) {
+    return LEGACY_ROLES[admin.role] || admin.role;
+  },
+
+  /**
+   * Everything an admin may do
+   * @param {Object} admin - Admin (or legacy admin user) with role and permissions
+   * @returns {Array} Permissions
+   */
+  async getEffectivePermissions(admin) {
+    const role = this.roleOf(admin);
+    if (role === 'super_admin') return [...Admin.PERMISSIONS];
+    const fromRole = await this.getRolePermissions(role);
+    return uniq([...fromRole, ...(admin.permissions || [])]).filter(p => Admin.PERMISSIONS.includes(p));
+  },
+
+  /**
+   * Check a list of permissions (pure)
+   */
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions) || permissions.some(p => !Admin.PERMISSIONS.includes(p))) {
+      throw new AppError(`permissions must be a list drawn from: ${Admin.PERMISSIONS.join(', ')}`, 400);
+    }
+    return uniq(permissions);
+  },
+
+  /**
+   * Every role with its permissions, built-in first
+   * @returns {Array} [{ name, label, description, builtIn, permissions, adminCount }]
+   */
+  async listRoles() {
+    const [custom, counts] = await Promise.all([
+      AdminRole.find().sort({ name: 1 }).lean(),
+      Admin.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const countOf = new Map(counts.map(c => [c._id, c.count]));
+
+    return [
+      ...Admin.BUILT_IN_ROLES.map(name => ({
+        name,
+        label: ROLE_LABELS[name],
+        description: null,
+        builtIn: true,
+        permissions: name === 'super_admin' ? [...Admin.PERMISSIONS] : Admin.getDefaultPermissions(name),
+        adminCount: countOf.get(name) || 0
+      })),
+      ...custom.map(role => ({
+        name: role.name,
+        label: role.label,
+        description: role.description || null,
+        builtIn: false,
+        permissions: role.permissions,
+        adminCount: countOf.get(role.name) || 0
+      }))
+    ];
+  },
+
+  /**
+   * Roles x permissions grid for the dashboard
+   * @param {Array} roles - From listRoles
+   * @returns {Object} { permissions, rows: [{ role, label, builtIn, grants: { permission: Boolean } }] }
+   */
+  buildMatrix(roles) {
+    return {
+      permissions: [...Admin.PERMISSIONS],
+      rows: roles.map(role => ({
+        role: role.name,
+        label: role.label,
+        builtIn: role.builtIn,
+        grants: Object.fromEntries(Admin.PERMISSIONS.map(p => [p, role.permissions.includes(p)]))
+      }))
+    };
+  },
+
+  /**
+   * Create a custom role
+   * @param {Object} data - { name, label, description, permissions }
+   * @param {String} adminId - Creating super admin
+   * @returns {Object} AdminRole
+   */
+  async createRole({ name, label, description, permissions = [] }, adminId) {
+    const roleName = String(name || '').trim().toLowerCase();
+    if (!/^[a-z][a-z0-9_]{1,39}$/.test(roleName)) {
+      throw new AppError('Role name must be 2-40 lowercase letters, digits or underscores, starting with a letter', 400);
+    }
+    if (Admin.BUILT_IN_ROLES.includes(roleName)) {
+      throw new AppError(`${roleName} is a built-in role`, 409);
+    }
+    try {
+      return await AdminRole.create({
+        name: roleName,
+        label: label || roleName,
+        description,
+        permissions: this.validatePermissions(permissions),
+        createdBy: adminId
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(`A role named ${roleName} already exists`, 409);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Change a custom role; its admins pick the change up on their next request
+   * @param {String} name - Role name
+   * @param {Object} data - { label, description, permissions }
+   * @param {String} adminId - Updating super admin
+   * @returns {Object} AdminRole
+   */
+  async updateRole(name, { label, description, permissions }, adminId) {
+    if (Admin.BUILT_IN_ROLES.includes(name)) {
+      throw new AppError('Built-in roles cannot be changed', 409);
+    }
+    const update = { updatedBy: adminId };
+    if (label !== undefined) update.label = label;
+    if (description !== undefined) update.description = description;
+    if (permissions !== undefined) update.permissions = this.validatePermissions(permissions);
+
+    const role = await AdminRole.findOneAndUpdate({ name }, { $set: update }, { new: true, runValidators: true });
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+    return role;
+  },
+
+  /**
+   * Delete a custom role nobody holds
+   * @param {String} name - Role name
+   */
+  async deleteRole(name) {
+    if (Admin.BUILT_IN_ROLES.includes(name)) {
+      throw new AppError('Built-in roles cannot be deleted', 409);
+    }
+    const holders = await Admin.countDocuments({ role: name });
+    if (holders > 0) {
+      throw new AppError(`${holders} admin(s) still have this role; move them to another role first`, 409);
+    }
+    const result = await AdminRole.deleteOne({ name });
+    if (result.deletedCount === 0) {
+      throw new AppError('Role not found', 404);
+    }
+  },
+
+  /**
+   * Check that a role can be given out
+   * @param {String} role - Role name
+   * @param {Object} grantor - { role } of the admin giving it
+   */
+  async assertAssignable(role, grantor) {
+    if (role === 'super_admin' && grantor.role !== 'super_admin') {
+      throw new AppError('Only super admins can create super admins', 403);
+    }
+    if (!Admin.BUILT_IN_ROLES.includes(role) && !(await AdminRole.exists({ name: role }))) {
+      throw new AppError(`Unknown role: ${role}`, 400);
+    }
+  },
+
+  /**
+   * Set an admin's role and extra permissions (super admins only)
+   * @param {String} adminId - Admin to change
+   * @param {Object} data - { role, permissions, isActive }
+   * @param {Object} actor - Super admin making the change
+   * @returns {Object} Admin without password
+   */
+  async setAdminAccess(adminId, { role, permissions, isActive }, actor) {
+    if (!mongoose.Types.ObjectId.isValid(adminId)) {
+      throw new AppError('Invalid admin ID', 400);
+    }
+    if (String(adminId) === String(actor._id) && (role !== undefined || isActive === false)) {
+      throw new AppError('You cannot change your own role or deactivate yourself', 400);
+    }
+
+    const update = {};
+    if (role !== undefined) {
+      await this.assertAssignable(role, actor);
+      update.role = role;
+    }
+    if (permissions !== undefined) update.permissions = this.validatePermissions(permissions);
+    if (isActive !== undefined) update.isActive = !!isActive;
+
+    const admin = await Admin.findByIdAndUpdate(adminId, { $set: update }, { new: true, runValidators: true }).select('-password');
+    if (!admin) {
+      throw new AppError('Admin not found', 404);
+    }
+    return admin;
+  }
+};
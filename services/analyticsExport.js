@@ -0,0 +1,71 @@
+const User = require('../models/userModel');
+const Order = require('../models/orderModel');
+
+/**
+ * Analytics Export - CSV of the last 12 months of signups, orders and revenue
+ * Built by the 'export.analytics' background job or inline by the admin export route
+ */
+
+module.exports = {
+  /**
+   * Build the analytics CSV
+   * @returns {Object} { filename, contentType, content }
+   */
+  async buildAnalyticsCsv() {
+    // --- 1. User/Order/Revenue Trends (monthly, last 12 months) ---
+    const now = new Date();
+    const months = [];
+    for (let i = 11; i >= 0; i--) {
+      const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
+      months.push({ year: d.getFullYear(), month: d.getMonth() });
+    }
+    const getMonthRange = (year, month) => {
+      const start = new Date(year, month, 1);
+      const end = new Date(year, month + 1, 1);
+      return { start, end };
+    };
+    const userTrends = [];
+    const orderTrends = [];
+    const revenueTrends = [];
+    for (const m of months) {
+      const { start, end } = getMonthRange(m.year, m.month);
+      userTrends.push(await User.countDocuments({ createdAt: { $gte: start, $lt: end } }));
+      orderTrends.push(await Order.countDocuments({ createdAt: { $gte: start, $lt: end } }));
+      const revenue = await Order.aggregate([
+        { $match: { createdAt: { $gte: start, $lt: end }, paymentStatus: 'paid' } },
+        { $group: { _id: null, total: { $sum: '$billing.totalAmount' } } }
+      ]);
+      revenueTrends.push(revenue[0]?.total || 0);
+    }
+
+    // --- 2. Orders by Category (bar chart) ---
+    const ordersByCategoryAgg = await Order.aggregate([
+      { $unwind: '$items' },
+      { $lookup: {
+          from: 'menuitems',
+          localField: 'items.itemId',
+          foreignField: '_id',
+          as: 'menuItem'
+        }
+      },
+      { $unwind: '$menuItem' },
+      { $group: { _id: '$menuItem.category', count: { $sum: '$items.quantity' } } },
+      { $sort: { count: -1 } }
+    ]);
+    const ordersByCategory = ordersByCategoryAgg.map(c => ({ category: c._id, count: c.count }));
+
+    // Prepare CSV
+    let csv = 'Month,User Signups,Orders,Revenue\n';
+    for (let i = 0; i < months.length; i++) {
+      const m = months[i];
+      csv += `${m.year}-${String(m.month + 1).padStart(2, '0')},${userTrends[i]},${orderTrends[i]},${revenueTrends[i]}\n`;
+    }
+
+    csv += '\nOrders by Category\nCategory,Order Count\n';
+    for (const c of ordersByCategory) {
+      csv += `${c.category},${c.count}\n`;
+    }
+
+    return { filename: 'analytics.csv', contentType: 'text/csv', content: csv };
+  }
+};
@@ -0,0 +1,377 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLogModel');
+
+/**
+ * Audit Log - Append-only record of mutating admin requests
+ *
+ * verifyAdmin calls track() for every POST/PUT/PATCH/DELETE it lets through.
+ * When the path is in TARGETS the affected document is read before the handler
+ * runs and again once the response is sent, and the entry keeps the fields
+ * that changed. Other requests are still logged, just without a diff.
+ */
+
+const MUTATING = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+const REDACTED = '[REDACTED]';
+const SECRET_KEY = /password|token|secret|otp/i;
+const IGNORED_PATHS = ['__v', 'createdAt', 'updatedAt'];
+const MAX_CHANGES = 200;
+const MAX_STRING = 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+const EXPORT_LIMIT = 10000;
+
+/**
+ * Paths whose target document can be diffed: [path, entityType, model, filter].
+ * `:param` matches one segment and a trailing `/*` anything below it. filter
+ * gets (params, req) and defaults to { _id: first param }; a path without params
+ * is a create, diffed against the _id in the response.
+ */
+const TARGETS = [
+  ['/api/settings/*', 'settings', 'Settings', () => ({ settingsId: 'app-settings' })],
+  ['/api/admin/wallet/*', 'user', 'User', (params, req) => ({ _id: req.body?.userId })],
+  ['/api/users/nano-points/bonus', 'user', 'User', (params, req) => ({ _id: req.body?.userId })],
+  ['/api/admin/auth/change-password', 'admin', 'Admin', (params, req) => ({ _id: req.adminId })],
+  ['/api/admin/admins/:id/access', 'admin', 'Admin'],
+  ['/api/admin/register', 'admin', 'Admin'],
+  ['/api/admin/roles/:name', 'admin_role', 'AdminRole', ({ name }) => ({ name })],
+  ['/api/admin/roles', 'admin_role', 'AdminRole'],
+  ['/api/admin/users/:id/*', 'user', 'User'],
+  ['/api/admin/users', 'user', 'User'],
+  ['/api/admin/orders/:id', 'order', 'Order'],
+  ['/api/admin/menu-items/:id/*', 'menu_item', 'MenuItem'],
+  ['/api/admin/menu-items', 'menu_item', 'MenuItem'],
+  ['/api/admin/complaints/:id', 'complaint', 'Complaint'],
+  ['/api/admin/complaints', 'complaint', 'Complaint'],
+  ['/api/admin/restaurants/:id/*', 'restaurant', 'Restaurant'],
+  ['/api/admin/reviews/:id/*', 'review', 'Review'],
+  ['/api/users/:id', 'user', 'User'],
+  ['/api/menu/categories/:id', 'category', 'Category'],
+  ['/api/menu/categories', 'category', 'Category'],
+  ['/api/menu/:id', 'menu_item', 'MenuItem'],
+  ['/api/menu', 'menu_item', 'MenuItem'],
+  ['/api/categories/:id/*', 'category', 'Category'],
+  ['/api/categories', 'category', 'Category'],
+  ['/api/combos/:id/*', 'combo', 'ComboOffer'],
+  ['/api/combos', 'combo', 'ComboOffer'],
+  ['/api/coupons/admin/refunds/:id', 'coupon', 'Coupon'],
+  ['/api/coupons/:id/*', 'coupon', 'Coupon'],
+  ['/api/coupons', 'coupon', 'Coupon'],
+  ['/api/promo-codes/:id/*', 'promo_code', 'PromoCode'],
+  ['/api/promo-codes', 'promo_code', 'PromoCode'],
+  ['/api/spin-wheel/admin/config', 'spin_wheel_config', 'SpinWheelConfig', () => ({})],
+  ['/api/spin-wheel/admin/campaigns/:id', 'spin_wheel_config', 'SpinWheelConfig'],
+  ['/api/spin-wheel/admin/campaigns', 'spin_wheel_config', 'SpinWheelConfig'],
+  ['/api/spin-wheel/admin/revoke/:id', 'spin_history', 'SpinHistory'],
+  ['/api/tables/reservations/:id', 'reservation', 'Reservation'],
+  ['/api/tables/:id', 'table', 'Table'],
+  ['/api/tables', 'table', 'Table'],
+  ['/api/banners/admin/:id', 'banner', 'Banner'],
+  ['/api/banners/admin', 'banner', 'Banner'],
+  ['/api/help-support/faqs/admin/:id', 'faq', 'FAQ'],
+  ['/api/help-support/faqs/admin', 'faq', 'FAQ'],
+  ['/api/delivery-zones/:id', 'delivery_zone', 'DeliveryZone'],
+  ['/api/delivery-zones', 'delivery_zone', 'DeliveryZone'],
+  ['/api/orders/:id/*', 'order', 'Order'],
+  ['/api/payments/:id/refund', 'payment', 'Payment'],
+  ['/api/subscriptions/plans/:id', 'subscription_plan', 'SubscriptionPlan'],
+  ['/api/subscriptions/plans', 'subscription_plan', 'SubscriptionPlan'],
+  ['/api/subscriptions/admin/:id/*', 'subscription', 'Subscription'],
+  ['/api/complaints/admin/:id', 'complaint', 'Complaint'],
+  ['/api/complaints/admin', 'complaint', 'Complaint'],
+  ['/api/complaints/:id/*', 'complaint', 'Complaint'],
+  ['/api/kds/tickets/:id/*', 'kitchen_ticket', 'KitchenTicket'],
+  ['/api/inventory/ingredients/:id/*', 'ingredient', 'Ingredient'],
+  ['/api/inventory/ingredients', 'ingredient', 'Ingredient'],
+  ['/api/inventory/recipes/:id', 'menu_item', 'MenuItem'],
+  ['/api/jobs/:id/*', 'job', 'Job']
+].map(([pattern, entityType, model, filter]) => {
+  const names = [];
+  const source = pattern
+    .replace(/\/\*$/, '')
+    .replace(/[.+?^${}()|[\]\\-]/g, '\\$&')
+    .replace(/:(\w+)/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+  return {
+    pattern,
+    regex: new RegExp(`^${source}${pattern.endsWith('/*') ? '(?:/.*)?' : ''}/?$`),
+    names,
+    entityType,
+    model,
+    filter: filter || (names.length ? (params) => ({ _id: params[names[0]] }) : null)
+  };
+});
+
+/**
+ * Replace secret-looking values and cut long strings (pure)
+ */
+function sanitize(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…` : value;
+  }
+  if (value instanceof Date || value instanceof mongoose.Types.ObjectId) return value;
+  if (Buffer.isBuffer(value)) return '[binary]';
+  if (typeof value !== 'object') return value;
+  if (depth > 8) return '[nested]';
+  if (Array.isArray(value)) return value.map(v => sanitize(v, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+    key,
+    SECRET_KEY.test(key) ? REDACTED : sanitize(v, depth + 1)
+  ]));
+}
+
+/**
+ * Flatten a document to dotted paths; arrays are compared whole (pure)
+ */
+function flatten(value, prefix = '', out = {}) {
+  const isPlain = value && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !Buffer.isBuffer(value);
+
+  if (!isPlain) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0 && prefix) out[prefix] = value;
+  for (const [key, v] of entries) {
+    flatten(v, prefix ? `${prefix}.${key}` : key, out);
+  }
+  return out;
+}
+
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+module.exports = {
+  MUTATING,
+
+  /**
+   * Whether a request should be audited
+   */
+  isMutating(req) {
+    return MUTATING.includes(req.method);
+  },
+
+  /**
+   * TARGETS entry for a path, with its params
+   * @param {String} path - Full path without query string
+   * @returns {Object|null} { target, params }
+   */
+  matchTarget(path) {
+    for (const target of TARGETS) {
+      const match = target.regex.exec(path);
+      if (match) {
+        const params = Object.fromEntries(target.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+        return { target, params };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Changed fields between two snapshots (pure)
+   * @param {Object|null} before - Document before the request
+   * @param {Object|null} after - Document after the request
+   * @returns {Array} [{ path, before, after }]
+   */
+  diff(before, after) {
+    const a = flatten(before || {});
+    const b = flatten(after || {});
+    const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter(path => !IGNORED_PATHS.includes(path.split('.').pop()));
+    // Secrets show up as changed without their values
+    const shown = (path, value) => (value === undefined ? null
+      : path.split('.').some(key => SECRET_KEY.test(key)) ? REDACTED : sanitize(value));
+
+    return paths
+      .filter(path => comparable(a[path]) !== comparable(b[path]))
+      .slice(0, MAX_CHANGES)
+      .map(path => ({ path, before: shown(path, a[path]), after: shown(path, b[path]) }));
+  },
+
+  /**
+   * Read the target document; null when it doesn't exist or can't be identified
+   */
+  async snapshot(modelName, filter) {
+    if (!filter || Object.values(filter).some(v => v === undefined || v === null || v === '')) return null;
+    if (filter._id !== undefined && !mongoose.Types.ObjectId.isValid(filter._id)) return null;
+    return mongoose.model(modelName).findOne(filter).lean();
+  },
+
+  /**
+   * Start auditing a request: snapshot the target now, write the entry once
+   * the response has been sent. Never throws into the request.
+   * @param {Object} req - Request already authenticated by verifyAdmin
+   * @param {Object} res - Response
+   */
+  async track(req, res) {
+    if (!this.isMutating(req) || req.auditTracked) return;
+    req.auditTracked = true;
+
+    const startedAt = Date.now();
+    const path = `${req.baseUrl || ''}${req.path}`.replace(/\/$/, '') || '/';
+    const matched = this.matchTarget(path);
+    let before = null;
+    let filter = null;
+
+    try {
+      if (matched?.target.filter) {
+        filter = matched.target.filter(matched.params, req);
+        before = await this.snapshot(matched.target.model, filter);
+      }
+    } catch (error) {
+      console.error('[AuditLog] failed to read target before change:', error.message);
+    }
+
+    // Keep the response body to find the _id of created documents
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.once('finish', () => {
+      this.record(req, res, { startedAt, path, matched, filter, before, responseBody })
+        .catch(error => console.error('[AuditLog] failed to write entry:', error.message));
+    });
+  },
+
+  /**
+   * Write the entry for a finished request
+   */
+  async record(req, res, { startedAt, path, matched, filter, before, responseBody }) {
+    const success = res.statusCode < 400;
+    let entityId = null;
+    let changes = [];
+
+    if (matched) {
+      const createdId = responseBody && (responseBody.data?._id || responseBody.admin?._id ||
+        Object.values(responseBody).find(v => v && typeof v === 'object' && v._id)?._id);
+      const afterFilter = filter || (createdId ? { _id: createdId } : null);
+      const after = success ? await this.snapshot(matched.target.model, afterFilter) : before;
+
+      const doc = after || before;
+      entityId = doc?._id ? String(doc._id) : (Object.values(matched.params)[0] || null);
+      if (success) changes = this.diff(before, after);
+    }
+
+    let body = sanitize(req.body || {});
+    if (Buffer.byteLength(JSON.stringify(body)) > MAX_BODY_BYTES) {
+      body = { truncated: true };
+    }
+
+    await AuditLog.create({
+      admin: req.adminId,
+      adminName: req.admin?.name,
+      adminEmail: req.admin?.email,
+      adminRole: req.adminRole,
+      action: ACTIONS[req.method],
+      method: req.method,
+      route: req.route?.path !== undefined ? `${req.baseUrl || ''}${req.route.path}` : matched?.target.pattern,
+      path,
+      entityType: matched?.target.entityType || null,
+      entityId,
+      changes,
+      params: sanitize(req.params || {}),
+      query: sanitize(req.query || {}),
+      body,
+      statusCode: res.statusCode,
+      success,
+      durationMs: Date.now() - startedAt,
+      ip: req.ip || req.connection?.remoteAddress || 'unknown',
+      userAgent: req.get?.('user-agent')
+    });
+  },
+
+  /**
+   * Mongo filter from list/export query parameters
+   * @param {Object} query - { adminId, entityType, entityId, action, method, status, from, to, search }
+   */
+  buildFilter({ adminId, entityType, entityId, action, method, status, from, to, search } = {}) {
+    const filter = {};
+    if (adminId && mongoose.Types.ObjectId.isValid(adminId)) filter.admin = adminId;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = String(entityId);
+    if (action) filter.action = action;
+    if (method) filter.method = String(method).toUpperCase();
+    if (status === 'success') filter.success = true;
+    if (status === 'failed') filter.success = false;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from && !isNaN(new Date(from))) filter.createdAt.$gte = new Date(from);
+      if (to && !isNaN(new Date(to))) filter.createdAt.$lte = new Date(to);
+    }
+    if (search) {
+      const pattern = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filter.$or = [
+        { path: pattern },
+        { adminName: pattern },
+        { adminEmail: pattern },
+        { entityId: pattern },
+        { 'changes.path': pattern }
+      ];
+    }
+    return filter;
+  },
+
+  /**
+   * Page of entries, newest first
+   * @returns {Object} { logs, pagination }
+   */
+  async list(query = {}) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+    const filter = this.buildFilter(query);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      logs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  },
+
+  /**
+   * CSV of matching entries (newest first, up to EXPORT_LIMIT rows)
+   * @returns {Object} { filename, contentType, content }
+   */
+  async exportCsv(query = {}) {
+    const logs = await AuditLog.find(this.buildFilter(query))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const cell = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = 'Timestamp,Admin ID,Admin,Email,Role,Action,Method,Path,Entity Type,Entity ID,Status,IP,Changes\n';
+    const rows = logs.map(log => [
+      log.createdAt ? new Date(log.createdAt).toISOString() : '',
+      log.admin,
+      log.adminName,
+      log.adminEmail,
+      log.adminRole,
+      log.action,
+      log.method,
+      log.path,
+      log.entityType,
+      log.entityId,
+      log.statusCode,
+      log.ip,
+      (log.changes || []).map(c => `${c.path}: ${JSON.stringify(c.before)} -> ${JSON.stringify(c.after)}`).join('; ')
+    ].map(cell).join(','));
+
+    return {
+      filename: `audit-log-${new Date().toISOString().slice(0, 10)}.csv`,
+      contentType: 'text/csv',
+      content: header + rows.join('\n')
+    };
+  }
+};
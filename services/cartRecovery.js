@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const Cart = require('../models/cartModel');
+const CartRecovery = require('../models/cartRecoveryModel');
+const Coupon = require('../models/couponModel');
+const Settings = require('../models/settingsModel');
+const notificationService = require('./notification');
+const { round2 } = require('./pricing');
+
+/**
+ * Cart Recovery Service - Abandoned cart detection and reminder campaigns
+ *
+ * A cart with items that nobody touched for cartRecoveryConfig.idleMinutes is
+ * marked abandoned and gets a CartRecovery campaign: a push reminder, then a
+ * WhatsApp follow-up, then a single-use coupon that is also applied to the
+ * cart. Reminders stop when the user edits the cart (Cart goes back to
+ * 'active') or orders. An order placed while the campaign is open counts as
+ * recovered and is credited to the last reminder sent.
+ *
+ * Recovery writes to Cart skip timestamps so updatedAt keeps meaning "last
+ * touched by the user".
+ */
+
+const STEPS = ['push', 'whatsapp', 'coupon'];
+const STEP_TEMPLATES = {
+  push: 'cart_reminder',
+  whatsapp: 'cart_reminder_followup',
+  coupon: 'cart_recovery_coupon'
+};
+const BATCH_SIZE = 200;
+
+const minutes = (count) => count * 60 * 1000;
+
+module.exports = {
+  /**
+   * Recovery settings
+   * @returns {Object} Settings.cartRecoveryConfig
+   */
+  async getConfig() {
+    const settings = await Settings.getSettings();
+    return settings.cartRecoveryConfig || {};
+  },
+
+  /**
+   * When a reminder is due for a campaign abandoned at a given time
+   * @param {Object} config - cartRecoveryConfig
+   * @param {String} step - push | whatsapp | coupon
+   * @param {Date} abandonedAt - Abandonment time
+   * @returns {Date}
+   */
+  getStepTime(config, step, abandonedAt) {
+    const after = { push: config.pushAfterMinutes, whatsapp: config.whatsappAfterMinutes, coupon: config.couponAfterMinutes }[step] || 0;
+    return new Date(abandonedAt.getTime() + minutes(after));
+  },
+
+  /**
+   * Mark idle carts abandoned and open a campaign for each
+   * @param {Date} now - Reference time
+   * @returns {Number} Carts marked abandoned
+   */
+  async detectAbandoned(now = new Date()) {
+    const config = await this.getConfig();
+    if (!config.enabled) return 0;
+
+    const carts = await Cart.find({
+      status: 'active',
+      'items.0': { $exists: true },
+      updatedAt: { $lte: new Date(now.getTime() - minutes(config.idleMinutes || 60)) },
+      totalAmount: { $gte: config.minCartValue || 0 }
+    })
+      .sort({ updatedAt: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    let marked = 0;
+    for (const cart of carts) {
+      // Only if the user hasn't touched it since we looked
+      const claimed = await Cart.updateOne(
+        { _id: cart._id, status: 'active', updatedAt: cart.updatedAt },
+        {
+          $set: {
+            status: 'abandoned',
+            abandonedAt: now,
+            reminderSent: false,
+            reminderSentAt: null,
+            recovered: false,
+            recoveredAt: null,
+            convertedToOrder: false,
+            convertedOrderId: null
+          }
+        },
+        { timestamps: false }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      // Closing the user's older campaign keeps attribution to the newest one
+      await CartRecovery.updateMany({ user: cart.user, status: 'active' }, { $set: { status: 'expired', nextStep: null, nextStepAt: null } });
+
+      const lastReminderAt = this.getStepTime(config, 'coupon', now);
+      await CartRecovery.create({
+        user: cart.user,
+        cart: cart._id,
+        abandonedAt: now,
+        cartValue: cart.totalAmount || 0,
+        itemCount: cart.items.reduce((sum, item) => sum + (item.quantity || 0), 0),
+        nextStep: 'push',
+        nextStepAt: this.getStepTime(config, 'push', now),
+        expiresAt: new Date(lastReminderAt.getTime() + (config.attributionDays || 3) * 24 * 60 * 60 * 1000)
+      });
+      marked += 1;
+    }
+    return marked;
+  },
+
+  /**
+   * Send reminders that are due
+   * @param {Date} now - Reference time
+   * @returns {Number} Reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const config = await this.getConfig();
+    if (!config.enabled) return 0;
+
+    const due = await CartRecovery.find({ status: 'active', nextStep: { $ne: null }, nextStepAt: { $lte: now } })
+      .sort({ nextStepAt: 1 })
+      .limit(BATCH_SIZE);
+
+    let sent = 0;
+    for (const campaign of due) {
+      const step = campaign.nextStep;
+      const following = STEPS[STEPS.indexOf(step) + 1] || null;
+
+      // Claim the step so overlapping runs can't send it twice
+      const claimed = await CartRecovery.findOneAndUpdate(
+        { _id: campaign._id, status: 'active', nextStep: step },
+        {
+          $set: {
+            nextStep: following,
+            nextStepAt: following ? this.getStepTime(config, following, campaign.abandonedAt) : null
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      const cart = await Cart.findById(campaign.cart).populate('items.menuItem', 'name');
+      if (!cart || cart.status !== 'abandoned' || cart.items.length === 0) {
+        // The user came back to the cart: no more reminders, but an order still counts
+        await CartRecovery.updateOne({ _id: campaign._id }, { $set: { nextStep: null, nextStepAt: null } });
+        continue;
+      }
+
+      try {
+        const notification = await this.sendStep(step, claimed, cart, config, now);
+        await CartRecovery.updateOne(
+          { _id: campaign._id },
+          { $push: { steps: { step, sentAt: now, notification: notification?._id } } }
+        );
+        await Cart.updateOne(
+          { _id: cart._id },
+          { $set: { reminderSent: true, reminderSentAt: now } },
+          { timestamps: false }
+        );
+        sent += 1;
+      } catch (error) {
+        console.error(`Cart recovery ${step} reminder failed for campaign ${campaign._id}:`, error.message);
+      }
+    }
+    return sent;
+  },
+
+  /**
+   * Send one reminder
+   * @param {String} step - push | whatsapp | coupon
+   * @param {Object} campaign - CartRecovery
+   * @param {Object} cart - Cart with populated item names
+   * @param {Object} config - cartRecoveryConfig
+   * @param {Date} now - Reference time
+   * @returns {Object|null} Notification
+   */
+  async sendStep(step, campaign, cart, config, now) {
+    const vars = {
+      firstItem: cart.items[0].menuItem?.name || 'your favourites',
+      itemCount: cart.items.length,
+      cartValue: round2(cart.totalAmount || 0)
+    };
+
+    if (step === 'coupon') {
+      const coupon = await this.createCoupon(campaign, config, now);
+      // Pre-apply it unless the user already picked a coupon
+      if (!cart.coupon) {
+        cart.coupon = coupon._id;
+        await cart.calculateTotal();
+        await Cart.updateOne(
+          { _id: cart._id },
+          { $set: { coupon: coupon._id, discountAmount: cart.discountAmount, finalAmount: cart.finalAmount } },
+          { timestamps: false }
+        );
+      }
+      Object.assign(vars, {
+        code: coupon.code,
+        discount: coupon.discountType === 'percentage' ? `${coupon.discountValue}%` : `₹${coupon.discountValue}`,
+        validUntil: coupon.validUntil.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+      });
+    }
+
+    return notificationService.notify(campaign.user, STEP_TEMPLATES[step], vars, {
+      data: { cartId: cart._id, campaignId: campaign._id, step }
+    });
+  },
+
+  /**
+   * Single-use coupon for a campaign, redeemable only by the cart's owner
+   * @param {Object} campaign - CartRecovery
+   * @param {Object} config - cartRecoveryConfig
+   * @param {Date} now - Reference time
+   * @returns {Object} Coupon
+   */
+  async createCoupon(campaign, config, now) {
+    const offer = config.coupon || {};
+    const coupon = await Coupon.create({
+      code: `CART${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      title: 'Complete your order',
+      discountType: offer.discountType || 'percentage',
+      discountValue: offer.discountValue || 10,
+      maxDiscount: offer.discountType === 'fixed' ? null : offer.maxDiscount || null,
+      usageLimit: 1,
+      usageLimitPerUser: 1,
+      validFrom: now,
+      validUntil: new Date(now.getTime() + (offer.validHours || 24) * 60 * 60 * 1000),
+      isActive: true,
+      assignedTo: campaign.user,
+      meta: { origin: 'cart_recovery', originType: 'abandoned_cart' }
+    });
+    await CartRecovery.updateOne({ _id: campaign._id }, { $set: { coupon: coupon._id } });
+    return coupon;
+  },
+
+  /**
+   * Close campaigns past their attribution window
+   * @param {Date} now - Reference time
+   * @returns {Number} Campaigns expired
+   */
+  async expireCampaigns(now = new Date()) {
+    const expiring = await CartRecovery.find({ status: 'active', expiresAt: { $lte: now } }).select('cart').lean();
+    if (expiring.length === 0) return 0;
+
+    await CartRecovery.updateMany(
+      { _id: { $in: expiring.map(c => c._id) }, status: 'active' },
+      { $set: { status: 'expired', nextStep: null, nextStepAt: null } }
+    );
+    // Still-abandoned carts stay out of detection until the user changes them
+    await Cart.updateMany(
+      { _id: { $in: expiring.map(c => c.cart) }, status: 'abandoned' },
+      { $set: { status: 'expired' } },
+      { timestamps: false }
+    );
+    return expiring.length;
+  },
+
+  /**
+   * Detect, remind and expire (background job)
+   * @param {Date} now - Reference time
+   * @returns {Object} Counts
+   */
+  async runScheduledJobs(now = new Date()) {
+    const abandoned = await this.detectAbandoned(now);
+    const reminders = await this.sendDueReminders(now);
+    const expired = await this.expireCampaigns(now);
+    return { abandoned, reminders, expired };
+  },
+
+  /**
+   * Credit an order to the user's open campaign (called from createOrder)
+   * @param {String} userId - User ID
+   * @param {Object} order - Created order
+   * @returns {Object|null} Recovered campaign
+   */
+  async recordConversion(userId, order) {
+    const campaign = await CartRecovery.findOne({ user: userId, status: 'active' }).sort({ abandonedAt: -1 });
+    if (!campaign) return null;
+
+    const usedCoupon = campaign.coupon && order.appliedCoupon && String(campaign.coupon) === String(order.appliedCoupon);
+    const lastStep = campaign.steps.length > 0 ? campaign.steps[campaign.steps.length - 1].step : null;
+    const now = new Date();
+
+    const recovered = await CartRecovery.findOneAndUpdate(
+      { _id: campaign._id, status: 'active' },
+      {
+        $set: {
+          status: 'recovered',
+          order: order._id,
+          orderAmount: order.billing?.totalAmount || 0,
+          recoveredAt: now,
+          attributedStep: usedCoupon ? 'coupon' : lastStep,
+          nextStep: null,
+          nextStepAt: null
+        }
+      },
+      { new: true }
+    );
+    if (!recovered) return null;
+
+    // The cart is reused for the next order, so it goes back to active
+    await Cart.updateOne(
+      { _id: campaign.cart },
+      {
+        $set: {
+          status: 'active',
+          recovered: true,
+          recoveredAt: now,
+          convertedToOrder: true,
+          convertedOrderId: order._id
+        }
+      },
+      { timestamps: false }
+    );
+    return recovered;
+  },
+
+  /**
+   * Campaign performance for admins
+   * @param {Date} startDate - Campaigns abandoned from
+   * @param {Date} endDate - Campaigns abandoned until
+   * @returns {Object} { totals, byStep }
+   */
+  async getPerformance(startDate, endDate) {
+    const match = { abandonedAt: { $gte: startDate, $lte: endDate } };
+
+    const [totals] = await CartRecovery.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          totalAbandonedCarts: { $sum: 1 },
+          totalAbandonedValue: { $sum: '$cartValue' },
+          avgCartValue: { $avg: '$cartValue' },
+          recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+          recoveredValue: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, '$orderAmount', 0] } },
+          active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+          couponsIssued: { $sum: { $cond: [{ $ifNull: ['$coupon', false] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const [sentByStep, recoveredByStep] = await Promise.all([
+      CartRecovery.aggregate([
+        { $match: match },
+        { $unwind: '$steps' },
+        { $group: { _id: '$steps.step', sent: { $sum: 1 } } }
+      ]),
+      CartRecovery.aggregate([
+        { $match: { ...match, status: 'recovered' } },
+        { $group: { _id: '$attributedStep', recovered: { $sum: 1 }, revenue: { $sum: '$orderAmount' } } }
+      ])
+    ]);
+
+    const stats = totals || {
+      totalAbandonedCarts: 0,
+      totalAbandonedValue: 0,
+      avgCartValue: 0,
+      recovered: 0,
+      recoveredValue: 0,
+      active: 0,
+      couponsIssued: 0
+    };
+    delete stats._id;
+    stats.recoveryRate = stats.totalAbandonedCarts > 0 ? round2((stats.recovered / stats.totalAbandonedCarts) * 100) : 0;
+    stats.recoveryValueRate = stats.totalAbandonedValue > 0 ? round2((stats.recoveredValue / stats.totalAbandonedValue) * 100) : 0;
+
+    const byStep = [...STEPS, null].map(step => {
+      const sent = sentByStep.find(s => s._id === step)?.sent || 0;
+      const credited = recoveredByStep.find(r => r._id === step) || { recovered: 0, revenue: 0 };
+      return {
+        step: step || 'before_reminder',
+        sent: step ? sent : null,
+        recovered: credited.recovered,
+        revenue: round2(credited.revenue),
+        conversionRate: step && sent > 0 ? round2((credited.recovered / sent) * 100) : null
+      };
+    });
+
+    return { totals: stats, byStep };
+  }
+};
@@ -0,0 +1,512 @@
+const crypto = require('crypto');
+const Complaint = require('../models/complaintModel');
+const Order = require('../models/orderModel');
+const Coupon = require('../models/couponModel');
+const Settings = require('../models/settingsModel');
+const CompensationUsage = require('../models/compensationUsageModel');
+const walletService = require('./walletService');
+const refundService = require('./refund');
+const adminAccess = require('./adminAccess');
+const notificationService = require('./notification');
+const { round2 } = require('./pricing');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Complaint Compensation - What agents give customers to settle a complaint
+ *
+ * An agent can add wallet credit, refund specific items of the related order,
+ * send those items again as a free replacement order, or issue a one-off
+ * coupon. Each action is an entry in complaint.compensations with what it cost
+ * us. Settings.complaintCompensationConfig.roleLimits caps the types and
+ * amounts per agent role, per complaint and per agent per calendar day (held
+ * in CompensationUsage). super_admin has no limits.
+ */
+
+const TYPES = ['wallet_credit', 'item_refund', 'replacement_order', 'coupon'];
+
+// Types that act on complaint.relatedOrderId
+const ORDER_TYPES = ['item_refund', 'replacement_order'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+module.exports = {
+  TYPES,
+
+  /**
+   * Limits that apply to an admin role
+   * @param {Object} config - complaintCompensationConfig
+   * @param {String} role - Admin role
+   * @returns {Object|null} { types, maxPerComplaint, maxPerDay }; null when the role can't compensate
+   */
+  getRoleLimits(config, role) {
+    if (role === 'super_admin') {
+      return { types: TYPES, maxPerComplaint: null, maxPerDay: null };
+    }
+    const limits = (config.roleLimits || []).find(l => l.role === role);
+    if (!limits) return null;
+    return {
+      types: limits.types && limits.types.length > 0 ? limits.types : TYPES,
+      maxPerComplaint: limits.maxPerComplaint,
+      maxPerDay: limits.maxPerDay ?? null
+    };
+  },
+
+  /**
+   * Check an action against the role's limits
+   * @param {Object} limits - Output of getRoleLimits
+   * @param {Object} usage - { type, cost, complaintTotal, agentToday }
+   * @throws {AppError} 403 when the action is over a limit
+   */
+  checkLimits(limits, { type, cost, complaintTotal = 0, agentToday = 0 }) {
+    if (!limits) {
+      throw new AppError('Your role cannot issue compensation', 403);
+    }
+    if (!limits.types.includes(type)) {
+      throw new AppError(`Your role cannot issue ${type.replace(/_/g, ' ')} compensation`, 403);
+    }
+    if (limits.maxPerComplaint !== null && round2(complaintTotal + cost) > limits.maxPerComplaint) {
+      const left = Math.max(0, round2(limits.maxPerComplaint - complaintTotal));
+      throw new AppError(`Compensation is limited to ₹${limits.maxPerComplaint} per complaint for your role (₹${left} left)`, 403);
+    }
+    if (limits.maxPerDay !== null && round2(agentToday + cost) > limits.maxPerDay) {
+      const left = Math.max(0, round2(limits.maxPerDay - agentToday));
+      throw new AppError(`Compensation is limited to ₹${limits.maxPerDay} per day for your role (₹${left} left today)`, 403);
+    }
+  },
+
+  /**
+   * Quantities of each item that can still be refunded or replaced
+   * @param {Object} order - Order document
+   * @param {Array} replacements - Live replacement orders for it
+   * @returns {Object} itemId -> quantity
+   */
+  getRemainingQuantities(order, replacements = []) {
+    const remaining = {};
+    for (const item of order.items || []) {
+      const key = String(item.itemId);
+      remaining[key] = (remaining[key] || 0) + item.quantity;
+    }
+    const used = [
+      ...(order.refunds || []).filter(r => refundService.holdsRefund(r)).flatMap(r => r.items || []),
+      ...replacements.flatMap(r => r.items || [])
+    ];
+    for (const item of used) {
+      const key = String(item.itemId);
+      if (remaining[key] !== undefined) remaining[key] -= item.quantity;
+    }
+    return remaining;
+  },
+
+  /**
+   * Make sure the items are on the order and haven't already been refunded or replaced
+   * @param {Object} order - Order document
+   * @param {Array} items - [{ itemId, quantity }]
+   */
+  async assertItemsAvailable(order, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new AppError('items are required: [{ itemId, quantity }]', 400);
+    }
+
+    const replacements = await Order.find({
+      'replacementFor.order': order._id,
+      status: { $nin: ['cancelled', 'rejected'] }
+    }).select('items').lean();
+    const remaining = this.getRemainingQuantities(order, replacements);
+
+    const requested = {};
+    for (const { itemId, quantity } of items) {
+      const qty = parseInt(quantity, 10) || 0;
+      if (qty <= 0) {
+        throw new AppError('Item quantity must be at least 1', 400);
+      }
+      const key = String(itemId);
+      if (remaining[key] === undefined) {
+        throw new AppError(`Item ${itemId} is not part of this order`, 400);
+      }
+      requested[key] = (requested[key] || 0) + qty;
+      if (requested[key] > remaining[key]) {
+        throw new AppError(`Only ${Math.max(0, remaining[key])} of item ${itemId} can still be refunded or replaced`, 400);
+      }
+    }
+  },
+
+  /**
+   * Give the customer something for a complaint
+   * @param {Object} complaint - Complaint document
+   * @param {Object} action - { type, amount, items: [{ itemId, quantity }], note }
+   * @param {Object} admin - Admin issuing it
+   * @returns {Object} The new compensation entry
+   */
+  async issue(complaint, action = {}, admin) {
+    const { type, note = '' } = action;
+
+    const settings = await Settings.getSettings();
+    const config = settings.complaintCompensationConfig || {};
+    if (config.enabled === false) {
+      throw new AppError('Complaint compensation is turned off', 403);
+    }
+    if (!TYPES.includes(type)) {
+      throw new AppError(`type must be one of: ${TYPES.join(', ')}`, 400);
+    }
+
+    const role = adminAccess.roleOf(admin);
+    const limits = this.getRoleLimits(config, role);
+    // Fail on the role before touching the order
+    this.checkLimits(limits, { type, cost: 0 });
+
+    let order = null;
+    let cost;
+    let items = [];
+
+    if (ORDER_TYPES.includes(type)) {
+      if (!complaint.relatedOrderId) {
+        throw new AppError('This complaint is not linked to an order', 400);
+      }
+      order = await Order.findById(complaint.relatedOrderId);
+      if (!order || String(order.user) !== String(complaint.user._id || complaint.user)) {
+        throw new AppError('Related order not found for this customer', 404);
+      }
+      await this.assertItemsAvailable(order, action.items);
+      const priced = refundService.priceItems(order, action.items);
+      items = priced.items;
+      cost = priced.amount;
+    } else {
+      cost = round2(action.amount);
+      if (!(cost > 0)) {
+        throw new AppError('amount must be greater than 0', 400);
+      }
+    }
+
+    const day = dateKey(new Date());
+    const agentToday = limits.maxPerDay === null ? 0 : await this.getIssuedOn(admin._id, day);
+    this.checkLimits(limits, { type, cost, complaintTotal: complaint.compensationTotal || 0, agentToday });
+
+    // Hold the amount on the agent's day and on the complaint first so parallel actions can't both squeeze under a cap
+    await this.reserveDaily(admin._id, day, cost, limits.maxPerDay);
+    const reserve = { _id: complaint._id };
+    if (limits.maxPerComplaint !== null) {
+      reserve.compensationTotal = { $lte: round2(limits.maxPerComplaint - cost) };
+    }
+    const reserved = await Complaint.updateOne(reserve, { $inc: { compensationTotal: cost } });
+    if (reserved.modifiedCount === 0) {
+      await this.releaseDaily(admin._id, day, cost);
+      throw new AppError('Compensation is over the limit for this complaint', 409);
+    }
+
+    const entry = {
+      type,
+      cost,
+      items,
+      note,
+      issuedBy: admin._id,
+      issuedByRole: role,
+      issuedAt: new Date()
+    };
+
+    let failure = null;
+    try {
+      Object.assign(entry, await this.execute(type, { complaint, order, items, cost, admin, config, note }));
+    } catch (error) {
+      if (!error.compensation) {
+        await Complaint.updateOne({ _id: complaint._id }, { $inc: { compensationTotal: -cost } });
+        await this.releaseDaily(admin._id, day, cost);
+        throw error;
+      }
+      // Some money went out before it failed: keep the cost on record, then report the failure
+      Object.assign(entry, error.compensation);
+      failure = error;
+    }
+
+    await Complaint.updateOne({ _id: complaint._id }, { $push: { compensations: entry } });
+    complaint.compensationTotal = round2((complaint.compensationTotal || 0) + cost);
+    if (failure) throw failure;
+
+    if (type !== 'item_refund') {
+      // The refund service tells the customer about refunds itself
+      await this.notifyUser(complaint, entry);
+    }
+
+    return entry;
+  },
+
+  /**
+   * Move the money or create the order/coupon for one action
+   * @param {String} type - Compensation type
+   * @param {Object} context - { complaint, order, items, cost, admin, config, note }
+   * @returns {Object} Reference fields for the compensation entry
+   */
+  async execute(type, { complaint, order, items, cost, admin, config, note }) {
+    const userId = complaint.user._id || complaint.user;
+    const reason = `Complaint ${complaint.complaintId}${note ? `: ${note}` : ''}`;
+
+    switch (type) {
+      case 'wallet_credit': {
+        const result = await walletService.creditWallet(userId, cost, 'refund', `Compensation for complaint ${complaint.complaintId}`, {
+          reason,
+          referenceNumber: complaint.complaintId,
+          adminId: admin._id
+        });
+        return { walletTransactionId: result.transaction.transactionId };
+      }
+
+      case 'item_refund': {
+        const refund = await refundService.requestRefund(order, {
+          items: items.map(i => ({ itemId: i.itemId, quantity: i.quantity })),
+          reason,
+          actor: 'admin',
+          actorId: admin._id
+        });
+        if (!refund) {
+          throw new AppError('Nothing left to refund on this order', 400);
+        }
+        if (refund.status === 'failed') {
+          if (!refundService.holdsRefund(refund)) {
+            throw new AppError(`Refund failed: ${refund.failureReason || 'unknown error'}`, 502);
+          }
+          // The wallet leg was paid; the rest is finished by approving the refund on the order
+          const error = new AppError(`Refund ${refund.refundId} failed after part of it was paid (${refund.failureReason || 'unknown error'}); approve it on the order to retry the rest`, 502);
+          error.compensation = { refundId: refund.refundId };
+          throw error;
+        }
+        return { refundId: refund.refundId };
+      }
+
+      case 'replacement_order': {
+        const replacement = await this.createReplacementOrder(complaint, order, items, admin);
+        return { replacementOrder: replacement._id };
+      }
+
+      case 'coupon': {
+        const now = new Date();
+        const coupon = await Coupon.create({
+          code: `SORRY${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+          title: 'Sorry for the trouble',
+          discountType: 'fixed',
+          discountValue: cost,
+          usageLimit: 1,
+          usageLimitPerUser: 1,
+          validFrom: now,
+          validUntil: new Date(now.getTime() + (config.couponValidityDays || 30) * DAY_MS),
+          isActive: true,
+          assignedTo: userId,
+          createdBy: admin._id,
+          createdByType: 'Admin',
+          meta: { origin: 'complaint', originType: complaint.category }
+        });
+        return { coupon: coupon._id, couponCode: coupon.code };
+      }
+
+      default:
+        throw new AppError(`Unknown compensation type ${type}`, 400);
+    }
+  },
+
+  /**
+   * Send the items again at no charge
+   * @param {Object} complaint - Complaint document
+   * @param {Object} order - Original order
+   * @param {Array} items - Priced items [{ itemId, name, quantity }]
+   * @param {Object} admin - Admin issuing it
+   * @returns {Object} New Order
+   */
+  async createReplacementOrder(complaint, order, items, admin) {
+    const originalLines = order.billing?.lineItems || [];
+
+    const orderItems = items.map(({ itemId, quantity }) => {
+      const original = order.items.find(i => String(i.itemId) === String(itemId));
+      return {
+        itemId: original.itemId,
+        quantity,
+        price: original.price,
+        customizations: original.customizations
+      };
+    });
+    const lineItems = items.map(({ itemId, name, quantity }) => {
+      const line = originalLines.find(l => String(l.itemId) === String(itemId));
+      const unitPrice = line ? line.unitPrice : order.items.find(i => String(i.itemId) === String(itemId)).price;
+      return {
+        itemId,
+        name: line?.name || name,
+        quantity,
+        unitPrice,
+        basePrice: line?.basePrice ?? unitPrice,
+        addOnsPrice: line?.addOnsPrice ?? 0,
+        lineTotal: round2(unitPrice * quantity)
+      };
+    });
+    const subtotal = round2(lineItems.reduce((sum, l) => sum + l.lineTotal, 0));
+
+    return Order.create({
+      user: order.user,
+      orderType: order.orderType,
+      items: orderItems,
+      billing: {
+        lineItems,
+        subtotal,
+        discounts: { totalDiscount: subtotal },
+        taxableAmount: 0,
+        totalAmount: 0,
+        remainingAmount: 0,
+        pricedAt: new Date()
+      },
+      paymentStatus: 'paid',
+      deliveryAddress: order.orderType === 'delivery' ? order.deliveryAddress : undefined,
+      cookingInstructions: order.cookingInstructions,
+      deliveryInstructions: order.deliveryInstructions,
+      replacementFor: { order: order._id, complaint: complaint._id },
+      trackingHistory: [{
+        status: 'placed',
+        timestamp: new Date(),
+        actor: 'admin',
+        actorId: admin._id,
+        notes: `Replacement for complaint ${complaint.complaintId}`
+      }]
+    });
+  },
+
+  /**
+   * Total an agent has issued on one day
+   * @param {String} adminId - Admin ID
+   * @param {String} day - 'YYYY-MM-DD'
+   * @returns {Number} Amount
+   */
+  async getIssuedOn(adminId, day) {
+    const usage = await CompensationUsage.findOne({ admin: adminId, day }).select('total').lean();
+    return round2(usage?.total || 0);
+  },
+
+  /**
+   * Count an amount against the agent's day, atomically within the daily cap
+   * @param {String} adminId - Admin ID
+   * @param {String} day - 'YYYY-MM-DD'
+   * @param {Number} cost - Amount to hold
+   * @param {Number|null} maxPerDay - Daily cap; null = no cap
+   * @throws {AppError} 409 when another action took what was left
+   */
+  async reserveDaily(adminId, day, cost, maxPerDay) {
+    try {
+      await CompensationUsage.updateOne(
+        { admin: adminId, day },
+        { $setOnInsert: { admin: adminId, day, total: 0 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error; // created concurrently
+    }
+
+    const filter = { admin: adminId, day };
+    if (maxPerDay !== null) filter.total = { $lte: round2(maxPerDay - cost) };
+    const result = await CompensationUsage.updateOne(filter, { $inc: { total: cost } });
+    if (result.modifiedCount === 0) {
+      throw new AppError('Compensation is over your daily limit', 409);
+    }
+  },
+
+  /**
+   * Give back an amount held by reserveDaily
+   * @param {String} adminId - Admin ID
+   * @param {String} day - 'YYYY-MM-DD'
+   * @param {Number} cost - Amount held
+   */
+  async releaseDaily(adminId, day, cost) {
+    await CompensationUsage.updateOne({ admin: adminId, day }, { $inc: { total: -cost } });
+  },
+
+  /**
+   * Compensation cost by complaint category and type
+   * @param {Object} query - { from, to, category, type }
+   * @returns {Object} { total, count, complaints, byCategory, byType, byAgent }
+   */
+  async getReport({ from, to, category, type } = {}) {
+    const issuedAt = {};
+    if (from) issuedAt.$gte = new Date(from);
+    if (to) issuedAt.$lte = new Date(to);
+
+    const entryMatch = {};
+    if (Object.keys(issuedAt).length > 0) entryMatch['compensations.issuedAt'] = issuedAt;
+    if (type) entryMatch['compensations.type'] = type;
+
+    const [result] = await Complaint.aggregate([
+      { $match: { 'compensations.0': { $exists: true }, ...(category ? { category } : {}) } },
+      { $unwind: '$compensations' },
+      { $match: entryMatch },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: null, total: { $sum: '$compensations.cost' }, count: { $sum: 1 }, complaints: { $addToSet: '$_id' } } },
+            { $project: { _id: 0, total: 1, count: 1, complaints: { $size: '$complaints' } } }
+          ],
+          byCategory: [
+            { $group: { _id: { category: '$category', type: '$compensations.type' }, total: { $sum: '$compensations.cost' }, count: { $sum: 1 } } },
+            {
+              $group: {
+                _id: '$_id.category',
+                total: { $sum: '$total' },
+                count: { $sum: '$count' },
+                byType: { $push: { type: '$_id.type', total: '$total', count: '$count' } }
+              }
+            },
+            { $sort: { total: -1 } }
+          ],
+          byType: [
+            { $group: { _id: '$compensations.type', total: { $sum: '$compensations.cost' }, count: { $sum: 1 } } },
+            { $sort: { total: -1 } }
+          ],
+          byAgent: [
+            { $group: { _id: '$compensations.issuedBy', role: { $last: '$compensations.issuedByRole' }, total: { $sum: '$compensations.cost' }, count: { $sum: 1 } } },
+            { $sort: { total: -1 } },
+            { $limit: 20 },
+            { $lookup: { from: 'admins', localField: '_id', foreignField: '_id', as: 'admin' } },
+            { $project: { _id: 0, adminId: '$_id', name: { $arrayElemAt: ['$admin.name', 0] }, role: 1, total: 1, count: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result?.totals[0] || { total: 0, count: 0, complaints: 0 };
+    return {
+      total: round2(totals.total),
+      count: totals.count,
+      complaints: totals.complaints,
+      averagePerComplaint: totals.complaints > 0 ? round2(totals.total / totals.complaints) : 0,
+      byCategory: (result?.byCategory || []).map(c => ({
+        category: c._id,
+        total: round2(c.total),
+        count: c.count,
+        byType: Object.fromEntries(c.byType.map(t => [t.type, { total: round2(t.total), count: t.count }]))
+      })),
+      byType: Object.fromEntries((result?.byType || []).map(t => [t._id, { total: round2(t.total), count: t.count }])),
+      byAgent: (result?.byAgent || []).map(a => ({ ...a, total: round2(a.total) }))
+    };
+  },
+
+  /**
+   * Tell the customer what they've been given; failures are only logged
+   * @param {Object} complaint - Complaint document
+   * @param {Object} entry - Compensation entry
+   */
+  async notifyUser(complaint, entry) {
+    try {
+      const vars = { complaintId: complaint.complaintId, kind: entry.type, amount: entry.cost };
+      if (entry.type === 'replacement_order') {
+        vars.orderId = String(entry.replacementOrder);
+      }
+      if (entry.type === 'coupon') {
+        const coupon = await Coupon.findById(entry.coupon).select('validUntil').lean();
+        vars.code = entry.couponCode;
+        vars.validUntil = coupon.validUntil.toLocaleString('en-IN', { dateStyle: 'medium' });
+      }
+
+      await notificationService.notify(complaint.user._id || complaint.user, 'complaint_compensation', vars, {
+        data: {
+          complaintId: complaint._id,
+          ...(entry.replacementOrder ? { orderId: entry.replacementOrder } : {})
+        }
+      });
+    } catch (error) {
+      console.error('Compensation notification error:', error.message);
+    }
+  }
+};
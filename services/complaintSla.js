@@ -0,0 +1,421 @@
+const Complaint = require('../models/complaintModel');
+const Admin = require('../models/adminModel');
+const Settings = require('../models/settingsModel');
+const { publish } = require('../config/websocket');
+const { sendEmail } = require('./email');
+
+/**
+ * Complaint SLA - Reply and resolution deadlines, auto-assignment and escalation
+ *
+ * Each complaint gets a first-response and a resolution deadline from
+ * Settings.complaintSlaConfig (category policy, else the priority's targets).
+ * New complaints are auto-assigned to an active admin with one of the
+ * assignee roles, in turn or to whoever has the fewest open complaints. The
+ * scheduled job marks missed deadlines and tells the escalation roles.
+ */
+
+const OPEN_STATUSES = ['Open', 'In-progress'];
+const DONE_STATUSES = ['Resolved', 'Closed'];
+const MINUTE_MS = 60 * 1000;
+
+// Used when Settings has no targets for a priority
+const DEFAULT_TARGETS = {
+  Urgent: { firstResponseMinutes: 30, resolutionMinutes: 240 },
+  High: { firstResponseMinutes: 60, resolutionMinutes: 480 },
+  Medium: { firstResponseMinutes: 240, resolutionMinutes: 1440 },
+  Low: { firstResponseMinutes: 480, resolutionMinutes: 4320 }
+};
+
+const BREACHES = {
+  firstResponse: {
+    label: 'first response',
+    breachedAt: 'sla.firstResponseBreachedAt',
+    dueAt: 'sla.firstResponseDueAt',
+    filter: { 'sla.firstRespondedAt': null }
+  },
+  resolution: {
+    label: 'resolution',
+    breachedAt: 'sla.resolutionBreachedAt',
+    dueAt: 'sla.resolutionDueAt',
+    filter: {}
+  }
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  DEFAULT_TARGETS,
+
+  /**
+   * Targets for a complaint (pure)
+   * @param {Object} config - Settings.complaintSlaConfig
+   * @param {String} category - Complaint category
+   * @param {String} priority - Complaint priority
+   * @returns {Object} { firstResponseMinutes, resolutionMinutes }
+   */
+  resolvePolicy(config, category, priority) {
+    const policies = config?.policies || [];
+    const policy = policies.find(p => p.category === category && p.priority === priority) ||
+      policies.find(p => p.category === category && !p.priority);
+    if (policy) {
+      return { firstResponseMinutes: policy.firstResponseMinutes, resolutionMinutes: policy.resolutionMinutes };
+    }
+
+    const targets = config?.priorityTargets?.[priority] || DEFAULT_TARGETS[priority] || DEFAULT_TARGETS.Medium;
+    return { firstResponseMinutes: targets.firstResponseMinutes, resolutionMinutes: targets.resolutionMinutes };
+  },
+
+  /**
+   * Set a complaint's targets and deadlines, counted from when it was filed (does not save)
+   * @param {Object} complaint - Complaint document
+   * @param {Object} config - Settings.complaintSlaConfig
+   */
+  applyPolicy(complaint, config) {
+    const policy = this.resolvePolicy(config, complaint.category, complaint.priority);
+    const openedAt = complaint.createdAt || new Date();
+
+    complaint.sla = complaint.sla || {};
+    complaint.sla.firstResponseMinutes = policy.firstResponseMinutes;
+    complaint.sla.resolutionMinutes = policy.resolutionMinutes;
+    complaint.sla.firstResponseDueAt = new Date(openedAt.getTime() + policy.firstResponseMinutes * MINUTE_MS);
+    complaint.sla.resolutionDueAt = new Date(openedAt.getTime() + policy.resolutionMinutes * MINUTE_MS);
+  },
+
+  /**
+   * Choose who gets the next complaint (pure)
+   * @param {String} strategy - round_robin | load_based
+   * @param {Array} candidates - Admins, in a stable order
+   * @param {Object} state - { loads: Map(adminId -> open complaints), lastAssignedId }
+   * @returns {Object|null} Chosen admin
+   */
+  pickAssignee(strategy, candidates, { loads = new Map(), lastAssignedId = null } = {}) {
+    if (candidates.length === 0) return null;
+
+    // Round robin: the admin after whoever got the last auto-assigned complaint
+    const lastIndex = candidates.findIndex(a => String(a._id) === String(lastAssignedId));
+    const rotation = [...candidates.slice(lastIndex + 1), ...candidates.slice(0, lastIndex + 1)];
+    if (strategy === 'round_robin') return rotation[0];
+
+    // Load based: fewest open complaints, ties broken by the rotation
+    return rotation.reduce((best, admin) =>
+      (loads.get(String(admin._id)) || 0) < (loads.get(String(best._id)) || 0) ? admin : best
+    );
+  },
+
+  /**
+   * Assign a complaint to the next support admin (does not save)
+   * @param {Object} complaint - Complaint document
+   * @param {Object} config - Settings.complaintSlaConfig
+   * @returns {Object|null} Assigned admin
+   */
+  async autoAssign(complaint, config) {
+    if (!config || config.assignment === 'off') return null;
+
+    const candidates = await Admin.find({ role: { $in: config.assigneeRoles || [] }, isActive: true })
+      .select('name email')
+      .sort({ _id: 1 })
+      .lean();
+    if (candidates.length === 0) return null;
+
+    const [last, loads] = await Promise.all([
+      Complaint.findOne({ assignmentMethod: 'auto', assignedTo: { $ne: null } })
+        .sort({ assignedAt: -1 })
+        .select('assignedTo')
+        .lean(),
+      Complaint.aggregate([
+        { $match: { status: { $in: OPEN_STATUSES }, assignedTo: { $in: candidates.map(a => a._id) } } },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const admin = this.pickAssignee(config.assignment, candidates, {
+      loads: new Map(loads.map(l => [String(l._id), l.count])),
+      lastAssignedId: last?.assignedTo
+    });
+
+    complaint.assignedTo = admin._id;
+    complaint.assignedAt = new Date();
+    complaint.assignmentMethod = 'auto';
+    return admin;
+  },
+
+  /**
+   * Deadlines and assignment for a complaint about to be saved for the first time.
+   * Never throws: a complaint is accepted even if this fails.
+   * @param {Object} complaint - New complaint document
+   * @returns {Object|null} Admin it was auto-assigned to
+   */
+  async prepareNew(complaint) {
+    try {
+      const settings = await Settings.getSettings();
+      const config = settings.complaintSlaConfig;
+      if (!config?.enabled) return null;
+
+      this.applyPolicy(complaint, config);
+      return complaint.assignedTo ? null : await this.autoAssign(complaint, config);
+    } catch (error) {
+      console.error('[ComplaintSLA] failed to prepare complaint:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Let the dashboard know who a complaint went to
+   */
+  announceAssignment(complaint, admin) {
+    publish('admin:dashboard', 'complaints.assigned', {
+      _id: complaint._id,
+      complaintId: complaint.complaintId,
+      priority: complaint.priority,
+      assignedTo: { _id: admin._id, name: admin.name },
+      method: complaint.assignmentMethod
+    });
+  },
+
+  /**
+   * Recalculate deadlines after the category or priority changed, and save
+   * @param {Object} complaint - Complaint document
+   */
+  async refreshDeadlines(complaint) {
+    const settings = await Settings.getSettings();
+    if (!settings.complaintSlaConfig?.enabled) return complaint;
+    this.applyPolicy(complaint, settings.complaintSlaConfig);
+    return complaint.save();
+  },
+
+  /**
+   * Mark the first reply when it was made outside the responses list (legacy respond endpoint)
+   * @param {String} complaintId - Complaint _id
+   * @param {Date} at - Reply time
+   */
+  async markResponded(complaintId, at = new Date()) {
+    await Complaint.updateOne(
+      { _id: complaintId, 'sla.firstRespondedAt': null },
+      { $set: { 'sla.firstRespondedAt': at } }
+    );
+  },
+
+  /**
+   * Open complaints still without an assignee, e.g. filed while nobody was on shift
+   * @returns {Number} How many were assigned
+   */
+  async assignUnassigned(config, limit = 50) {
+    if (!config?.enabled || config.assignment === 'off') return 0;
+
+    const complaints = await Complaint.find({ status: { $in: OPEN_STATUSES }, assignedTo: null })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    let assigned = 0;
+    for (const complaint of complaints) {
+      const admin = await this.autoAssign(complaint, config);
+      if (!admin) break; // nobody to assign to
+      const result = await Complaint.updateOne(
+        { _id: complaint._id, assignedTo: null },
+        { $set: { assignedTo: complaint.assignedTo, assignedAt: complaint.assignedAt, assignmentMethod: 'auto' } }
+      );
+      if (result.modifiedCount > 0) {
+        this.announceAssignment(complaint, admin);
+        assigned++;
+      }
+    }
+    return assigned;
+  },
+
+  /**
+   * Mark open complaints past a deadline and escalate each once per deadline
+   * @param {Date} now - Current time
+   * @returns {Object} { firstResponse, resolution } complaints escalated
+   */
+  async checkBreaches(config, now = new Date()) {
+    const result = { firstResponse: 0, resolution: 0 };
+
+    for (const [kind, breach] of Object.entries(BREACHES)) {
+      const overdue = await Complaint.find({
+        status: { $in: OPEN_STATUSES },
+        [breach.dueAt]: { $ne: null, $lte: now },
+        [breach.breachedAt]: null,
+        ...breach.filter
+      })
+        .select('complaintId subject category priority assignedTo sla')
+        .limit(200)
+        .lean();
+
+      for (const complaint of overdue) {
+        // Claim the breach so overlapping runs escalate it only once
+        const claimed = await Complaint.findOneAndUpdate(
+          { _id: complaint._id, [breach.breachedAt]: null },
+          { $set: { [breach.breachedAt]: now } },
+          { new: true }
+        );
+        if (!claimed) continue;
+
+        await this.escalate(claimed, kind, config, now);
+        result[kind]++;
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Tell the escalation roles about a missed deadline
+   * @param {Object} complaint - Complaint document
+   * @param {String} kind - firstResponse | resolution
+   */
+  async escalate(complaint, kind, config, now = new Date()) {
+    const managers = await Admin.find({ role: { $in: config?.escalationRoles || [] }, isActive: true })
+      .select('name email')
+      .lean();
+
+    await Complaint.updateOne(
+      { _id: complaint._id },
+      {
+        $set: { 'sla.escalatedAt': now },
+        $inc: { 'sla.escalationLevel': 1 },
+        $addToSet: { 'sla.escalatedTo': { $each: managers.map(m => m._id) } }
+      }
+    );
+
+    const label = BREACHES[kind].label;
+    publish('admin:dashboard', 'complaints.sla_breached', {
+      _id: complaint._id,
+      complaintId: complaint.complaintId,
+      breach: kind,
+      priority: complaint.priority,
+      assignedTo: complaint.assignedTo,
+      dueAt: kind === 'firstResponse' ? complaint.sla.firstResponseDueAt : complaint.sla.resolutionDueAt
+    });
+
+    for (const manager of managers.filter(m => m.email)) {
+      sendEmail(
+        manager.email,
+        `Complaint ${complaint.complaintId} missed its ${label} target`,
+        `<p>Complaint <strong>${complaint.complaintId}</strong> (${complaint.priority}, ${complaint.category}) ` +
+        `missed its ${label} target.</p><p>Subject: ${complaint.subject}</p>`
+      ).catch(error => console.error('[ComplaintSLA] escalation email failed:', error.message));
+    }
+  },
+
+  /**
+   * Expected reply and resolution times to show the customer (pure)
+   * @param {Object} complaint - Complaint
+   * @param {Date} now - Current time
+   * @returns {Object|null} { status: on_track|delayed|resolved, firstResponseBy, respondedAt, resolutionBy, resolvedAt }
+   */
+  getEta(complaint, now = new Date()) {
+    const sla = complaint.sla;
+    if (!sla?.resolutionDueAt) return null;
+
+    const resolvedAt = complaint.resolvedAt || complaint.closedAt || null;
+    const awaitingReply = !sla.firstRespondedAt;
+    let status = 'on_track';
+    if (DONE_STATUSES.includes(complaint.status)) {
+      status = 'resolved';
+    } else if (now > sla.resolutionDueAt || (awaitingReply && now > sla.firstResponseDueAt)) {
+      status = 'delayed';
+    }
+
+    return {
+      status,
+      firstResponseBy: awaitingReply ? sla.firstResponseDueAt : null,
+      respondedAt: sla.firstRespondedAt || null,
+      resolutionBy: status === 'resolved' ? null : sla.resolutionDueAt,
+      resolvedAt: status === 'resolved' ? resolvedAt : null
+    };
+  },
+
+  /**
+   * SLA compliance for complaints matching a filter
+   * @param {Object} match - Complaint filter, e.g. a createdAt range
+   * @returns {Object} { firstResponse, resolution, escalated, overdueOpen, byPriority, openByAssignee }
+   */
+  async getMetrics(match = {}, now = new Date()) {
+    const value = (path) => ({ $ifNull: [path, null] });
+    const resolvedAt = { $ifNull: ['$resolvedAt', { $ifNull: ['$closedAt', null] }] };
+    const met = (at, due) => ({ $cond: [{ $and: [{ $ne: [at, null] }, { $lte: [at, due] }] }, 1, 0] });
+    const breached = (breachedAt, at, due) => ({
+      $cond: [{ $or: [{ $ne: [value(breachedAt), null] }, { $gt: [at, due] }] }, 1, 0]
+    });
+
+    const [rows, overdueOpen, openByAssignee] = await Promise.all([
+      Complaint.aggregate([
+        { $match: { ...match, 'sla.resolutionDueAt': { $ne: null } } },
+        {
+          $group: {
+            _id: '$priority',
+            total: { $sum: 1 },
+            responseMet: { $sum: met(value('$sla.firstRespondedAt'), '$sla.firstResponseDueAt') },
+            responseBreached: { $sum: breached('$sla.firstResponseBreachedAt', value('$sla.firstRespondedAt'), '$sla.firstResponseDueAt') },
+            resolutionMet: { $sum: met(resolvedAt, '$sla.resolutionDueAt') },
+            resolutionBreached: { $sum: breached('$sla.resolutionBreachedAt', resolvedAt, '$sla.resolutionDueAt') },
+            escalated: { $sum: { $cond: [{ $gt: ['$sla.escalationLevel', 0] }, 1, 0] } },
+            responded: { $sum: { $cond: [{ $ne: [value('$sla.firstRespondedAt'), null] }, 1, 0] } },
+            firstResponseMs: {
+              $sum: {
+                $cond: [
+                  { $ne: [value('$sla.firstRespondedAt'), null] },
+                  { $subtract: ['$sla.firstRespondedAt', '$createdAt'] },
+                  0
+                ]
+              }
+            }
+          }
+        }
+      ]),
+      Complaint.countDocuments({
+        ...match,
+        status: { $in: OPEN_STATUSES },
+        $or: [
+          { 'sla.firstRespondedAt': null, 'sla.firstResponseDueAt': { $ne: null, $lt: now } },
+          { 'sla.resolutionDueAt': { $ne: null, $lt: now } }
+        ]
+      }),
+      Complaint.aggregate([
+        { $match: { status: { $in: OPEN_STATUSES }, assignedTo: { $ne: null } } },
+        { $group: { _id: '$assignedTo', open: { $sum: 1 } } },
+        { $lookup: { from: 'admins', localField: '_id', foreignField: '_id', as: 'admin' } },
+        { $project: { _id: 0, adminId: '$_id', name: { $first: '$admin.name' }, open: 1 } },
+        { $sort: { open: -1 } }
+      ])
+    ]);
+
+    const percent = (hit, miss) => (hit + miss > 0 ? Math.round((hit / (hit + miss)) * 1000) / 10 : null);
+    const summarize = (list) => {
+      const sum = (key) => list.reduce((total, row) => total + row[key], 0);
+      return {
+        total: sum('total'),
+        firstResponse: {
+          met: sum('responseMet'),
+          breached: sum('responseBreached'),
+          compliancePercent: percent(sum('responseMet'), sum('responseBreached')),
+          avgMinutes: sum('responded') > 0 ? Math.round(sum('firstResponseMs') / sum('responded') / MINUTE_MS) : null
+        },
+        resolution: {
+          met: sum('resolutionMet'),
+          breached: sum('resolutionBreached'),
+          compliancePercent: percent(sum('resolutionMet'), sum('resolutionBreached'))
+        },
+        escalated: sum('escalated')
+      };
+    };
+
+    return {
+      ...summarize(rows),
+      overdueOpen,
+      byPriority: Object.fromEntries(rows.map(row => [row._id, summarize([row])])),
+      openByAssignee
+    };
+  },
+
+  /**
+   * Scheduled job: assign waiting complaints, then escalate missed deadlines
+   */
+  async runScheduledJobs() {
+    const settings = await Settings.getSettings();
+    const config = settings.complaintSlaConfig;
+    if (!config?.enabled) return { assigned: 0, firstResponse: 0, resolution: 0 };
+
+    const assigned = await this.assignUnassigned(config);
+    const breaches = await this.checkBreaches(config);
+    return { assigned, ...breaches };
+  }
+};
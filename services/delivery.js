@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const DeliveryZone = require('../models/deliveryZoneModel');
+const { Location } = require('../models/locationModel');
+const Settings = require('../models/settingsModel');
+const { round2 } = require('./pricing');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Delivery Service - Zones, distances and serviceability
+ *
+ * An address is deliverable when it lies inside an active zone (if any zones
+ * are defined) and within the maximum distance of the kitchen
+ * (Settings.business.coordinates). Distances are straight-line (haversine).
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+module.exports = {
+  /**
+   * Great-circle distance between two points
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @returns {Number} Kilometres, 2 decimals
+   */
+  haversineKm(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return round2(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)));
+  },
+
+  /**
+   * Coordinates of a Location document or an address object
+   * @param {Object} address - Location, { coordinates: { coordinates: [lng, lat] } } or { latitude, longitude }
+   * @returns {Object|null} { latitude, longitude }
+   */
+  toPoint(address) {
+    if (!address || typeof address !== 'object') return null;
+    const geo = address.coordinates?.coordinates || (Array.isArray(address.coordinates) ? address.coordinates : null);
+    const [longitude, latitude] = geo || [address.longitude, address.latitude];
+    if (!Number.isFinite(Number(latitude)) || !Number.isFinite(Number(longitude))) return null;
+    return { latitude: Number(latitude), longitude: Number(longitude) };
+  },
+
+  /**
+   * Resolve a checkout delivery address to its coordinates
+   * Accepts a saved Location ID, { locationId } or an address object with coordinates
+   * @param {String|Object} deliveryAddress - As sent by the app
+   * @param {String} userId - Owner of saved locations
+   * @returns {Object} { point, location }
+   */
+  async resolveAddress(deliveryAddress, userId) {
+    const locationId = typeof deliveryAddress === 'string' ? deliveryAddress : deliveryAddress?.locationId || deliveryAddress?._id;
+    if (locationId && mongoose.Types.ObjectId.isValid(locationId)) {
+      const location = await Location.findOne({ _id: locationId, user: userId }).lean();
+      if (location) return { point: this.toPoint(location), location };
+    }
+    return { point: this.toPoint(deliveryAddress), location: null };
+  },
+
+  /**
+   * Highest-priority active zone containing a point
+   * @param {Object} point - { latitude, longitude }
+   * @returns {Object|null} DeliveryZone
+   */
+  async findZone(point) {
+    return DeliveryZone.findOne({
+      isActive: true,
+      area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] } } }
+    })
+      .sort({ priority: -1 })
+      .lean();
+  },
+
+  /**
+   * Whether an address can be delivered to, and on what terms
+   * @param {Object} point - { latitude, longitude } or null
+   * @param {Object} [options] - { subtotal } to also check the minimum order
+   * @returns {Object} { serviceable, reason, message, zone, distanceKm, minOrderAmount, deliveryFee, etaMinutes }
+   */
+  async checkServiceability(point, { subtotal } = {}) {
+    const settings = await Settings.getSettings();
+    const charges = settings.deliveryCharges || {};
+    const kitchen = settings.business?.coordinates;
+    const hasKitchen = Number.isFinite(kitchen?.latitude) && Number.isFinite(kitchen?.longitude);
+    const hasZones = !!(await DeliveryZone.exists({ isActive: true }));
+
+    if (!point) {
+      // Nothing to check against until a zone or the kitchen location is set up
+      if (!hasZones && !hasKitchen) {
+        return { serviceable: true, zone: null, distanceKm: 0, minOrderAmount: charges.minOrderAmount || 0, etaMinutes: null };
+      }
+      return {
+        serviceable: false,
+        reason: 'no_coordinates',
+        message: 'This address has no map location. Please pin it on the map and try again.'
+      };
+    }
+
+    const distanceKm = hasKitchen ? this.haversineKm(kitchen, point) : 0;
+    const zone = hasZones ? await this.findZone(point) : null;
+    if (hasZones && !zone) {
+      return {
+        serviceable: false,
+        reason: 'outside_zones',
+        distanceKm,
+        message: "Sorry, we don't deliver to this area yet. You can still place a take away order."
+      };
+    }
+
+    const maxDistanceKm = zone?.maxDistanceKm ?? charges.maxDeliveryDistance;
+    if (hasKitchen && maxDistanceKm && distanceKm > maxDistanceKm) {
+      return {
+        serviceable: false,
+        reason: 'too_far',
+        distanceKm,
+        maxDistanceKm,
+        message: `This address is ${distanceKm} km away; we deliver up to ${maxDistanceKm} km. You can still place a take away order.`
+      };
+    }
+
+    const baseFee = zone?.baseFee ?? charges.baseFee ?? 0;
+    const perKm = zone?.perKm ?? charges.perKm ?? 0;
+    const minOrderAmount = zone?.minOrderAmount ?? charges.minOrderAmount ?? 0;
+    const result = {
+      serviceable: true,
+      zone: zone
+        ? { id: zone._id, name: zone.name, baseFee: zone.baseFee, perKm: zone.perKm, freeDeliveryThreshold: zone.freeDeliveryThreshold }
+        : null,
+      distanceKm,
+      minOrderAmount,
+      deliveryFee: round2(baseFee + perKm * distanceKm),
+      freeDeliveryThreshold: zone?.freeDeliveryThreshold ?? charges.freeDeliveryThreshold ?? 0,
+      etaMinutes: zone ? zone.etaMinutes : null
+    };
+
+    const shortfall = subtotal !== undefined ? this.getMinimumOrderMessage(result, subtotal) : null;
+    if (shortfall) {
+      return { ...result, serviceable: false, reason: 'below_minimum', message: shortfall };
+    }
+    return result;
+  },
+
+  /**
+   * Message for an order below the address's minimum, or null if it qualifies
+   * @param {Object} serviceability - Result of checkServiceability
+   * @param {Number} subtotal - Items subtotal
+   * @returns {String|null}
+   */
+  getMinimumOrderMessage(serviceability, subtotal) {
+    const minOrderAmount = serviceability.minOrderAmount || 0;
+    if (minOrderAmount <= 0 || subtotal >= minOrderAmount) return null;
+    return `Add items worth ₹${round2(minOrderAmount - subtotal)} more to get delivery here (minimum order ₹${minOrderAmount}).`;
+  },
+
+  /**
+   * Checkout guard: throw a helpful 400 when an address can't be delivered to
+   * @param {Object} point - { latitude, longitude } or null
+   * @param {Object} [options] - { subtotal }
+   * @returns {Object} Serviceability result (zone, distanceKm...)
+   */
+  async assertDeliverable(point, options) {
+    const result = await this.checkServiceability(point, options);
+    if (!result.serviceable) {
+      throw new AppError(result.message, 400);
+    }
+    return result;
+  },
+
+  /**
+   * Validate a GeoJSON zone area before saving
+   * @param {Object} area - { type, coordinates }
+   */
+  validateArea(area) {
+    if (!area || !['Polygon', 'MultiPolygon'].includes(area.type) || !Array.isArray(area.coordinates)) {
+      throw new AppError('area must be a GeoJSON Polygon or MultiPolygon', 400);
+    }
+    const polygons = area.type === 'Polygon' ? [area.coordinates] : area.coordinates;
+    for (const polygon of polygons) {
+      for (const ring of polygon || []) {
+        if (!Array.isArray(ring) || ring.length < 4) {
+          throw new AppError('Each ring needs at least 4 positions', 400);
+        }
+        const [first, last] = [ring[0], ring[ring.length - 1]];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+          throw new AppError('Each ring must end where it starts', 400);
+        }
+        if (ring.some(([lng, lat]) => !(lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90))) {
+          throw new AppError('Positions must be [longitude, latitude]', 400);
+        }
+      }
+    }
+  }
+};
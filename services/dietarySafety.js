@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const MenuItem = require('../models/menuItemModel');
+
+/**
+ * Dietary Safety - Conflicts between a user's restrictions and what they order
+ *
+ * Restrictions come from User.preferences: allergens, dietaryPreferences
+ * (vegetarian, vegan, eggetarian) and eatingHabits (jain, halal, kosher,
+ * gluten-free, dairy-free). Items and add-ons are checked against them and
+ * every conflict becomes a structured warning. Checkout refuses an order with
+ * warnings until the app sends back the acknowledgement token for exactly
+ * those warnings; the acknowledgement is stored on the order and shown on the
+ * kitchen ticket.
+ */
+
+// Allergen names that break each diet (matched against MenuItem.allergens)
+const DIET_ALLERGENS = {
+  vegan: ['dairy', 'milk', 'lactose', 'egg', 'eggs', 'honey', 'ghee', 'butter', 'cheese', 'paneer', 'curd', 'yogurt'],
+  'gluten-free': ['gluten', 'wheat', 'barley', 'rye', 'semolina', 'maida'],
+  'dairy-free': ['dairy', 'milk', 'lactose', 'ghee', 'butter', 'cheese', 'paneer', 'curd', 'yogurt', 'cream']
+};
+
+// Jain food has no root vegetables
+const JAIN_EXCLUDED = ['onion', 'garlic', 'potato', 'carrot', 'beetroot', 'radish', 'ginger', 'sweet potato', 'yam'];
+
+// Diets that rule out non-veg items and add-ons
+const VEG_DIETS = ['vegetarian', 'vegan', 'eggetarian', 'jain'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const mentions = (texts, words) => {
+  const found = [];
+  for (const word of words) {
+    const pattern = new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+    if (texts.some(text => pattern.test(text))) found.push(word);
+  }
+  return found;
+};
+
+module.exports = {
+  /**
+   * A user's declared restrictions
+   * @param {Object} user - User (lean or document)
+   * @returns {Object} { allergens, diets } lower-cased
+   */
+  getRestrictions(user) {
+    const preferences = user?.preferences || {};
+    return {
+      allergens: [...new Set((preferences.allergens || []).map(normalize).filter(Boolean))],
+      diets: [...new Set([...(preferences.dietaryPreferences || []), ...(preferences.eatingHabits || [])].map(normalize))]
+        .filter(diet => diet && diet !== 'non-vegetarian')
+    };
+  },
+
+  /**
+   * Whether the user declared anything to check
+   */
+  hasRestrictions(restrictions) {
+    return restrictions.allergens.length > 0 || restrictions.diets.length > 0;
+  },
+
+  /**
+   * Conflicts for one item and its add-ons (pure)
+   * @param {Object} item - Menu item { _id, name, isVeg, allergens, keyIngredients, tags }
+   * @param {Object} customizations - Line customizations ({ addOns })
+   * @param {Object} restrictions - From getRestrictions
+   * @returns {Array} [{ itemId, itemName, addOn, type, restriction, severity, message }]
+   */
+  checkItem(item, customizations, restrictions) {
+    const conflicts = [];
+    const add = (type, restriction, severity, message, addOn = null) => conflicts.push({
+      itemId: item._id,
+      itemName: item.name,
+      addOn,
+      type,
+      restriction,
+      severity,
+      message
+    });
+
+    const itemAllergens = (item.allergens || []).map(normalize);
+    const ingredients = [...(item.keyIngredients || []), ...(item.tags || [])].map(normalize);
+    const addOns = (customizations?.addOns || []).map(a => (typeof a === 'string' ? { name: a } : a));
+    const offered = item.customizationOptions?.addOns || [];
+    const addOnInfo = (addOn) => offered.find(o => normalize(o.name) === normalize(addOn.name)) || addOn;
+
+    for (const allergen of restrictions.allergens) {
+      if (itemAllergens.includes(allergen) || mentions(ingredients, [allergen]).length > 0) {
+        add('allergen', allergen, 'high', `${item.name} contains ${allergen}`);
+      }
+      for (const addOn of addOns) {
+        if (mentions([addOn.name], [allergen]).length > 0) {
+          add('allergen', allergen, 'high', `The ${addOn.name} add-on on ${item.name} may contain ${allergen}`, addOn.name);
+        }
+      }
+    }
+
+    // One vegetarian warning, however many veg diets the user follows
+    const vegDiet = restrictions.diets.find(diet => VEG_DIETS.includes(diet));
+    if (vegDiet) {
+      if (item.isVeg === false) {
+        add('diet', vegDiet, 'high', `${item.name} is not vegetarian`);
+      }
+      for (const addOn of addOns) {
+        if (addOnInfo(addOn).isVeg === false) {
+          add('diet', vegDiet, 'high', `The ${addOn.name} add-on on ${item.name} is not vegetarian`, addOn.name);
+        }
+      }
+    }
+
+    for (const diet of restrictions.diets) {
+      if (DIET_ALLERGENS[diet]) {
+        const found = [...new Set([
+          ...itemAllergens.filter(a => DIET_ALLERGENS[diet].includes(a)),
+          ...mentions(ingredients, DIET_ALLERGENS[diet])
+        ])];
+        if (found.length > 0) {
+          add('diet', diet, 'high', `${item.name} is not ${diet}: contains ${found.join(', ')}`);
+        }
+      }
+
+      if (diet === 'jain') {
+        const found = mentions(ingredients, JAIN_EXCLUDED);
+        if (found.length > 0) {
+          add('diet', diet, 'high', `${item.name} is not Jain: contains ${found.join(', ')}`);
+        }
+      }
+
+      // We can't confirm preparation standards unless the item is tagged for them
+      if ((diet === 'halal' || diet === 'kosher') && item.isVeg === false && !ingredients.includes(diet)) {
+        add('diet', diet, 'medium', `${item.name} is not marked ${diet}`);
+      }
+    }
+
+    return conflicts;
+  },
+
+  /**
+   * Conflicts for a set of cart / order lines
+   * @param {Object} user - User with preferences
+   * @param {Array} lines - [{ menuItem | itemId | menuItemId, customizations }]
+   * @returns {Object} { warnings, acknowledgementToken }
+   */
+  async checkLines(user, lines) {
+    const restrictions = this.getRestrictions(user);
+    if (!this.hasRestrictions(restrictions) || !lines || lines.length === 0) {
+      return { warnings: [], acknowledgementToken: null };
+    }
+
+    const lineId = (line) => String(line.menuItem?._id || line.menuItem || line.itemId || line.menuItemId);
+    const items = await MenuItem.find({ _id: { $in: lines.map(lineId) } })
+      .select('name isVeg allergens keyIngredients tags customizationOptions.addOns')
+      .lean();
+    const byId = new Map(items.map(item => [String(item._id), item]));
+
+    const warnings = [];
+    const seen = new Set();
+    for (const line of lines) {
+      const item = byId.get(lineId(line));
+      if (!item) continue;
+      for (const conflict of this.checkItem(item, line.customizations, restrictions)) {
+        const key = this.conflictKey(conflict);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        warnings.push(conflict);
+      }
+    }
+
+    return { warnings, acknowledgementToken: this.getToken(warnings) };
+  },
+
+  /**
+   * Stable identity of a conflict
+   */
+  conflictKey(conflict) {
+    return [conflict.itemId, conflict.addOn || '', conflict.type, conflict.restriction].join('|');
+  },
+
+  /**
+   * Token the app sends back to acknowledge exactly these warnings
+   * @param {Array} warnings - Conflicts
+   * @returns {String|null}
+   */
+  getToken(warnings) {
+    if (warnings.length === 0) return null;
+    const keys = warnings.map(w => this.conflictKey(w)).sort().join('\n');
+    return crypto.createHash('sha256').update(keys).digest('hex').slice(0, 32);
+  },
+
+  /**
+   * One line for the kitchen summarising acknowledged conflicts
+   * @param {Array} conflicts - Acknowledged conflicts
+   * @returns {String}
+   */
+  kitchenNote(conflicts) {
+    const allergens = [...new Set(conflicts.filter(c => c.type === 'allergen').map(c => c.restriction))];
+    const diets = [...new Set(conflicts.filter(c => c.type === 'diet').map(c => c.restriction))];
+    const parts = [];
+    if (allergens.length > 0) parts.push(`allergic to ${allergens.join(', ')}`);
+    if (diets.length > 0) parts.push(`follows ${diets.join(', ')}`);
+    return `Customer ${parts.join('; ')}. They were warned and chose to order anyway.`;
+  }
+};
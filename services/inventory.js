@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const Ingredient = require('../models/ingredientModel');
+const StockMovement = require('../models/stockMovementModel');
+const MenuItem = require('../models/menuItemModel');
+const Order = require('../models/orderModel');
+const Admin = require('../models/adminModel');
+const orderStateMachine = require('./orderStateMachine');
+const emailService = require('./email');
+const { publish } = require('../config/websocket');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Inventory Service - Ingredient stock, recipes and automatic availability
+ *
+ * Accepting an order uses up its recipe ingredients; cancelling it before the
+ * kitchen starts cooking puts them back. After every stock change, menu items
+ * that can no longer be made are taken off the menu (stockedOut) and put back
+ * once there is enough for a portion again. Items an admin switched off by
+ * hand are left alone.
+ */
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+// Statuses where the ingredients are still unused
+const RESTORABLE_FROM = ['accepted'];
+
+module.exports = {
+  /**
+   * Ingredient quantities an order needs
+   * @param {Object} order - Order document
+   * @returns {Map} ingredientId -> quantity
+   */
+  async getOrderRequirements(order) {
+    const portions = new Map();
+    for (const item of order.items || []) {
+      const id = String(item.itemId);
+      portions.set(id, (portions.get(id) || 0) + (item.quantity || 0));
+    }
+
+    const menuItems = await MenuItem.find({ _id: { $in: [...portions.keys()] }, 'recipe.0': { $exists: true } })
+      .select('recipe')
+      .lean();
+
+    const required = new Map();
+    for (const menuItem of menuItems) {
+      const count = portions.get(String(menuItem._id));
+      for (const line of menuItem.recipe) {
+        const id = String(line.ingredient);
+        required.set(id, round3((required.get(id) || 0) + line.quantity * count));
+      }
+    }
+    return required;
+  },
+
+  /**
+   * Apply stock changes, log them, then alert and update availability
+   * @param {Map} changes - ingredientId -> signed quantity
+   * @param {Object} context - { reason, order, admin, note }
+   * @returns {Array} Updated ingredients
+   */
+  async applyChanges(changes, { reason, order, admin, note = '' }) {
+    const updated = [];
+    for (const [ingredientId, change] of changes) {
+      if (!change) continue;
+      const ingredient = await Ingredient.findByIdAndUpdate(ingredientId, { $inc: { stock: change } }, { new: true });
+      if (!ingredient) continue;
+
+      if (ingredient.stock < 0) {
+        console.warn(`Inventory: ${ingredient.name} is below zero (${ingredient.stock} ${ingredient.unit})`);
+      }
+      await StockMovement.create({
+        ingredient: ingredient._id,
+        change,
+        balanceAfter: ingredient.stock,
+        reason,
+        order,
+        admin,
+        note
+      });
+      updated.push(ingredient);
+    }
+
+    if (updated.length > 0) {
+      await this.checkLowStock(updated);
+      await this.refreshAvailability(updated.map(i => i._id));
+    }
+    return updated;
+  },
+
+  /**
+   * Take an accepted order's ingredients out of stock (once per order)
+   * @param {Object} order - Order document
+   * @returns {Boolean} Whether stock was deducted
+   */
+  async deductForOrder(order) {
+    const claimed = await Order.updateOne(
+      { _id: order._id, 'inventory.deductedAt': null },
+      { $set: { 'inventory.deductedAt': new Date() } }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    const required = await this.getOrderRequirements(order);
+    const changes = new Map([...required].map(([id, qty]) => [id, -qty]));
+    await this.applyChanges(changes, { reason: 'order_accepted', order: order._id });
+    return true;
+  },
+
+  /**
+   * Put a cancelled order's ingredients back (once, and only if deducted)
+   * @param {Object} order - Order document
+   * @returns {Boolean} Whether stock was restored
+   */
+  async restoreForOrder(order) {
+    const claimed = await Order.updateOne(
+      { _id: order._id, 'inventory.deductedAt': { $ne: null }, 'inventory.restoredAt': null },
+      { $set: { 'inventory.restoredAt': new Date() } }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    // Give back exactly what was taken, even if recipes changed since
+    const taken = await StockMovement.find({ order: order._id, reason: 'order_accepted' }).lean();
+    const changes = new Map();
+    for (const movement of taken) {
+      const id = String(movement.ingredient);
+      changes.set(id, round3((changes.get(id) || 0) - movement.change));
+    }
+    await this.applyChanges(changes, { reason: 'order_cancelled', order: order._id });
+    return true;
+  },
+
+  /**
+   * Alert admins about ingredients that just fell to their threshold
+   * @param {Array} ingredients - Ingredient documents after a change
+   */
+  async checkLowStock(ingredients) {
+    const alerts = [];
+    for (const ingredient of ingredients) {
+      if (ingredient.stock <= ingredient.lowStockThreshold) {
+        // Only the first change below the threshold alerts
+        const claimed = await Ingredient.updateOne(
+          { _id: ingredient._id, lowStockAlertedAt: null },
+          { $set: { lowStockAlertedAt: new Date() } }
+        );
+        if (claimed.modifiedCount > 0) alerts.push(ingredient);
+      } else if (ingredient.lowStockAlertedAt) {
+        await Ingredient.updateOne({ _id: ingredient._id }, { $set: { lowStockAlertedAt: null } });
+      }
+    }
+    if (alerts.length === 0) return;
+
+    const items = alerts.map(i => ({
+      ingredientId: i._id,
+      name: i.name,
+      stock: i.stock,
+      unit: i.unit,
+      lowStockThreshold: i.lowStockThreshold
+    }));
+    publish('admin:dashboard', 'inventory.low_stock', { ingredients: items });
+
+    try {
+      const admins = await Admin.find({
+        isActive: true,
+        $or: [{ role: 'super_admin' }, { permissions: 'manage_menu' }]
+      }).select('email').lean();
+      const rows = items.map(i => `<li><strong>${i.name}</strong>: ${i.stock} ${i.unit} left (alert at ${i.lowStockThreshold} ${i.unit})</li>`).join('');
+      for (const admin of admins) {
+        await emailService.sendEmail(admin.email, 'Low stock alert', `<h2>Low stock</h2><ul>${rows}</ul>`);
+      }
+    } catch (error) {
+      console.error('Low stock email error:', error.message);
+    }
+  },
+
+  /**
+   * Take items that can't be made off the menu and bring back the ones that can
+   * @param {Array} ingredientIds - Ingredients whose stock changed
+   * @param {Array} [menuItemIds] - Or check these items directly
+   * @returns {Object} { stockedOut: [names], restocked: [names] }
+   */
+  async refreshAvailability(ingredientIds = [], menuItemIds = []) {
+    const filter = menuItemIds.length > 0
+      ? { _id: { $in: menuItemIds } }
+      : { 'recipe.ingredient': { $in: ingredientIds } };
+    const menuItems = await MenuItem.find(filter).select('name recipe isAvailable status stockedOut');
+
+    const allIngredients = [...new Set(menuItems.flatMap(m => m.recipe.map(r => String(r.ingredient))))];
+    const stock = new Map(
+      (await Ingredient.find({ _id: { $in: allIngredients } }).select('stock isActive').lean())
+        .map(i => [String(i._id), i])
+    );
+
+    const result = { stockedOut: [], restocked: [] };
+    for (const menuItem of menuItems) {
+      const canMake = menuItem.recipe.every(line => {
+        const ingredient = stock.get(String(line.ingredient));
+        return ingredient && ingredient.isActive && ingredient.stock >= line.quantity;
+      });
+
+      if (!canMake && menuItem.isAvailable) {
+        menuItem.isAvailable = false;
+        menuItem.status = 'Out of Stock';
+        menuItem.stockedOut = true;
+        await menuItem.save();
+        result.stockedOut.push(menuItem.name);
+      } else if (canMake && menuItem.stockedOut) {
+        menuItem.isAvailable = true;
+        menuItem.status = 'Available';
+        menuItem.stockedOut = false;
+        await menuItem.save();
+        result.restocked.push(menuItem.name);
+      }
+    }
+
+    if (result.stockedOut.length > 0 || result.restocked.length > 0) {
+      publish('admin:dashboard', 'inventory.availability', result);
+    }
+    return result;
+  },
+
+  /**
+   * Admin: add stock, remove stock or count it
+   * @param {String} ingredientId - Ingredient ID
+   * @param {Object} params - { quantity (signed) | setTo, reason: restock | adjustment | wastage, note, adminId }
+   * @returns {Object} Ingredient
+   */
+  async adjustStock(ingredientId, { quantity, setTo, reason = 'adjustment', note, adminId }) {
+    if (!['restock', 'adjustment', 'wastage'].includes(reason)) {
+      throw new AppError('Reason must be restock, adjustment or wastage', 400);
+    }
+    const ingredient = await Ingredient.findById(ingredientId);
+    if (!ingredient) {
+      throw new AppError('Ingredient not found', 404);
+    }
+
+    let change;
+    if (setTo !== undefined) {
+      if (typeof setTo !== 'number' || setTo < 0) {
+        throw new AppError('setTo must be a number of 0 or more', 400);
+      }
+      change = round3(setTo - ingredient.stock);
+    } else {
+      if (typeof quantity !== 'number' || quantity === 0) {
+        throw new AppError('quantity must be a non-zero number', 400);
+      }
+      change = reason === 'restock' ? Math.abs(quantity) : reason === 'wastage' ? -Math.abs(quantity) : quantity;
+    }
+    if (change === 0) return ingredient;
+
+    const [updated] = await this.applyChanges(new Map([[String(ingredient._id), change]]), {
+      reason,
+      admin: adminId,
+      note
+    });
+    return updated;
+  },
+
+  /**
+   * Admin: replace a menu item's recipe
+   * @param {String} menuItemId - MenuItem ID
+   * @param {Array} recipe - [{ ingredient, quantity }]
+   * @returns {Object} MenuItem with populated recipe
+   */
+  async setRecipe(menuItemId, recipe) {
+    if (!Array.isArray(recipe)) {
+      throw new AppError('recipe must be an array', 400);
+    }
+    for (const line of recipe) {
+      if (!mongoose.Types.ObjectId.isValid(line.ingredient) || typeof line.quantity !== 'number' || line.quantity <= 0) {
+        throw new AppError('Each recipe line needs an ingredient ID and a positive quantity', 400);
+      }
+    }
+    const ids = [...new Set(recipe.map(l => String(l.ingredient)))];
+    if (ids.length !== recipe.length) {
+      throw new AppError('Each ingredient can appear only once in a recipe', 400);
+    }
+    const found = await Ingredient.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      throw new AppError('Unknown ingredient in recipe', 400);
+    }
+
+    const menuItem = await MenuItem.findByIdAndUpdate(
+      menuItemId,
+      { recipe: recipe.map(l => ({ ingredient: l.ingredient, quantity: l.quantity })) },
+      { new: true }
+    );
+    if (!menuItem) {
+      throw new AppError('Menu item not found', 404);
+    }
+
+    await this.refreshAvailability([], [menuItem._id]);
+    return MenuItem.findById(menuItem._id)
+      .select('name recipe isAvailable status stockedOut')
+      .populate('recipe.ingredient', 'name unit stock');
+  }
+};
+
+// Accepting an order uses its ingredients; cancelling it before cooking returns them
+orderStateMachine.onTransition(async (order, event) => {
+  if (event.to === 'accepted') {
+    await module.exports.deductForOrder(order);
+  } else if (['cancelled', 'rejected'].includes(event.to) && RESTORABLE_FROM.includes(event.from)) {
+    await module.exports.restoreForOrder(order);
+  }
+});
@@ -0,0 +1,398 @@
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const Job = require('../models/jobModel');
+const Lock = require('../models/lockModel');
+const redisClient = require('../config/redisClient');
+const { publish } = require('../config/websocket');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Job Queue - Durable background jobs and cron scheduling
+ *
+ * Jobs are stored in MongoDB so they survive restarts and can be inspected.
+ * Every app instance runs a worker that claims due jobs atomically, so each
+ * job runs once even with several instances. A failed job is retried with
+ * exponential backoff; after maxAttempts it is moved to 'dead' for an admin
+ * to inspect and retry.
+ *
+ * Cron schedules only fire on the leader instance. Leadership is a lease in
+ * Redis when it is connected, otherwise a document in the locks collection.
+ * Each tick is also queued under a unique key, so a tick can never run twice.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const POLL_INTERVAL_MS = 5000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // a 'running' job older than this was interrupted
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const MAX_JOBS_PER_DRAIN = 50;
+const LEADER_KEY = 'jobs:scheduler-leader';
+const LEADER_TTL_MS = 30 * 1000;
+const ERROR_HISTORY_LIMIT = 20;
+
+// The lease is only extended or released by the instance holding it; checking
+// the holder and acting on the key happen in one step so a lease that expired
+// and was taken by another instance in between is left alone
+const EXTEND_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+const RELEASE_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const handlers = new Map();
+const schedules = [];
+let pollTimer = null;
+let leaderTimer = null;
+let draining = false;
+let isLeader = false;
+
+// The mock client in config/redisClient.js has no connection state
+const redisAvailable = () => !!redisClient.isOpen;
+
+module.exports = {
+  WORKER_ID,
+
+  /**
+   * Register the handler for a job name
+   * @param {String} name - Job name, e.g. 'notifications.bulk'
+   * @param {Function} handler - async (payload, job) => result (stored on the job)
+   * @param {Object} [options] - { maxAttempts: 5, backoffMs: 30000 }
+   */
+  define(name, handler, options = {}) {
+    handlers.set(name, {
+      handler,
+      maxAttempts: options.maxAttempts || 5,
+      backoffMs: options.backoffMs || 30 * 1000
+    });
+  },
+
+  /**
+   * Run a job on a cron schedule (leader instance only)
+   * @param {String} name - Schedule name, used in tick keys
+   * @param {String} cronExpression - node-cron expression
+   * @param {String} jobName - Job to queue on each tick
+   * @param {Object} [payload] - Job payload
+   */
+  schedule(name, cronExpression, jobName, payload = {}) {
+    if (!cron.validate(cronExpression)) {
+      throw new Error(`Invalid cron expression for ${name}: ${cronExpression}`);
+    }
+    schedules.push({ name, cronExpression, jobName, payload, task: null });
+  },
+
+  /**
+   * Queue a job
+   * @param {String} name - Defined job name
+   * @param {Object} payload - Job input
+   * @param {Object} [options] - { runAt, delayMs, maxAttempts, uniqueKey, createdBy }
+   * @returns {Object} Job (the existing one if uniqueKey was already queued)
+   */
+  async enqueue(name, payload = {}, options = {}) {
+    const definition = handlers.get(name);
+    if (!definition) {
+      throw new AppError(`Unknown job: ${name}`, 400);
+    }
+    const runAt = options.runAt ? new Date(options.runAt) : new Date(Date.now() + (options.delayMs || 0));
+
+    try {
+      return await Job.create({
+        name,
+        payload,
+        runAt,
+        maxAttempts: options.maxAttempts || definition.maxAttempts,
+        uniqueKey: options.uniqueKey,
+        createdBy: options.createdBy || null
+      });
+    } catch (error) {
+      if (error.code === 11000 && options.uniqueKey) {
+        return Job.findOne({ uniqueKey: options.uniqueKey });
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Delay before the next attempt: backoffMs, doubled each attempt, capped at an hour
+   * @param {Number} backoffMs - Base delay
+   * @param {Number} attempts - Attempts made so far
+   * @returns {Number} Milliseconds
+   */
+  getBackoffMs(backoffMs, attempts) {
+    return Math.min(backoffMs * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+  },
+
+  /**
+   * Atomically take the next due job this instance can run
+   * @param {Date} now - Reference time
+   * @returns {Object|null} Job
+   */
+  async claimNext(now = new Date()) {
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: [...handlers.keys()] },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: now, startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  },
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Job claimed by this worker
+   * @returns {String} Resulting status
+   */
+  async runJob(job) {
+    const definition = handlers.get(job.name);
+    const owned = { _id: job._id, lockedBy: WORKER_ID };
+    let error;
+
+    // A job taken over from a crashed worker may already be out of attempts
+    if (job.attempts > job.maxAttempts) {
+      error = new Error('Worker stopped while running the job');
+    } else {
+      try {
+        const result = await definition.handler(job.payload || {}, job);
+        await Job.updateOne(owned, {
+          $set: {
+            status: 'completed',
+            result: result === undefined ? null : result,
+            completedAt: new Date(),
+            lockedBy: null,
+            lockedAt: null
+          }
+        });
+        return 'completed';
+      } catch (err) {
+        error = err;
+      }
+    }
+
+    const dead = job.attempts >= job.maxAttempts;
+    await Job.updateOne(owned, {
+      $set: {
+        status: dead ? 'dead' : 'queued',
+        runAt: dead ? job.runAt : new Date(Date.now() + this.getBackoffMs(definition.backoffMs, job.attempts)),
+        lastError: error.message,
+        lockedBy: null,
+        lockedAt: null
+      },
+      $push: {
+        errorHistory: { $each: [{ attempt: job.attempts, message: error.message }], $slice: -ERROR_HISTORY_LIMIT }
+      }
+    });
+
+    if (dead) {
+      console.error(`Job ${job.name} (${job._id}) failed ${job.attempts} times and was moved to dead letters:`, error.message);
+      publish('admin:dashboard', 'jobs.dead', { jobId: job._id, name: job.name, error: error.message });
+    } else {
+      console.warn(`Job ${job.name} (${job._id}) failed, will retry:`, error.message);
+    }
+    return dead ? 'dead' : 'queued';
+  },
+
+  /**
+   * Run due jobs one after another until none are left (or a batch is done)
+   * @returns {Number} Jobs run
+   */
+  async drain() {
+    if (draining) return 0;
+    draining = true;
+    let count = 0;
+    try {
+      let job;
+      while (count < MAX_JOBS_PER_DRAIN && (job = await this.claimNext())) {
+        await this.runJob(job);
+        count += 1;
+      }
+    } finally {
+      draining = false;
+    }
+    return count;
+  },
+
+  /**
+   * Take or renew the scheduler lease
+   * @returns {Boolean} Whether this instance is the leader
+   */
+  async renewLeadership() {
+    const now = Date.now();
+    try {
+      if (redisAvailable()) {
+        const extended = await redisClient.eval(EXTEND_LEASE_SCRIPT, {
+          keys: [LEADER_KEY],
+          arguments: [WORKER_ID, String(LEADER_TTL_MS)]
+        });
+        isLeader = extended === 1 ||
+          (await redisClient.set(LEADER_KEY, WORKER_ID, { NX: true, PX: LEADER_TTL_MS })) === 'OK';
+      } else {
+        const lease = await Lock.findOneAndUpdate(
+          { _id: LEADER_KEY, $or: [{ holder: WORKER_ID }, { expiresAt: { $lte: new Date(now) } }] },
+          { $set: { holder: WORKER_ID, expiresAt: new Date(now + LEADER_TTL_MS) } },
+          { upsert: true, new: true }
+        );
+        isLeader = lease?.holder === WORKER_ID;
+      }
+    } catch (error) {
+      // Duplicate key: another instance holds an unexpired lease
+      if (error.code !== 11000) {
+        console.error('Scheduler leadership error:', error.message);
+      }
+      isLeader = false;
+    }
+    return isLeader;
+  },
+
+  /**
+   * Queue a schedule's job for this tick (leader only; skipped while the last one is pending)
+   * @param {Object} entry - Schedule entry
+   * @param {Date} now - Tick time
+   * @returns {Object|null} Queued job
+   */
+  async onTick(entry, now = new Date()) {
+    if (!isLeader) return null;
+    const pending = await Job.exists({ name: entry.jobName, status: { $in: ['queued', 'running'] } });
+    if (pending) return null;
+
+    const tick = new Date(now);
+    tick.setSeconds(0, 0);
+    const job = await this.enqueue(entry.jobName, entry.payload, {
+      uniqueKey: `cron:${entry.name}:${tick.toISOString()}`
+    });
+    await this.drain();
+    return job;
+  },
+
+  /**
+   * Start the worker and the cron schedules (call once, after jobs are defined)
+   */
+  start() {
+    if (pollTimer) return;
+
+    pollTimer = setInterval(() => {
+      this.drain().catch(error => console.error('Job worker error:', error));
+    }, POLL_INTERVAL_MS);
+
+    this.renewLeadership();
+    leaderTimer = setInterval(() => this.renewLeadership(), LEADER_TTL_MS / 3);
+
+    for (const entry of schedules) {
+      entry.task = cron.schedule(entry.cronExpression, () => {
+        this.onTick(entry).catch(error => console.error(`Schedule ${entry.name} error:`, error));
+      });
+    }
+    console.log(`⚙️  Job worker started (${handlers.size} job types, ${schedules.length} schedules, ${redisAvailable() ? 'Redis' : 'MongoDB'} leader lease)`);
+  },
+
+  /**
+   * Stop polling and scheduling, and give up leadership
+   */
+  async stop() {
+    clearInterval(pollTimer);
+    clearInterval(leaderTimer);
+    pollTimer = null;
+    leaderTimer = null;
+    schedules.forEach(entry => entry.task && entry.task.stop());
+
+    if (isLeader) {
+      isLeader = false;
+      try {
+        if (redisAvailable()) {
+          await redisClient.eval(RELEASE_LEASE_SCRIPT, { keys: [LEADER_KEY], arguments: [WORKER_ID] });
+        } else {
+          await Lock.deleteOne({ _id: LEADER_KEY, holder: WORKER_ID });
+        }
+      } catch (error) {
+        console.error('Error releasing scheduler lease:', error.message);
+      }
+    }
+  },
+
+  /**
+   * Admin: list jobs
+   * @param {Object} filters - { status, name, page, limit }
+   * @returns {Object} { jobs, counts, pagination }
+   */
+  async listJobs({ status, name, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (name) filter.name = name;
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [jobs, total, byStatus] = await Promise.all([
+      Job.find(filter)
+        .select('-result')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(filter),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    return {
+      jobs,
+      counts: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  },
+
+  /**
+   * Admin: run a dead or cancelled job again (or a waiting retry right away)
+   * @param {String} jobId - Job ID
+   * @returns {Object} Job
+   */
+  async retryJob(jobId) {
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new AppError('Job not found', 404);
+    }
+    if (!['dead', 'cancelled', 'queued'].includes(job.status)) {
+      throw new AppError(`A ${job.status} job can't be retried`, 409);
+    }
+
+    const update = { status: 'queued', runAt: new Date(), cancelledAt: null };
+    if (job.status !== 'queued') update.attempts = 0;
+    const retried = await Job.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { $set: update },
+      { new: true }
+    );
+    if (!retried) {
+      throw new AppError('Job changed while retrying, please refresh', 409);
+    }
+    return retried;
+  },
+
+  /**
+   * Admin: cancel a job that hasn't started
+   * @param {String} jobId - Job ID
+   * @returns {Object} Job
+   */
+  async cancelJob(jobId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!job) {
+      const existing = await Job.findById(jobId).select('status');
+      if (!existing) {
+        throw new AppError('Job not found', 404);
+      }
+      throw new AppError(`A ${existing.status} job can't be cancelled`, 409);
+    }
+    return job;
+  }
+};
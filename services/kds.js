@@ -0,0 +1,386 @@
+const KitchenTicket = require('../models/kitchenTicketModel');
+const MenuItem = require('../models/menuItemModel');
+const Order = require('../models/orderModel');
+const orderStateMachine = require('./orderStateMachine');
+const { emitToKitchen } = require('../config/websocket');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Kitchen Display Service - Tickets, stations and prep timers for kitchen tablets
+ *
+ * A ticket is opened when an order is accepted and follows the order through
+ * services/orderStateMachine.js. Kitchen actions (start, item status, bump,
+ * recall) update the ticket first and then move the order, so the transition
+ * listener below finds the ticket already in step and stays quiet.
+ */
+
+const OPEN_STATUSES = ['queued', 'in_progress'];
+const RECALL_WINDOW_MINUTES = 30;
+
+// Order statuses that take the ticket off the screen
+const CLOSING_STATUSES = ['ready', 'picked_up', 'out-for-delivery', 'delivered'];
+const CANCELLING_STATUSES = ['cancelled', 'rejected'];
+
+const shortOrderNumber = (order) => order.orderNumber || String(order._id).slice(-6).toUpperCase();
+
+module.exports = {
+  /**
+   * Open a ticket for an accepted order (no-op if it already has one)
+   * @param {Object} order - Order document
+   * @returns {Object} { ticket, created }
+   */
+  async openTicket(order) {
+    const existing = await KitchenTicket.findOne({ order: order._id });
+    if (existing) return { ticket: existing, created: false };
+
+    const menuItems = await MenuItem.find({ _id: { $in: order.items.map(i => i.itemId) } })
+      .select('name preparationTime category')
+      .populate('category', 'kitchenStation')
+      .lean();
+    const menuMap = new Map(menuItems.map(m => [String(m._id), m]));
+
+    const items = order.items.map(item => {
+      const menuItem = menuMap.get(String(item.itemId)) || {};
+      return {
+        itemId: item.itemId,
+        name: menuItem.name || 'Item',
+        quantity: item.quantity,
+        station: menuItem.category?.kitchenStation || 'main',
+        prepTime: menuItem.preparationTime || 30,
+        spiceLevel: item.customizations?.spiceLevel,
+        addOns: (item.customizations?.addOns || []).map(a => a.name),
+        instructions: item.customizations?.cookingInstructions
+      };
+    });
+
+    const prepTime = Math.max(0, ...items.map(i => i.prepTime));
+    const acceptedAt = order.acceptedAt || new Date();
+    // Scheduled orders are due at their slot; the rest as soon as the slowest item is done
+    const dueAt = order.scheduledTime && order.scheduledTime > acceptedAt
+      ? order.scheduledTime
+      : new Date(acceptedAt.getTime() + prepTime * 60 * 1000);
+
+    try {
+      const ticket = await KitchenTicket.create({
+        order: order._id,
+        orderNumber: shortOrderNumber(order),
+        orderType: order.orderType,
+        items,
+        stations: [...new Set(items.map(i => i.station))],
+        cookingInstructions: order.cookingInstructions,
+        dietaryAlert: order.dietaryAcknowledgement?.note,
+        prepTime,
+        scheduledFor: order.scheduledTime,
+        dueAt
+      });
+      return { ticket, created: true };
+    } catch (error) {
+      // Unique index on order: another request opened it first
+      if (error.code === 11000) {
+        return { ticket: await KitchenTicket.findOne({ order: order._id }), created: false };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Start the whole ticket; moves the order to preparing
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} by - { actor, actorId }
+   * @returns {Object} Ticket
+   */
+  async startTicket(ticketId, by = {}) {
+    const ticket = await this.findTicket(ticketId);
+    if (ticket.status !== 'queued') {
+      throw new AppError(`Ticket is ${ticket.status} and cannot be started`, 409);
+    }
+
+    const now = new Date();
+    ticket.status = 'in_progress';
+    ticket.startedAt = now;
+    ticket.items.forEach(item => {
+      if (item.status === 'pending') {
+        item.status = 'preparing';
+        item.startedAt = now;
+      }
+    });
+    await ticket.save();
+
+    await this.moveOrder(ticket, 'preparing', by);
+    this.emit('updated', ticket);
+    return ticket;
+  },
+
+  /**
+   * Set one item's prep status; starting the first item starts the ticket
+   * @param {String} ticketId - Ticket ID
+   * @param {String} itemId - Ticket item (_id of the entry in ticket.items)
+   * @param {String} status - pending | preparing | ready
+   * @param {Object} by - { actor, actorId }
+   * @returns {Object} Ticket
+   */
+  async setItemStatus(ticketId, itemId, status, by = {}) {
+    if (!['pending', 'preparing', 'ready'].includes(status)) {
+      throw new AppError('Item status must be pending, preparing or ready', 400);
+    }
+
+    const ticket = await this.findTicket(ticketId);
+    if (!OPEN_STATUSES.includes(ticket.status)) {
+      throw new AppError(`Ticket is ${ticket.status}; recall it to change items`, 409);
+    }
+
+    const item = ticket.items.id(itemId);
+    if (!item) {
+      throw new AppError('Ticket item not found', 404);
+    }
+
+    const now = new Date();
+    item.status = status;
+    if (status === 'preparing' && !item.startedAt) item.startedAt = now;
+    if (status === 'ready') {
+      item.startedAt = item.startedAt || now;
+      item.readyAt = now;
+    } else {
+      item.readyAt = undefined;
+    }
+
+    const starting = ticket.status === 'queued' && status !== 'pending';
+    if (starting) {
+      ticket.status = 'in_progress';
+      ticket.startedAt = now;
+    }
+    await ticket.save();
+
+    if (starting) {
+      await this.moveOrder(ticket, 'preparing', by);
+    }
+    this.emit('updated', ticket);
+    return ticket;
+  },
+
+  /**
+   * Bump a ticket off the screen: every item is done and the order is ready
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} by - { actor, actorId }
+   * @returns {Object} Ticket
+   */
+  async bumpTicket(ticketId, by = {}) {
+    const ticket = await this.findTicket(ticketId);
+    if (!OPEN_STATUSES.includes(ticket.status)) {
+      throw new AppError(`Ticket is ${ticket.status} and cannot be bumped`, 409);
+    }
+
+    const now = new Date();
+    ticket.items.forEach(item => {
+      if (item.status !== 'ready') {
+        item.status = 'ready';
+        item.startedAt = item.startedAt || now;
+        item.readyAt = now;
+      }
+    });
+    ticket.startedAt = ticket.startedAt || now;
+    ticket.readyAt = now;
+    ticket.status = 'bumped';
+    ticket.bumpedAt = now;
+    ticket.bumpedBy = by.actorId;
+    await ticket.save();
+
+    // accepted -> preparing -> ready when the kitchen bumps without starting
+    await this.moveOrder(ticket, 'preparing', by);
+    await this.moveOrder(ticket, 'ready', by);
+    this.emit('bumped', ticket);
+    return ticket;
+  },
+
+  /**
+   * Bring a bumped ticket back while the order is still waiting for hand-over
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} by - { actor, actorId }
+   * @returns {Object} Ticket
+   */
+  async recallTicket(ticketId, by = {}) {
+    const ticket = await this.findTicket(ticketId);
+    if (ticket.status !== 'bumped') {
+      throw new AppError('Only bumped tickets can be recalled', 409);
+    }
+
+    const order = await Order.findById(ticket.order).select('status');
+    if (!order || order.status !== 'ready') {
+      throw new AppError('Order has already left the kitchen', 409);
+    }
+
+    ticket.status = 'in_progress';
+    ticket.readyAt = undefined;
+    ticket.bumpedAt = undefined;
+    ticket.recallCount += 1;
+    ticket.lastRecalledAt = new Date();
+    await ticket.save();
+
+    await this.moveOrder(ticket, 'preparing', { ...by, reason: 'Recalled on kitchen display' });
+    this.emit('recalled', ticket);
+    return ticket;
+  },
+
+  /**
+   * Live queue for the kitchen screen, oldest due first
+   * @param {Object} options - { station, now }
+   * @returns {Object} { tickets, recentlyBumped }
+   */
+  async getQueue({ station, now = new Date() } = {}) {
+    const filter = { status: { $in: OPEN_STATUSES } };
+    if (station) filter.stations = station;
+
+    const since = new Date(now.getTime() - RECALL_WINDOW_MINUTES * 60 * 1000);
+    const bumpedFilter = { status: 'bumped', bumpedAt: { $gte: since } };
+    if (station) bumpedFilter.stations = station;
+
+    const [open, bumped] = await Promise.all([
+      KitchenTicket.find(filter).sort({ dueAt: 1, createdAt: 1 }),
+      KitchenTicket.find(bumpedFilter).sort({ bumpedAt: -1 }).limit(10)
+    ]);
+
+    return {
+      tickets: open.map(t => this.toView(t, { station, now })),
+      recentlyBumped: bumped.map(t => this.toView(t, { station, now }))
+    };
+  },
+
+  /**
+   * Stations with open tickets and items waiting at each
+   * @param {Date} [now] - Reference time for lateness
+   * @returns {Array} [{ station, tickets, pendingItems, lateTickets }]
+   */
+  async getStationSummary(now = new Date()) {
+    const tickets = await KitchenTicket.find({ status: { $in: OPEN_STATUSES } });
+    const summary = {};
+
+    for (const ticket of tickets) {
+      const late = ticket.dueAt && ticket.dueAt < now;
+      for (const station of ticket.stations) {
+        summary[station] = summary[station] || { station, tickets: 0, pendingItems: 0, lateTickets: 0 };
+        summary[station].tickets += 1;
+        if (late) summary[station].lateTickets += 1;
+      }
+      for (const item of ticket.items) {
+        if (item.status !== 'ready') summary[item.station].pendingItems += item.quantity;
+      }
+    }
+
+    return Object.values(summary).sort((a, b) => a.station.localeCompare(b.station));
+  },
+
+  /**
+   * Ticket as shown on a tablet, with prep timers
+   * @param {Object} ticket - Ticket document
+   * @param {Object} options - { station (only that station's items), now }
+   * @returns {Object} Plain ticket with timers
+   */
+  toView(ticket, { station, now = new Date() } = {}) {
+    const plain = ticket.toObject ? ticket.toObject() : ticket;
+    const seconds = (from, to = now) => (from ? Math.max(0, Math.round((to - from) / 1000)) : 0);
+
+    const items = plain.items
+      .filter(item => !station || item.station === station)
+      .map(item => ({
+        ...item,
+        elapsedSeconds: seconds(item.startedAt, item.readyAt || now),
+        isLate: item.status !== 'ready' && !!item.startedAt && seconds(item.startedAt) > item.prepTime * 60
+      }));
+
+    const end = plain.readyAt || now;
+    return {
+      ...plain,
+      items,
+      timers: {
+        waitingSeconds: seconds(plain.createdAt, plain.startedAt || end),
+        elapsedSeconds: seconds(plain.startedAt, end),
+        remainingSeconds: plain.dueAt ? Math.round((new Date(plain.dueAt) - end) / 1000) : null,
+        isLate: !!plain.dueAt && end > new Date(plain.dueAt)
+      },
+      allItemsReady: plain.items.every(item => item.status === 'ready')
+    };
+  },
+
+  /**
+   * Load a ticket or throw 404
+   * @param {String} ticketId - Ticket ID
+   * @returns {Object} Ticket document
+   */
+  async findTicket(ticketId) {
+    const ticket = await KitchenTicket.findById(ticketId);
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404);
+    }
+    return ticket;
+  },
+
+  /**
+   * Move the ticket's order if that move is open to the actor right now
+   * @param {Object} ticket - Ticket document
+   * @param {String} status - Target order status
+   * @param {Object} by - { actor, actorId, reason }
+   */
+  async moveOrder(ticket, status, by = {}) {
+    const actor = by.actor || 'kitchen';
+    const order = await Order.findById(ticket.order);
+    if (!order || !orderStateMachine.canTransition(order, status, actor).allowed) return;
+
+    await orderStateMachine.transition(order, status, {
+      actor,
+      actorId: by.actorId,
+      reason: by.reason || '',
+      notes: 'Kitchen display'
+    });
+  },
+
+  /**
+   * Push a ticket change to kitchen tablets
+   * @param {String} action - created | updated | bumped | recalled | cancelled
+   * @param {Object} ticket - Ticket document
+   */
+  emit(action, ticket) {
+    try {
+      emitToKitchen(`kds.ticket.${action}`, { ticket: this.toView(ticket) });
+    } catch (error) {
+      console.error('KDS websocket error:', error);
+    }
+  },
+
+  /**
+   * Keep the ticket in step with order transitions made anywhere
+   * (dashboard, kitchen display, system jobs)
+   * @param {Object} order - Order document
+   * @param {Object} event - { from, to, actor, actorId, reason }
+   */
+  async syncFromOrder(order, event) {
+    if (event.to === 'accepted') {
+      const { ticket, created } = await this.openTicket(order);
+      if (created) this.emit('created', ticket);
+      return;
+    }
+
+    const ticket = await KitchenTicket.findOne({ order: order._id });
+    if (!ticket) return;
+
+    const now = new Date();
+    if (event.to === 'preparing' && ticket.status === 'queued') {
+      ticket.status = 'in_progress';
+      ticket.startedAt = now;
+      await ticket.save();
+      this.emit('updated', ticket);
+    } else if (CLOSING_STATUSES.includes(event.to) && OPEN_STATUSES.includes(ticket.status)) {
+      ticket.status = 'bumped';
+      ticket.startedAt = ticket.startedAt || now;
+      ticket.readyAt = ticket.readyAt || now;
+      ticket.bumpedAt = now;
+      await ticket.save();
+      this.emit('bumped', ticket);
+    } else if (CANCELLING_STATUSES.includes(event.to) && ticket.status !== 'cancelled') {
+      ticket.status = 'cancelled';
+      await ticket.save();
+      this.emit('cancelled', ticket);
+    }
+  }
+};
+
+orderStateMachine.onTransition((order, event) => module.exports.syncFromOrder(order, event));
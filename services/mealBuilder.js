@@ -0,0 +1,264 @@
+const MenuItem = require('../models/menuItemModel');
+const User = require('../models/userModel');
+const { buildUserFilter } = require('./recommendation');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Meal Builder - Complete meal suggestions (main + side + drink)
+ *
+ * Each meal is scored on how well it fits the user's mood, how hungry they
+ * are, and how close its nutrition comes to their share of the day's macro
+ * goals; meals over the budget are never suggested. Items are filtered by
+ * the user's allergens and diet, and every suggestion says why it was picked.
+ */
+
+const MOODS = ['locked_in', 'bougie', 'homesick', 'burnt_tf_out', 'need_a_hug'];
+const HUNGER_LEVELS = ['little_hungry', 'quite_hungry', 'very_hungry', 'super_hungry'];
+const ROLES = ['main', 'side', 'drink'];
+
+// Share of the day's calories and macros one meal should cover
+const HUNGER_SHARE = {
+  little_hungry: 0.2,
+  quite_hungry: 0.3,
+  very_hungry: 0.4,
+  super_hungry: 0.5
+};
+const DEFAULT_CALORIE_GOAL = 2000;
+const DEFAULT_MACRO_GOALS = { protein: 120, carbs: 280, fat: 70 };
+const MACROS = ['calories', 'protein', 'carbs', 'fat'];
+
+// Candidates kept per role before meals are combined
+const POOL_SIZE = { main: 10, side: 8, drink: 6 };
+const WEIGHTS = { mood: 0.35, hunger: 0.25, nutrition: 0.3, popularity: 0.1 };
+
+const MOOD_LABELS = {
+  locked_in: 'locked in',
+  bougie: 'bougie',
+  homesick: 'homesick',
+  burnt_tf_out: 'burnt out',
+  need_a_hug: 'in need of a hug'
+};
+
+const ROLE_PATTERNS = [
+  ['drink', /beverage|drink|juice|shake|lassi|smoothie|coffee|tea\b|soda|mocktail|cooler/i],
+  ['dessert', /dessert|sweet|ice ?cream|cake|pastr/i],
+  ['side', /side|starter|snack|appeti[sz]er|salad|soup|bread|roti|naan|raita|fries|dip/i]
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+module.exports = {
+  MOODS,
+  HUNGER_LEVELS,
+
+  /**
+   * Role of an item in a meal: its mealRole, else guessed from its category
+   * @param {Object} item - Menu item with category { name, kitchenStation } populated
+   * @returns {String} main | side | drink | dessert
+   */
+  getRole(item) {
+    if (item.mealRole) return item.mealRole;
+    const text = `${item.category?.name || ''} ${item.category?.kitchenStation || ''}`;
+    for (const [role, pattern] of ROLE_PATTERNS) {
+      if (pattern.test(text)) return role;
+    }
+    return 'main';
+  },
+
+  /**
+   * Calories and macros one meal should aim for
+   * @param {Object} user - { calorieGoal, macroGoals }
+   * @param {String} hungerLevel - One of HUNGER_LEVELS
+   * @returns {Object} { calories, protein, carbs, fat, share }
+   */
+  getTargets(user, hungerLevel) {
+    const share = HUNGER_SHARE[hungerLevel] || HUNGER_SHARE.quite_hungry;
+    const goals = { ...DEFAULT_MACRO_GOALS, ...(user?.macroGoals || {}) };
+    return {
+      calories: round((user?.calorieGoal || DEFAULT_CALORIE_GOAL) * share),
+      protein: round(goals.protein * share),
+      carbs: round(goals.carbs * share),
+      fat: round(goals.fat * share),
+      share
+    };
+  },
+
+  /**
+   * Score one item on its own (pure); used to shortlist candidates
+   */
+  scoreItem(item, { mood, hungerLevel, maxOrders }) {
+    const moodScore = mood && item.moodTag === mood ? 1 : 0;
+    const hungerScore = hungerLevel && item.hungerLevelTag === hungerLevel ? 1 : 0;
+    const popularity = maxOrders > 0 ? (item.popularity?.orderCount || 0) / maxOrders : 0;
+    return WEIGHTS.mood * moodScore + WEIGHTS.hunger * hungerScore + WEIGHTS.popularity * popularity;
+  },
+
+  /**
+   * Score a whole meal (pure)
+   * @param {Array} items - [{ role, item }]
+   * @param {Object} context - { mood, hungerLevel, targets, maxOrders }
+   * @returns {Object} { score, nutrition, totalPrice, fit }
+   */
+  scoreMeal(items, { mood, hungerLevel, targets, maxOrders }) {
+    const nutrition = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+    let totalPrice = 0;
+    for (const { item } of items) {
+      totalPrice += item.price || 0;
+      for (const key of MACROS) nutrition[key] += item.nutritionInfo?.[key] || 0;
+    }
+
+    // The main counts double for mood and hunger: it is most of the meal
+    const weightOf = (role) => (role === 'main' ? 2 : 1);
+    const totalWeight = items.reduce((sum, { role }) => sum + weightOf(role), 0);
+    const moodScore = mood
+      ? items.reduce((sum, { role, item }) => sum + (item.moodTag === mood ? weightOf(role) : 0), 0) / totalWeight
+      : 0;
+    const hungerScore = hungerLevel
+      ? items.reduce((sum, { role, item }) => sum + (item.hungerLevelTag === hungerLevel ? weightOf(role) : 0), 0) / totalWeight
+      : 0;
+
+    // 1 when the meal hits the targets exactly, falling to 0 at double (or none) of them
+    let fit = 0.5; // no nutrition data: neither good nor bad
+    if (nutrition.calories > 0) {
+      const gaps = MACROS.filter(key => targets[key] > 0).map(key => Math.min(Math.abs(nutrition[key] - targets[key]) / targets[key], 1));
+      fit = gaps.length > 0 ? 1 - gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : 0.5;
+    }
+
+    const popularity = maxOrders > 0
+      ? items.reduce((sum, { item }) => sum + (item.popularity?.orderCount || 0), 0) / (items.length * maxOrders)
+      : 0;
+
+    const score = WEIGHTS.mood * moodScore + WEIGHTS.hunger * hungerScore + WEIGHTS.nutrition * fit + WEIGHTS.popularity * popularity;
+    for (const key of MACROS) nutrition[key] = round(nutrition[key]);
+
+    return { score: Math.round(score * 1000) / 1000, nutrition, totalPrice: Math.round(totalPrice * 100) / 100, fit };
+  },
+
+  /**
+   * Why a meal was picked, in plain words (pure)
+   */
+  explain(items, scored, { mood, hungerLevel, targets, budget }) {
+    const reasons = [];
+    const main = items.find(i => i.role === 'main')?.item;
+
+    const moodMatches = items.filter(({ item }) => mood && item.moodTag === mood).map(({ item }) => item.name);
+    if (moodMatches.length > 0) {
+      reasons.push(`${moodMatches.join(' and ')} ${moodMatches.length === 1 ? 'suits' : 'suit'} feeling ${MOOD_LABELS[mood] || mood}`);
+    }
+    if (main && hungerLevel && main.hungerLevelTag === hungerLevel) {
+      reasons.push(`${main.name} is sized for feeling ${hungerLevel.replace('_', ' ')}`);
+    }
+    if (scored.nutrition.calories > 0) {
+      reasons.push(`${Math.round(scored.nutrition.calories)} kcal and ${Math.round(scored.nutrition.protein)}g protein, against a target of ${Math.round(targets.calories)} kcal and ${Math.round(targets.protein)}g for this meal`);
+    }
+    if (budget) {
+      reasons.push(`₹${scored.totalPrice}, within your ₹${budget} budget`);
+    }
+    const missing = ROLES.filter(role => !items.some(i => i.role === role));
+    if (missing.length > 0) {
+      reasons.push(`No ${missing.join(' or ')} fits your filters right now`);
+    }
+    return reasons;
+  },
+
+  /**
+   * Build meal suggestions
+   * @param {Object} params - { userId, mood, hungerLevel, budget, count }
+   * @returns {Object} { mood, hungerLevel, budget, targets, suggestions }
+   */
+  async buildMeals({ userId, mood, hungerLevel, budget, count = 3 }) {
+    const user = userId
+      ? await User.findById(userId).select('isGuest preferences questionAnswers calorieGoal macroGoals').lean()
+      : null;
+
+    mood = mood || user?.questionAnswers?.mood || null;
+    hungerLevel = hungerLevel || user?.questionAnswers?.hungerLevel || 'quite_hungry';
+    if (mood && !MOODS.includes(mood)) {
+      throw new AppError(`Invalid mood. Must be one of: ${MOODS.join(', ')}`, 400);
+    }
+    if (!HUNGER_LEVELS.includes(hungerLevel)) {
+      throw new AppError(`Invalid hunger level. Must be one of: ${HUNGER_LEVELS.join(', ')}`, 400);
+    }
+    budget = budget !== undefined && budget !== null && budget !== '' ? Number(budget) : null;
+    if (budget !== null && (!Number.isFinite(budget) || budget <= 0)) {
+      throw new AppError('Budget must be a positive amount', 400);
+    }
+    count = Math.min(Math.max(parseInt(count) || 3, 2), 3);
+
+    const filter = buildUserFilter(user);
+    if (budget) filter.price = { $lte: budget };
+    const items = await MenuItem.find(filter)
+      .select('name price image isVeg moodTag hungerLevelTag mealRole nutritionInfo popularity category')
+      .populate('category', 'name kitchenStation')
+      .sort({ 'popularity.orderCount': -1 })
+      .limit(300)
+      .lean();
+
+    const maxOrders = Math.max(0, ...items.map(i => i.popularity?.orderCount || 0));
+    const context = { mood, hungerLevel, budget, maxOrders, targets: this.getTargets(user, hungerLevel) };
+
+    const pools = {};
+    for (const role of ROLES) {
+      pools[role] = items
+        .filter(item => this.getRole(item) === role)
+        .map(item => ({ item, score: this.scoreItem(item, context) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, POOL_SIZE[role])
+        .map(c => c.item);
+    }
+
+    // Every main + side + drink combination within budget; a missing role is left out
+    const meals = [];
+    for (const main of pools.main) {
+      for (const side of pools.side.length > 0 ? pools.side : [null]) {
+        for (const drink of pools.drink.length > 0 ? pools.drink : [null]) {
+          const mealItems = [{ role: 'main', item: main }, { role: 'side', item: side }, { role: 'drink', item: drink }]
+            .filter(entry => entry.item);
+          const scored = this.scoreMeal(mealItems, context);
+          if (budget && scored.totalPrice > budget) continue;
+          meals.push({ items: mealItems, ...scored });
+        }
+      }
+    }
+    meals.sort((a, b) => b.score - a.score);
+
+    // Different mains, and no side or drink repeated while there are alternatives
+    const suggestions = [];
+    const used = new Set();
+    for (const strict of [true, false]) {
+      for (const meal of meals) {
+        if (suggestions.length >= count) break;
+        const ids = meal.items.map(({ item }) => String(item._id));
+        if (suggestions.some(s => s.id === ids.join('-'))) continue;
+        if (used.has(ids[0]) || (strict && ids.slice(1).some(id => used.has(id)))) continue;
+        ids.forEach(id => used.add(id));
+        suggestions.push({
+          id: ids.join('-'),
+          items: meal.items.map(({ role, item }) => ({
+            role,
+            _id: item._id,
+            name: item.name,
+            price: item.price,
+            image: item.image,
+            isVeg: item.isVeg,
+            moodTag: item.moodTag,
+            hungerLevelTag: item.hungerLevelTag,
+            nutritionInfo: item.nutritionInfo
+          })),
+          totalPrice: meal.totalPrice,
+          nutrition: meal.nutrition,
+          score: meal.score,
+          reasons: this.explain(meal.items, meal, context)
+        });
+      }
+    }
+
+    return {
+      mood,
+      hungerLevel,
+      budget,
+      targets: context.targets,
+      suggestions
+    };
+  }
+};
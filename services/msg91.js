@@ -1,14 +1,24 @@
 const axios = require('axios');
 
+// Format to E.164 without '+' (e.g. 919876543210)
+const formatPhone = (phone) => String(phone).replace(/^\+/, '').replace(/\s+/g, '');
+
+const isConfigured = () => !!process.env.MSG91_AUTHKEY;
+
+const providerError = (error) =>
+  error.response?.data?.message ||
+  (typeof error.response?.data === 'string' ? error.response.data : null) ||
+  error.message ||
+  'Unknown MSG91 error';
+
 /**
- * Send WhatsApp OTP via MSG91's WhatsApp Outbound (Bulk) API
- * @param {string} phone - Phone number (will be formatted to E.164 without '+')
- * @param {string} otp - 6-digit OTP string
+ * Send an approved WhatsApp template via MSG91's WhatsApp Outbound (Bulk) API
+ * @param {string} phone - Phone number
+ * @param {string} templateName - Template name approved on the WhatsApp business account
+ * @param {object} components - Template components, e.g. { body_1: { type: 'text', value } }
+ * @returns {Promise<object>} { success, messageId }
  */
-const sendWhatsappOtp = async (phone, otp) => {
-  // Format to E.164 without '+' (e.g. 919876543210)
-  const formattedPhone = phone.replace(/^\+/, '').replace(/\s+/g, '');
-
+const sendWhatsappTemplate = async (phone, templateName, components) => {
   const payload = {
     integrated_number: process.env.MSG91_INTEGRATED_NUMBER,
     content_type: 'template',
@@ -16,16 +26,13 @@ const sendWhatsappOtp = async (phone, otp) => {
       messaging_product: 'whatsapp',
       type: 'template',
       template: {
-        name: 'otp_verification',
+        name: templateName,
         language: { code: 'en', policy: 'deterministic' },
         namespace: process.env.MSG91_TEMPLATE_NAMESPACE,
         to_and_components: [
           {
-            to: [formattedPhone],
-            components: {
-              body_1: { type: 'text', value: otp },
-              button_1: { subtype: 'url', type: 'text', value: otp }
-            }
+            to: [formatPhone(phone)],
+            components
           }
         ]
       }
@@ -41,20 +48,62 @@ const sendWhatsappOtp = async (phone, otp) => {
       headers: {
         'Content-Type': 'application/json',
         authkey: process.env.MSG91_AUTHKEY
-      }
+      },
+      timeout: 10000
     });
+    return { success: true, messageId: response.data?.request_id || response.data?.data || null };
+  } catch (error) {
+    const errMsg = providerError(error);
+    console.error('MSG91 WhatsApp error:', errMsg);
+    throw new Error(`MSG91 WhatsApp failed: ${errMsg}`);
+  }
+};
 
-    console.log('MSG91 WhatsApp OTP sent:', response.data);
-    return { success: true };
+/**
+ * Send WhatsApp OTP via MSG91's WhatsApp Outbound (Bulk) API
+ * @param {string} phone - Phone number (will be formatted to E.164 without '+')
+ * @param {string} otp - 6-digit OTP string
+ */
+const sendWhatsappOtp = async (phone, otp) => {
+  await sendWhatsappTemplate(phone, 'otp_verification', {
+    body_1: { type: 'text', value: otp },
+    button_1: { subtype: 'url', type: 'text', value: otp }
+  });
+  console.log('MSG91 WhatsApp OTP sent');
+  return { success: true };
+};
+
+/**
+ * Send an SMS through an MSG91 Flow (DLT-registered template)
+ * @param {string} phone - Phone number
+ * @param {string} flowId - MSG91 flow / template ID
+ * @param {object} variables - Flow variables, e.g. { message: '...' }
+ * @returns {Promise<object>} { success, messageId }
+ */
+const sendSms = async (phone, flowId, variables = {}) => {
+  const apiUrl = process.env.MSG91_SMS_API_URL || 'https://control.msg91.com/api/v5/flow/';
+
+  try {
+    const response = await axios.post(apiUrl, {
+      template_id: flowId,
+      short_url: '0',
+      recipients: [{ mobiles: formatPhone(phone), ...variables }]
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        authkey: process.env.MSG91_AUTHKEY
+      },
+      timeout: 10000
+    });
+    if (response.data?.type === 'error') {
+      throw new Error(response.data.message || 'Rejected by MSG91');
+    }
+    return { success: true, messageId: response.data?.message || null };
   } catch (error) {
-    const errMsg =
-      error.response?.data?.message ||
-      error.response?.data ||
-      error.message ||
-      'Unknown MSG91 error';
-    console.error('MSG91 WhatsApp OTP error:', errMsg);
-    throw new Error(`MSG91 WhatsApp OTP failed: ${errMsg}`);
+    const errMsg = providerError(error);
+    console.error('MSG91 SMS error:', errMsg);
+    throw new Error(`MSG91 SMS failed: ${errMsg}`);
   }
 };
 
-module.exports = { sendWhatsappOtp };
+module.exports = { isConfigured, sendWhatsappTemplate, sendWhatsappOtp, sendSms };
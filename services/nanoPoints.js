@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Order = require('../models/orderModel');
+const MenuItem = require('../models/menuItemModel');
+const Settings = require('../models/settingsModel');
+const PointsTransaction = require('../models/pointsTransactionModel');
+const orderStateMachine = require('./orderStateMachine');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Nano Points Service - Loyalty points ledger
+ *
+ * Every change to User.nanoPoints is a PointsTransaction. Credits (earn,
+ * bonus, refund, adjustment) are lots with their own expiry; debits take
+ * points from the lots that expire first (FIFO). Delivered orders earn points
+ * by Settings.loyaltyConfig (per rupee, tier multiplier, category bonus).
+ * Points redeemed at checkout come back if the order is cancelled, and
+ * earned points are taken back when a delivered order is fully refunded.
+ * Like the wallet, balance and ledger change together in a transaction.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CREDIT_TYPES = ['earn', 'bonus', 'refund', 'adjustment'];
+const DEBIT_TYPES = ['redeem', 'expire', 'reversal', 'deduction'];
+
+// Run fn in the caller's session, or in a new transaction
+const withSession = async (session, fn) => {
+  if (session) return fn(session);
+  const own = await mongoose.startSession();
+  try {
+    let result;
+    await own.withTransaction(async () => {
+      result = await fn(own);
+    });
+    return result;
+  } finally {
+    await own.endSession();
+  }
+};
+
+module.exports = {
+  /**
+   * Loyalty settings
+   * @returns {Object} Settings.loyaltyConfig
+   */
+  async getConfig() {
+    const settings = await Settings.getSettings();
+    return settings.loyaltyConfig || {};
+  },
+
+  /**
+   * Expiry date for points credited now
+   * @param {Object} config - loyaltyConfig
+   * @param {Date} now - Credit time
+   * @returns {Date|null}
+   */
+  getExpiry(config, now = new Date()) {
+    return config.expiryDays > 0 ? new Date(now.getTime() + config.expiryDays * DAY_MS) : null;
+  },
+
+  /**
+   * Add points as a new lot
+   * @param {String} userId - User ID
+   * @param {Number} points - Whole points (> 0)
+   * @param {String} type - earn | bonus | refund | adjustment
+   * @param {String} description - Shown in the user's history
+   * @param {Object} [details] - { orderId, adminId, expiresAt, breakdown }
+   * @param {Object} [options] - { session } to join the caller's transaction
+   * @returns {Object} PointsTransaction
+   */
+  async credit(userId, points, type, description, details = {}, { session } = {}) {
+    if (!Number.isInteger(points) || points <= 0) {
+      throw new AppError('Points must be a whole number above 0', 400);
+    }
+    if (!CREDIT_TYPES.includes(type)) {
+      throw new AppError(`Invalid credit type: ${type}`, 400);
+    }
+
+    const expiresAt = details.expiresAt !== undefined ? details.expiresAt : this.getExpiry(await this.getConfig());
+
+    return withSession(session, async (s) => {
+      const user = await User.findByIdAndUpdate(userId, { $inc: { nanoPoints: points } }, { new: true, session: s });
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+      const [transaction] = await PointsTransaction.create([{
+        user: userId,
+        type,
+        points,
+        balanceAfter: user.nanoPoints,
+        remaining: points,
+        expiresAt,
+        description,
+        order: details.orderId || null,
+        admin: details.adminId || null,
+        breakdown: details.breakdown
+      }], { session: s });
+      return transaction;
+    });
+  },
+
+  /**
+   * Take points, oldest-expiring lots first
+   * @param {String} userId - User ID
+   * @param {Number} points - Whole points (> 0)
+   * @param {String} type - redeem | reversal | deduction
+   * @param {String} description - Shown in the user's history
+   * @param {Object} [details] - { orderId, adminId, preferLot } (preferLot is used up first)
+   * @param {Object} [options] - { session }
+   * @returns {Object} PointsTransaction
+   */
+  async debit(userId, points, type, description, details = {}, { session } = {}) {
+    if (!Number.isInteger(points) || points <= 0) {
+      throw new AppError('Points must be a whole number above 0', 400);
+    }
+    if (!DEBIT_TYPES.includes(type)) {
+      throw new AppError(`Invalid debit type: ${type}`, 400);
+    }
+
+    return withSession(session, async (s) => {
+      const user = await User.findOneAndUpdate(
+        { _id: userId, nanoPoints: { $gte: points } },
+        { $inc: { nanoPoints: -points } },
+        { new: true, session: s }
+      );
+      if (!user) {
+        throw new AppError('Not enough nano points', 400);
+      }
+
+      const consumed = await this.consumeLots(userId, points, details.preferLot, s);
+      const [transaction] = await PointsTransaction.create([{
+        user: userId,
+        type,
+        points: -points,
+        balanceAfter: user.nanoPoints,
+        consumed,
+        description,
+        order: details.orderId || null,
+        admin: details.adminId || null
+      }], { session: s });
+      return transaction;
+    });
+  },
+
+  /**
+   * Use up lots for a debit: preferLot first, then soonest expiry, never-expiring last
+   * @returns {Array} [{ lot, points }]
+   */
+  async consumeLots(userId, points, preferLot, session) {
+    const now = new Date();
+    const lots = await PointsTransaction.find({
+      user: userId,
+      remaining: { $gt: 0 },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    })
+      .select('remaining expiresAt createdAt')
+      .session(session)
+      .lean();
+
+    const rank = (lot) => (preferLot && String(lot._id) === String(preferLot) ? -Infinity : lot.expiresAt ? lot.expiresAt.getTime() : Infinity);
+    lots.sort((a, b) => rank(a) - rank(b) || a.createdAt - b.createdAt);
+
+    const consumed = [];
+    let left = points;
+    for (const lot of lots) {
+      if (left <= 0) break;
+      const take = Math.min(left, lot.remaining);
+      await PointsTransaction.updateOne({ _id: lot._id }, { $inc: { remaining: -take } }, { session });
+      consumed.push({ lot: lot._id, points: take });
+      left -= take;
+    }
+    // Anything left came from a balance recorded before the ledger existed
+    return consumed;
+  },
+
+  /**
+   * Points an order earns (pure)
+   * @param {Object} params - { lines: [{ lineTotal, category }], subtotal, taxableAmount, tier, config }
+   * @returns {Object} { points, eligibleAmount, basePoints, categoryBonusPoints, tierMultiplier }
+   */
+  calculateEarn({ lines = [], subtotal = 0, taxableAmount = 0, tier = null, config = {} }) {
+    const none = { points: 0, eligibleAmount: 0, basePoints: 0, categoryBonusPoints: 0, tierMultiplier: 1 };
+    const rate = config.pointsPerRupee || 0;
+    if (config.earnEnabled === false || rate <= 0 || subtotal <= 0 || !tier) return none;
+
+    // Earn on what the customer actually pays for the food (after discounts and points, before taxes and fees)
+    const paidShare = Math.max(0, Math.min(taxableAmount / subtotal, 1));
+    const bonuses = new Map((config.categoryBonuses || []).map(b => [String(b.category), b.multiplier]));
+
+    let base = 0;
+    let withBonus = 0;
+    for (const line of lines) {
+      const linePoints = line.lineTotal * paidShare * rate;
+      base += linePoints;
+      withBonus += linePoints * (bonuses.get(String(line.category)) || 1);
+    }
+
+    const tierMultiplier = config.tierMultipliers?.[tier] ?? 1;
+    return {
+      points: Math.floor(withBonus * tierMultiplier),
+      eligibleAmount: Math.round(subtotal * paidShare * 100) / 100,
+      basePoints: Math.floor(base),
+      categoryBonusPoints: Math.floor(withBonus - base),
+      tierMultiplier
+    };
+  },
+
+  /**
+   * Points a bill would earn for a user
+   * @param {Object} bill - Output of pricing.calculateBill (or order.billing)
+   * @param {Object} user - { tier, isGuest }
+   * @param {Object} [config] - loyaltyConfig
+   * @returns {Object} Result of calculateEarn
+   */
+  async estimateEarn(bill, user, config) {
+    config = config || await this.getConfig();
+    const lineItems = bill.lineItems || [];
+    const items = await MenuItem.find({ _id: { $in: lineItems.map(l => l.itemId) } }).select('category').lean();
+    const categories = new Map(items.map(i => [String(i._id), i.category]));
+
+    return this.calculateEarn({
+      lines: lineItems.map(l => ({ lineTotal: l.lineTotal, category: categories.get(String(l.itemId)) })),
+      subtotal: bill.subtotal,
+      taxableAmount: bill.taxableAmount,
+      tier: user && !user.isGuest ? user.tier || 'bronze' : null,
+      config
+    });
+  },
+
+  /**
+   * Redeem points for a new order (before it is created)
+   * @param {String} userId - User ID
+   * @param {String} orderId - Pre-generated order ID
+   * @param {Number} points - Points from the bill
+   * @returns {Object} PointsTransaction
+   */
+  async redeemForOrder(userId, orderId, points) {
+    return this.debit(userId, points, 'redeem', `Redeemed on order #${String(orderId).slice(-6).toUpperCase()}`, { orderId });
+  },
+
+  /**
+   * Give back the points redeemed on an order (once)
+   * @param {String} userId - User ID
+   * @param {String} orderId - Order ID
+   * @param {String} reason - Why, for the history
+   * @returns {Number} Points returned
+   */
+  async restoreRedemption(userId, orderId, reason = 'Order cancelled') {
+    const redeemed = await PointsTransaction.findOne({ order: orderId, type: 'redeem' }).populate('consumed.lot', 'expiresAt').lean();
+    if (!redeemed) return 0;
+
+    // The points keep the latest expiry they had, or get a fresh one if that has passed
+    const config = await this.getConfig();
+    const expiries = redeemed.consumed.map(c => c.lot?.expiresAt).filter(Boolean);
+    const latest = expiries.length > 0 ? new Date(Math.max(...expiries)) : null;
+    const expiresAt = latest && latest > new Date() ? latest : this.getExpiry(config);
+
+    try {
+      await this.credit(userId, -redeemed.points, 'refund', `${reason}: redeemed points returned`, { orderId, expiresAt });
+      return -redeemed.points;
+    } catch (error) {
+      if (error.code === 11000) return 0; // already returned
+      throw error;
+    }
+  },
+
+  /**
+   * Credit the points a delivered order earns (once)
+   * @param {Object} order - Order document
+   * @returns {Number} Points earned
+   */
+  async awardForOrder(order) {
+    const user = await User.findById(order.user).select('tier isGuest').lean();
+    const earn = await this.estimateEarn(order.billing || {}, user);
+    if (earn.points <= 0) return 0;
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, nanoPointsEarned: { $in: [0, null] } },
+      { $set: { nanoPointsEarned: earn.points } }
+    );
+    if (claimed.modifiedCount === 0) return 0;
+
+    try {
+      await this.credit(order.user, earn.points, 'earn', `Earned on order #${order.orderNumber || String(order._id).slice(-6).toUpperCase()}`, {
+        orderId: order._id,
+        breakdown: earn
+      });
+    } catch (error) {
+      await Order.updateOne({ _id: order._id }, { $set: { nanoPointsEarned: 0 } });
+      throw error;
+    }
+    order.nanoPointsEarned = earn.points;
+    return earn.points;
+  },
+
+  /**
+   * Take back points earned on an order (once), as many as are left
+   * @param {Object} order - Order document
+   * @param {String} reason - Why, for the history
+   * @returns {Number} Points taken back
+   */
+  async reverseEarn(order, reason = 'Order refunded') {
+    const earned = await PointsTransaction.findOne({ order: order._id, type: 'earn' }).lean();
+    if (!earned) return 0;
+
+    const user = await User.findById(order.user).select('nanoPoints').lean();
+    const points = Math.min(earned.points, Math.max(user?.nanoPoints || 0, 0));
+    if (points <= 0) return 0;
+
+    try {
+      await this.debit(order.user, points, 'reversal', `${reason}: earned points reversed`, {
+        orderId: order._id,
+        preferLot: earned._id
+      });
+      return points;
+    } catch (error) {
+      if (error.code === 11000) return 0; // already reversed
+      throw error;
+    }
+  },
+
+  /**
+   * Expire lots past their date (background job)
+   * @param {Date} now - Reference time
+   * @returns {Object} { lots, points }
+   */
+  async expirePoints(now = new Date()) {
+    const cursor = PointsTransaction.find({ remaining: { $gt: 0 }, expiresAt: { $ne: null, $lte: now } })
+      .sort({ expiresAt: 1 })
+      .lean()
+      .cursor();
+
+    let expired = 0;
+    let points = 0;
+    for await (const lot of cursor) {
+      await withSession(null, async (s) => {
+        const claimed = await PointsTransaction.updateOne(
+          { _id: lot._id, remaining: lot.remaining },
+          { $set: { remaining: 0 } },
+          { session: s }
+        );
+        if (claimed.modifiedCount === 0) return;
+
+        // Never below zero, even if the balance and ledger disagree
+        const user = await User.findByIdAndUpdate(
+          lot.user,
+          [{ $set: { nanoPoints: { $max: [0, { $subtract: ['$nanoPoints', lot.remaining] }] } } }],
+          { new: true, session: s }
+        );
+        await PointsTransaction.create([{
+          user: lot.user,
+          type: 'expire',
+          points: -lot.remaining,
+          balanceAfter: user ? user.nanoPoints : 0,
+          consumed: [{ lot: lot._id, points: lot.remaining }],
+          description: `${lot.remaining} points expired`
+        }], { session: s });
+        expired += 1;
+        points += lot.remaining;
+      });
+    }
+    return { lots: expired, points };
+  },
+
+  /**
+   * Balance, points expiring in the next 30 days and paginated history
+   * @param {String} userId - User ID
+   * @param {Object} [options] - { page, limit }
+   * @returns {Object}
+   */
+  async getSummary(userId, { page = 1, limit = 20 } = {}) {
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const now = new Date();
+    const soon = new Date(now.getTime() + 30 * DAY_MS);
+
+    const [user, expiring, history, total] = await Promise.all([
+      User.findById(userId).select('nanoPoints').lean(),
+      PointsTransaction.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(userId)), remaining: { $gt: 0 }, expiresAt: { $gt: now, $lte: soon } } },
+        { $group: { _id: null, points: { $sum: '$remaining' }, next: { $min: '$expiresAt' } } }
+      ]),
+      PointsTransaction.find({ user: userId })
+        .select('type points balanceAfter expiresAt description order createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PointsTransaction.countDocuments({ user: userId })
+    ]);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return {
+      balance: user.nanoPoints || 0,
+      expiringSoon: { points: expiring[0]?.points || 0, nextExpiry: expiring[0]?.next || null },
+      history,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+};
+
+// Delivered orders earn points; cancelled ones give back what was redeemed
+orderStateMachine.onTransition(async (order, event) => {
+  if (event.to === 'delivered') {
+    await module.exports.awardForOrder(order);
+  } else if (['cancelled', 'rejected'].includes(event.to)) {
+    await module.exports.restoreRedemption(order.user, order._id, `Order ${event.to}`);
+  }
+});
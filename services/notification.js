@@ -1,132 +1,414 @@
 const Notification = require('../models/notificationModel');
-const firebaseService = require('./firebase');
+const User = require('../models/userModel');
+const { messaging } = require('../config/firebase');
+const emailService = require('./email');
+const msg91 = require('./msg91');
+const templates = require('./notificationTemplates');
+
+/**
+ * Notification Orchestrator - The one way to notify a user
+ *
+ * notify(userId, template, vars) renders a template from
+ * services/notificationTemplates.js, stores it as the user's in-app
+ * notification and delivers it on each channel (push, SMS, WhatsApp, email)
+ * the user hasn't turned off. Each channel's outcome is kept in
+ * Notification.sentVia. Channels blocked by quiet hours are deferred; failed
+ * ones are retried with backoff by processRetries (cron in app.js) until
+ * MAX_ATTEMPTS, so nothing is lost across restarts.
+ */
+
+const CHANNELS = ['in_app', 'push', 'sms', 'whatsapp', 'email'];
+const PREFERENCE_CATEGORIES = ['orderUpdates', 'promotions', 'newItems'];
+const QUIET_CHANNELS = ['push', 'sms', 'whatsapp']; // email waits in the inbox anyway
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const STALE_LOCK_MS = 5 * 60 * 1000; // a 'sending' entry older than this was interrupted
+const RETRYABLE = ['queued', 'failed', 'deferred'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '').split(':').map(Number);
+  return Number.isFinite(hours) && Number.isFinite(minutes) ? hours * 60 + minutes : null;
+};
+
+// FCM data payloads only accept string values
+const toStringMap = (data = {}) => Object.fromEntries(
+  Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, typeof value === 'string' ? value : typeof value === 'object' ? JSON.stringify(value) : String(value)])
+);
+
+// Outcome that means "nothing to retry": the channel can't be used for this user
+const skip = (reason) => ({ status: 'skipped', reason });
 
 module.exports = {
+  CHANNELS,
+  MAX_ATTEMPTS,
+
   /**
-   * Send notification to user
-   * @param {String} userId - User ID
-   * @param {Object} notification - Notification details
-   * @param {Array} channels - Channels to send through ['push', 'sms', 'email']
-   * @returns {Object} Send result
+   * Render a template for every channel
+   * @param {String} templateName - Key of services/notificationTemplates.js
+   * @param {Object} vars - Template variables
+   * @returns {Object} { template, title, body, email: { subject, html } }
    */
-  async sendNotification(userId, notification, channels = ['push']) {
-    try {
-      // Save notification to database
-      const savedNotification = await this.createNotification({
-        userId,
-        type: notification.type,
-        title: notification.title,
-        message: notification.message,
-        data: notification.data
-      });
+  render(templateName, vars = {}) {
+    const template = templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown notification template: ${templateName}`);
+    }
+    const title = template.title(vars);
+    const body = template.body(vars);
+    const email = template.email ? template.email(vars) : { subject: title, html: `<p>${body}</p>` };
+    return { template, title, body, email };
+  },
+
+  /**
+   * When a user's quiet hours end, if they are in them now
+   * @param {Object} prefs - user.notificationPreferences
+   * @param {Date} now - Reference time
+   * @returns {Date|null}
+   */
+  getQuietHoursEnd(prefs, now = new Date()) {
+    const quiet = prefs?.quietHours;
+    if (!quiet?.enabled) return null;
+    const start = toMinutes(quiet.start);
+    const end = toMinutes(quiet.end);
+    if (start === null || end === null || start === end) return null;
+
+    const current = now.getHours() * 60 + now.getMinutes();
+    const inQuiet = start < end ? current >= start && current < end : current >= start || current < end;
+    if (!inQuiet) return null;
+
+    const until = new Date(now);
+    until.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (until <= now) until.setDate(until.getDate() + 1);
+    return until;
+  },
+
+  /**
+   * Decide, per channel, whether to send now, later or not at all
+   * @param {Object} template - Template definition
+   * @param {Object} user - User with notificationPreferences
+   * @param {Array} channels - Requested channels
+   * @param {Date} now - Reference time
+   * @returns {Array} sentVia entries
+   */
+  planDeliveries(template, user, channels, now = new Date()) {
+    const prefs = user.notificationPreferences || {};
+    const critical = template.category === 'security';
+    const categoryOff = PREFERENCE_CATEGORIES.includes(template.category) && prefs[template.category] === false;
+    const quietUntil = critical ? null : this.getQuietHoursEnd(prefs, now);
+
+    // The stored notification is the in-app copy, so in_app is always delivered
+    const requested = [...new Set(['in_app', ...channels])].filter(c => CHANNELS.includes(c));
 
-      // Send through specified channels
-      const results = {};
-      
-      if (channels.includes('push')) {
-        results.push = await this.sendPushNotification(userId, notification);
+    return requested.map(channel => {
+      if (channel === 'in_app') {
+        return { channel, status: 'sent', sentAt: now, nextAttemptAt: null };
       }
-      
-      if (channels.includes('sms')) {
-        results.sms = await this.sendSMSNotification(userId, notification.message);
+      if (categoryOff) {
+        return { channel, status: 'skipped', nextAttemptAt: null, lastError: `${template.category} notifications turned off` };
       }
-      
-      if (channels.includes('email')) {
-        results.email = await this.sendEmailNotification(userId, notification);
+      if (!critical && prefs[channel] === false) {
+        return { channel, status: 'skipped', nextAttemptAt: null, lastError: `${channel} turned off` };
       }
-
-      return {
-        success: true,
-        notification: savedNotification,
-        channels: results
-      };
-    } catch (error) {
-      console.error('Send notification error:', error);
-      throw error;
-    }
+      if (quietUntil && QUIET_CHANNELS.includes(channel)) {
+        return { channel, status: 'deferred', nextAttemptAt: quietUntil };
+      }
+      return { channel, status: 'queued', nextAttemptAt: now };
+    });
   },
 
   /**
-   * Create notification in database
-   * @param {Object} notificationData - Notification data object
-   * @param {String} notificationData.userId - User ID
-   * @param {String} notificationData.type - Notification type
-   * @param {String} notificationData.title - Notification title
-   * @param {String} notificationData.message - Notification message
-   * @param {Object} notificationData.data - Additional data
-   * @returns {Object} Created notification
+   * Notify a user from a template
+   * @param {String} userId - Recipient
+   * @param {String} templateName - Key of services/notificationTemplates.js
+   * @param {Object} vars - Template variables
+   * @param {Object} [options] - { channels, data, type, sender }
+   * @returns {Object|null} Notification (null if the user doesn't exist)
    */
-  async createNotification(notificationData) {
-    const { userId, type, title, message, data = {} } = notificationData;
-    
-    const notification = new Notification({
+  async notify(userId, templateName, vars = {}, options = {}) {
+    const { template, title, body } = this.render(templateName, vars);
+    const user = await User.findById(userId).select('notificationPreferences').lean();
+    if (!user) return null;
+
+    const notification = await Notification.create({
       user: userId,
-      type,
+      sender: options.sender,
+      type: options.type || template.type,
       title,
-      message,
-      data,
-      sentVia: ['push'],
-      isRead: false
+      message: body,
+      data: options.data || {},
+      template: templateName,
+      templateData: vars,
+      sentVia: this.planDeliveries(template, user, options.channels || template.channels)
     });
 
-    return await notification.save();
+    await this.deliverPending(notification);
+    return notification;
   },
 
   /**
-   * Send push notification via Firebase
-   * @param {String} userId - User ID
-   * @param {Object} notification - Notification details
-   * @returns {Object} Send result
+   * Send a template straight to a phone or email, without storing it (OTPs,
+   * people who aren't users yet). Throws if the channel fails.
+   * @param {String} channel - sms | whatsapp | email
+   * @param {Object} recipient - { phone, email }
+   * @param {String} templateName - Template key
+   * @param {Object} vars - Template variables
+   * @returns {Object} { status, providerMessageId }
+   */
+  async sendDirect(channel, recipient, templateName, vars = {}) {
+    const rendered = this.render(templateName, vars);
+    const result = await this.sendOnChannel(channel, recipient, rendered, vars, {});
+    if (result.status !== 'sent') {
+      throw new Error(`Could not send ${templateName} by ${channel}: ${result.reason}`);
+    }
+    return result;
+  },
+
+  /**
+   * Attempt every channel of a notification that is due
+   * @param {Object} notification - Notification document
+   * @param {Date} now - Reference time
+   */
+  async deliverPending(notification, now = new Date()) {
+    const due = notification.sentVia.filter(entry =>
+      RETRYABLE.includes(entry.status) && entry.nextAttemptAt && entry.nextAttemptAt <= now
+    );
+    for (const entry of due) {
+      await this.attempt(notification, entry.channel, now);
+    }
+  },
+
+  /**
+   * Claim one channel of a notification and try to deliver it
+   * @param {Object} notification - Notification document
+   * @param {String} channel - Channel name
+   * @param {Date} now - Reference time
+   * @returns {String|null} Resulting status, or null if another worker has it
+   */
+  async attempt(notification, channel, now = new Date()) {
+    // Claim atomically so an inline send and the retry sweep never both send
+    const claimed = await Notification.findOneAndUpdate(
+      {
+        _id: notification._id,
+        sentVia: {
+          $elemMatch: {
+            channel,
+            $or: [
+              { status: { $in: RETRYABLE }, nextAttemptAt: { $lte: now } },
+              { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+            ]
+          }
+        }
+      },
+      { $set: { 'sentVia.$.status': 'sending', 'sentVia.$.lockedAt': now } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const entry = claimed.sentVia.find(e => e.channel === channel);
+    const user = await User.findById(claimed.user).select('notificationPreferences fcmToken phone email').lean();
+    const template = templates[claimed.template] || templates.generic;
+
+    let update;
+    const quietUntil = template.category === 'security' || !QUIET_CHANNELS.includes(channel)
+      ? null
+      : this.getQuietHoursEnd(user?.notificationPreferences, now);
+
+    if (!user) {
+      update = { status: 'skipped', nextAttemptAt: null, lastError: 'User no longer exists' };
+    } else if (quietUntil) {
+      // A retry that lands in quiet hours waits without using up an attempt
+      update = { status: 'deferred', nextAttemptAt: quietUntil };
+    } else {
+      const attempts = entry.attempts + 1;
+      try {
+        const vars = claimed.templateData || {};
+        const rendered = templates[claimed.template]
+          ? this.render(claimed.template, vars)
+          : this.render('generic', { title: claimed.title, message: claimed.message });
+        const result = await this.sendOnChannel(channel, user, rendered, vars, claimed);
+        update = result.status === 'sent'
+          ? { status: 'sent', attempts, sentAt: new Date(), nextAttemptAt: null, providerMessageId: result.providerMessageId || null, lastError: null }
+          : { status: 'skipped', attempts, nextAttemptAt: null, lastError: result.reason };
+      } catch (error) {
+        const retryIn = RETRY_DELAYS_MINUTES[attempts - 1];
+        update = {
+          status: 'failed',
+          attempts,
+          nextAttemptAt: attempts < MAX_ATTEMPTS ? new Date(now.getTime() + retryIn * 60 * 1000) : null,
+          lastError: error.message
+        };
+      }
+    }
+
+    const $set = { 'sentVia.$.lockedAt': null };
+    Object.entries(update).forEach(([key, value]) => { $set[`sentVia.$.${key}`] = value; });
+    await Notification.updateOne({ _id: claimed._id, 'sentVia.channel': channel }, { $set });
+    return update.status;
+  },
+
+  /**
+   * Deliver on one channel
+   * @param {String} channel - push | sms | whatsapp | email
+   * @param {Object} recipient - User (fcmToken, phone, email) or { phone, email }
+   * @param {Object} rendered - Output of render
+   * @param {Object} vars - Template variables
+   * @param {Object} notification - Stored notification (for push data), may be {}
+   * @returns {Object} { status: 'sent', providerMessageId } | { status: 'skipped', reason }; throws on failure
+   */
+  async sendOnChannel(channel, recipient, rendered, vars, notification) {
+    switch (channel) {
+      case 'push':
+        return this.sendPush(recipient, rendered, notification);
+      case 'sms':
+        return this.sendSms(recipient, rendered, vars);
+      case 'whatsapp':
+        return this.sendWhatsapp(recipient, rendered, vars);
+      case 'email':
+        return this.sendEmail(recipient, rendered);
+      default:
+        return skip(`Unknown channel ${channel}`);
+    }
+  },
+
+  /**
+   * FCM push to the user's device
    */
-  async sendPushNotification(userId, notification) {
+  async sendPush(user, rendered, notification = {}) {
+    if (!messaging) return skip('FCM not configured');
+    if (!user.fcmToken) return skip('No device token');
+
     try {
-      // In production, get user's FCM token from User model
-      // For now, this is a mock/placeholder
-      console.log('[MOCK] Sending push notification to user:', userId, notification);
-      
-      return {
-        success: true,
-        message: 'Push notification sent (MOCK)'
-      };
+      const messageId = await messaging.send({
+        notification: { title: rendered.title, body: rendered.body },
+        data: toStringMap({
+          ...(notification.data || {}),
+          notificationId: notification._id,
+          type: notification.type
+        }),
+        token: user.fcmToken
+      });
+      return { status: 'sent', providerMessageId: messageId };
     } catch (error) {
-      console.error('Push notification error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+      // Uninstalled app or rotated token: drop it instead of retrying
+      if (['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'].includes(error.code)) {
+        if (user._id) await User.updateOne({ _id: user._id, fcmToken: user.fcmToken }, { $set: { fcmToken: null } });
+        return skip('Device token no longer valid');
+      }
+      throw error;
     }
   },
 
   /**
-   * Send SMS notification
-   * @param {String} userId - User ID
-   * @param {String} message - SMS message
-   * @returns {Object} Send result
+   * SMS through an MSG91 flow (the template's own flow, or the generic one with a ##message## variable)
    */
-  async sendSMSNotification(userId, message) {
-    console.log('[MOCK] Sending SMS to user:', userId, message);
-    
-    return {
-      success: true,
-      message: 'SMS sent (MOCK)'
-    };
+  async sendSms(recipient, rendered, vars = {}) {
+    if (!msg91.isConfigured()) return skip('SMS provider not configured');
+    if (!recipient.phone) return skip('No phone number');
+
+    const flowId = (rendered.template.smsFlowEnv && process.env[rendered.template.smsFlowEnv]) || process.env.MSG91_SMS_FLOW_ID;
+    if (!flowId) return skip('No SMS flow configured');
+
+    const flowVars = Object.fromEntries(
+      Object.entries(vars).filter(([, value]) => ['string', 'number'].includes(typeof value))
+    );
+    const result = await msg91.sendSms(recipient.phone, flowId, { ...flowVars, message: rendered.body });
+    return { status: 'sent', providerMessageId: result.messageId };
+  },
+
+  /**
+   * WhatsApp template message through MSG91
+   */
+  async sendWhatsapp(recipient, rendered, vars = {}) {
+    const whatsapp = rendered.template.whatsapp;
+    if (!whatsapp) return skip('No WhatsApp template');
+    if (!msg91.isConfigured()) return skip('WhatsApp provider not configured');
+    if (!recipient.phone) return skip('No phone number');
+
+    const result = await msg91.sendWhatsappTemplate(recipient.phone, whatsapp.name, whatsapp.params(vars));
+    return { status: 'sent', providerMessageId: result.messageId };
+  },
+
+  /**
+   * Email through services/email.js
+   */
+  async sendEmail(recipient, rendered) {
+    if (!recipient.email) return skip('No email address');
+
+    const result = await emailService.sendEmail(recipient.email, rendered.email.subject, rendered.email.html);
+    if (String(result.messageId || '').startsWith('mock-')) return skip('Email provider not configured');
+    return { status: 'sent', providerMessageId: result.messageId };
+  },
+
+  /**
+   * Retry failed and deferred deliveries that are due (cron)
+   * @param {Date} now - Reference time
+   * @param {Number} limit - Notifications per run
+   * @returns {Object} { notifications, attempted }
+   */
+  async processRetries(now = new Date(), limit = 200) {
+    const due = await Notification.find({
+      sentVia: {
+        $elemMatch: {
+          $or: [
+            { status: { $in: RETRYABLE }, nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+          ]
+        }
+      }
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    let attempted = 0;
+    for (const notification of due) {
+      for (const entry of notification.sentVia) {
+        const stale = entry.status === 'sending' && entry.lockedAt && now - entry.lockedAt > STALE_LOCK_MS;
+        if (stale || (RETRYABLE.includes(entry.status) && entry.nextAttemptAt && entry.nextAttemptAt <= now)) {
+          if (await this.attempt(notification, entry.channel, now)) attempted += 1;
+        }
+      }
+    }
+    return { notifications: due.length, attempted };
   },
 
   /**
-   * Send email notification
+   * Send a free-form notification (kept for existing callers)
    * @param {String} userId - User ID
-   * @param {Object} notification - Notification details
+   * @param {Object} notification - { type, title, message, data }
+   * @param {Array} channels - Channels to send through ['push', 'sms', 'email', 'whatsapp']
    * @returns {Object} Send result
    */
-  async sendEmailNotification(userId, notification) {
-    console.log('[MOCK] Sending email to user:', userId, notification);
-    
+  async sendNotification(userId, notification, channels = ['push']) {
+    const saved = await this.notify(
+      userId,
+      'generic',
+      { title: notification.title, message: notification.message },
+      { channels, type: notification.type, data: notification.data }
+    );
     return {
-      success: true,
-      message: 'Email sent (MOCK)'
+      success: !!saved,
+      notification: saved,
+      channels: saved ? Object.fromEntries(saved.sentVia.map(e => [e.channel, e.status])) : {}
     };
   },
 
+  /**
+   * Create a free-form in-app notification and push it
+   * @param {Object} notificationData - Notification data object
+   * @param {String} notificationData.userId - User ID
+   * @param {String} notificationData.type - Notification type
+   * @param {String} notificationData.title - Notification title
+   * @param {String} notificationData.message - Notification message
+   * @param {Object} notificationData.data - Additional data
+   * @returns {Object} Created notification
+   */
+  async createNotification(notificationData) {
+    const { userId, type, title, message, data = {} } = notificationData;
+    return this.notify(userId, 'generic', { title, message }, { type, data });
+  },
+
   /**
    * Mark notification as read
    * @param {String} notificationId - Notification ID
@@ -149,12 +431,12 @@ module.exports = {
    * @returns {Array} Notifications
    */
   async getUserNotifications(userId, filters = {}) {
-    const query = { userId };
-    
+    const query = { user: userId };
+
     if (filters.isRead !== undefined) {
       query.isRead = filters.isRead;
     }
-    
+
     if (filters.type) {
       query.type = filters.type;
     }
@@ -167,22 +449,31 @@ module.exports = {
   },
 
   /**
-   * Send bulk notifications
+   * Send the same template to many users
    * @param {Array} userIds - Array of user IDs
-   * @param {Object} notification - Notification details
+   * @param {Object} notification - { title, message, type, data } or { template, vars, channels }
    * @returns {Object} Send result
    */
   async sendBulkNotifications(userIds, notification) {
-    console.log('[MOCK] Sending bulk notifications to users:', userIds.length, notification);
-    
-    const results = await Promise.allSettled(
-      userIds.map(userId => 
-        this.sendNotification(userId, notification, ['push'])
-      )
-    );
+    const templateName = notification.template || 'generic';
+    const vars = notification.vars || { title: notification.title, message: notification.message };
 
-    const successful = results.filter(r => r.status === 'fulfilled').length;
-    const failed = results.filter(r => r.status === 'rejected').length;
+    let successful = 0;
+    let failed = 0;
+    for (const userId of userIds) {
+      try {
+        const saved = await this.notify(userId, templateName, vars, {
+          channels: notification.channels,
+          type: notification.type,
+          data: notification.data
+        });
+        if (saved) successful += 1;
+        else failed += 1;
+      } catch (error) {
+        console.error('Bulk notification error for user', userId, error.message);
+        failed += 1;
+      }
+    }
 
     return {
       success: true,
@@ -193,37 +484,24 @@ module.exports = {
   },
 
   /**
-   * Send broadcast notification to all users
-   * @param {Object} notification - Notification details
+   * Send broadcast notification to all users through the FCM topic apps subscribe to
+   * @param {Object} notification - { title, message, data, topic }
    * @returns {Object} Send result
    */
   async broadcastNotification(notification) {
-    console.log('[MOCK] Broadcasting notification:', notification);
-    
-    // In production, use Firebase topics or get all active user tokens
-    return {
-      success: true,
-      message: 'Broadcast sent (MOCK)'
-    };
+    if (!messaging) {
+      return { success: false, message: 'FCM not configured' };
+    }
+    const messageId = await messaging.send({
+      notification: { title: notification.title, body: notification.message },
+      data: toStringMap(notification.data),
+      topic: notification.topic || 'all_users'
+    });
+    return { success: true, messageId };
   }
 };
 
-// Export standalone function for backward compatibility
-const createNotification = async (notificationData) => {
-  const { userId, type, title, message, data = {} } = notificationData;
-  
-  const notification = new Notification({
-    user: userId,
-    type,
-    title,
-    message,
-    data,
-    sentVia: ['push'],
-    isRead: false
-  });
-
-  return await notification.save();
+// Standalone function for callers that destructure it: const { createNotification } = require(...)
+module.exports.createNotification = async function createNotification({ userId, type, title, message, data = {} }) {
+  return module.exports.notify(userId, 'generic', { title, message }, { type, data });
 };
-
-// Add standalone function to exports
-module.exports.createNotification = createNotification;
@@ -1,41 +1,31 @@
 const { messaging } = require('../config/firebase');
-const Notification = require('../models/notificationModel');
-const User = require('../models/userModel');
+const orchestrator = require('./notification');
 
 const notificationService = {
   /**
-   * Send push notification to a specific user and store in MongoDB
+   * Send a notification to a user (stored in-app, pushed and sent on any
+   * other channels through the notification orchestrator)
    * @param {string} userId - User's MongoDB ID
-   * @param {object} notification - { title, body, data, type }
+   * @param {object} notification - { title, body, data, type, channels }
    * @returns {Promise<object>}
    */
   async sendToUser(userId, notification) {
     try {
-      // Store notification in MongoDB
-      const saved = await Notification.create({
-        user: userId,
-        type: notification.type || 'system',
-        title: notification.title,
-        message: notification.body,
-        data: notification.data || {}
-      });
-
-      // Try sending FCM push (non-blocking — notification is already stored)
-      const user = await User.findById(userId);
-      if (user && user.fcmToken && messaging) {
-        try {
-          const message = {
-            notification: { title: notification.title, body: notification.body },
-            data: notification.data || {},
-            token: user.fcmToken
-          };
-          await messaging.send(message);
-        } catch (fcmErr) {
-          console.warn(`FCM push failed for user ${userId}:`, fcmErr.message);
-        }
+      const saved = await orchestrator.notify(
+        userId,
+        'generic',
+        { title: notification.title, message: notification.body },
+        { type: notification.type, data: notification.data || {}, channels: notification.channels }
+      );
+      if (!saved) {
+        return { success: false, error: 'User not found' };
       }
 
-      return { success: true, notificationId: saved._id };
+      return {
+        success: true,
+        notificationId: saved._id,
+        channels: Object.fromEntries(saved.sentVia.map(e => [e.channel, e.status]))
+      };
     } catch (error) {
       console.error('Error sending notification:', error);
       return { success: false, error: error.message };
@@ -45,44 +35,24 @@ const notificationService = {
   /**
    * Send notification to multiple users
    * @param {Array<string>} userIds - Array of user MongoDB IDs
-   * @param {object} notification - { title, body, data, type }
+   * @param {object} notification - { title, body, data, type, channels }
    * @returns {Promise<object>}
    */
   async sendToMultipleUsers(userIds, notification) {
     try {
-      // Bulk insert notifications for all users
-      const docs = userIds.map(uid => ({
-        user: uid,
-        type: notification.type || 'system',
+      const result = await orchestrator.sendBulkNotifications(userIds, {
         title: notification.title,
         message: notification.body,
-        data: notification.data || {}
-      }));
-      await Notification.insertMany(docs);
-
-      // Send FCM multicast
-      const users = await User.find({ _id: { $in: userIds } });
-      const tokens = users.filter(u => u.fcmToken).map(u => u.fcmToken);
-
-      let fcmResult = { successCount: 0, failureCount: 0 };
-      if (tokens.length > 0 && messaging) {
-        try {
-          const message = {
-            notification: { title: notification.title, body: notification.body },
-            data: notification.data || {},
-            tokens
-          };
-          fcmResult = await messaging.sendEachForMulticast(message);
-        } catch (fcmErr) {
-          console.warn('FCM multicast failed:', fcmErr.message);
-        }
-      }
+        type: notification.type,
+        data: notification.data || {},
+        channels: notification.channels
+      });
 
       return {
         success: true,
         totalUsers: userIds.length,
-        successCount: fcmResult.successCount,
-        failureCount: fcmResult.failureCount
+        successCount: result.successful,
+        failureCount: result.failed
       };
     } catch (error) {
       console.error('Error sending multicast notification:', error);
@@ -0,0 +1,292 @@
+/**
+ * Notification Templates - What each notification says on each channel
+ *
+ * Every template has:
+ *   type      Notification.type for the in-app record
+ *   category  preference that can switch it off (orderUpdates | promotions | newItems),
+ *             'account' (always sent) or 'security' (always sent, ignores quiet hours)
+ *   channels  channels used when the caller doesn't pick any
+ *   title/body(vars)       in-app, push, and the SMS text
+ *   email(vars)            optional { subject, html }; defaults to title/body
+ *   whatsapp               optional { name, params(vars) } for an approved MSG91 template;
+ *                          without it the template is not sent on WhatsApp
+ *   smsFlowEnv             optional env var holding a dedicated MSG91 flow ID
+ */
+
+const orderRef = (vars) => `#${vars.orderNumber || String(vars.orderId || '').slice(-6).toUpperCase()}`;
+
+const tierName = (tier) => (tier ? tier.charAt(0).toUpperCase() + tier.slice(1) : '');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit', hour12: true });
+
+const paragraph = (text) => `<p style="font-family: Arial, sans-serif; font-size: 15px;">${text}</p>`;
+
+const templates = {
+  // Free-form text from callers that don't have a template yet (admin sends, legacy code)
+  generic: {
+    type: 'system',
+    category: 'account',
+    channels: ['in_app', 'push'],
+    title: (vars) => vars.title,
+    body: (vars) => vars.message
+  },
+
+  promotion: {
+    type: 'promotion',
+    category: 'promotions',
+    channels: ['in_app', 'push'],
+    title: (vars) => vars.title,
+    body: (vars) => vars.message
+  },
+
+  new_item: {
+    type: 'promotion',
+    category: 'newItems',
+    channels: ['in_app', 'push'],
+    title: (vars) => `New on the menu: ${vars.itemName}`,
+    body: (vars) => vars.message || `Try our new ${vars.itemName} today!`
+  },
+
+  otp: {
+    type: 'system',
+    category: 'security',
+    channels: ['whatsapp'],
+    title: () => 'Your verification code',
+    body: (vars) => `${vars.otp} is your NextGenFix verification code. It expires in ${vars.expiresInMinutes || 5} minutes.`,
+    whatsapp: {
+      name: 'otp_verification',
+      params: (vars) => ({
+        body_1: { type: 'text', value: vars.otp },
+        button_1: { subtype: 'url', type: 'text', value: vars.otp }
+      })
+    },
+    smsFlowEnv: 'MSG91_SMS_FLOW_OTP'
+  },
+
+  order_placed: {
+    type: 'order',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push', 'email'],
+    title: () => 'Order Placed',
+    body: (vars) => `Your order ${orderRef(vars)} has been placed successfully${vars.amount ? ` (₹${vars.amount})` : ''}.`,
+    email: (vars) => ({
+      subject: `Order ${orderRef(vars)} placed`,
+      html: paragraph(`Thanks for your order! Order ${orderRef(vars)}${vars.amount ? ` for ₹${vars.amount}` : ''} has been placed and will be confirmed by the kitchen shortly.`)
+    })
+  },
+
+  order_status_updated: {
+    type: 'order',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push'],
+    title: () => 'Order Status Updated',
+    body: (vars) => `${vars.statusMessage || `Your order status changed to ${vars.status}`} (${orderRef(vars)}).`
+  },
+
+  order_out_for_delivery: {
+    type: 'order',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push', 'sms', 'whatsapp'],
+    title: () => 'Out for Delivery',
+    body: (vars) => `Your order ${orderRef(vars)} is out for delivery and will reach you soon.`,
+    whatsapp: {
+      name: 'order_out_for_delivery',
+      params: (vars) => ({ body_1: { type: 'text', value: orderRef(vars) } })
+    }
+  },
+
+  order_delivered: {
+    type: 'order',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push'],
+    title: () => 'Order Delivered',
+    body: (vars) => `Your order ${orderRef(vars)} has been delivered. Enjoy your meal!`
+  },
+
+  order_cancelled: {
+    type: 'order',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push', 'sms'],
+    title: () => 'Order Cancelled',
+    body: (vars) => `${vars.statusMessage || 'Your order has been cancelled'} (${orderRef(vars)}).${vars.reason ? ` Reason: ${vars.reason}` : ''}`
+  },
+
+  refund_pending_review: {
+    type: 'payment',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push'],
+    title: () => 'Refund Update',
+    body: (vars) => `A refund of ₹${vars.amount} for order ${orderRef(vars)} is being reviewed.`
+  },
+
+  refund_issued: {
+    type: 'payment',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push', 'email', 'sms'],
+    title: () => 'Refund Issued',
+    body: (vars) => `₹${vars.amount} has been refunded for order ${orderRef(vars)}.`,
+    email: (vars) => ({
+      subject: `Refund of ₹${vars.amount} issued`,
+      html: paragraph(`We've refunded ₹${vars.amount} for order ${orderRef(vars)}. Wallet refunds are available right away; card and UPI refunds can take 5-7 working days to appear.`)
+    })
+  },
+
+  refund_declined: {
+    type: 'payment',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push', 'email'],
+    title: () => 'Refund Update',
+    body: (vars) => `Your refund request for order ${orderRef(vars)} was declined${vars.note ? `: ${vars.note}` : ''}.`
+  },
+
+  complaint_compensation: {
+    type: 'complaint',
+    category: 'account',
+    channels: ['in_app', 'push', 'email'],
+    title: () => 'Sorry about that',
+    body: (vars) => {
+      const ref = `your complaint ${vars.complaintId}`;
+      switch (vars.kind) {
+        case 'wallet_credit':
+          return `We've added ₹${vars.amount} to your wallet for ${ref}.`;
+        case 'replacement_order':
+          return `A free replacement order ${orderRef(vars)} is on its way for ${ref}.`;
+        default:
+          return `Use ${vars.code} for ₹${vars.amount} off your next order, valid until ${vars.validUntil}, for ${ref}.`;
+      }
+    }
+  },
+
+  subscription_update: {
+    type: 'subscription',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push'],
+    title: (vars) => vars.title,
+    body: (vars) => vars.message
+  },
+
+  cart_reminder: {
+    type: 'promotion',
+    category: 'promotions',
+    channels: ['in_app', 'push'],
+    title: () => 'Your cart is waiting',
+    body: (vars) => `You left ${vars.itemCount === 1 ? vars.firstItem : `${vars.firstItem} and ${vars.itemCount - 1} more`} in your cart. Ready to order?`
+  },
+
+  cart_reminder_followup: {
+    type: 'promotion',
+    category: 'promotions',
+    channels: ['whatsapp'],
+    title: () => 'Still hungry?',
+    body: (vars) => `Your cart with ${vars.firstItem} (₹${vars.cartValue}) is still saved. Order in a couple of taps!`,
+    whatsapp: {
+      name: 'cart_reminder',
+      params: (vars) => ({
+        body_1: { type: 'text', value: vars.firstItem },
+        body_2: { type: 'text', value: String(vars.cartValue) }
+      })
+    }
+  },
+
+  cart_recovery_coupon: {
+    type: 'promotion',
+    category: 'promotions',
+    channels: ['in_app', 'push', 'whatsapp'],
+    title: () => 'A treat for your cart',
+    body: (vars) => `Use ${vars.code} for ${vars.discount} off your cart. Valid until ${vars.validUntil}.`,
+    whatsapp: {
+      name: 'cart_recovery_coupon',
+      params: (vars) => ({
+        body_1: { type: 'text', value: vars.discount },
+        body_2: { type: 'text', value: vars.code },
+        body_3: { type: 'text', value: vars.validUntil }
+      })
+    }
+  },
+
+  tier_upgraded: {
+    type: 'system',
+    category: 'account',
+    channels: ['in_app', 'push'],
+    title: (vars) => `Welcome to ${tierName(vars.tier)}!`,
+    body: (vars) => `You've moved up to ${tierName(vars.tier)}. Enjoy your new member discount on every order.`
+  },
+
+  tier_grace_started: {
+    type: 'system',
+    category: 'account',
+    channels: ['in_app', 'push'],
+    title: (vars) => `Keep your ${tierName(vars.tier)} status`,
+    body: (vars) => `You're short of ${tierName(vars.tier)} this month. Order again before ${formatDate(vars.graceUntil)} to keep it, or you'll move to ${tierName(vars.newTier)}.`
+  },
+
+  tier_downgraded: {
+    type: 'system',
+    category: 'account',
+    channels: ['in_app', 'push'],
+    title: () => 'Your membership tier changed',
+    body: (vars) => `You're now ${tierName(vars.tier)}. Order more this month to get back to ${tierName(vars.previousTier)}.`
+  },
+
+  reservation_confirmed: {
+    type: 'reservation',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push'],
+    title: () => 'Table booked',
+    body: (vars) => `Your table for ${vars.guestCount} is booked for ${formatDateTime(vars.startTime)}.`
+  },
+
+  reservation_waitlisted: {
+    type: 'reservation',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push'],
+    title: () => "You're on the waitlist",
+    body: (vars) => `No table for ${vars.guestCount} is free at ${formatDateTime(vars.startTime)} yet. We'll book you in automatically if one opens up.`
+  },
+
+  reservation_promoted: {
+    type: 'reservation',
+    category: 'account',
+    channels: ['in_app', 'push', 'sms'],
+    title: () => 'A table opened up',
+    body: (vars) => `Good news! Your waitlisted table for ${vars.guestCount} at ${formatDateTime(vars.startTime)} is now booked.`
+  },
+
+  reservation_reminder: {
+    type: 'reservation',
+    category: 'orderUpdates',
+    channels: ['in_app', 'push'],
+    title: () => 'See you soon',
+    body: (vars) => `Reminder: your table for ${vars.guestCount} is at ${formatDateTime(vars.startTime)}. We hold it for ${vars.graceMinutes} minutes after that.`
+  },
+
+  reservation_cancelled: {
+    type: 'reservation',
+    category: 'account',
+    channels: ['in_app', 'push'],
+    title: () => 'Reservation cancelled',
+    body: (vars) => `Your table at ${formatDateTime(vars.startTime)} was cancelled${vars.reason ? `: ${vars.reason}` : '.'}`
+  },
+
+  reservation_no_show: {
+    type: 'reservation',
+    category: 'account',
+    channels: ['in_app', 'push'],
+    title: () => 'We missed you',
+    body: (vars) => (vars.blockedUntil
+      ? `Your table at ${formatDateTime(vars.startTime)} was released as a no-show. After repeated no-shows, table booking is paused until ${formatDate(vars.blockedUntil)}.`
+      : `Your table at ${formatDateTime(vars.startTime)} was released as a no-show. Please cancel ahead if your plans change.`)
+  },
+
+  referral_joined: {
+    type: 'referral',
+    category: 'account',
+    channels: ['in_app', 'push'],
+    title: () => 'New Referral',
+    body: (vars) => `${vars.name || 'A user'} joined using your referral code!`
+  }
+};
+
+module.exports = templates;
@@ -0,0 +1,436 @@
+const mongoose = require('mongoose');
+const NutritionLog = require('../models/nutritionLogModel');
+const User = require('../models/userModel');
+const MenuItem = require('../models/menuItemModel');
+const orderStateMachine = require('./orderStateMachine');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Nutrition Service - Daily food and water log, reports and goal calculator
+ *
+ * A NutritionLog holds one day for one user. `consumed` is the sum of its
+ * entries: one per order (added when the order is placed, taken out again if
+ * it is cancelled, rejected or refunded) and any meals the user logs by hand.
+ */
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar'];
+const DEFAULT_GOALS = { calories: 2000, protein: 120, carbs: 280, fat: 233, fiber: 38, sugar: 50 };
+const DEFAULT_WATER_GOAL = 2500;
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Nutrients to reach (at least 90% of goal) vs. stay under
+const MINIMUM_NUTRIENTS = ['protein', 'fiber'];
+const MINIMUM_SHARE = 0.9;
+
+const ACTIVITY_FACTORS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9
+};
+const GOAL_ADJUSTMENT = { lose: -500, maintain: 0, gain: 300 };
+const PROTEIN_PER_KG = { lose: 2.0, maintain: 1.6, gain: 1.8 };
+const MIN_CALORIES = 1200;
+
+const toDateStr = (date) => new Date(date).toISOString().split('T')[0];
+
+const addDays = (dateStr, days) => {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateStr(d);
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const incFor = (nutrition, sign = 1) => Object.fromEntries(
+  NUTRIENTS.map(key => [`consumed.${key}`, sign * (nutrition[key] || 0)])
+);
+
+module.exports = {
+  NUTRIENTS,
+  MEAL_TYPES,
+  toDateStr,
+
+  /**
+   * A user's daily goals, with defaults filled in
+   * @param {Object} user - { calorieGoal, macroGoals, waterGoal }
+   * @returns {Object} { calories, protein, carbs, fat, fiber, sugar, water }
+   */
+  getGoals(user) {
+    return {
+      ...DEFAULT_GOALS,
+      ...(user?.macroGoals || {}),
+      calories: user?.calorieGoal || DEFAULT_GOALS.calories,
+      water: user?.waterGoal || DEFAULT_WATER_GOAL
+    };
+  },
+
+  /**
+   * Re-derive withinGoal for a day after it changed
+   */
+  async refreshWithinGoal(logId, userId) {
+    const user = await User.findById(userId).select('calorieGoal').lean();
+    const calorieGoal = user?.calorieGoal || DEFAULT_GOALS.calories;
+    await NutritionLog.updateOne({ _id: logId }, [{
+      $set: {
+        withinGoal: {
+          $and: [
+            // A day with nothing eaten (or only water) doesn't count toward the streak
+            { $gt: [{ $add: [{ $size: { $ifNull: ['$entries', []] } }, { $size: { $ifNull: ['$orders', []] } }] }, 0] },
+            { $lte: [{ $ifNull: ['$consumed.calories', 0] }, calorieGoal] }
+          ]
+        }
+      }
+    }]);
+  },
+
+  /**
+   * Nutrition of a set of order lines, from the menu
+   * @param {Array} items - [{ itemId, quantity }]
+   * @returns {Object} { calories, protein, carbs, fat, fiber, sugar }
+   */
+  async orderTotals(items) {
+    const menuItems = await MenuItem.find({ _id: { $in: items.map(i => i.itemId) } }).select('nutritionInfo').lean();
+    const byId = new Map(menuItems.map(m => [String(m._id), m]));
+
+    const totals = Object.fromEntries(NUTRIENTS.map(key => [key, 0]));
+    for (const item of items) {
+      const info = byId.get(String(item.itemId))?.nutritionInfo;
+      if (!info) continue;
+      for (const key of NUTRIENTS) totals[key] += (info[key] || 0) * item.quantity;
+    }
+    return totals;
+  },
+
+  /**
+   * Add an order to the day it was placed (once per order)
+   * @param {String} userId - User ID
+   * @param {Object} order - { _id, items: [{ itemId, quantity }], createdAt }
+   */
+  async logOrder(userId, order) {
+    const totals = await this.orderTotals(order.items);
+    const date = toDateStr(order.createdAt || new Date());
+    try {
+      const log = await NutritionLog.findOneAndUpdate(
+        { user: userId, date, orders: { $ne: order._id } },
+        {
+          $inc: incFor(totals),
+          $push: { entries: { source: 'order', order: order._id, name: `Order #${order.orderNumber || String(order._id).slice(-6).toUpperCase()}`, nutrition: totals } },
+          $addToSet: { orders: order._id }
+        },
+        { upsert: true, new: true }
+      );
+      await this.refreshWithinGoal(log._id, userId);
+    } catch (error) {
+      if (error.code === 11000) return; // already logged
+      throw error;
+    }
+  },
+
+  /**
+   * Take an order back out of the log (cancelled, rejected or refunded)
+   * @param {Object} order - Order document
+   * @returns {Boolean} Whether anything was removed
+   */
+  async reverseOrder(order) {
+    const log = await NutritionLog.findOne({ user: order.user, orders: order._id }).lean();
+    if (!log) return false;
+
+    const entry = (log.entries || []).find(e => e.source === 'order' && String(e.order) === String(order._id));
+    // Logged before entries existed: work the amounts out again from the menu
+    const totals = entry?.nutrition || await this.orderTotals(order.items);
+
+    const result = await NutritionLog.updateOne(
+      { _id: log._id, orders: order._id },
+      {
+        $inc: incFor(totals, -1),
+        $pull: { orders: order._id, entries: { source: 'order', order: order._id } }
+      }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await this.clampConsumed(log._id);
+    await this.refreshWithinGoal(log._id, order.user);
+    return true;
+  },
+
+  /**
+   * Keep totals from going below zero (menu nutrition may have changed since)
+   */
+  async clampConsumed(logId) {
+    await NutritionLog.updateOne({ _id: logId }, [{
+      $set: Object.fromEntries(NUTRIENTS.map(key => [`consumed.${key}`, { $max: [0, `$consumed.${key}`] }]))
+    }]);
+  },
+
+  /**
+   * Log a meal that didn't come from us
+   * @param {String} userId - User ID
+   * @param {Object} data - { date, name, mealType, quantity, calories, protein, carbs, fat, fiber, sugar }
+   * @returns {Object} Updated log
+   */
+  async addManualEntry(userId, data) {
+    const date = data.date || toDateStr(new Date());
+    this.assertDate(date);
+    if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+      throw new AppError('A name for the food is required', 400);
+    }
+    if (data.mealType !== undefined && !MEAL_TYPES.includes(data.mealType)) {
+      throw new AppError(`mealType must be one of: ${MEAL_TYPES.join(', ')}`, 400);
+    }
+    const quantity = data.quantity === undefined ? 1 : Number(data.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0 || quantity > 50) {
+      throw new AppError('Quantity must be between 0 and 50', 400);
+    }
+
+    // Values are per serving; the entry stores the total for the quantity eaten
+    const nutrition = {};
+    for (const key of NUTRIENTS) {
+      const value = data[key] === undefined ? 0 : Number(data[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new AppError(`${key} must be a number of 0 or more`, 400);
+      }
+      nutrition[key] = round(value * quantity);
+    }
+    if (nutrition.calories > 10000) {
+      throw new AppError('That is more than 10000 calories for one entry', 400);
+    }
+
+    const log = await NutritionLog.findOneAndUpdate(
+      { user: userId, date },
+      {
+        $inc: incFor(nutrition),
+        $push: { entries: { source: 'manual', name: data.name.trim(), mealType: data.mealType, quantity, nutrition } }
+      },
+      { upsert: true, new: true }
+    );
+    await this.refreshWithinGoal(log._id, userId);
+    return NutritionLog.findById(log._id).lean();
+  },
+
+  /**
+   * Remove a meal logged by hand
+   * @param {String} userId - User ID
+   * @param {String} entryId - Entry ID
+   * @returns {Object} Updated log
+   */
+  async removeManualEntry(userId, entryId) {
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      throw new AppError('Invalid entry ID', 400);
+    }
+    const log = await NutritionLog.findOne({ user: userId, 'entries._id': entryId }).lean();
+    const entry = log?.entries.find(e => String(e._id) === String(entryId));
+    if (!entry) {
+      throw new AppError('Entry not found', 404);
+    }
+    if (entry.source !== 'manual') {
+      throw new AppError('Order entries are removed by cancelling the order', 400);
+    }
+
+    const result = await NutritionLog.updateOne(
+      { _id: log._id, 'entries._id': entry._id },
+      { $inc: incFor(entry.nutrition, -1), $pull: { entries: { _id: entry._id } } }
+    );
+    if (result.modifiedCount > 0) {
+      await this.clampConsumed(log._id);
+      await this.refreshWithinGoal(log._id, userId);
+    }
+    return NutritionLog.findById(log._id).lean();
+  },
+
+  /**
+   * Add (or with a negative amount, correct) water for a day
+   * @param {String} userId - User ID
+   * @param {Number} amountMl - Millilitres
+   * @param {String} [date] - 'YYYY-MM-DD', default today
+   * @returns {Object} { date, water, goal }
+   */
+  async addWater(userId, amountMl, date = toDateStr(new Date())) {
+    this.assertDate(date);
+    const amount = Number(amountMl);
+    if (!Number.isFinite(amount) || amount === 0 || Math.abs(amount) > 5000) {
+      throw new AppError('Amount must be a non-zero number of ml, up to 5000', 400);
+    }
+
+    await NutritionLog.updateOne(
+      { user: userId, date },
+      [{ $set: { user: new mongoose.Types.ObjectId(String(userId)), date, water: { $max: [0, { $add: [{ $ifNull: ['$water', 0] }, amount] }] } } }],
+      { upsert: true }
+    );
+    const [log, user] = await Promise.all([
+      NutritionLog.findOne({ user: userId, date }).select('water').lean(),
+      User.findById(userId).select('waterGoal').lean()
+    ]);
+    return { date, water: log?.water || 0, goal: user?.waterGoal || DEFAULT_WATER_GOAL };
+  },
+
+  /**
+   * Weekly or monthly trends with goal adherence
+   * @param {String} userId - User ID
+   * @param {Object} options - { period: 'week' | 'month', date }
+   * @returns {Object}
+   */
+  async getReport(userId, { period = 'week', date } = {}) {
+    if (!['week', 'month'].includes(period)) {
+      throw new AppError('period must be week or month', 400);
+    }
+    const endDate = date || toDateStr(new Date());
+    this.assertDate(endDate);
+    const days = period === 'week' ? 7 : 30;
+    const startDate = addDays(endDate, -(days - 1));
+    const previousStart = addDays(startDate, -days);
+
+    const [user, logs] = await Promise.all([
+      User.findById(userId).select('calorieGoal macroGoals waterGoal').lean(),
+      NutritionLog.find({ user: userId, date: { $gte: previousStart, $lte: endDate } }).lean()
+    ]);
+    const goals = this.getGoals(user);
+    const byDate = new Map(logs.map(log => [log.date, log]));
+
+    const series = [];
+    for (let i = 0; i < days; i++) {
+      const day = addDays(startDate, i);
+      const log = byDate.get(day);
+      series.push({
+        date: day,
+        logged: !!log && (log.entries?.length > 0 || (log.consumed?.calories || 0) > 0),
+        ...Object.fromEntries(NUTRIENTS.map(key => [key, round(log?.consumed?.[key] || 0)])),
+        water: log?.water || 0
+      });
+    }
+
+    const summary = this.summarize(series, goals);
+    const previous = this.summarize(
+      Array.from({ length: days }, (_, i) => {
+        const log = byDate.get(addDays(previousStart, i));
+        return {
+          logged: !!log && (log.entries?.length > 0 || (log.consumed?.calories || 0) > 0),
+          ...Object.fromEntries(NUTRIENTS.map(key => [key, log?.consumed?.[key] || 0])),
+          water: log?.water || 0
+        };
+      }),
+      goals
+    );
+
+    return {
+      period,
+      startDate,
+      endDate,
+      goals,
+      daysLogged: summary.daysLogged,
+      averages: summary.averages,
+      adherence: summary.adherence,
+      trend: Object.fromEntries(NUTRIENTS.map(key => [
+        key,
+        previous.daysLogged > 0 ? round(summary.averages[key] - previous.averages[key]) : null
+      ])),
+      series
+    };
+  },
+
+  /**
+   * Averages over logged days and share of logged days meeting each goal (pure)
+   * @param {Array} series - Days { logged, calories, ..., water }
+   * @param {Object} goals - From getGoals
+   * @returns {Object} { daysLogged, averages, adherence }
+   */
+  summarize(series, goals) {
+    const logged = series.filter(day => day.logged);
+    const count = logged.length;
+    const averages = {};
+    const adherence = {};
+
+    for (const key of NUTRIENTS) {
+      averages[key] = count > 0 ? round(logged.reduce((sum, day) => sum + day[key], 0) / count) : 0;
+      const met = logged.filter(day => (MINIMUM_NUTRIENTS.includes(key)
+        ? day[key] >= goals[key] * MINIMUM_SHARE
+        : day[key] <= goals[key])).length;
+      adherence[key] = count > 0 ? Math.round((met / count) * 100) : null;
+    }
+
+    // Water counts every day, logged food or not
+    const waterDays = series.filter(day => day.water > 0);
+    averages.water = waterDays.length > 0 ? Math.round(waterDays.reduce((sum, day) => sum + day.water, 0) / waterDays.length) : 0;
+    adherence.water = waterDays.length > 0
+      ? Math.round((waterDays.filter(day => day.water >= goals.water).length / waterDays.length) * 100)
+      : null;
+
+    return { daysLogged: count, averages, adherence };
+  },
+
+  /**
+   * Daily goals from body metrics (pure). Mifflin-St Jeor BMR x activity factor.
+   * @param {Object} params - { age, gender, weightKg, heightCm, activityLevel, goal }
+   * @returns {Object} { bmr, tdee, goals: { calories, protein, carbs, fat, fiber, sugar, water } }
+   */
+  calculateGoals({ age, gender, weightKg, heightCm, activityLevel = 'light', goal = 'maintain' }) {
+    if (!Number.isFinite(age) || age < 13 || age > 100) {
+      throw new AppError('Age must be between 13 and 100', 400);
+    }
+    if (!Number.isFinite(weightKg) || weightKg < 20 || weightKg > 400) {
+      throw new AppError('Weight must be between 20 and 400 kg', 400);
+    }
+    if (!Number.isFinite(heightCm) || heightCm < 80 || heightCm > 260) {
+      throw new AppError('Height must be between 80 and 260 cm', 400);
+    }
+    if (!ACTIVITY_FACTORS[activityLevel]) {
+      throw new AppError(`activityLevel must be one of: ${Object.keys(ACTIVITY_FACTORS).join(', ')}`, 400);
+    }
+    if (GOAL_ADJUSTMENT[goal] === undefined) {
+      throw new AppError('goal must be lose, maintain or gain', 400);
+    }
+
+    // Male +5, female -161; anyone else gets the midpoint
+    const sexOffset = gender === 'Male' ? 5 : gender === 'Female' ? -161 : -78;
+    const bmr = 10 * weightKg + 6.25 * heightCm - 5 * age + sexOffset;
+    const tdee = bmr * ACTIVITY_FACTORS[activityLevel];
+    const calories = Math.round(Math.max(MIN_CALORIES, tdee + GOAL_ADJUSTMENT[goal]));
+
+    const protein = Math.round(weightKg * PROTEIN_PER_KG[goal]);
+    const fat = Math.round((calories * 0.25) / 9);
+    const carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+
+    return {
+      bmr: Math.round(bmr),
+      tdee: Math.round(tdee),
+      goals: {
+        calories,
+        protein,
+        carbs,
+        fat,
+        fiber: Math.round((calories / 1000) * 14),
+        sugar: Math.round((calories * 0.1) / 4),
+        water: Math.round(weightKg * 35 / 50) * 50
+      }
+    };
+  },
+
+  /**
+   * Age in whole years from a birth date
+   */
+  ageFrom(birthDate, now = new Date()) {
+    if (!birthDate) return null;
+    const b = new Date(birthDate);
+    let age = now.getFullYear() - b.getFullYear();
+    const m = now.getMonth() - b.getMonth();
+    if (m < 0 || (m === 0 && now.getDate() < b.getDate())) age--;
+    return age;
+  },
+
+  /**
+   * Reject anything that isn't a real 'YYYY-MM-DD' date
+   */
+  assertDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || toDateStr(`${date}T00:00:00Z`) !== date) {
+      throw new AppError('Dates must be YYYY-MM-DD', 400);
+    }
+  }
+};
+
+// Cancelled, rejected and refunded orders come back out of the log
+orderStateMachine.onTransition(async (order, event) => {
+  if (['cancelled', 'rejected', 'refunded'].includes(event.to)) {
+    await module.exports.reverseOrder(order);
+  }
+});
@@ -0,0 +1,305 @@
+const Order = require('../models/orderModel');
+const User = require('../models/userModel');
+const notificationService = require('./notification');
+const tierService = require('./tier');
+const { emitOrderStatusUpdate } = require('../config/websocket');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Order State Machine - The only place allowed to change Order.status
+ *
+ * Delivery:   placed -> accepted -> preparing -> ready -> [picked_up] -> out-for-delivery -> delivered
+ * Take away:  placed -> accepted -> preparing -> ready -> delivered
+ * Recall:     ready -> preparing (kitchen display recall, before hand-over)
+ * Exits:      placed -> rejected | cancelled, any open state -> cancelled (admin), paid closed state -> refunded
+ */
+
+const ORDER_STATUSES = [
+  'placed',
+  'accepted',
+  'preparing',
+  'ready',
+  'picked_up',
+  'out-for-delivery',
+  'delivered',
+  'cancelled',
+  'rejected',
+  'refunded'
+];
+
+const ACTORS = ['user', 'admin', 'kitchen', 'system'];
+
+// from -> to -> actors allowed to make the move
+const TRANSITIONS = {
+  placed: {
+    accepted: ['admin', 'kitchen', 'system'],
+    rejected: ['admin', 'kitchen'],
+    cancelled: ['user', 'admin', 'system']
+  },
+  accepted: {
+    preparing: ['admin', 'kitchen'],
+    cancelled: ['admin']
+  },
+  preparing: {
+    ready: ['admin', 'kitchen'],
+    cancelled: ['admin']
+  },
+  ready: {
+    preparing: ['admin', 'kitchen'], // ticket recalled on the kitchen display
+    picked_up: ['admin', 'kitchen'],
+    'out-for-delivery': ['admin', 'kitchen'],
+    delivered: ['admin', 'kitchen'],
+    cancelled: ['admin']
+  },
+  picked_up: {
+    'out-for-delivery': ['admin', 'system'],
+    delivered: ['admin']
+  },
+  'out-for-delivery': {
+    delivered: ['admin', 'system']
+  },
+  delivered: {
+    refunded: ['admin', 'system']
+  },
+  cancelled: {
+    refunded: ['admin', 'system']
+  },
+  rejected: {
+    refunded: ['admin', 'system']
+  },
+  refunded: {}
+};
+
+// Moves that only make sense for one kind of order
+const DELIVERY_ONLY = ['picked_up', 'out-for-delivery'];
+
+// Friendly / legacy values sent by the dashboard and apps
+const STATUS_ALIASES = {
+  ordered: 'placed',
+  confirmed: 'accepted',
+  dispatched: 'out-for-delivery',
+  'out_for_delivery': 'out-for-delivery',
+  'picked-up': 'picked_up',
+  canceled: 'cancelled'
+};
+
+const STATUS_MESSAGES = {
+  accepted: 'Your order has been accepted by the kitchen',
+  preparing: 'Your order is being prepared',
+  ready: 'Your order is ready',
+  picked_up: 'Your order has been picked up by the delivery partner',
+  'out-for-delivery': 'Your order is out for delivery',
+  delivered: 'Your order has been delivered. Enjoy your meal!',
+  cancelled: 'Your order has been cancelled',
+  rejected: 'Sorry, the kitchen could not accept your order',
+  refunded: 'Your order has been refunded'
+};
+
+// Statuses with their own notification template (others use order_status_updated)
+const STATUS_TEMPLATES = {
+  'out-for-delivery': 'order_out_for_delivery',
+  delivered: 'order_delivered',
+  cancelled: 'order_cancelled',
+  rejected: 'order_cancelled'
+};
+
+// Field stamped with the time the order entered a status
+const STATUS_TIMESTAMPS = {
+  accepted: 'acceptedAt',
+  ready: 'readyAt',
+  picked_up: 'pickedUpAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  rejected: 'rejectedAt',
+  refunded: 'refundedAt'
+};
+
+// Callbacks run after every committed transition: fn(order, { from, to, actor, actorId, reason })
+const listeners = [];
+
+module.exports = {
+  ORDER_STATUSES,
+  ACTORS,
+  TRANSITIONS,
+
+  /**
+   * Map a friendly or legacy status name to the internal enum value
+   * @param {String} status - Requested status
+   * @returns {String} Internal status
+   */
+  normalizeStatus(status) {
+    const value = String(status || '').trim().toLowerCase().replace(/\s+/g, '-');
+    return STATUS_ALIASES[value] || value;
+  },
+
+  /**
+   * List statuses an actor may move an order to from its current state
+   * @param {Object} order - Order document
+   * @param {String} actor - user | admin | kitchen | system
+   * @returns {Array} Reachable statuses
+   */
+  getAllowedTransitions(order, actor) {
+    const next = TRANSITIONS[order.status] || {};
+    return Object.keys(next).filter(to => {
+      if (!next[to].includes(actor)) return false;
+      if (DELIVERY_ONLY.includes(to) && order.orderType !== 'delivery') return false;
+      return true;
+    });
+  },
+
+  /**
+   * Check a single move without applying it
+   * @param {Object} order - Order document
+   * @param {String} to - Target status
+   * @param {String} actor - Actor attempting the move
+   * @returns {Object} { allowed, reason }
+   */
+  canTransition(order, to, actor) {
+    if (!ORDER_STATUSES.includes(to)) {
+      return { allowed: false, reason: `Unsupported status: ${to}` };
+    }
+    if (!ACTORS.includes(actor)) {
+      return { allowed: false, reason: `Unknown actor: ${actor}` };
+    }
+    if (order.status === to) {
+      return { allowed: false, reason: `Order is already ${to}` };
+    }
+
+    const allowed = this.getAllowedTransitions(order, actor);
+    if (!allowed.includes(to)) {
+      const options = allowed.length > 0 ? allowed.join(', ') : 'none';
+      return {
+        allowed: false,
+        reason: `Cannot move order from ${order.status} to ${to} as ${actor}. Allowed: ${options}`
+      };
+    }
+
+    if (to === 'refunded' && order.paymentStatus !== 'paid' && !order.billing?.paidViaWallet) {
+      return { allowed: false, reason: 'Only paid orders can be refunded' };
+    }
+
+    return { allowed: true };
+  },
+
+  /**
+   * Apply a transition: validate, stamp, audit, save, then notify
+   * Throws 409 without side effects when another request moved the order first.
+   * @param {Object|String} orderOrId - Order document or ID
+   * @param {String} status - Target status (aliases accepted)
+   * @param {Object} options - { actor, actorId, reason, notes }
+   * @returns {Object} Saved order
+   */
+  async transition(orderOrId, status, options = {}) {
+    const { actor = 'system', actorId = null, reason = '', notes = '' } = options;
+
+    const order = orderOrId instanceof Order ? orderOrId : await Order.findById(orderOrId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const from = order.status;
+    const to = this.normalizeStatus(status);
+    const check = this.canTransition(order, to, actor);
+    if (!check.allowed) {
+      throw new AppError(check.reason, 409);
+    }
+
+    const now = new Date();
+    order.status = to;
+    if (STATUS_TIMESTAMPS[to]) {
+      order[STATUS_TIMESTAMPS[to]] = now;
+    }
+    if (to === 'cancelled' || to === 'rejected') {
+      order.cancellationReason = reason || order.cancellationReason;
+    }
+    if (to === 'preparing' || to === 'out-for-delivery') {
+      order.estimatedDeliveryTime = new Date(now.getTime() + 45 * 60 * 1000); // 45 minutes
+    }
+
+    if (!Array.isArray(order.trackingHistory)) order.trackingHistory = [];
+    order.trackingHistory.push({
+      status: to,
+      fromStatus: from,
+      timestamp: now,
+      actor,
+      actorId,
+      reason,
+      notes
+    });
+
+    // Only write while the order is still where this move started, so two requests
+    // racing from the same status can't both apply it and both run its effects
+    order.$where = { status: from };
+    try {
+      await order.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError' || error.name === 'VersionError') {
+        throw new AppError(`Order is no longer ${from}; it was updated by another request`, 409);
+      }
+      throw error;
+    } finally {
+      order.$where = undefined;
+    }
+
+    const event = { from, to, actor, actorId, reason };
+    await this.runSideEffects(order, event);
+
+    for (const listener of listeners) {
+      try {
+        await listener(order, event);
+      } catch (err) {
+        console.error('Order transition listener error:', err);
+      }
+    }
+
+    return order;
+  },
+
+  /**
+   * Register a callback fired after every transition (KDS, inventory, refunds...)
+   * @param {Function} listener - async (order, event) => void
+   */
+  onTransition(listener) {
+    listeners.push(listener);
+  },
+
+  /**
+   * Built-in effects: customer stats, notification and websocket push
+   * Failures are logged and never undo the transition.
+   * @param {Object} order - Saved order
+   * @param {Object} event - { from, to, actor, actorId, reason }
+   */
+  async runSideEffects(order, event) {
+    const userId = order.user && order.user._id ? order.user._id : order.user;
+
+    if (event.to === 'delivered') {
+      try {
+        const amount = (order.billing && order.billing.totalAmount) || 0;
+        await User.updateOne({ _id: userId }, { $inc: { totalSpent: amount } });
+        await tierService.recordDelivery(userId, amount);
+      } catch (err) {
+        console.error('Error updating user after delivery for order', order._id, err);
+      }
+    }
+
+    try {
+      await notificationService.notify(userId, STATUS_TEMPLATES[event.to] || 'order_status_updated', {
+        orderId: String(order._id),
+        orderNumber: order.orderNumber,
+        status: event.to,
+        statusMessage: STATUS_MESSAGES[event.to],
+        reason: ['cancelled', 'rejected'].includes(event.to) ? event.reason : undefined
+      }, {
+        data: { orderId: order._id, status: event.to, previousStatus: event.from }
+      });
+    } catch (err) {
+      console.error('Notification error after status update:', err);
+    }
+
+    try {
+      emitOrderStatusUpdate(String(userId), String(order._id), event.to);
+    } catch (err) {
+      console.error('Websocket error after status update:', err);
+    }
+  }
+};
@@ -1,99 +1,291 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Payment = require('../models/paymentModel');
+const Order = require('../models/orderModel');
+
 /**
- * Payment Service - Placeholder for PhonePe Integration
- * This service provides mock implementations for development
- * Replace with actual PhonePe SDK calls when credentials are available
+ * Payment Service - PhonePe PG (v1) adapter
+ * Handles X-VERIFY checksums, pay/status/refund calls and idempotent processing
+ * of callbacks. Point PHONEPE_API_URL at tests/fake-phonepe-server.js to run
+ * against the local sandbox.
  */
 
+const PAY_PATH = '/pg/v1/pay';
+const REFUND_PATH = '/pg/v1/refund';
+
+// PhonePe response codes
+const SUCCESS_CODES = ['PAYMENT_SUCCESS'];
+const PENDING_CODES = ['PAYMENT_PENDING', 'INTERNAL_SERVER_ERROR'];
+
+// Read at call time so tests can repoint the adapter
+const getConfig = () => ({
+  merchantId: process.env.PHONEPE_MERCHANT_ID || 'MERCHANTUAT',
+  saltKey: process.env.PHONEPE_SALT_KEY || '099eb0cd-02cf-4e2a-8aca-3e6c6aff0399',
+  saltIndex: process.env.PHONEPE_SALT_INDEX || '1',
+  apiUrl: process.env.PHONEPE_API_URL || process.env.PHONEPE_API_ENDPOINT || 'https://api-preprod.phonepe.com/apis/pg-sandbox',
+  callbackUrl: process.env.PHONEPE_CALLBACK_URL || 'http://localhost:5000/api/payments/phonepe/callback',
+  redirectUrl: process.env.PHONEPE_REDIRECT_URL || 'http://localhost:3000/payment-status',
+  timeout: parseInt(process.env.PHONEPE_TIMEOUT_MS, 10) || 15000
+});
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
 module.exports = {
+  getConfig,
+
+  /**
+   * Build the X-VERIFY header: sha256(body + path + saltKey) + '###' + saltIndex
+   * @param {String} base64Body - Base64 request body ('' for GET calls)
+   * @param {String} path - API path, e.g. /pg/v1/pay
+   * @returns {String} Checksum header value
+   */
+  generateChecksum(base64Body, path) {
+    const { saltKey, saltIndex } = getConfig();
+    return `${sha256(base64Body + path + saltKey)}###${saltIndex}`;
+  },
+
+  /**
+   * Verify the X-VERIFY header PhonePe sends on callbacks: sha256(response + saltKey) + '###' + saltIndex
+   * @param {String} base64Response - Base64 `response` field from the callback body
+   * @param {String} receivedChecksum - X-VERIFY header
+   * @returns {Boolean} Whether the signature matches
+   */
+  verifyCallbackChecksum(base64Response, receivedChecksum) {
+    if (!base64Response || !receivedChecksum) return false;
+    const { saltKey, saltIndex } = getConfig();
+    const expected = Buffer.from(`${sha256(base64Response + saltKey)}###${saltIndex}`);
+    const received = Buffer.from(String(receivedChecksum));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  /**
+   * Decode a base64 callback/response payload
+   * @param {String} base64Response - Base64 JSON
+   * @returns {Object} Decoded payload
+   */
+  decodeResponse(base64Response) {
+    return JSON.parse(Buffer.from(base64Response, 'base64').toString('utf8'));
+  },
+
   /**
    * Initiate payment transaction
-   * @param {String} orderId - Order ID
-   * @param {Number} amount - Amount in INR
-   * @param {Object} userInfo - User information
-   * @returns {Object} Payment transaction details
+   * @param {Object} params - merchantTransactionId, amount (INR), userId, mobileNumber
+   * @returns {Object} { success, paymentUrl, payload, response }
    */
-  async initiatePayment(orderId, amount, userInfo = {}) {
-    console.log('[MOCK] Initiating payment:', { orderId, amount, userInfo });
-    
-    // MOCK: Return fake transaction
+  async initiatePayment({ merchantTransactionId, amount, userId, mobileNumber }) {
+    const config = getConfig();
+    const payload = {
+      merchantId: config.merchantId,
+      merchantTransactionId,
+      merchantUserId: String(userId),
+      amount: Math.round(amount * 100), // Convert to paise
+      redirectUrl: `${config.redirectUrl}?transactionId=${merchantTransactionId}`,
+      redirectMode: 'POST',
+      callbackUrl: config.callbackUrl,
+      mobileNumber: mobileNumber || '9999999999',
+      paymentInstrument: {
+        type: 'PAY_PAGE'
+      }
+    };
+
+    const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64');
+    const response = await axios.post(
+      `${config.apiUrl}${PAY_PATH}`,
+      { request: base64Payload },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-VERIFY': this.generateChecksum(base64Payload, PAY_PATH)
+        },
+        timeout: config.timeout
+      }
+    );
+
     return {
-      success: true,
-      transactionId: `TXN${Date.now()}`,
-      paymentUrl: `https://mock-phonepe.com/pay?txn=TXN${Date.now()}`,
-      message: 'Payment initiated (MOCK)',
-      orderId,
-      amount
+      success: !!response.data?.success,
+      paymentUrl: response.data?.data?.instrumentResponse?.redirectInfo?.url || null,
+      message: response.data?.message,
+      payload,
+      response: response.data
     };
   },
 
   /**
-   * Verify payment status
-   * @param {String} transactionId - PhonePe transaction ID
-   * @returns {Object} Payment status
+   * Poll PhonePe for a transaction's status
+   * @param {String} merchantTransactionId - Our transaction ID
+   * @returns {Object} Decoded status response ({ success, code, data })
    */
-  async verifyPayment(transactionId) {
-    console.log('[MOCK] Verifying payment:', transactionId);
-    
-    // MOCK: Return success
-    return {
-      success: true,
-      status: 'completed',
-      transactionId,
-      message: 'Payment verified (MOCK)'
-    };
+  async getPaymentStatus(merchantTransactionId) {
+    const config = getConfig();
+    const path = `/pg/v1/status/${config.merchantId}/${merchantTransactionId}`;
+    try {
+      const response = await axios.get(`${config.apiUrl}${path}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-VERIFY': this.generateChecksum('', path),
+          'X-MERCHANT-ID': config.merchantId
+        },
+        timeout: config.timeout
+      });
+      return response.data;
+    } catch (error) {
+      // PhonePe answers failed/unknown transactions with 4xx and a normal body
+      if (error.response?.data?.code) return error.response.data;
+      throw error;
+    }
+  },
+
+  /**
+   * Verify payment status (alias kept for existing callers)
+   * @param {String} merchantTransactionId - Our transaction ID
+   * @returns {Object} Decoded status response
+   */
+  async verifyPayment(merchantTransactionId) {
+    return this.getPaymentStatus(merchantTransactionId);
   },
 
   /**
    * Process refund
-   * @param {String} transactionId - Original transaction ID
-   * @param {Number} amount - Refund amount
-   * @returns {Object} Refund status
+   * @param {Object} params - originalTransactionId, merchantTransactionId (refund id), amount (INR), userId
+   * @returns {Object} Decoded refund response
    */
-  async refundPayment(transactionId, amount) {
-    console.log('[MOCK] Processing refund:', { transactionId, amount });
-    
-    // MOCK: Return success
-    return {
-      success: true,
-      refundId: `REF${Date.now()}`,
-      transactionId,
-      amount,
-      message: 'Refund processed (MOCK)',
-      status: 'completed'
+  async refundPayment({ originalTransactionId, merchantTransactionId, amount, userId }) {
+    const config = getConfig();
+    const payload = {
+      merchantId: config.merchantId,
+      merchantUserId: String(userId || ''),
+      originalTransactionId,
+      merchantTransactionId,
+      amount: Math.round(amount * 100),
+      callbackUrl: config.callbackUrl
     };
+
+    const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64');
+    try {
+      const response = await axios.post(
+        `${config.apiUrl}${REFUND_PATH}`,
+        { request: base64Payload },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-VERIFY': this.generateChecksum(base64Payload, REFUND_PATH)
+          },
+          timeout: config.timeout
+        }
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response?.data?.code) return error.response.data;
+      throw error;
+    }
   },
 
   /**
-   * Get payment status
-   * @param {String} transactionId - Transaction ID
-   * @returns {Object} Payment status
+   * Map a PhonePe code to our payment status
+   * @param {String} code - PhonePe response code
+   * @returns {String} success | pending | failed
    */
-  async getPaymentStatus(transactionId) {
-    console.log('[MOCK] Getting payment status:', transactionId);
-    
-    // MOCK: Return success status
-    return {
-      success: true,
-      transactionId,
-      status: 'completed',
-      message: 'Payment status retrieved (MOCK)'
-    };
+  mapCode(code) {
+    if (SUCCESS_CODES.includes(code)) return 'success';
+    if (PENDING_CODES.includes(code)) return 'pending';
+    return 'failed';
   },
 
   /**
-   * Handle PhonePe callback
-   * @param {Object} callbackData - Callback data from PhonePe
-   * @returns {Object} Processed callback result
+   * Apply a gateway result (callback, webhook or status poll) to Payment and Order.
+   * Idempotent: replays and late duplicates never change a settled payment,
+   * and a success is never downgraded by a later failure.
+   * @param {Object} gatewayResponse - Decoded PhonePe response ({ code, data })
+   * @param {String} source - callback | webhook | poll
+   * @returns {Object} { payment, order, status, duplicate }
    */
-  async handleCallback(callbackData) {
-    console.log('[MOCK] Handling payment callback:', callbackData);
-    
-    // MOCK: Return success
-    return {
-      success: true,
-      verified: true,
-      message: 'Callback processed (MOCK)',
-      data: callbackData
+  async applyGatewayResult(gatewayResponse, source = 'callback') {
+    const data = gatewayResponse.data || gatewayResponse;
+    const merchantTransactionId = data.merchantTransactionId || data.transactionId;
+    const code = gatewayResponse.code || data.code;
+
+    const payment = await Payment.findOne({ transactionId: merchantTransactionId });
+    if (!payment) {
+      return { payment: null, order: null, status: null, duplicate: false };
+    }
+
+    let status = this.mapCode(code);
+
+    // Guard against tampered amounts: PhonePe reports paise
+    if (status === 'success' && data.amount !== undefined && Number(data.amount) !== Math.round(payment.amount * 100)) {
+      console.error('PhonePe amount mismatch', { merchantTransactionId, expected: Math.round(payment.amount * 100), received: data.amount });
+      status = 'failed';
+    }
+
+    const event = {
+      source,
+      code,
+      status,
+      providerReferenceId: data.transactionId || null,
+      receivedAt: new Date()
     };
+
+    if (status === 'pending' || payment.status === status || payment.status === 'success') {
+      // Nothing to settle: still pending, a replay, or already settled as success
+      await Payment.updateOne({ _id: payment._id }, { $push: { gatewayEvents: event } });
+      const duplicate = status !== 'pending';
+      return { payment, order: null, status: payment.status, duplicate };
+    }
+
+    // Conditional update makes concurrent callbacks settle exactly once
+    const settled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $nin: ['success', status] } },
+      {
+        status,
+        paymentGatewayResponse: status,
+        phonePeResponse: gatewayResponse,
+        providerReferenceId: event.providerReferenceId,
+        $push: { gatewayEvents: event }
+      },
+      { new: true }
+    );
+
+    if (!settled) {
+      return { payment, order: null, status: payment.status, duplicate: true };
+    }
+
+    const order = await Order.findById(settled.orderId);
+    if (order) {
+      if (status === 'success') {
+        order.paymentStatus = 'paid';
+        order.paymentDetails = {
+          ...(order.paymentDetails?.toObject?.() || order.paymentDetails || {}),
+          paymentId: event.providerReferenceId || merchantTransactionId,
+          method: 'online',
+          status: 'Completed'
+        };
+      } else if (order.paymentStatus !== 'paid') {
+        order.paymentStatus = 'failed';
+        order.paymentDetails = {
+          ...(order.paymentDetails?.toObject?.() || order.paymentDetails || {}),
+          paymentId: event.providerReferenceId || merchantTransactionId,
+          status: 'Failed'
+        };
+      }
+      await order.save();
+    }
+
+    return { payment: settled, order, status, duplicate: false };
+  },
+
+  /**
+   * Verify and apply a signed callback/webhook body
+   * @param {String} base64Response - `response` field of the body
+   * @param {String} checksum - X-VERIFY header
+   * @param {String} source - callback | webhook
+   * @returns {Object} Result of applyGatewayResult, or { verified: false }
+   */
+  async handleCallback(base64Response, checksum, source = 'callback') {
+    if (!this.verifyCallbackChecksum(base64Response, checksum)) {
+      return { verified: false };
+    }
+    const decoded = this.decodeResponse(base64Response);
+    const result = await this.applyGatewayResult(decoded, source);
+    return { verified: true, decoded, ...result };
   }
 };
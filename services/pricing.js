@@ -0,0 +1,414 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/menuItemModel');
+const Coupon = require('../models/couponModel');
+const PromoCode = require('../models/promoCodeModel');
+const Settings = require('../models/settingsModel');
+const User = require('../models/userModel');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Pricing Service - Single source of truth for cart summaries and checkout bills
+ * Every amount is recomputed from MenuItem, Coupon/PromoCode, User and Settings
+ * documents; prices sent by the client are never trusted.
+ */
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+module.exports = {
+  round2,
+
+  /**
+   * Load everything a bill depends on and compute it
+   * @param {Object} params - Pricing inputs
+   * @param {String} params.userId - User ID (guest or registered)
+   * @param {Array} params.lines - Cart lines [{ menuItem, quantity, customizations }]
+   * @param {String} params.orderType - delivery | take_away | car
+   * @param {String} [params.couponCode] - Coupon code entered by the user
+   * @param {String} [params.couponId] - Coupon already attached to the cart
+   * @param {Boolean} [params.ignoreInvalidCoupon] - Drop an ineligible coupon instead of failing (auto-applied coupons)
+   * @param {String} [params.promoCode] - Promo code entered by the user
+   * @param {Number} [params.nanoPoints] - Nano points the user wants to redeem
+   * @param {Number} [params.walletAmount] - Wallet amount the user wants to use
+   * @param {Number} [params.distanceKm] - Delivery distance computed by the caller
+   * @param {Object} [params.zone] - Delivery zone whose fees override the global ones
+   * @returns {Object} Itemized bill (shape of order.billing)
+   */
+  async calculateBill(params) {
+    const {
+      userId,
+      lines = [],
+      orderType,
+      couponCode,
+      couponId,
+      ignoreInvalidCoupon = false,
+      promoCode,
+      nanoPoints = 0,
+      walletAmount = 0,
+      distanceKm = 0,
+      zone = null
+    } = params;
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new AppError('Cannot price an empty order', 400);
+    }
+
+    if ((couponCode || couponId) && promoCode) {
+      throw new AppError('A coupon and a promo code cannot be combined', 400);
+    }
+
+    const [settings, user, menuItems] = await Promise.all([
+      Settings.getSettings(),
+      userId ? User.findById(userId).select('tier nanoPoints walletBalance isGuest').lean() : null,
+      this.loadMenuItems(lines)
+    ]);
+
+    const pricedLines = this.priceLines(lines, menuItems);
+    const subtotal = round2(pricedLines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    let coupon = null;
+    if (couponCode || couponId) {
+      try {
+        coupon = await this.findEligibleCoupon({ couponCode, couponId, userId, user, subtotal });
+      } catch (error) {
+        if (!ignoreInvalidCoupon) throw error;
+      }
+    }
+
+    let promo = null;
+    if (promoCode) {
+      promo = await this.findEligiblePromoCode({ promoCode, userId, subtotal });
+    }
+
+    return this.computeBill({
+      lines: pricedLines,
+      orderType,
+      coupon,
+      promo,
+      tier: user && !user.isGuest ? user.tier || 'bronze' : null,
+      availablePoints: user?.nanoPoints || 0,
+      nanoPoints,
+      walletAmount,
+      distanceKm,
+      zone,
+      settings
+    });
+  },
+
+  /**
+   * Compute a bill from already-loaded documents (no database access)
+   * Order of application: coupon/promo -> tier discount -> nano points -> taxes -> fees -> wallet
+   * @param {Object} context - Priced lines, discounts and settings snapshot
+   * @returns {Object} Itemized bill
+   */
+  computeBill(context) {
+    const {
+      lines,
+      orderType,
+      coupon = null,
+      promo = null,
+      tier = null,
+      availablePoints = 0,
+      nanoPoints = 0,
+      walletAmount = 0,
+      distanceKm = 0,
+      zone = null,
+      settings
+    } = context;
+
+    const taxInfo = settings.taxInfo || {};
+    const globalCharges = settings.deliveryCharges || {};
+    const deliveryCharges = {
+      baseFee: zone?.baseFee ?? globalCharges.baseFee,
+      perKm: zone?.perKm ?? globalCharges.perKm,
+      freeDeliveryThreshold: zone?.freeDeliveryThreshold ?? globalCharges.freeDeliveryThreshold
+    };
+    const loyaltyConfig = settings.loyaltyConfig || {};
+
+    const subtotal = round2(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    // Coupon or promo code
+    let couponDiscount = 0;
+    let freeDelivery = false;
+    if (coupon) {
+      if (coupon.discountType === 'percentage') {
+        couponDiscount = (subtotal * coupon.discountValue) / 100;
+        if (coupon.maxDiscount) couponDiscount = Math.min(couponDiscount, coupon.maxDiscount);
+      } else if (coupon.discountType === 'fixed') {
+        couponDiscount = coupon.discountValue;
+      } else if (coupon.discountType === 'free_delivery') {
+        freeDelivery = true;
+      } else if (coupon.discountType === 'bogo') {
+        // Cheapest unit on the order is free
+        const unitPrices = lines.map(line => line.unitPrice);
+        if (unitPrices.length > 0) couponDiscount = Math.min(...unitPrices);
+      }
+      couponDiscount = round2(Math.min(couponDiscount, subtotal));
+    }
+
+    let promoDiscount = 0;
+    if (promo) {
+      if (promo.discountType === 'percentage') {
+        promoDiscount = (subtotal * promo.discountValue) / 100;
+        if (promo.maxDiscount) promoDiscount = Math.min(promoDiscount, promo.maxDiscount);
+      } else {
+        promoDiscount = promo.discountValue;
+      }
+      promoDiscount = round2(Math.min(promoDiscount, subtotal));
+    }
+
+    // Tier discount applies on what is left after the coupon/promo
+    const afterCode = subtotal - couponDiscount - promoDiscount;
+    const tierPercent = tier ? (settings.tierConfig?.[tier]?.discount || 0) : 0;
+    const tierDiscount = round2((afterCode * tierPercent) / 100);
+
+    // Nano points redemption, capped as a share of the discounted item total and per order
+    const afterTier = afterCode - tierDiscount;
+    const pointValue = loyaltyConfig.pointValue || 0;
+    const maxRedemptionPercent = loyaltyConfig.maxRedemptionPercent || 0;
+    const maxRedeemPoints = loyaltyConfig.maxRedeemPointsPerOrder || Infinity;
+    let pointsToRedeem = Math.max(0, Math.floor(Math.min(Number(nanoPoints) || 0, availablePoints, maxRedeemPoints)));
+    let pointsAmount = 0;
+    if (pointsToRedeem > 0 && pointValue > 0) {
+      const cap = (afterTier * maxRedemptionPercent) / 100;
+      pointsToRedeem = Math.min(pointsToRedeem, Math.floor(cap / pointValue));
+      pointsAmount = round2(pointsToRedeem * pointValue);
+    } else {
+      pointsToRedeem = 0;
+    }
+
+    const totalDiscount = round2(couponDiscount + promoDiscount + tierDiscount + pointsAmount);
+    const taxableAmount = round2(Math.max(0, subtotal - totalDiscount));
+
+    // Taxes
+    const gstRate = taxInfo.gstRate || 0;
+    const serviceTaxRate = taxInfo.serviceTax || 0;
+    const gst = round2((taxableAmount * gstRate) / 100);
+    const serviceTax = round2((taxableAmount * serviceTaxRate) / 100);
+    const tax = round2(gst + serviceTax);
+
+    // Fees
+    const packagingFee = round2(taxInfo.packagingCharge || 0);
+    const delivery = this.computeDeliveryFee({
+      orderType,
+      amount: taxableAmount,
+      distanceKm,
+      freeDelivery,
+      deliveryCharges
+    });
+
+    const totalAmount = round2(taxableAmount + tax + packagingFee + delivery.fee);
+
+    // Wallet is a payment source, not a discount
+    const walletApplied = round2(Math.max(0, Math.min(Number(walletAmount) || 0, totalAmount)));
+    const remainingAmount = round2(totalAmount - walletApplied);
+
+    return {
+      lineItems: lines.map(line => ({
+        itemId: line.itemId,
+        name: line.name,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        basePrice: line.basePrice,
+        addOnsPrice: line.addOnsPrice,
+        lineTotal: line.lineTotal,
+        customizations: line.customizations
+      })),
+      subtotal,
+      discounts: {
+        coupon: {
+          couponId: coupon?._id || null,
+          code: coupon?.code || null,
+          discountType: coupon?.discountType || null,
+          amount: couponDiscount
+        },
+        promoCode: {
+          code: promo?.code || null,
+          amount: promoDiscount
+        },
+        tier: {
+          tier: tier || null,
+          percent: tierPercent,
+          amount: tierDiscount
+        },
+        nanoPointsRedemption: {
+          points: pointsToRedeem,
+          amount: pointsAmount
+        },
+        walletPayment: {
+          amount: walletApplied
+        },
+        totalDiscount
+      },
+      taxableAmount,
+      tax,
+      taxBreakdown: {
+        gstRate,
+        gst,
+        serviceTaxRate,
+        serviceTax
+      },
+      packagingFee,
+      deliveryFee: delivery.fee,
+      delivery: {
+        baseFee: delivery.baseFee,
+        perKm: delivery.perKm,
+        distanceKm: delivery.distanceKm,
+        freeDeliveryThreshold: delivery.freeDeliveryThreshold,
+        freeDelivery: delivery.freeDelivery
+      },
+      totalAmount,
+      remainingAmount,
+      paidViaWallet: walletApplied > 0,
+      pricedAt: new Date()
+    };
+  },
+
+  /**
+   * Delivery fee: base + per-km, waived by free-delivery coupons or the threshold
+   * @param {Object} params - orderType, amount, distanceKm, freeDelivery, deliveryCharges
+   * @returns {Object} Fee and the inputs used
+   */
+  computeDeliveryFee({ orderType, amount, distanceKm = 0, freeDelivery = false, deliveryCharges = {} }) {
+    const baseFee = deliveryCharges.baseFee || 0;
+    const perKm = deliveryCharges.perKm || 0;
+    const freeDeliveryThreshold = deliveryCharges.freeDeliveryThreshold || 0;
+    const distance = round2(Math.max(0, Number(distanceKm) || 0));
+
+    if (orderType !== 'delivery') {
+      return { fee: 0, baseFee: 0, perKm: 0, distanceKm: 0, freeDeliveryThreshold, freeDelivery: false };
+    }
+
+    const waived = freeDelivery || (freeDeliveryThreshold > 0 && amount >= freeDeliveryThreshold);
+    const fee = waived ? 0 : round2(baseFee + perKm * distance);
+
+    return { fee, baseFee, perKm, distanceKm: distance, freeDeliveryThreshold, freeDelivery: waived };
+  },
+
+  /**
+   * Price each line from its menu item and the add-ons it actually offers
+   * @param {Array} lines - Cart lines
+   * @param {Map} menuItems - Menu items keyed by id
+   * @returns {Array} Priced lines with normalized customizations
+   */
+  priceLines(lines, menuItems) {
+    return lines.map(line => {
+      const id = String(line.menuItem?._id || line.menuItem || line.itemId || line.menuItemId);
+      const menuItem = menuItems.get(id);
+      if (!menuItem) {
+        throw new AppError(`Menu item not found: ${id}`, 400);
+      }
+
+      const quantity = parseInt(line.quantity, 10);
+      if (!quantity || quantity < 1) {
+        throw new AppError(`Invalid quantity for ${menuItem.name}`, 400);
+      }
+
+      const customizations = line.customizations || {};
+      const offered = menuItem.customizationOptions?.addOns || [];
+      const requested = Array.isArray(customizations.addOns) ? customizations.addOns : [];
+
+      const addOns = requested.map(addOn => {
+        const name = typeof addOn === 'string' ? addOn : addOn?.name;
+        const match = offered.find(o => o.name.toLowerCase() === String(name || '').toLowerCase());
+        if (!match) {
+          throw new AppError(`Add-on "${name}" is not offered for ${menuItem.name}`, 400);
+        }
+        return { name: match.name, price: match.price || 0, isVeg: match.isVeg };
+      });
+
+      const basePrice = menuItem.price;
+      const addOnsPrice = round2(addOns.reduce((sum, a) => sum + a.price, 0));
+      const unitPrice = round2(basePrice + addOnsPrice);
+
+      return {
+        itemId: menuItem._id,
+        name: menuItem.name,
+        quantity,
+        basePrice,
+        addOnsPrice,
+        unitPrice,
+        lineTotal: round2(unitPrice * quantity),
+        customizations: { ...customizations, addOns }
+      };
+    });
+  },
+
+  /**
+   * Fetch the menu items referenced by the lines
+   * @param {Array} lines - Cart lines
+   * @returns {Map} Menu items keyed by id
+   */
+  async loadMenuItems(lines) {
+    const ids = lines
+      .map(line => String(line.menuItem?._id || line.menuItem || line.itemId || line.menuItemId))
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    const items = await MenuItem.find({ _id: { $in: ids } })
+      .select('name price isAvailable customizationOptions')
+      .lean();
+
+    return new Map(items.map(item => [String(item._id), item]));
+  },
+
+  /**
+   * Validate a coupon against validity window, usage limits, tier and minimum order
+   * @param {Object} params - couponCode or couponId, userId, user, subtotal
+   * @returns {Object} Coupon document
+   */
+  async findEligibleCoupon({ couponCode, couponId, userId, user, subtotal }) {
+    const now = new Date();
+    const query = couponId ? { _id: couponId } : { code: String(couponCode).trim().toUpperCase() };
+    const coupon = await Coupon.findOne({
+      ...query,
+      isActive: true,
+      validFrom: { $lte: now },
+      validUntil: { $gt: now }
+    }).lean();
+
+    // Someone else's personal coupon reads as unknown rather than confirming the code exists
+    if (!coupon || (coupon.assignedTo && String(coupon.assignedTo) !== String(userId))) {
+      throw new AppError('Invalid or expired coupon', 400);
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      throw new AppError('Coupon usage limit reached', 400);
+    }
+
+    if (coupon.usageLimitPerUser && userId) {
+      const entry = (coupon.usedBy || []).find(u => u.user && String(u.user) === String(userId));
+      if (entry && entry.count >= coupon.usageLimitPerUser) {
+        throw new AppError('You have already used this coupon the maximum allowed times', 400);
+      }
+    }
+
+    const tiers = coupon.applicableTiers || ['all'];
+    if (!tiers.includes('all') && !tiers.includes(user?.tier || 'bronze')) {
+      throw new AppError('Coupon is not available for your tier', 400);
+    }
+
+    if (coupon.minOrderValue && subtotal < coupon.minOrderValue) {
+      throw new AppError(`Minimum order value of ₹${coupon.minOrderValue} required to use this coupon`, 400);
+    }
+
+    return coupon;
+  },
+
+  /**
+   * Validate a promo code with PromoCode.isValidForOrder
+   * @param {Object} params - promoCode, userId, subtotal
+   * @returns {Object} PromoCode document
+   */
+  async findEligiblePromoCode({ promoCode, userId, subtotal }) {
+    const promo = await PromoCode.findOne({ code: String(promoCode).trim().toUpperCase() });
+    if (!promo) {
+      throw new AppError('Invalid promo code', 400);
+    }
+
+    const validity = await promo.isValidForOrder({ subtotal, userId });
+    if (!validity.valid) {
+      throw new AppError(validity.reason, 400);
+    }
+
+    return promo;
+  }
+};
@@ -1,147 +1,275 @@
 const MenuItem = require('../models/menuItemModel');
+const Order = require('../models/orderModel');
+const User = require('../models/userModel');
+const Recommendation = require('../models/recommendationModel');
 
 /**
- * Core recommendation builder. Accepts an optional user object.
- * @param {String} userId
- * @param {Object} user
+ * Recommendations
+ *
+ * An offline job (buildItemSimilarity) counts how often items are bought
+ * together in delivered orders and stores each item's closest neighbours in
+ * the Recommendation collection. Requests only read those neighbours:
+ *   - "frequently bought together" for an item is its neighbour list
+ *   - "you may also like" adds up the neighbours of what the user ordered recently
+ * Everything served is filtered by the user's allergens and dietary
+ * preferences; trending and preference-based items fill any gaps.
  */
-async function getRecommendations(userId, user) {
-  try {
-    let recommendations = [];
 
-    // 1. Get preference-based items
-    if (user && user.preferences) {
-      const preferenceItems = await getPreferenceBasedItems(user.preferences);
-      recommendations.push(...preferenceItems);
-    }
+const BUILD_WINDOW_DAYS = 180;
+const MAX_ITEMS_PER_ORDER = 30; // very large orders say little about pairs
+const MIN_CO_COUNT = 2; // pairs seen once are noise
+const NEIGHBOURS_PER_ITEM = 20;
+const HISTORY_ORDERS = 10;
+const DEFAULT_LIMIT = 10;
 
-    // 2. Get order history-based items
-    if (userId && !user?.isGuest) {
-      const historyItems = await getOrderHistoryItems(userId);
-      recommendations.push(...historyItems);
-    }
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    // 3. Get trending items
-    const trendingItems = await getTrendingItems();
-    recommendations.push(...trendingItems);
+/**
+ * MenuItem filter for what a user can eat
+ * @param {Object} user - User (or null for guests)
+ * @returns {Object} Mongo filter
+ */
+function buildUserFilter(user) {
+  const filter = { isAvailable: true };
+  const preferences = user?.preferences || {};
 
-    // Remove duplicates and limit to 10 items
-    const uniqueRecommendations = Array.from(
-      new Map(recommendations.map(item => [item._id.toString(), item])).values()
-    ).slice(0, 10);
+  const diets = preferences.dietaryPreferences || [];
+  if (diets.includes('vegetarian') || diets.includes('vegan')) {
+    filter.isVeg = true;
+  }
 
-    return uniqueRecommendations;
-  } catch (error) {
-    console.error('Get recommendations error:', error);
-    return [];
+  const allergens = (preferences.allergens || []).filter(Boolean);
+  if (allergens.length > 0) {
+    filter.allergens = { $nin: allergens.map(a => new RegExp(`^${escapeRegex(a.trim())}$`, 'i')) };
   }
+
+  return filter;
 }
 
-async function getPreferenceBasedItems(preferences) {
-  try {
-    const query = { isAvailable: true };
+/**
+ * Load items by id keeping the given order, dropping those the filter excludes
+ */
+async function loadRanked(ranked, filter, limit) {
+  if (ranked.length === 0) return [];
+  const items = await MenuItem.find({ ...filter, _id: { $in: ranked.map(r => r.item) } }).lean();
+  const byId = new Map(items.map(i => [String(i._id), i]));
 
-    // Filter by dietary preferences
-    if (preferences?.dietaryPreferences && preferences.dietaryPreferences.length > 0) {
-      if (preferences.dietaryPreferences.includes('vegetarian') || 
-          preferences.dietaryPreferences.includes('vegan')) {
-        query.isVeg = true;
+  const result = [];
+  for (const entry of ranked) {
+    const item = byId.get(String(entry.item));
+    if (!item) continue;
+    result.push({ ...item, recommendation: { reason: entry.reason, score: Math.round(entry.score * 1000) / 1000 } });
+    if (result.length >= limit) break;
+  }
+  return result;
+}
+
+/**
+ * Add items from a fallback list until the limit is reached
+ */
+function fillFrom(result, fallback, reason, limit, exclude = new Set()) {
+  const seen = new Set([...exclude, ...result.map(i => String(i._id))]);
+  for (const item of fallback) {
+    if (result.length >= limit) break;
+    if (seen.has(String(item._id))) continue;
+    seen.add(String(item._id));
+    result.push({ ...item, recommendation: { reason, score: 0 } });
+  }
+  return result;
+}
+
+/**
+ * Rebuild item-to-item similarity from delivered orders (background job)
+ * Similarity is cosine over orders: together / sqrt(ordersWithA * ordersWithB).
+ * @param {Date} now - Reference time
+ * @returns {Object} { orders, items, pairs }
+ */
+async function buildItemSimilarity(now = new Date()) {
+  const since = new Date(now.getTime() - BUILD_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const itemCounts = new Map();
+  const pairCounts = new Map();
+  let orders = 0;
+
+  const cursor = Order.aggregate([
+    { $match: { status: 'delivered', createdAt: { $gte: since } } },
+    { $project: { items: { $setUnion: ['$items.itemId', []] } } },
+    { $match: { 'items.1': { $exists: true } } }
+  ]).cursor();
+
+  for await (const order of cursor) {
+    const items = order.items.filter(Boolean).map(String).slice(0, MAX_ITEMS_PER_ORDER).sort();
+    orders += 1;
+    for (const id of items) {
+      itemCounts.set(id, (itemCounts.get(id) || 0) + 1);
+    }
+    for (let a = 0; a < items.length; a++) {
+      for (let b = a + 1; b < items.length; b++) {
+        const key = `${items[a]}:${items[b]}`;
+        pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
       }
     }
+  }
+
+  const neighbours = new Map();
+  const addNeighbour = (from, to, score, coCount) => {
+    if (!neighbours.has(from)) neighbours.set(from, []);
+    neighbours.get(from).push({ item: to, score, coCount });
+  };
+  let pairs = 0;
+  for (const [key, coCount] of pairCounts) {
+    if (coCount < MIN_CO_COUNT) continue;
+    const [a, b] = key.split(':');
+    const score = coCount / Math.sqrt(itemCounts.get(a) * itemCounts.get(b));
+    addNeighbour(a, b, score, coCount);
+    addNeighbour(b, a, score, coCount);
+    pairs += 1;
+  }
 
-    // Exclude allergens
-    if (preferences?.allergens && preferences.allergens.length > 0) {
-      query.allergens = { $nin: preferences.allergens };
+  const generatedAt = new Date();
+  const operations = [...neighbours].map(([item, list]) => ({
+    updateOne: {
+      filter: { item },
+      update: {
+        $set: {
+          orderCount: itemCounts.get(item),
+          neighbours: list.sort((x, y) => y.score - x.score || y.coCount - x.coCount).slice(0, NEIGHBOURS_PER_ITEM),
+          generatedAt
+        }
+      },
+      upsert: true
     }
+  }));
+  for (let i = 0; i < operations.length; i += 500) {
+    await Recommendation.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+  }
+  // Items with no neighbours this time keep nothing from older builds
+  await Recommendation.deleteMany({ generatedAt: { $lt: generatedAt } });
 
-    const items = await MenuItem.find(query)
-      .limit(5)
-      .sort({ rating: -1 });
+  return { orders, items: neighbours.size, pairs };
+}
 
-    return items;
+/**
+ * "Frequently bought together" for an item
+ * @param {String} itemId - Menu item ID
+ * @param {Object} [options] - { user, limit }
+ * @returns {Array} Menu items with a recommendation { reason, score }
+ */
+async function getSimilarItems(itemId, { user = null, limit = 5 } = {}) {
+  try {
+    const item = await MenuItem.findById(itemId).select('category tags cuisine').lean();
+    if (!item) {
+      return [];
+    }
+
+    const filter = buildUserFilter(user);
+    filter._id = { $ne: item._id };
+
+    const entry = await Recommendation.findOne({ item: item._id }).lean();
+    const ranked = (entry?.neighbours || []).map(n => ({ item: n.item, score: n.score, reason: 'bought_together' }));
+    const result = await loadRanked(ranked, filter, limit);
+    if (result.length >= limit) return result;
+
+    // Not enough purchase data yet: same category with shared tags or cuisine
+    const similar = await MenuItem.find({
+      ...filter,
+      category: item.category,
+      $or: [
+        { tags: { $in: item.tags || [] } },
+        { cuisine: item.cuisine }
+      ]
+    })
+      .sort({ 'rating.average': -1 })
+      .limit(limit)
+      .lean();
+    return fillFrom(result, similar, 'similar', limit);
   } catch (error) {
-    console.error('Get preference-based items error:', error);
+    console.error('Get similar items error:', error);
     return [];
   }
 }
 
-async function getOrderHistoryItems(userId) {
+/**
+ * "You may also like": neighbours of the user's recent orders, weighted toward the latest
+ * @param {String} userId
+ * @param {Object} user
+ * @param {Number} limit
+ */
+async function getRecommendations(userId, user, limit = DEFAULT_LIMIT) {
   try {
-    const Order = require('../models/orderModel');
-    
-    // Get user's past orders
-    const orders = await Order.find({ user: userId })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .populate('items.itemId');
+    const filter = buildUserFilter(user);
+    let result = [];
+    let ordered = new Set();
 
-    if (!orders || orders.length === 0) {
-      return [];
-    }
+    if (userId && !user?.isGuest) {
+      const orders = await Order.find({ user: userId, status: 'delivered' })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_ORDERS)
+        .select('items.itemId')
+        .lean();
 
-    // Extract item IDs from orders
-    const orderedItemIds = [];
-    orders.forEach(order => {
-      order.items.forEach(item => {
-        if (item.itemId) {
-          orderedItemIds.push(item.itemId._id);
+      const weights = new Map();
+      orders.forEach((order, index) => {
+        const weight = 1 / (index + 1);
+        for (const line of order.items) {
+          if (!line.itemId) continue;
+          const id = String(line.itemId);
+          weights.set(id, Math.max(weights.get(id) || 0, weight));
         }
       });
-    });
+      ordered = new Set(weights.keys());
 
-    // Get similar items (same category)
-    const items = await MenuItem.find({
-      _id: { $nin: orderedItemIds },
-      isAvailable: true
-    })
-      .limit(3)
-      .sort({ rating: -1 });
+      if (weights.size > 0) {
+        const entries = await Recommendation.find({ item: { $in: [...weights.keys()] } }).lean();
+        const scores = new Map();
+        for (const entry of entries) {
+          const weight = weights.get(String(entry.item));
+          for (const n of entry.neighbours) {
+            const id = String(n.item);
+            if (ordered.has(id)) continue; // suggest something new
+            scores.set(id, (scores.get(id) || 0) + n.score * weight);
+          }
+        }
+        const ranked = [...scores]
+          .sort((a, b) => b[1] - a[1])
+          .map(([item, score]) => ({ item, score, reason: 'customers_also_bought' }));
+        result = await loadRanked(ranked, filter, limit);
+      }
+    }
 
-    return items;
+    if (result.length < limit) {
+      fillFrom(result, await getTrendingItems(filter, limit + ordered.size), 'trending', limit, ordered);
+    }
+    return result;
   } catch (error) {
-    console.error('Get order history items error:', error);
+    console.error('Get recommendations error:', error);
     return [];
   }
 }
 
-async function getTrendingItems() {
+async function getPreferenceBasedItems(preferences) {
   try {
-    // In production, calculate based on order count, ratings, etc.
-    const items = await MenuItem.find({ isAvailable: true })
-      .sort({ rating: -1, orderCount: -1 })
-      .limit(5);
+    const items = await MenuItem.find(buildUserFilter({ preferences }))
+      .limit(5)
+      .sort({ 'rating.average': -1 })
+      .lean();
 
     return items;
   } catch (error) {
-    console.error('Get trending items error:', error);
+    console.error('Get preference-based items error:', error);
     return [];
   }
 }
 
-async function getSimilarItems(itemId) {
+async function getTrendingItems(filter = { isAvailable: true }, limit = 5) {
   try {
-    const item = await MenuItem.findById(itemId);
-    
-    if (!item) {
-      return [];
-    }
-
-    // Find items in same category with similar tags
-    const similarItems = await MenuItem.find({
-      _id: { $ne: itemId },
-      category: item.category,
-      isAvailable: true,
-      $or: [
-        { tags: { $in: item.tags } },
-        { cuisine: item.cuisine }
-      ]
-    })
-      .limit(4)
-      .sort({ rating: -1 });
+    const items = await MenuItem.find(filter)
+      .sort({ 'popularity.orderCount': -1, 'rating.average': -1 })
+      .limit(limit)
+      .lean();
 
-    return similarItems;
+    return items;
   } catch (error) {
-    console.error('Get similar items error:', error);
+    console.error('Get trending items error:', error);
     return [];
   }
 }
@@ -151,14 +279,14 @@ async function getSimilarItems(itemId) {
  * It will attempt to load the user (if userId provided) and then call
  * the core recommendation builder.
  * @param {String} userId
+ * @param {Number} limit
  */
-async function getPersonalizedRecommendations(userId) {
+async function getPersonalizedRecommendations(userId, limit = DEFAULT_LIMIT) {
   try {
     let user = { isGuest: true };
     if (userId) {
       try {
-        const User = require('../models/userModel');
-        const u = await User.findById(userId);
+        const u = await User.findById(userId).select('isGuest preferences').lean();
         if (u) user = u;
       } catch (e) {
         // If user model not found or DB error, continue as guest
@@ -166,7 +294,7 @@ async function getPersonalizedRecommendations(userId) {
       }
     }
 
-    return await getRecommendations(userId, user);
+    return await getRecommendations(userId, user, limit);
   } catch (error) {
     console.error('getPersonalizedRecommendations error:', error);
     return [];
@@ -174,10 +302,11 @@ async function getPersonalizedRecommendations(userId) {
 }
 
 module.exports = {
+  buildUserFilter,
+  buildItemSimilarity,
   getRecommendations,
   getPersonalizedRecommendations,
   getPreferenceBasedItems,
-  getOrderHistoryItems,
   getTrendingItems,
   getSimilarItems
 };
@@ -0,0 +1,551 @@
+const Order = require('../models/orderModel');
+const Payment = require('../models/paymentModel');
+const Coupon = require('../models/couponModel');
+const PromoCode = require('../models/promoCodeModel');
+const Settings = require('../models/settingsModel');
+const walletService = require('./walletService');
+const nanoPointsService = require('./nanoPoints');
+const paymentService = require('./payment');
+const orderStateMachine = require('./orderStateMachine');
+const notificationService = require('./notification');
+const { round2 } = require('./pricing');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Refund Service - Every rupee returned for an order goes through here
+ *
+ * A refund is split across the channels the customer paid with: the wallet
+ * portion (plus cash collected on delivery) goes back to the wallet, the online
+ * portion goes back through PhonePe. Each refund is an entry in order.refunds;
+ * entries above Settings.refundConfig.approvalThreshold wait for an admin unless
+ * an admin raised them. A full refund also gives back redeemed nano points,
+ * takes back earned ones and releases the coupon / promo code.
+ */
+
+// Ledger states that hold money against the order
+const COMMITTED_STATUSES = ['pending_approval', 'processing', 'completed'];
+
+const generateRefundId = () => `RFD${Date.now()}${Math.floor(Math.random() * 1000)}`;
+
+module.exports = {
+  /**
+   * Whether a ledger entry holds its amount and items against the order. A failed
+   * entry does too once any of its money has moved: it is finished by retrying it
+   * through approveRefund, which skips the legs that already ran
+   * @param {Object} entry - Entry in order.refunds
+   * @returns {Boolean}
+   */
+  holdsRefund(entry) {
+    if (COMMITTED_STATUSES.includes(entry.status)) return true;
+    return entry.status === 'failed' &&
+      (!!entry.walletTransactionId || ['success', 'pending'].includes(entry.gatewayStatus));
+  },
+
+  /**
+   * Work out what the customer paid through each channel and what is still refundable
+   * @param {Object} order - Order document
+   * @param {Object|null} payment - Successful Payment for the order, if any
+   * @param {Object} [excludeEntry] - Ledger entry to leave out (when re-checking it)
+   * @returns {Object} { wallet, gateway, paid, refundableWallet, refundableGateway, refundable }
+   */
+  getFundingSources(order, payment, excludeEntry = null) {
+    const walletPaid = order.billing?.discounts?.walletPayment?.amount || 0;
+    const online = payment && payment.method !== 'cod' ? payment.amount : 0;
+    // COD is marked paid on confirmation, but cash only changes hands on delivery
+    const cash = payment && payment.method === 'cod' && order.deliveredAt ? payment.amount : 0;
+
+    const committed = (order.refunds || []).filter(r => r !== excludeEntry && this.holdsRefund(r));
+    const walletUsed = committed.reduce((sum, r) => sum + (r.walletAmount || 0), 0);
+    const gatewayUsed = committed.reduce((sum, r) => sum + (r.gatewayAmount || 0), 0);
+
+    const refundableWallet = Math.max(0, round2(walletPaid + cash - walletUsed));
+    const refundableGateway = Math.max(0, round2(online - gatewayUsed));
+
+    return {
+      wallet: round2(walletPaid + cash),
+      gateway: round2(online),
+      paid: round2(walletPaid + cash + online),
+      refundableWallet,
+      refundableGateway,
+      refundable: round2(refundableWallet + refundableGateway)
+    };
+  },
+
+  /**
+   * Price a per-item refund at what the customer actually paid for those items
+   * (their share of the discounted, taxed amount; delivery and packaging excluded)
+   * @param {Object} order - Order document
+   * @param {Array} items - [{ itemId, quantity }]
+   * @returns {Object} { items: [{ itemId, name, quantity, amount }], amount }
+   */
+  priceItems(order, items) {
+    const billing = order.billing || {};
+    const lineItems = billing.lineItems && billing.lineItems.length > 0
+      ? billing.lineItems
+      : (order.items || []).map(i => ({ itemId: i.itemId, quantity: i.quantity, unitPrice: i.price }));
+    const ratio = billing.subtotal > 0
+      ? ((billing.taxableAmount || billing.subtotal) + (billing.tax || 0)) / billing.subtotal
+      : 0;
+
+    const alreadyRefunded = {};
+    for (const refund of order.refunds || []) {
+      if (!this.holdsRefund(refund)) continue;
+      for (const item of refund.items || []) {
+        const key = String(item.itemId);
+        alreadyRefunded[key] = (alreadyRefunded[key] || 0) + item.quantity;
+      }
+    }
+
+    const priced = items.map(({ itemId, quantity }) => {
+      const qty = parseInt(quantity, 10) || 0;
+      if (qty <= 0) {
+        throw new AppError('Refund quantity must be at least 1', 400);
+      }
+
+      const lines = lineItems.filter(l => String(l.itemId) === String(itemId));
+      if (lines.length === 0) {
+        throw new AppError(`Item ${itemId} is not part of this order`, 400);
+      }
+
+      const ordered = lines.reduce((sum, l) => sum + l.quantity, 0);
+      const refunded = alreadyRefunded[String(itemId)] || 0;
+      if (refunded + qty > ordered) {
+        throw new AppError(`Only ${ordered - refunded} of ${lines[0].name || itemId} can still be refunded`, 400);
+      }
+
+      // Lines for the same item can differ by add-ons; refund at their average unit price
+      const unitPrice = lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0) / ordered;
+      return {
+        itemId: lines[0].itemId,
+        name: lines[0].name,
+        quantity: qty,
+        amount: round2(unitPrice * qty * ratio)
+      };
+    });
+
+    return { items: priced, amount: round2(priced.reduce((sum, i) => sum + i.amount, 0)) };
+  },
+
+  /**
+   * Split an amount across channels: wallet first (instant), then the gateway
+   * @param {Number} amount - Amount to refund
+   * @param {Object} sources - Output of getFundingSources
+   * @returns {Object} { walletAmount, gatewayAmount }
+   */
+  splitAmount(amount, sources) {
+    const walletAmount = round2(Math.min(amount, sources.refundableWallet));
+    const gatewayAmount = round2(Math.min(amount - walletAmount, sources.refundableGateway));
+    return { walletAmount, gatewayAmount };
+  },
+
+  /**
+   * Raise a refund and run it now, or park it for approval when it is above the threshold
+   * @param {Object|String} orderOrId - Order document or ID
+   * @param {Object} options - { items, amount, reason, actor, actorId }
+   *   items: per-item refund [{ itemId, quantity }]; amount: goodwill partial refund;
+   *   neither: refund everything still refundable and reverse points / coupon
+   * @returns {Object|null} Ledger entry, or null when there was nothing to refund
+   */
+  async requestRefund(orderOrId, options = {}) {
+    const { items, amount, reason = '', actor = 'system', actorId = null } = options;
+
+    const order = orderOrId instanceof Order ? orderOrId : await Order.findById(orderOrId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const [payment, settings] = await Promise.all([
+      Payment.findOne({ orderId: order._id, status: 'success' }),
+      Settings.getSettings()
+    ]);
+    const sources = this.getFundingSources(order, payment);
+
+    let scope = 'partial';
+    let refundItems = [];
+    let refundAmount;
+
+    if (Array.isArray(items) && items.length > 0) {
+      const priced = this.priceItems(order, items);
+      refundItems = priced.items;
+      refundAmount = priced.amount;
+    } else if (amount !== undefined && amount !== null) {
+      refundAmount = round2(amount);
+      if (!(refundAmount > 0)) {
+        throw new AppError('Refund amount must be greater than 0', 400);
+      }
+    } else {
+      scope = 'full';
+      refundAmount = sources.refundable;
+    }
+
+    if (refundAmount > sources.refundable) {
+      throw new AppError(`Refund exceeds the refundable amount of ₹${sources.refundable}`, 400);
+    }
+
+    // A full refund with no money left can still have points or a coupon to give back
+    if (refundAmount <= 0 && (scope === 'partial' || !this.hasReversals(order))) {
+      return null;
+    }
+
+    const { walletAmount, gatewayAmount } = this.splitAmount(refundAmount, sources);
+    const threshold = settings.refundConfig?.approvalThreshold ?? 1000;
+    const needsApproval = actor !== 'admin' && refundAmount > threshold;
+
+    order.refunds.push({
+      refundId: generateRefundId(),
+      scope,
+      items: refundItems,
+      amount: refundAmount,
+      walletAmount,
+      gatewayAmount,
+      status: needsApproval ? 'pending_approval' : 'processing',
+      reason,
+      requestedBy: { actor, actorId }
+    });
+    const entry = order.refunds[order.refunds.length - 1];
+
+    // Claim the amount: the save only lands if no other refund was raised on this
+    // order since it was read, so two at once can't both pass the checks above
+    order.increment();
+    try {
+      await order.save();
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+      throw new AppError('Another refund was raised on this order at the same time, please try again', 409);
+    }
+
+    if (needsApproval) {
+      await this.notifyUser(order, 'refund_pending_review', { amount: refundAmount });
+      return entry;
+    }
+
+    return this.executeRefund(order, entry, payment);
+  },
+
+  /**
+   * Move money for a ledger entry. Safe to retry: steps already done are skipped.
+   * @param {Object} order - Order document
+   * @param {Object} entry - Entry in order.refunds
+   * @param {Object} [payment] - Successful Payment for the order
+   * @returns {Object} Updated entry
+   */
+  async executeRefund(order, entry, payment) {
+    if (payment === undefined) {
+      payment = await Payment.findOne({ orderId: order._id, status: 'success' });
+    }
+
+    entry.status = 'processing';
+    entry.failureReason = undefined;
+
+    try {
+      if (entry.walletAmount > 0 && !entry.walletTransactionId) {
+        const result = await walletService.creditWallet(
+          order.user,
+          entry.walletAmount,
+          'refund',
+          `Refund for order #${order.orderNumber || order._id}`,
+          { orderId: order._id, referenceNumber: entry.refundId, reason: entry.reason }
+        );
+        entry.walletTransactionId = result.transaction.transactionId;
+      }
+
+      if (entry.gatewayAmount > 0 && entry.gatewayStatus !== 'success') {
+        if (!payment || payment.method === 'cod') {
+          throw new AppError('No online payment found to refund against', 400);
+        }
+        if (!entry.gatewayTransactionId || entry.gatewayStatus === 'failed') {
+          entry.gatewayTransactionId = `REF_${Date.now()}_${payment._id}`;
+        }
+        const response = await paymentService.refundPayment({
+          originalTransactionId: payment.transactionId,
+          merchantTransactionId: entry.gatewayTransactionId,
+          amount: entry.gatewayAmount,
+          userId: order.user
+        });
+        entry.gatewayStatus = paymentService.mapCode(response.code);
+        if (entry.gatewayStatus === 'failed') {
+          throw new AppError(response.message || 'Refund failed at gateway', 502);
+        }
+        await this.recordGatewayRefund(payment, entry);
+      }
+    } catch (error) {
+      console.error('Refund error for order', order._id, error.message);
+      entry.status = 'failed';
+      entry.failureReason = error.message;
+      await order.save();
+      return entry;
+    }
+
+    if (entry.gatewayAmount > 0 && entry.gatewayStatus === 'pending') {
+      await order.save();
+      return entry;
+    }
+
+    return this.completeRefund(order, entry);
+  },
+
+  /**
+   * Mirror a gateway refund on the Payment document
+   * @param {Object} payment - Payment document
+   * @param {Object} entry - Ledger entry with gatewayStatus set
+   */
+  async recordGatewayRefund(payment, entry) {
+    payment.refundTransactionId = entry.gatewayTransactionId;
+    payment.refundReason = entry.reason;
+    if (entry.gatewayStatus === 'success') {
+      payment.refundedAmount = round2((payment.refundedAmount || 0) + entry.gatewayAmount);
+      payment.refundStatus = payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded';
+      payment.refundedAt = new Date();
+    } else {
+      payment.refundStatus = 'processing';
+    }
+    await payment.save();
+  },
+
+  /**
+   * Close a ledger entry once its money has moved, then settle the order
+   * @param {Object} order - Order document
+   * @param {Object} entry - Ledger entry
+   * @returns {Object} Updated entry
+   */
+  async completeRefund(order, entry) {
+    entry.status = 'completed';
+    entry.completedAt = new Date();
+    order.refundedAmount = round2((order.refundedAmount || 0) + entry.amount);
+
+    const payment = await Payment.findOne({ orderId: order._id, status: 'success' });
+    const sources = this.getFundingSources(order, payment);
+    const fullyRefunded = order.refundedAmount > 0 && sources.refundable <= 0;
+
+    if (entry.scope === 'full' || fullyRefunded) {
+      await this.reverseOrderBenefits(order, entry);
+    }
+    await order.save();
+
+    if (entry.amount > 0) {
+      await this.notifyUser(order, 'refund_issued', { amount: entry.amount });
+    }
+
+    // Nothing left to give back: close the order out as refunded. The status
+    // moves first because the state machine only refunds orders still marked paid.
+    if (fullyRefunded) {
+      if (orderStateMachine.canTransition(order, 'refunded', 'system').allowed) {
+        await orderStateMachine.transition(order, 'refunded', {
+          actor: 'system',
+          reason: entry.reason || 'Refund completed'
+        });
+      }
+      if (order.paymentStatus === 'paid') {
+        order.paymentStatus = 'refunded';
+        await order.save();
+      }
+    }
+
+    return entry;
+  },
+
+  /**
+   * Whether a full refund still has points or a coupon to give back
+   * @param {Object} order - Order document
+   * @returns {Boolean}
+   */
+  hasReversals(order) {
+    if (this.benefitsReversed(order)) return false;
+    const discounts = order.billing?.discounts || {};
+    return (discounts.nanoPointsRedemption?.points || 0) > 0
+      || (order.nanoPointsEarned || 0) > 0
+      || !!order.appliedCoupon
+      || !!discounts.promoCode?.code;
+  },
+
+  /**
+   * Whether an earlier refund already gave back points and coupon usage
+   * @param {Object} order - Order document
+   * @returns {Boolean}
+   */
+  benefitsReversed(order) {
+    return (order.refunds || []).some(r => r.benefitsReversed);
+  },
+
+  /**
+   * Give back redeemed nano points, take back earned ones and release coupon / promo usage.
+   * Runs at most once per order.
+   * @param {Object} order - Order document
+   * @param {Object} entry - Full-scope ledger entry being completed
+   */
+  async reverseOrderBenefits(order, entry) {
+    if (this.benefitsReversed(order)) return;
+
+    entry.benefitsReversed = true;
+    const label = `order #${order.orderNumber || order._id}`;
+
+    try {
+      // The ledger makes both of these once-per-order, so a cancellation that already returned points is not repeated
+      const restored = await nanoPointsService.restoreRedemption(order.user, order._id, `Refunded ${label}`);
+      if (restored > 0) entry.pointsRestored = restored;
+
+      if ((order.nanoPointsEarned || 0) > 0) {
+        entry.pointsReversed = await nanoPointsService.reverseEarn(order, `Refunded ${label}`);
+      }
+    } catch (error) {
+      console.error('Error reversing nano points for order', order._id, error.message);
+    }
+
+    try {
+      if (order.appliedCoupon) {
+        const coupon = await Coupon.findById(order.appliedCoupon);
+        if (coupon) {
+          coupon.usedCount = Math.max(0, (coupon.usedCount || 0) - 1);
+          const usage = (coupon.usedBy || []).find(u => String(u.user) === String(order.user));
+          if (usage) usage.count = Math.max(0, (usage.count || 0) - 1);
+          await coupon.save();
+          entry.couponReleased = true;
+        }
+      }
+
+      const promoCode = order.billing?.discounts?.promoCode?.code;
+      if (promoCode) {
+        await PromoCode.updateOne({ code: promoCode, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+        entry.couponReleased = true;
+      }
+    } catch (error) {
+      console.error('Error releasing coupon usage for order', order._id, error.message);
+    }
+  },
+
+  /**
+   * Approve a parked refund (or retry a failed one) and run it
+   * @param {String} orderId - Order ID
+   * @param {String} refundId - Ledger entry refundId
+   * @param {Object} options - { adminId, note }
+   * @returns {Object} Updated entry
+   */
+  async approveRefund(orderId, refundId, { adminId, note } = {}) {
+    const { order, entry } = await this.findEntry(orderId, refundId);
+    if (!['pending_approval', 'failed'].includes(entry.status)) {
+      throw new AppError(`Refund is ${entry.status} and cannot be approved`, 409);
+    }
+
+    // Re-check against what is left now; other refunds may have run since it was raised
+    if (entry.status === 'pending_approval') {
+      const payment = await Payment.findOne({ orderId: order._id, status: 'success' });
+      const sources = this.getFundingSources(order, payment, entry);
+      if (entry.amount > sources.refundable) {
+        throw new AppError(`Refund exceeds the refundable amount of ₹${sources.refundable}`, 409);
+      }
+      Object.assign(entry, this.splitAmount(entry.amount, sources));
+    }
+
+    entry.reviewedBy = adminId;
+    entry.reviewedAt = new Date();
+    entry.reviewNote = note;
+    return this.executeRefund(order, entry);
+  },
+
+  /**
+   * Reject a parked refund, releasing the amount it held
+   * @param {String} orderId - Order ID
+   * @param {String} refundId - Ledger entry refundId
+   * @param {Object} options - { adminId, note }
+   * @returns {Object} Updated entry
+   */
+  async rejectRefund(orderId, refundId, { adminId, note } = {}) {
+    const { order, entry } = await this.findEntry(orderId, refundId);
+    if (entry.status !== 'pending_approval') {
+      throw new AppError(`Refund is ${entry.status} and cannot be rejected`, 409);
+    }
+
+    entry.status = 'rejected';
+    entry.reviewedBy = adminId;
+    entry.reviewedAt = new Date();
+    entry.reviewNote = note;
+    await order.save();
+
+    await this.notifyUser(order, 'refund_declined', { note });
+    return entry;
+  },
+
+  /**
+   * Poll PhonePe for gateway refunds still in flight and settle them
+   * @param {Object} order - Order document
+   * @returns {Object} Order
+   */
+  async syncPendingRefunds(order) {
+    const inFlight = (order.refunds || []).filter(r => r.status === 'processing' && r.gatewayStatus === 'pending');
+    if (inFlight.length === 0) return order;
+
+    const payment = await Payment.findOne({ orderId: order._id, status: 'success' });
+    for (const entry of inFlight) {
+      try {
+        const response = await paymentService.getPaymentStatus(entry.gatewayTransactionId);
+        const status = paymentService.mapCode(response.code);
+        if (status === 'pending') continue;
+
+        entry.gatewayStatus = status;
+        if (payment) await this.recordGatewayRefund(payment, entry);
+        if (status === 'success') {
+          await this.completeRefund(order, entry);
+        } else {
+          entry.status = 'failed';
+          entry.failureReason = response.message || 'Refund failed at gateway';
+          await order.save();
+        }
+      } catch (error) {
+        console.error('Error syncing refund', entry.refundId, error.message);
+      }
+    }
+    return order;
+  },
+
+  /**
+   * Load an order and one of its ledger entries
+   * @param {String} orderId - Order ID
+   * @param {String} refundId - Ledger entry refundId
+   * @returns {Object} { order, entry }
+   */
+  async findEntry(orderId, refundId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    const entry = (order.refunds || []).find(r => r.refundId === refundId);
+    if (!entry) {
+      throw new AppError('Refund not found', 404);
+    }
+    return { order, entry };
+  },
+
+  /**
+   * Send the customer a payment notification; failures are only logged
+   * @param {Object} order - Order document
+   * @param {String} template - Refund notification template
+   * @param {Object} vars - Template variables (amount, note)
+   */
+  async notifyUser(order, template, vars = {}) {
+    try {
+      await notificationService.notify(order.user, template, {
+        ...vars,
+        orderId: String(order._id),
+        orderNumber: order.orderNumber
+      }, {
+        data: { orderId: order._id }
+      });
+    } catch (error) {
+      console.error('Refund notification error:', error.message);
+    }
+  }
+};
+
+// Cancelling or rejecting an order refunds it automatically
+orderStateMachine.onTransition(async (order, event) => {
+  if (!['cancelled', 'rejected'].includes(event.to)) return;
+
+  const settings = await Settings.getSettings();
+  if (settings.refundConfig?.autoRefundOnCancel === false) return;
+
+  await module.exports.requestRefund(order, {
+    reason: event.reason || `Order ${event.to}`,
+    actor: event.actor,
+    actorId: event.actorId
+  });
+});
@@ -0,0 +1,733 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/reservationModel');
+const Table = require('../models/tableModel');
+const User = require('../models/userModel');
+const Settings = require('../models/settingsModel');
+const slotService = require('./slot');
+const notificationService = require('./notification');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Reservation Service - Table bookings, waitlist and no-shows
+ *
+ * A booking holds its tables from startTime to endTime (plus a turnover
+ * buffer) through Table.reservations; a hold is only added if it overlaps no
+ * other, in one atomic update per table. Parties too big for any one table get
+ * the smallest set of combinable tables in one location. When nothing is free
+ * the user can join the waitlist, which is offered every table that frees up
+ * (cancellation, no-show, early finish) in the order people joined.
+ *
+ * A background job sends reminders, releases tables of guests who haven't
+ * shown up noShowGraceMinutes after their start time, and expires waitlist
+ * entries whose time has passed. Repeated no-shows pause booking for a while.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_CLAIM_ATTEMPTS = 3;
+const WAITLIST_BATCH = 20;
+
+// Admin status changes allowed from each status
+const TRANSITIONS = {
+  waitlisted: ['cancelled'],
+  confirmed: ['seated', 'cancelled', 'no_show'],
+  seated: ['completed']
+};
+
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) {
+    throw new AppError('Date must be YYYY-MM-DD', 400);
+  }
+  return new Date(`${value}T00:00:00`);
+};
+
+const formatTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+function* combinations(list, size, from = 0, picked = []) {
+  if (picked.length === size) {
+    yield picked;
+    return;
+  }
+  for (let i = from; i <= list.length - (size - picked.length); i++) {
+    yield* combinations(list, size, i + 1, [...picked, list[i]]);
+  }
+}
+
+module.exports = {
+  TRANSITIONS,
+
+  /**
+   * Whether a table can take a booking from start to end (pure)
+   * @param {Object} table - Table with reservations (holds)
+   * @param {Number} start - ms
+   * @param {Number} end - ms
+   * @param {Number} bufferMs - Turnover gap kept around other holds
+   * @returns {Boolean}
+   */
+  isTableFree(table, start, end, bufferMs = 0) {
+    if (!table.isAvailable || table.currentStatus === 'maintenance') return false;
+    return !(table.reservations || []).some(hold =>
+      new Date(hold.startTime).getTime() < end + bufferMs &&
+      new Date(hold.endTime).getTime() + bufferMs > start
+    );
+  },
+
+  /**
+   * Tables for a party (pure): the smallest single table that fits, else the
+   * fewest combinable tables in one location, least empty seats, closest together
+   * @param {Array} tables - Tables with holds
+   * @param {Object} params - { start, end, guestCount, location, tableId, maxCombined, bufferMs }
+   * @returns {Array|null} Tables, or null when the party can't be seated
+   */
+  findAllocation(tables, { start, end, guestCount, location = null, tableId = null, maxCombined = 1, bufferMs = 0 }) {
+    const free = tables.filter(t => (!location || t.location === location) && this.isTableFree(t, start, end, bufferMs));
+
+    if (tableId) {
+      const table = free.find(t => String(t._id) === String(tableId));
+      return table && table.capacity >= guestCount ? [table] : null;
+    }
+
+    const single = free
+      .filter(t => t.capacity >= guestCount)
+      .sort((a, b) => a.capacity - b.capacity || (a.displayOrder || 0) - (b.displayOrder || 0))[0];
+    if (single) return [single];
+
+    const byLocation = new Map();
+    for (const table of free.filter(t => t.isCombinable !== false)) {
+      if (!byLocation.has(table.location)) byLocation.set(table.location, []);
+      byLocation.get(table.location).push(table);
+    }
+
+    for (let size = 2; size <= maxCombined; size++) {
+      let best = null;
+      for (const group of byLocation.values()) {
+        if (group.length < size) continue;
+        for (const set of combinations(group, size)) {
+          const seats = set.reduce((sum, t) => sum + t.capacity, 0);
+          if (seats < guestCount) continue;
+          const orders = set.map(t => t.displayOrder || 0);
+          const candidate = { set, waste: seats - guestCount, spread: Math.max(...orders) - Math.min(...orders) };
+          if (!best || candidate.waste < best.waste || (candidate.waste === best.waste && candidate.spread < best.spread)) {
+            best = candidate;
+          }
+        }
+      }
+      if (best) return best.set;
+    }
+    return null;
+  },
+
+  /**
+   * Earliest and latest bookable start
+   * @param {Object} config - Settings.reservationConfig
+   * @param {Date} now - Reference time
+   * @returns {Object} { earliest, latest }
+   */
+  getBookingWindow(config, now = new Date()) {
+    const latest = new Date(now);
+    latest.setHours(0, 0, 0, 0);
+    latest.setDate(latest.getDate() + config.maxDaysInAdvance + 1);
+    return { earliest: new Date(now.getTime() + config.minLeadMinutes * MINUTE_MS), latest };
+  },
+
+  /**
+   * Start and end of a requested booking, checked against opening hours
+   * @param {Object} settings - Settings document
+   * @param {Object} params - { startTime } or the older { date, timeSlot: 'HH:mm' | 'HH:mm-HH:mm' }
+   * @param {Date} now - Reference time
+   * @returns {Object} { start, end } as Dates
+   */
+  resolveTimes(settings, { startTime, date, timeSlot }, now = new Date()) {
+    const config = settings.reservationConfig;
+    let start;
+    let end = null;
+
+    if (startTime) {
+      start = new Date(startTime);
+    } else if (date && timeSlot) {
+      const match = /^(\d{1,2}):(\d{2})(?:\s*-\s*(\d{1,2}):(\d{2}))?$/.exec(String(timeSlot).trim());
+      if (!match) {
+        throw new AppError('timeSlot must look like 19:00 or 19:00-20:30', 400);
+      }
+      const day = new Date(date);
+      day.setHours(0, 0, 0, 0);
+      start = new Date(day.getTime() + (Number(match[1]) * 60 + Number(match[2])) * MINUTE_MS);
+      if (match[3] !== undefined) {
+        end = new Date(day.getTime() + (Number(match[3]) * 60 + Number(match[4])) * MINUTE_MS);
+        if (end <= start) end = new Date(end.getTime() + DAY_MS);
+      }
+    } else {
+      throw new AppError('startTime (or date and timeSlot) is required', 400);
+    }
+    if (Number.isNaN(start.getTime()) || (end && Number.isNaN(end.getTime()))) {
+      throw new AppError('Reservation time must be a valid date', 400);
+    }
+
+    // A slot from the older API can be shorter, never longer than a normal booking
+    const longest = start.getTime() + config.durationMinutes * MINUTE_MS;
+    end = end && end.getTime() <= longest ? end : new Date(longest);
+
+    const { earliest, latest } = this.getBookingWindow(config, now);
+    if (start < earliest) {
+      throw new AppError(`Reservations must be made at least ${config.minLeadMinutes} minutes ahead`, 400);
+    }
+    if (start >= latest) {
+      throw new AppError(`Reservations can be made at most ${config.maxDaysInAdvance} days in advance`, 400);
+    }
+
+    // The booking may fall in the previous day's window when it runs past midnight
+    const yesterday = new Date(start);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const window = [slotService.getOpeningWindow(settings, yesterday), slotService.getOpeningWindow(settings, start)]
+      .find(w => w && start >= w.open && start < w.close);
+    if (!window) {
+      throw new AppError('That time is outside opening hours', 400);
+    }
+    if (end > window.close) {
+      throw new AppError(`The last booking that day starts by ${formatTime(new Date(window.close.getTime() - config.durationMinutes * MINUTE_MS))}`, 400);
+    }
+
+    return { start, end };
+  },
+
+  /**
+   * Tables that can be booked, with their holds
+   */
+  async loadTables() {
+    return Table.find({ isAvailable: true, currentStatus: { $ne: 'maintenance' } })
+      .select('tableNumber capacity location isCombinable isAvailable currentStatus displayOrder reservations')
+      .lean();
+  },
+
+  /**
+   * Atomically hold every table for a booking; all or nothing
+   * @param {ObjectId} reservationId - Booking the holds belong to
+   * @param {Array} tables - Tables from findAllocation
+   * @param {Date} start
+   * @param {Date} end
+   * @param {Number} bufferMs - Turnover gap
+   * @returns {Boolean} Whether every table was held
+   */
+  async claimTables(reservationId, tables, start, end, bufferMs) {
+    const claimed = [];
+    for (const table of tables) {
+      const result = await Table.updateOne(
+        {
+          _id: table._id,
+          isAvailable: true,
+          currentStatus: { $ne: 'maintenance' },
+          reservations: { $not: { $elemMatch: {
+            startTime: { $lt: new Date(end.getTime() + bufferMs) },
+            endTime: { $gt: new Date(start.getTime() - bufferMs) }
+          } } }
+        },
+        { $push: { reservations: { reservation: reservationId, startTime: start, endTime: end } } }
+      );
+      if (result.modifiedCount === 0) {
+        await this.releaseTables(reservationId, claimed);
+        return false;
+      }
+      claimed.push(table._id);
+    }
+    return true;
+  },
+
+  /**
+   * Drop a booking's holds
+   */
+  async releaseTables(reservationId, tableIds) {
+    if (!tableIds || tableIds.length === 0) return;
+    await Table.updateMany(
+      { _id: { $in: tableIds } },
+      { $pull: { reservations: { reservation: reservationId } } }
+    );
+  },
+
+  /**
+   * Find and hold tables for a booking, retrying if another booking wins a table first
+   * @param {ObjectId} reservationId - Booking ID (may not be saved yet)
+   * @param {Object} request - { startTime, endTime, guestCount, location, tableId }
+   * @param {Object} config - Settings.reservationConfig
+   * @returns {Array|null} Held tables
+   */
+  async allocate(reservationId, request, config) {
+    const start = new Date(request.startTime);
+    const end = new Date(request.endTime);
+    const bufferMs = config.bufferMinutes * MINUTE_MS;
+
+    for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+      const tables = this.findAllocation(await this.loadTables(), {
+        start: start.getTime(),
+        end: end.getTime(),
+        guestCount: request.guestCount,
+        location: request.location,
+        tableId: request.tableId,
+        maxCombined: config.maxCombinedTables,
+        bufferMs
+      });
+      if (!tables) return null;
+      if (await this.claimTables(reservationId, tables, start, end, bufferMs)) return tables;
+    }
+    return null;
+  },
+
+  /**
+   * Bookable start times of a day and whether a party fits at each
+   * @param {Object} params - { date: 'YYYY-MM-DD', guestCount, location }
+   * @returns {Object} { date, isClosed, open, close, durationMinutes, slots: [{ start, end, time, available, tables, combined }] }
+   */
+  async getAvailability({ date, guestCount = 2, location = null } = {}) {
+    const settings = await Settings.getSettings();
+    const config = settings.reservationConfig;
+    const day = parseDay(date);
+    const guests = parseInt(guestCount, 10);
+    if (!Number.isInteger(guests) || guests < 1 || guests > config.maxPartySize) {
+      throw new AppError(`Guest count must be between 1 and ${config.maxPartySize}`, 400);
+    }
+
+    const window = slotService.getOpeningWindow(settings, day);
+    if (!window || settings.schedulingConfig?.allowTableReservation === false) {
+      return { date, isClosed: true, open: null, close: null, durationMinutes: config.durationMinutes, slots: [] };
+    }
+
+    const tables = await this.loadTables();
+    const { earliest, latest } = this.getBookingWindow(config);
+    const durationMs = config.durationMinutes * MINUTE_MS;
+    const slots = [];
+    for (let start = window.open.getTime(); start + durationMs <= window.close.getTime(); start += config.slotInterval * MINUTE_MS) {
+      const bookable = start >= earliest.getTime() && start < latest.getTime();
+      const allocation = bookable
+        ? this.findAllocation(tables, {
+          start,
+          end: start + durationMs,
+          guestCount: guests,
+          location,
+          maxCombined: config.maxCombinedTables,
+          bufferMs: config.bufferMinutes * MINUTE_MS
+        })
+        : null;
+      slots.push({
+        start: new Date(start),
+        end: new Date(start + durationMs),
+        time: formatTime(new Date(start)),
+        available: !!allocation,
+        tables: allocation ? allocation.length : 0,
+        combined: !!allocation && allocation.length > 1
+      });
+    }
+
+    return {
+      date,
+      isClosed: false,
+      open: formatTime(window.open),
+      close: formatTime(window.close),
+      durationMinutes: config.durationMinutes,
+      slots
+    };
+  },
+
+  /**
+   * Book a table, or join the waitlist when none is free
+   * @param {String} userId - User ID
+   * @param {Object} params - { startTime | date + timeSlot, guestCount, tableId, location, specialRequests, joinWaitlist }
+   * @returns {Object} { status: 'confirmed' | 'waitlisted' | 'unavailable', reservation, alternatives }
+   */
+  async book(userId, params) {
+    const settings = await Settings.getSettings();
+    const config = settings.reservationConfig;
+    const now = new Date();
+
+    if (settings.schedulingConfig?.allowTableReservation === false) {
+      throw new AppError('Table reservations are not available right now', 409);
+    }
+
+    const user = await User.findById(userId).select('reservationStats').lean();
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    const blockedUntil = user.reservationStats?.blockedUntil;
+    if (blockedUntil && blockedUntil > now) {
+      throw new AppError(`After repeated no-shows, table booking is paused until ${blockedUntil.toDateString()}`, 403);
+    }
+
+    const guestCount = parseInt(params.guestCount || 1, 10);
+    if (!Number.isInteger(guestCount) || guestCount < 1 || guestCount > config.maxPartySize) {
+      throw new AppError(`Guest count must be between 1 and ${config.maxPartySize}`, 400);
+    }
+    if (params.tableId && !mongoose.Types.ObjectId.isValid(params.tableId)) {
+      throw new AppError('Invalid table ID', 400);
+    }
+
+    const { start, end } = this.resolveTimes(settings, params, now);
+
+    const clash = await Reservation.exists({
+      user: userId,
+      status: { $in: ['waitlisted', 'confirmed'] },
+      startTime: { $lt: end },
+      endTime: { $gt: start }
+    });
+    if (clash) {
+      throw new AppError('You already have a booking at this time', 409);
+    }
+
+    const request = {
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      guestCount,
+      startTime: start,
+      endTime: end,
+      location: params.location || null,
+      specialRequests: params.specialRequests
+    };
+
+    const tables = await this.allocate(request._id, { ...request, tableId: params.tableId }, config);
+    if (tables) {
+      let reservation;
+      try {
+        reservation = await Reservation.create({ ...request, tables: tables.map(t => t._id), status: 'confirmed' });
+      } catch (error) {
+        await this.releaseTables(request._id, tables.map(t => t._id));
+        throw error;
+      }
+      await this.notifyUser(reservation, 'reservation_confirmed');
+      return { status: 'confirmed', reservation };
+    }
+
+    if (!params.joinWaitlist) {
+      const { slots } = await this.getAvailability({ date: this.dateKey(start), guestCount, location: request.location });
+      const alternatives = slots
+        .filter(slot => slot.available)
+        .sort((a, b) => Math.abs(a.start - start) - Math.abs(b.start - start))
+        .slice(0, 3)
+        .sort((a, b) => a.start - b.start);
+      return { status: 'unavailable', reservation: null, alternatives };
+    }
+
+    const reservation = await Reservation.create({ ...request, tables: [], status: 'waitlisted' });
+    await this.notifyUser(reservation, 'reservation_waitlisted');
+    return { status: 'waitlisted', reservation };
+  },
+
+  /**
+   * Cancel an upcoming or waitlisted booking and offer its tables to the waitlist
+   * @param {String} reservationId - Reservation ID
+   * @param {Object} options - { userId (only their own), by: user | admin | system, reason }
+   * @returns {Object} Cancelled reservation
+   */
+  async cancel(reservationId, { userId = null, by = 'user', reason } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(reservationId)) {
+      throw new AppError('Invalid reservation ID', 400);
+    }
+
+    const filter = { _id: reservationId, status: { $in: ['waitlisted', 'confirmed'] } };
+    if (userId) filter.user = userId;
+    const reservation = await Reservation.findOneAndUpdate(
+      filter,
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: by, cancelReason: reason } },
+      { new: true }
+    );
+    if (!reservation) {
+      const exists = await Reservation.exists(userId ? { _id: reservationId, user: userId } : { _id: reservationId });
+      if (!exists) {
+        throw new AppError('Reservation not found', 404);
+      }
+      throw new AppError('Only upcoming or waitlisted bookings can be cancelled', 409);
+    }
+
+    await this.releaseTables(reservation._id, reservation.tables);
+    if (by !== 'user') {
+      await this.notifyUser(reservation, 'reservation_cancelled', { reason });
+    }
+    if (reservation.tables.length > 0) {
+      await this.promoteWaitlist(reservation.startTime, reservation.endTime);
+    }
+    return reservation;
+  },
+
+  /**
+   * Offer freed time to waitlisted bookings that overlap it, first come first served
+   * @param {Date} start - Start of the freed time
+   * @param {Date} end - End of the freed time
+   * @param {Date} now - Reference time
+   * @returns {Number} Bookings confirmed
+   */
+  async promoteWaitlist(start, end, now = new Date()) {
+    const settings = await Settings.getSettings();
+    const config = settings.reservationConfig;
+    const bufferMs = config.bufferMinutes * MINUTE_MS;
+
+    const candidates = await Reservation.find({
+      status: 'waitlisted',
+      startTime: { $gt: now, $lt: new Date(end.getTime() + bufferMs) },
+      endTime: { $gt: new Date(start.getTime() - bufferMs) }
+    })
+      .sort({ createdAt: 1 })
+      .limit(WAITLIST_BATCH)
+      .lean();
+
+    let promoted = 0;
+    for (const candidate of candidates) {
+      const tables = await this.allocate(candidate._id, candidate, config);
+      if (!tables) continue;
+
+      const reservation = await Reservation.findOneAndUpdate(
+        { _id: candidate._id, status: 'waitlisted' },
+        { $set: { status: 'confirmed', tables: tables.map(t => t._id), promotedAt: now } },
+        { new: true }
+      );
+      if (!reservation) {
+        // Cancelled while we were looking
+        await this.releaseTables(candidate._id, tables.map(t => t._id));
+        continue;
+      }
+      await this.notifyUser(reservation, 'reservation_promoted');
+      promoted += 1;
+    }
+    return promoted;
+  },
+
+  /**
+   * Admin status change
+   * @param {String} reservationId - Reservation ID
+   * @param {String} status - seated | completed | cancelled | no_show
+   * @param {Object} options - { reason }
+   * @returns {Object} Updated reservation
+   */
+  async updateStatus(reservationId, status, { reason } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(reservationId)) {
+      throw new AppError('Invalid reservation ID', 400);
+    }
+    const current = await Reservation.findById(reservationId).lean();
+    if (!current) {
+      throw new AppError('Reservation not found', 404);
+    }
+    if (!(TRANSITIONS[current.status] || []).includes(status)) {
+      throw new AppError(`A ${current.status} reservation can't be marked ${status}`, 409);
+    }
+
+    if (status === 'cancelled') {
+      return this.cancel(reservationId, { by: 'admin', reason });
+    }
+    if (status === 'no_show') {
+      const settings = await Settings.getSettings();
+      const reservation = await this.markNoShow(current, settings.reservationConfig);
+      if (!reservation) {
+        throw new AppError('Reservation changed, please refresh', 409);
+      }
+      return reservation;
+    }
+
+    const now = new Date();
+    const update = status === 'seated' ? { status, seatedAt: now } : { status, completedAt: now };
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: reservationId, status: current.status },
+      { $set: update },
+      { new: true }
+    );
+    if (!reservation) {
+      throw new AppError('Reservation changed, please refresh', 409);
+    }
+
+    if (status === 'seated') {
+      await Table.updateMany({ _id: { $in: reservation.tables } }, { $set: { currentStatus: 'occupied' } });
+    } else {
+      await this.releaseTables(reservation._id, reservation.tables);
+      await Table.updateMany({ _id: { $in: reservation.tables }, currentStatus: 'occupied' }, { $set: { currentStatus: 'available' } });
+      // Leaving early frees the rest of the booked time
+      if (reservation.endTime > now) {
+        await this.promoteWaitlist(now, reservation.endTime, now);
+      }
+    }
+    return reservation;
+  },
+
+  /**
+   * Release a confirmed booking nobody turned up for and apply the penalty
+   * @param {Object} reservation - Confirmed reservation
+   * @param {Object} config - Settings.reservationConfig
+   * @param {Date} now - Reference time
+   * @returns {Object|null} Updated reservation, or null if it was no longer confirmed
+   */
+  async markNoShow(reservation, config, now = new Date()) {
+    const updated = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'confirmed' },
+      { $set: { status: 'no_show', noShowAt: now } },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await this.releaseTables(updated._id, updated.tables);
+    const blockedUntil = await this.applyNoShowPenalty(updated.user, config, now);
+    await this.notifyUser(updated, 'reservation_no_show', { blockedUntil });
+    if (updated.endTime > now) {
+      await this.promoteWaitlist(now, updated.endTime, now);
+    }
+    return updated;
+  },
+
+  /**
+   * Count a no-show against the user; too many in the window pauses booking
+   * @param {String} userId - User ID
+   * @param {Object} config - Settings.reservationConfig
+   * @param {Date} now - Reference time
+   * @returns {Date|null} Booking paused until, if this no-show crossed the limit
+   */
+  async applyNoShowPenalty(userId, config, now = new Date()) {
+    const recent = await Reservation.countDocuments({
+      user: userId,
+      status: 'no_show',
+      noShowAt: { $gte: new Date(now.getTime() - config.noShowWindowDays * DAY_MS) }
+    });
+
+    const update = {
+      $inc: { 'reservationStats.noShowCount': 1 },
+      $set: { 'reservationStats.lastNoShowAt': now }
+    };
+    let blockedUntil = null;
+    if (config.noShowBlockDays > 0 && recent >= config.noShowLimit) {
+      blockedUntil = new Date(now.getTime() + config.noShowBlockDays * DAY_MS);
+      update.$set['reservationStats.blockedUntil'] = blockedUntil;
+    }
+    await User.updateOne({ _id: userId }, update);
+    return blockedUntil;
+  },
+
+  /**
+   * Remind guests ahead of their booking (once each)
+   * @param {Object} config - Settings.reservationConfig
+   * @param {Date} now - Reference time
+   * @returns {Number} Reminders sent
+   */
+  async sendReminders(config, now = new Date()) {
+    if (!config.reminderMinutesBefore) return 0;
+
+    const due = await Reservation.find({
+      status: 'confirmed',
+      reminderSentAt: null,
+      startTime: { $gt: now, $lte: new Date(now.getTime() + config.reminderMinutesBefore * MINUTE_MS) }
+    }).select('_id').lean();
+
+    let sent = 0;
+    for (const { _id } of due) {
+      const reservation = await Reservation.findOneAndUpdate(
+        { _id, status: 'confirmed', reminderSentAt: null },
+        { $set: { reminderSentAt: now } },
+        { new: true }
+      );
+      if (!reservation) continue;
+      await this.notifyUser(reservation, 'reservation_reminder', { graceMinutes: config.noShowGraceMinutes });
+      sent += 1;
+    }
+    return sent;
+  },
+
+  /**
+   * Mark bookings past their grace period as no-shows
+   * @param {Object} config - Settings.reservationConfig
+   * @param {Date} now - Reference time
+   * @returns {Number} No-shows marked
+   */
+  async processNoShows(config, now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.noShowGraceMinutes * MINUTE_MS);
+    const cursor = Reservation.find({ status: 'confirmed', startTime: { $lte: cutoff } }).lean().cursor();
+
+    let marked = 0;
+    for await (const reservation of cursor) {
+      if (await this.markNoShow(reservation, config, now)) marked += 1;
+    }
+    return marked;
+  },
+
+  /**
+   * Waitlist entries whose time has come without a table
+   * @param {Date} now - Reference time
+   * @returns {Number} Entries expired
+   */
+  async expireWaitlist(now = new Date()) {
+    const result = await Reservation.updateMany(
+      { status: 'waitlisted', startTime: { $lte: now } },
+      { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Close bookings still marked seated after their end time, freeing their tables
+   * @param {Date} now - Reference time
+   * @returns {Number} Bookings completed
+   */
+  async completeFinished(now = new Date()) {
+    const finished = await Reservation.find({ status: 'seated', endTime: { $lte: now } }).select('_id tables').lean();
+
+    let completed = 0;
+    for (const { _id, tables } of finished) {
+      const result = await Reservation.updateOne({ _id, status: 'seated' }, { $set: { status: 'completed', completedAt: now } });
+      if (result.modifiedCount === 0) continue;
+      await this.releaseTables(_id, tables);
+      await Table.updateMany({ _id: { $in: tables }, currentStatus: 'occupied' }, { $set: { currentStatus: 'available' } });
+      completed += 1;
+    }
+    return completed;
+  },
+
+  /**
+   * Reminders, no-shows, waitlist expiry and overdue tables (background job)
+   * @param {Date} now - Reference time
+   * @returns {Object} Counts
+   */
+  async runScheduledJobs(now = new Date()) {
+    const settings = await Settings.getSettings();
+    const config = settings.reservationConfig;
+    const reminders = await this.sendReminders(config, now);
+    const noShows = await this.processNoShows(config, now);
+    const expired = await this.expireWaitlist(now);
+    const completed = await this.completeFinished(now);
+    return { reminders, noShows, expired, completed };
+  },
+
+  /**
+   * Reservations with their tables and user, newest first
+   * @param {Object} filter - Mongo filter
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { reservations, total }
+   */
+  async list(filter, { page = 1, limit = 10 } = {}) {
+    const skip = (page - 1) * limit;
+    const [reservations, total] = await Promise.all([
+      Reservation.find(filter)
+        .sort({ startTime: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('tables', 'tableNumber location capacity')
+        .populate('user', 'name phone email')
+        .lean(),
+      Reservation.countDocuments(filter)
+    ]);
+    return { reservations, total };
+  },
+
+  /**
+   * Local 'YYYY-MM-DD' of a date
+   */
+  dateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  },
+
+  /**
+   * Send a reservation notification; failures don't undo the booking change
+   */
+  async notifyUser(reservation, template, vars = {}) {
+    try {
+      await notificationService.notify(reservation.user, template, {
+        reservationId: String(reservation._id),
+        guestCount: reservation.guestCount,
+        startTime: reservation.startTime,
+        ...vars
+      }, {
+        data: { reservationId: reservation._id }
+      });
+    } catch (error) {
+      console.error(`Reservation notification (${template}) failed:`, error.message);
+    }
+  }
+};
@@ -0,0 +1,303 @@
+const SlotReservation = require('../models/slotReservationModel');
+const Settings = require('../models/settingsModel');
+const orderStateMachine = require('./orderStateMachine');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Slot Service - Scheduled order slots and their capacity
+ *
+ * Slots are cut from Settings.businessHours every schedulingConfig.slotDuration
+ * minutes (server local time). Each slot holds at most slotCapacity orders per
+ * kind (delivery / pickup), unless an admin overrides that slot. Checkout
+ * reserves a place, cancellation or rejection gives it back.
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+
+const kindFor = (orderType) => (orderType === 'delivery' ? 'delivery' : 'pickup');
+
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || ''));
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const formatTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const dateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const parseDay = (value) => {
+  if (!value) return startOfDay(new Date());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw new AppError('Date must be YYYY-MM-DD', 400);
+  }
+  return new Date(`${value}T00:00:00`);
+};
+
+module.exports = {
+  kindFor,
+
+  /**
+   * Opening window of a day, or null when closed. A close time at or before
+   * the open time means the kitchen closes after midnight.
+   * @param {Object} settings - Settings document
+   * @param {Date} day - Any time on the day
+   * @returns {Object|null} { open: Date, close: Date }
+   */
+  getOpeningWindow(settings, day) {
+    const hours = settings.businessHours?.[DAY_NAMES[day.getDay()]];
+    if (!hours || hours.isClosed) return null;
+
+    const open = toMinutes(hours.open);
+    let close = toMinutes(hours.close);
+    if (open === null || close === null) return null;
+    if (close <= open) close += 24 * 60;
+
+    const base = startOfDay(day).getTime();
+    return { open: new Date(base + open * MINUTE_MS), close: new Date(base + close * MINUTE_MS) };
+  },
+
+  /**
+   * Every slot of a day; the last one ends at or before closing
+   * @param {Object} settings - Settings document
+   * @param {Date} day - Any time on the day
+   * @returns {Array} [{ start, end }]
+   */
+  buildSlots(settings, day) {
+    const window = this.getOpeningWindow(settings, day);
+    if (!window) return [];
+
+    const durationMs = (settings.schedulingConfig?.slotDuration || 30) * MINUTE_MS;
+    const slots = [];
+    for (let start = window.open.getTime(); start + durationMs <= window.close.getTime(); start += durationMs) {
+      slots.push({ start: new Date(start), end: new Date(start + durationMs) });
+    }
+    return slots;
+  },
+
+  /**
+   * Capacity of a slot for a kind
+   * @param {Object} settings - Settings document
+   * @param {String} kind - delivery | pickup
+   * @param {Object} [reservation] - SlotReservation with a possible override
+   * @returns {Number}
+   */
+  capacityFor(settings, kind, reservation) {
+    if (reservation && reservation.capacityOverride !== null && reservation.capacityOverride !== undefined) {
+      return reservation.capacityOverride;
+    }
+    return settings.schedulingConfig?.slotCapacity?.[kind] ?? 0;
+  },
+
+  /**
+   * Bookable window: [now + minLeadMinutes, end of today + maxDaysInAdvance days]
+   * @param {Object} settings - Settings document
+   * @param {Date} now - Reference time
+   * @returns {Object} { earliest, latest }
+   */
+  getBookingWindow(settings, now = new Date()) {
+    const config = settings.schedulingConfig || {};
+    const latest = startOfDay(now);
+    latest.setDate(latest.getDate() + (config.maxDaysInAdvance || 7) + 1);
+    return {
+      earliest: new Date(now.getTime() + (config.minLeadMinutes ?? 45) * MINUTE_MS),
+      latest
+    };
+  },
+
+  /**
+   * Slots with remaining capacity for one or more days
+   * @param {Object} params - { date: 'YYYY-MM-DD', days, orderType }
+   * @returns {Array} [{ date, isClosed, open, close, slots: [{ start, end, time, capacity, booked, remaining, available }] }]
+   */
+  async getAvailableSlots({ date, days = 1, orderType = 'delivery' } = {}) {
+    const settings = await Settings.getSettings();
+    if (settings.schedulingConfig?.allowPreOrders === false) {
+      throw new AppError('Scheduled orders are not available right now', 409);
+    }
+
+    const kind = kindFor(orderType);
+    const now = new Date();
+    const { earliest, latest } = this.getBookingWindow(settings, now);
+    const first = parseDay(date);
+    const count = Math.min(Math.max(parseInt(days, 10) || 1, 1), 14);
+
+    const result = [];
+    for (let i = 0; i < count; i++) {
+      const day = new Date(first);
+      day.setDate(first.getDate() + i);
+      if (day >= latest) break;
+      if (day < startOfDay(now)) continue;
+
+      const window = this.getOpeningWindow(settings, day);
+      const slots = this.buildSlots(settings, day);
+      const reservations = slots.length > 0
+        ? await SlotReservation.find({
+          kind,
+          slotStart: { $gte: slots[0].start, $lte: slots[slots.length - 1].start }
+        }).select('slotStart count capacityOverride').lean()
+        : [];
+      const booked = new Map(reservations.map(r => [r.slotStart.getTime(), r]));
+
+      result.push({
+        date: dateKey(day),
+        isClosed: !window,
+        open: window ? formatTime(window.open) : null,
+        close: window ? formatTime(window.close) : null,
+        slots: slots.map(slot => {
+          const reservation = booked.get(slot.start.getTime());
+          const capacity = this.capacityFor(settings, kind, reservation);
+          const taken = reservation ? reservation.count : 0;
+          const remaining = Math.max(0, capacity - taken);
+          return {
+            start: slot.start,
+            end: slot.end,
+            time: formatTime(slot.start),
+            capacity,
+            booked: taken,
+            remaining,
+            available: slot.start >= earliest && slot.start < latest && remaining > 0
+          };
+        })
+      });
+    }
+    return result;
+  },
+
+  /**
+   * Check a requested scheduled time and snap it to the start of its slot
+   * @param {Date|String} scheduledTime - Requested time
+   * @param {Object} [options] - { settings, enforceLead (default true) }
+   * @returns {Object} { start, end }
+   */
+  async resolveSlot(scheduledTime, { settings, enforceLead = true } = {}) {
+    settings = settings || await Settings.getSettings();
+    if (settings.schedulingConfig?.allowPreOrders === false) {
+      throw new AppError('Scheduled orders are not available right now', 400);
+    }
+
+    const requested = new Date(scheduledTime);
+    if (Number.isNaN(requested.getTime())) {
+      throw new AppError('scheduledTime must be a valid date', 400);
+    }
+
+    const { earliest, latest } = this.getBookingWindow(settings);
+    if (requested >= latest) {
+      throw new AppError(`Orders can be scheduled at most ${settings.schedulingConfig.maxDaysInAdvance} days in advance`, 400);
+    }
+
+    // The slot may belong to the previous day's window when it runs past midnight
+    const yesterday = new Date(requested);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const slot = [...this.buildSlots(settings, yesterday), ...this.buildSlots(settings, requested)]
+      .find(s => requested >= s.start && requested < s.end);
+    if (!slot) {
+      throw new AppError('Scheduled time is outside opening hours', 400);
+    }
+
+    if (enforceLead && slot.start < earliest) {
+      throw new AppError(`Scheduled time must be at least ${settings.schedulingConfig.minLeadMinutes ?? 45} minutes from now`, 400);
+    }
+    return slot;
+  },
+
+  /**
+   * Take a place in a slot for an order. Idempotent per order.
+   * @param {String} orderId - Order ID (may be pre-generated, before the order exists)
+   * @param {Date} slotStart - Slot start from resolveSlot
+   * @param {String} orderType - delivery | take_away | car
+   * @param {Object} [options] - { force: book even when full (subscriptions) }
+   * @returns {Object} SlotReservation
+   */
+  async reserve(orderId, slotStart, orderType, { force = false } = {}) {
+    const kind = kindFor(orderType);
+    const settings = await Settings.getSettings();
+
+    try {
+      await SlotReservation.updateOne(
+        { slotStart, kind },
+        { $setOnInsert: { slotStart, kind, orders: [], count: 0 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error; // created concurrently
+    }
+
+    const current = await SlotReservation.findOne({ slotStart, kind }).select('capacityOverride orders').lean();
+    if (current.orders.some(id => String(id) === String(orderId))) return current;
+
+    const filter = { slotStart, kind, orders: { $ne: orderId } };
+    if (!force) filter.count = { $lt: this.capacityFor(settings, kind, current) };
+
+    const reservation = await SlotReservation.findOneAndUpdate(
+      filter,
+      { $push: { orders: orderId }, $inc: { count: 1 } },
+      { new: true }
+    );
+    if (!reservation) {
+      const latest = await SlotReservation.exists({ slotStart, kind, orders: orderId });
+      if (latest) return latest;
+      throw new AppError('This slot is fully booked, please pick another time', 409);
+    }
+    return reservation;
+  },
+
+  /**
+   * Give an order's place back (no-op if it holds none)
+   * @param {String} orderId - Order ID
+   * @returns {Boolean} Whether a place was released
+   */
+  async release(orderId) {
+    const result = await SlotReservation.updateOne(
+      { orders: orderId },
+      { $pull: { orders: orderId }, $inc: { count: -1 } }
+    );
+    return result.modifiedCount > 0;
+  },
+
+  /**
+   * Admin: cap one slot differently from the default (null restores the default)
+   * @param {Object} params - { date: 'YYYY-MM-DD', time: 'HH:mm', orderType, capacity }
+   * @returns {Object} SlotReservation
+   */
+  async setSlotCapacity({ date, time, orderType = 'delivery', capacity }) {
+    const settings = await Settings.getSettings();
+    const day = parseDay(date);
+    const minutes = toMinutes(time);
+    if (minutes === null) {
+      throw new AppError('Time must be HH:mm', 400);
+    }
+    if (capacity !== null && (!Number.isInteger(Number(capacity)) || Number(capacity) < 0)) {
+      throw new AppError('Capacity must be a whole number of 0 or more, or null for the default', 400);
+    }
+
+    const slotStart = new Date(day.getTime() + minutes * MINUTE_MS);
+    const slot = this.buildSlots(settings, day).find(s => s.start.getTime() === slotStart.getTime());
+    if (!slot) {
+      throw new AppError('No slot starts at that time', 400);
+    }
+
+    return SlotReservation.findOneAndUpdate(
+      { slotStart, kind: kindFor(orderType) },
+      {
+        $set: { capacityOverride: capacity === null ? null : Number(capacity) },
+        $setOnInsert: { orders: [], count: 0 }
+      },
+      { new: true, upsert: true }
+    );
+  }
+};
+
+// Cancelled and rejected orders free their slot
+orderStateMachine.onTransition(async (order, event) => {
+  if (!['cancelled', 'rejected'].includes(event.to)) return;
+  if (order.scheduleType !== 'scheduled') return;
+  await module.exports.release(order._id);
+});
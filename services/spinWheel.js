@@ -0,0 +1,609 @@
+const crypto = require('crypto');
+const SpinWheelConfig = require('../models/spinWheelConfigModel');
+const SpinHistory = require('../models/spinHistoryModel');
+const SpinSeed = require('../models/spinSeedModel');
+const { round2 } = require('./pricing');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Spin Wheel - Campaign scheduling, capped prizes and a draw players can verify
+ *
+ * Each campaign (SpinWheelConfig) runs between startsAt and endsAt; a scheduled
+ * campaign takes over from an always-on one while it runs. Prizes can be capped
+ * per day and in total, and every win is charged to the campaign's rupee budget.
+ * A prize that is sold out or that the budget can't cover has its probability
+ * moved to the blanks.
+ *
+ * The draw is commit-reveal: the player is shown sha256(serverSeed) before
+ * spinning, the result comes from HMAC-SHA256(serverSeed, "clientSeed:nonce"),
+ * and the spin reveals serverSeed so anyone can re-run it with verify().
+ */
+
+// What a spin lands on when odds were moved off prizes and there is no blank to take them
+const FALLBACK_BLANK = {
+  _id: null,
+  type: 'blank',
+  label: 'Nice Try',
+  message: 'Better luck next time!'
+};
+
+const PRIZE_TYPES = ['blank', 'points', 'coupon', 'bogo'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashSeed = (seed) => crypto.createHash('sha256').update(seed).digest('hex');
+
+const newSeed = () => crypto.randomBytes(32).toString('hex');
+
+const dateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// 52 bits of the hash as a number in [0, 1)
+const toUnit = (hex) => parseInt(hex, 16) / 2 ** 52;
+
+const isLimit = (value) => value === null || value === undefined || (Number.isInteger(value) && value >= 0);
+
+module.exports = {
+  FALLBACK_BLANK,
+  hashSeed,
+
+  /**
+   * Owner key for a player's seeds
+   * @param {Boolean} isGuest - Guest session
+   * @param {String} userId - User ID
+   * @param {String} guestId - Guest ID
+   * @returns {String} Owner key
+   */
+  ownerKey(isGuest, userId, guestId) {
+    return isGuest ? `guest:${guestId}` : `user:${userId}`;
+  },
+
+  /**
+   * Where a campaign is in its schedule
+   * @param {Object} campaign - SpinWheelConfig
+   * @param {Date} now - Reference time
+   * @returns {String} inactive | scheduled | live | ended
+   */
+  getStatus(campaign, now = new Date()) {
+    if (!campaign.isActive) return 'inactive';
+    if (campaign.startsAt && campaign.startsAt > now) return 'scheduled';
+    if (campaign.endsAt && campaign.endsAt <= now) return 'ended';
+    return 'live';
+  },
+
+  /**
+   * Campaign players spin right now: the latest-starting live one, so
+   * scheduled campaigns win over always-on ones
+   * @param {Date} now - Reference time
+   * @returns {Object|null} SpinWheelConfig
+   */
+  async getActiveCampaign(now = new Date()) {
+    return SpinWheelConfig.findOne({
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+      ]
+    }).sort({ startsAt: -1, createdAt: -1 });
+  },
+
+  /**
+   * Draw numbers for a spin
+   * @param {String} serverSeed - Revealed server seed
+   * @param {String} clientSeed - Player's seed
+   * @param {Number} nonce - Spin number for this server seed owner
+   * @returns {Object} { hash, prizeRoll, valueRoll } with rolls in [0, 1)
+   */
+  roll(serverSeed, clientSeed, nonce) {
+    const hash = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}`).digest('hex');
+    return {
+      hash,
+      prizeRoll: toUnit(hash.slice(0, 13)),
+      valueRoll: toUnit(hash.slice(13, 26))
+    };
+  },
+
+  /**
+   * Index of the weight a roll lands on
+   * @param {Array} weights - [{ weight }]
+   * @param {Number} prizeRoll - Roll in [0, 1)
+   * @returns {Number} Index into weights
+   */
+  pick(weights, prizeRoll) {
+    const total = weights.reduce((sum, w) => sum + w.weight, 0);
+    const target = prizeRoll * total;
+    let cumulative = 0;
+    let last = 0;
+    for (let i = 0; i < weights.length; i++) {
+      if (weights[i].weight <= 0) continue;
+      cumulative += weights[i].weight;
+      last = i;
+      if (target < cumulative) return i;
+    }
+    return last;
+  },
+
+  /**
+   * Whole number in a { min, max } range for a roll
+   * @param {Object} range - { min, max }
+   * @param {Number} valueRoll - Roll in [0, 1)
+   * @returns {Number} Value
+   */
+  rangeValue(range, valueRoll) {
+    const min = range?.min || 0;
+    const max = Math.max(min, range?.max || 0);
+    return min + Math.floor(valueRoll * (max - min + 1));
+  },
+
+  /**
+   * Prize value drawn for a spin
+   * @param {Object} prize - Prize
+   * @param {Number} valueRoll - Roll in [0, 1)
+   * @returns {Number|null} Points or discount; null for blanks
+   */
+  prizeValue(prize, valueRoll) {
+    if (prize.type === 'points') return this.rangeValue(prize.pointsRange, valueRoll);
+    if (prize.type === 'coupon' || prize.type === 'bogo') return this.rangeValue(prize.couponConfig?.discountRange, valueRoll);
+    return null;
+  },
+
+  /**
+   * Rupees a win costs the budget: budgetCost when set, else points at their
+   * redemption value, a fixed discount at face value, and a percentage discount
+   * at its cap (or on the minimum order when uncapped)
+   * @param {Object} prize - Prize
+   * @param {Number|null} value - Drawn value
+   * @param {Number} pointValue - Rupees per point
+   * @returns {Number} Cost
+   */
+  prizeCost(prize, value, pointValue = 1) {
+    if (prize.type === 'blank') return 0;
+    if (prize.budgetCost !== null && prize.budgetCost !== undefined) return round2(prize.budgetCost);
+    if (prize.type === 'points') return round2((value || 0) * pointValue);
+
+    const coupon = prize.couponConfig || {};
+    if (coupon.discountType === 'fixed') return round2(value || 0);
+    if (coupon.discountType === 'percentage') {
+      const onMinimum = ((coupon.minOrderValue || 0) * (value || 0)) / 100;
+      return round2(coupon.maxDiscount !== null && coupon.maxDiscount !== undefined ? coupon.maxDiscount : onMinimum);
+    }
+    return 0;
+  },
+
+  /**
+   * Most a win of this prize can cost
+   * @param {Object} prize - Prize
+   * @param {Number} pointValue - Rupees per point
+   * @returns {Number} Cost
+   */
+  maxCost(prize, pointValue = 1) {
+    const range = prize.type === 'points' ? prize.pointsRange : prize.couponConfig?.discountRange;
+    return this.prizeCost(prize, Math.max(range?.min || 0, range?.max || 0), pointValue);
+  },
+
+  /**
+   * Whether a prize can still be won: under its caps and affordable
+   * @param {Object} campaign - SpinWheelConfig
+   * @param {Object} prize - Prize
+   * @param {Number} pointValue - Rupees per point
+   * @param {Date} now - Reference time
+   * @returns {Boolean}
+   */
+  isWinnable(campaign, prize, pointValue, now = new Date()) {
+    const { dailyLimit = null, totalLimit = null } = prize.inventory || {};
+    const issued = prize.issued || {};
+    if (totalLimit !== null && (issued.total || 0) >= totalLimit) return false;
+    if (dailyLimit !== null && issued.day === dateKey(now) && (issued.today || 0) >= dailyLimit) return false;
+
+    const budget = campaign.budget || {};
+    if (budget.total === null || budget.total === undefined) return true;
+    return this.maxCost(prize, pointValue) <= round2(budget.total - (budget.spent || 0));
+  },
+
+  /**
+   * Odds for a spin, with the probability of prizes that can't be won moved to
+   * the blanks (in proportion to their own odds), or to FALLBACK_BLANK without any
+   * @param {Object} campaign - SpinWheelConfig
+   * @param {Number} pointValue - Rupees per point
+   * @param {Date} now - Reference time
+   * @param {Set} [excluded] - Prize IDs to treat as unwinnable
+   * @returns {Array} [{ prizeId, label, weight }]
+   */
+  getWeights(campaign, pointValue, now = new Date(), excluded = new Set()) {
+    const weights = [];
+    let shifted = 0;
+
+    for (const prize of campaign.prizes) {
+      const winnable = !excluded.has(String(prize._id)) && this.isWinnable(campaign, prize, pointValue, now);
+      if (!winnable && prize.type !== 'blank') shifted += prize.probability;
+      weights.push({ prizeId: prize._id, label: prize.label, weight: winnable ? prize.probability : 0, type: prize.type });
+    }
+
+    // Nothing left to land on: everything goes to the fallback blank
+    if (weights.every(w => w.weight <= 0)) {
+      return [{ prizeId: null, label: FALLBACK_BLANK.label, weight: 1 }];
+    }
+
+    if (shifted > 0) {
+      const blanks = weights.filter(w => w.type === 'blank' && !excluded.has(String(w.prizeId)));
+      const blankTotal = blanks.reduce((sum, w) => sum + w.weight, 0);
+      if (blanks.length === 0) {
+        weights.push({ prizeId: null, label: FALLBACK_BLANK.label, weight: shifted, type: 'blank' });
+      } else {
+        for (const blank of blanks) {
+          blank.weight += blankTotal > 0 ? (shifted * blank.weight) / blankTotal : shifted / blanks.length;
+        }
+      }
+    }
+
+    return weights.map(({ prizeId, label, weight }) => ({ prizeId, label, weight }));
+  },
+
+  /**
+   * Whether the budget can no longer pay for any prize that costs something
+   * @param {Object} campaign - SpinWheelConfig
+   * @param {Number} pointValue - Rupees per point
+   * @param {Number} [spent] - Amount spent, when newer than campaign.budget.spent
+   * @returns {Boolean}
+   */
+  isBudgetExhausted(campaign, pointValue, spent = campaign.budget?.spent || 0) {
+    const budget = campaign.budget || {};
+    if (budget.total === null || budget.total === undefined) return false;
+    const remaining = round2(budget.total - spent);
+    const costs = campaign.prizes.map(p => this.maxCost(p, pointValue)).filter(c => c > 0);
+    return costs.length > 0 && costs.every(c => c > remaining);
+  },
+
+  /**
+   * The commitment a player sees before spinning; created on first use
+   * @param {String} owner - Owner key
+   * @returns {Object} { serverSeedHash, nonce }
+   */
+  async getCommitment(owner) {
+    const seed = newSeed();
+    try {
+      await SpinSeed.updateOne(
+        { owner },
+        { $setOnInsert: { serverSeed: seed, serverSeedHash: hashSeed(seed), nonce: 0 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Two first requests at once: the other one created it
+      if (error.code !== 11000) throw error;
+    }
+    const current = await SpinSeed.findOne({ owner }).select('serverSeedHash nonce').lean();
+    return { serverSeedHash: current.serverSeedHash, nonce: current.nonce };
+  },
+
+  /**
+   * Use up the committed seed and commit to the next one
+   * @param {String} owner - Owner key
+   * @param {String} [expectedHash] - Commitment the player saw; refused if it changed
+   * @param {Object} [session] - Mongo session
+   * @returns {Object} { serverSeed, serverSeedHash, nonce, next: { serverSeedHash, nonce } }
+   */
+  async rotateSeed(owner, expectedHash, session = null) {
+    await this.getCommitment(owner);
+
+    const next = newSeed();
+    const filter = { owner };
+    if (expectedHash) filter.serverSeedHash = expectedHash;
+
+    const used = await SpinSeed.findOneAndUpdate(
+      filter,
+      { $set: { serverSeed: next, serverSeedHash: hashSeed(next) }, $inc: { nonce: 1 } },
+      { new: false, session }
+    ).select('+serverSeed');
+
+    if (!used) {
+      throw new AppError('Your spin commitment has changed. Refresh and spin again.', 409);
+    }
+
+    return {
+      serverSeed: used.serverSeed,
+      serverSeedHash: used.serverSeedHash,
+      nonce: used.nonce,
+      next: { serverSeedHash: hashSeed(next), nonce: used.nonce + 1 }
+    };
+  },
+
+  /**
+   * Take one of a prize and charge the budget, if the caps and budget still allow it
+   * @param {Object} campaign - SpinWheelConfig
+   * @param {Object} prize - Prize
+   * @param {Number} cost - Rupees to charge
+   * @param {Date} now - Reference time
+   * @param {Object} [session] - Mongo session
+   * @returns {Boolean} Whether the prize was claimed
+   */
+  async claim(campaign, prize, cost, now = new Date(), session = null) {
+    const today = dateKey(now);
+    const { dailyLimit = null, totalLimit = null } = prize.inventory || {};
+
+    // First win of a new day starts the daily count again
+    await SpinWheelConfig.updateOne(
+      { _id: campaign._id, prizes: { $elemMatch: { _id: prize._id, 'issued.day': { $ne: today } } } },
+      { $set: { 'prizes.$.issued.day': today, 'prizes.$.issued.today': 0 } },
+      { session }
+    );
+
+    const prizeMatch = { _id: prize._id };
+    if (totalLimit !== null) prizeMatch['issued.total'] = { $lt: totalLimit };
+    if (dailyLimit !== null) prizeMatch['issued.today'] = { $lt: dailyLimit };
+
+    const filter = { _id: campaign._id, prizes: { $elemMatch: prizeMatch } };
+    const budgetTotal = campaign.budget?.total;
+    if (budgetTotal !== null && budgetTotal !== undefined && cost > 0) {
+      filter['budget.spent'] = { $lte: round2(budgetTotal - cost) };
+    }
+
+    const result = await SpinWheelConfig.updateOne(
+      filter,
+      { $inc: { 'prizes.$.issued.total': 1, 'prizes.$.issued.today': 1, 'budget.spent': cost } },
+      { session }
+    );
+    return result.modifiedCount > 0;
+  },
+
+  /**
+   * Run the draw for a spin and claim what it lands on
+   * @param {Object} campaign - SpinWheelConfig
+   * @param {Object} options - { owner, clientSeed, serverSeedHash, pointValue, session, now }
+   * @returns {Object} { prize, value, cost, fairness, next }
+   */
+  async draw(campaign, { owner, clientSeed, serverSeedHash, pointValue = 1, session = null, now = new Date() }) {
+    const seed = await this.rotateSeed(owner, serverSeedHash, session);
+    const { hash, prizeRoll, valueRoll } = this.roll(seed.serverSeed, clientSeed, seed.nonce);
+
+    let current = campaign;
+    const excluded = new Set();
+
+    // A prize can sell out between reading the campaign and claiming it; then the
+    // same roll is re-run against fresh odds, and those are the odds recorded
+    for (let attempt = 0; attempt <= campaign.prizes.length; attempt++) {
+      const weights = this.getWeights(current, pointValue, now, excluded);
+      const { prizeId } = weights[this.pick(weights, prizeRoll)];
+      const prize = prizeId ? current.prizes.id(prizeId) : FALLBACK_BLANK;
+      const value = this.prizeValue(prize, valueRoll);
+      const cost = this.prizeCost(prize, value, pointValue);
+
+      if (!prizeId || await this.claim(current, prize, cost, now, session)) {
+        if (this.isBudgetExhausted(current, pointValue, (current.budget?.spent || 0) + cost)) {
+          await SpinWheelConfig.updateOne(
+            { _id: campaign._id, 'budget.exhaustedAt': null },
+            { $set: { 'budget.exhaustedAt': now } },
+            { session }
+          );
+        }
+
+        return {
+          prize,
+          value,
+          cost,
+          fairness: {
+            serverSeed: seed.serverSeed,
+            serverSeedHash: seed.serverSeedHash,
+            clientSeed,
+            nonce: seed.nonce,
+            hash,
+            weights
+          },
+          next: seed.next
+        };
+      }
+
+      excluded.add(String(prizeId));
+      current = await SpinWheelConfig.findById(campaign._id).session(session);
+    }
+
+    throw new AppError('Could not settle the spin, please try again', 409);
+  },
+
+  /**
+   * Re-run a recorded draw
+   * @param {Object} fairness - SpinHistory.fairness
+   * @returns {Object} { valid, reason, index, prizeId, label, prizeRoll, valueRoll }
+   */
+  verify(fairness) {
+    if (!fairness || !fairness.serverSeed) {
+      return { valid: false, reason: 'This spin was made before draws could be verified' };
+    }
+    if (hashSeed(fairness.serverSeed) !== fairness.serverSeedHash) {
+      return { valid: false, reason: 'Server seed does not match its commitment' };
+    }
+
+    const { hash, prizeRoll, valueRoll } = this.roll(fairness.serverSeed, fairness.clientSeed, fairness.nonce);
+    if (hash !== fairness.hash) {
+      return { valid: false, reason: 'Recorded hash does not match the seeds' };
+    }
+
+    const index = this.pick(fairness.weights, prizeRoll);
+    const entry = fairness.weights[index];
+    return {
+      valid: true,
+      index,
+      prizeId: entry.prizeId || null,
+      label: entry.label,
+      prizeRoll,
+      valueRoll
+    };
+  },
+
+  /**
+   * Check and normalise a campaign from the admin panel
+   * @param {Object} body - Request body
+   * @param {Boolean} partial - Update: only check what was sent
+   * @returns {Object} Fields to set
+   */
+  validateCampaign(body, partial = false) {
+    const { name, isActive, frequency, eligibility, prizes, startsAt, endsAt, budget } = body;
+    const fields = {};
+
+    if (name !== undefined) fields.name = name;
+    if (isActive !== undefined) fields.isActive = !!isActive;
+    if (frequency !== undefined) fields.frequency = frequency;
+    if (eligibility !== undefined) fields.eligibility = eligibility;
+
+    for (const [key, value] of Object.entries({ startsAt, endsAt })) {
+      if (value === undefined) continue;
+      if (value !== null && isNaN(new Date(value).getTime())) {
+        throw new AppError(`${key} must be a date`, 400);
+      }
+      fields[key] = value === null ? null : new Date(value);
+    }
+    if (fields.startsAt && fields.endsAt && fields.endsAt <= fields.startsAt) {
+      throw new AppError('endsAt must be after startsAt', 400);
+    }
+
+    if (budget !== undefined) {
+      const total = budget?.total ?? null;
+      if (total !== null && !(typeof total === 'number' && total >= 0)) {
+        throw new AppError('budget.total must be 0 or more, or null for no budget', 400);
+      }
+      fields.budgetTotal = total;
+    }
+
+    if (prizes === undefined) {
+      if (!partial) throw new AppError('prizes are required', 400);
+      return fields;
+    }
+    if (!Array.isArray(prizes) || prizes.length === 0) {
+      throw new AppError('prizes must be a non-empty list', 400);
+    }
+
+    for (const prize of prizes) {
+      if (!PRIZE_TYPES.includes(prize.type)) {
+        throw new AppError(`Prize type must be one of: ${PRIZE_TYPES.join(', ')}`, 400);
+      }
+      if (!(typeof prize.probability === 'number' && prize.probability >= 0)) {
+        throw new AppError(`Probability for ${prize.label || prize.type} must be 0 or more`, 400);
+      }
+      if (!isLimit(prize.inventory?.dailyLimit) || !isLimit(prize.inventory?.totalLimit)) {
+        throw new AppError(`Inventory limits for ${prize.label || prize.type} must be whole numbers or null`, 400);
+      }
+      if (prize.budgetCost !== undefined && prize.budgetCost !== null && !(typeof prize.budgetCost === 'number' && prize.budgetCost >= 0)) {
+        throw new AppError(`budgetCost for ${prize.label || prize.type} must be 0 or more`, 400);
+      }
+      const range = prize.type === 'points' ? prize.pointsRange : prize.couponConfig?.discountRange;
+      if (range && range.min > range.max) {
+        throw new AppError(`Range for ${prize.label || prize.type} has min above max`, 400);
+      }
+    }
+
+    // Validate probabilities total 100
+    const totalProb = prizes.reduce((sum, p) => sum + p.probability, 0);
+    if (Math.abs(totalProb - 100) > 0.1) {
+      throw new AppError('Total probability must be 100%', 400);
+    }
+
+    fields.prizes = prizes;
+    return fields;
+  },
+
+  /**
+   * Apply validated fields to a campaign, keeping each prize's counters and the budget spent
+   * @param {Object} campaign - SpinWheelConfig document
+   * @param {Object} fields - Output of validateCampaign
+   */
+  applyCampaign(campaign, fields) {
+    const { prizes, budgetTotal, ...rest } = fields;
+    campaign.set(rest);
+
+    if (budgetTotal !== undefined) {
+      campaign.budget.total = budgetTotal;
+      // A bigger budget can make prizes winnable again
+      campaign.budget.exhaustedAt = null;
+    }
+
+    if (prizes) {
+      campaign.prizes = prizes.map(({ issued, ...prize }) => {
+        const existing = prize._id ? campaign.prizes.id(prize._id) : null;
+        if (!existing) {
+          delete prize._id;
+          return prize;
+        }
+        return {
+          ...prize,
+          _id: existing._id,
+          issued: { total: existing.issued.total, today: existing.issued.today, day: existing.issued.day }
+        };
+      });
+    }
+  },
+
+  /**
+   * Budget burn for a campaign
+   * @param {Object} campaign - SpinWheelConfig
+   * @param {Number} pointValue - Rupees per point
+   * @param {Date} now - Reference time
+   * @returns {Object} Budget, burn rate, projection, daily burn and prize stock
+   */
+  async getBudgetReport(campaign, pointValue = 1, now = new Date()) {
+    const since = new Date(now.getTime() - 30 * DAY_MS);
+    const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+
+    const [result] = await SpinHistory.aggregate([
+      { $match: { campaign: campaign._id } },
+      {
+        $facet: {
+          overall: [
+            { $group: { _id: null, spins: { $sum: 1 }, spent: { $sum: '$cost' } } }
+          ],
+          lastWeek: [
+            { $match: { createdAt: { $gte: weekAgo } } },
+            { $group: { _id: null, spent: { $sum: '$cost' } } }
+          ],
+          daily: [
+            { $match: { createdAt: { $gte: since } } },
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                spins: { $sum: 1 },
+                wins: { $sum: { $cond: [{ $ne: ['$prizeWon.type', 'blank'] }, 1, 0] } },
+                spent: { $sum: '$cost' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const budget = campaign.budget || {};
+    const total = budget.total ?? null;
+    const spent = round2(budget.spent || 0);
+    const remaining = total === null ? null : Math.max(0, round2(total - spent));
+    const burnRatePerDay = round2((result?.lastWeek[0]?.spent || 0) / 7);
+    const today = dateKey(now);
+
+    return {
+      campaignId: campaign._id,
+      name: campaign.name,
+      status: this.getStatus(campaign, now),
+      startsAt: campaign.startsAt,
+      endsAt: campaign.endsAt,
+      total,
+      spent,
+      remaining,
+      usedPercent: total ? round2((spent / total) * 100) : null,
+      exhausted: this.isBudgetExhausted(campaign, pointValue),
+      exhaustedAt: budget.exhaustedAt || null,
+      spins: result?.overall[0]?.spins || 0,
+      burnRatePerDay,
+      projectedExhaustionAt: remaining !== null && remaining > 0 && burnRatePerDay > 0
+        ? new Date(now.getTime() + (remaining / burnRatePerDay) * DAY_MS)
+        : null,
+      daily: (result?.daily || []).map(d => ({ date: d._id, spins: d.spins, wins: d.wins, spent: round2(d.spent) })),
+      prizes: campaign.prizes.map(p => ({
+        prizeId: p._id,
+        label: p.label,
+        type: p.type,
+        probability: p.probability,
+        maxCost: this.maxCost(p, pointValue),
+        issuedTotal: p.issued?.total || 0,
+        issuedToday: p.issued?.day === today ? p.issued.today : 0,
+        dailyLimit: p.inventory?.dailyLimit ?? null,
+        totalLimit: p.inventory?.totalLimit ?? null,
+        winnable: this.isWinnable(campaign, p, pointValue, now)
+      }))
+    };
+  }
+};
@@ -0,0 +1,713 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/subscriptionModel');
+const SubscriptionPlan = require('../models/subscriptionPlanModel');
+const MenuItem = require('../models/menuItemModel');
+const MealBox = require('../models/mealBoxModel');
+const Order = require('../models/orderModel');
+const walletService = require('./walletService');
+const orderStateMachine = require('./orderStateMachine');
+const slotService = require('./slot');
+const deliveryService = require('./delivery');
+const notificationService = require('./notification');
+const { round2 } = require('./pricing');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Subscription Service - Recurring meal plans
+ *
+ * A subscription delivers its plan on chosen weekdays at a chosen slot. The
+ * scheduler (runScheduledJobs, every 15 minutes from app.js) creates each
+ * order leadTimeHours ahead of its slot and pays for it from the wallet, then
+ * renews or expires subscriptions at the end of their cycle. Slot times are
+ * server local time, like Settings.businessHours.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FAILED_CHARGES = 3; // consecutive wallet failures before pausing
+const RENEWAL_REMINDER_DAYS = 3;
+
+const dateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Local midnight of a 'YYYY-MM-DD' date; impossible dates like 2026-02-31 are refused
+// rather than rolled over into the next month
+const parseDay = (date) => {
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(String(date)) ? new Date(`${date}T00:00:00`) : null;
+  if (!day || Number.isNaN(day.getTime()) || dateKey(day) !== date) {
+    throw new AppError('Date must be a valid YYYY-MM-DD date', 400);
+  }
+  return day;
+};
+
+const atSlot = (day, slotTime) => {
+  const [hours, minutes] = slotTime.split(':').map(Number);
+  const slot = new Date(day);
+  slot.setHours(hours, minutes, 0, 0);
+  return slot;
+};
+
+// Same bands as the Order.dayPart default, but for the slot rather than creation time
+const dayPartFor = (slot) => {
+  const hour = slot.getHours();
+  if (hour >= 6 && hour < 12) return 'breakfast';
+  if (hour >= 12 && hour < 16) return 'lunch';
+  if (hour >= 16 && hour < 19) return 'snack';
+  return 'dinner';
+};
+
+const addCycle = (date, interval) => {
+  const next = new Date(date);
+  if (interval === 'weekly') next.setDate(next.getDate() + 7);
+  else if (interval === 'yearly') next.setFullYear(next.getFullYear() + 1);
+  else next.setMonth(next.getMonth() + 1);
+  return next;
+};
+
+const notify = async (userId, title, message, data = {}) => {
+  try {
+    await notificationService.notify(userId, 'subscription_update', { title, message }, { data });
+  } catch (error) {
+    console.error('Subscription notification error:', error.message);
+  }
+};
+
+module.exports = {
+  dateKey,
+
+  /**
+   * Slots a subscription will deliver in a time window, honouring skips and pauses
+   * @param {Object} subscription - Subscription document
+   * @param {Date} from - Window start (exclusive)
+   * @param {Date} to - Window end (inclusive)
+   * @returns {Array<Date>} Slot start times
+   */
+  getSlotsBetween(subscription, from, to) {
+    const slots = [];
+    const start = new Date(Math.max(new Date(from).getTime(), new Date(subscription.startDate).getTime() - 1));
+    const day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+
+    for (; day <= to; day.setDate(day.getDate() + 1)) {
+      if (!subscription.deliveryDays.includes(day.getDay())) continue;
+
+      const slot = atSlot(day, subscription.slotTime);
+      if (slot <= start || slot > to) continue;
+      if (subscription.endDate && slot > subscription.endDate) continue;
+      if (subscription.skipDates.includes(dateKey(slot))) continue;
+      if (this.isPausedAt(subscription, slot)) continue;
+
+      slots.push(slot);
+    }
+    return slots;
+  },
+
+  /**
+   * Whether a paused subscription is still paused at a given time
+   * @param {Object} subscription - Subscription document
+   * @param {Date} when - Moment to check
+   * @returns {Boolean}
+   */
+  isPausedAt(subscription, when) {
+    if (subscription.status !== 'paused') return false;
+    return !subscription.pausedUntil || when < subscription.pausedUntil;
+  },
+
+  /**
+   * Check a user's delivery choices against the plan
+   * @param {Object} plan - SubscriptionPlan document
+   * @param {Object} prefs - { deliveryDays, slotTime, orderType, deliveryAddress }
+   */
+  validatePreferences(plan, { deliveryDays, slotTime, orderType, deliveryAddress }) {
+    if (!Array.isArray(deliveryDays) || deliveryDays.length === 0) {
+      throw new AppError('Pick at least one delivery day', 400);
+    }
+    const invalidDays = deliveryDays.filter(d => !plan.deliveryDays.includes(Number(d)));
+    if (invalidDays.length > 0) {
+      throw new AppError(`This plan does not deliver on day(s) ${invalidDays.join(', ')}`, 400);
+    }
+    if (!plan.deliverySlots.includes(slotTime)) {
+      throw new AppError(`Slot must be one of ${plan.deliverySlots.join(', ')}`, 400);
+    }
+    if (!plan.orderTypes.includes(orderType)) {
+      throw new AppError(`Order type must be one of ${plan.orderTypes.join(', ')}`, 400);
+    }
+    if (orderType === 'delivery' && !deliveryAddress) {
+      throw new AppError('Delivery address is required for delivery subscriptions', 400);
+    }
+  },
+
+  /**
+   * Subscribe a user to a plan
+   * @param {String} userId - User ID
+   * @param {Object} params - { planId, deliveryDays, slotTime, orderType, deliveryAddress, cookingInstructions, startDate, autoRenew }
+   * @returns {Object} Subscription
+   */
+  async subscribe(userId, params) {
+    const plan = await SubscriptionPlan.findOne({ _id: params.planId, isActive: true });
+    if (!plan) {
+      throw new AppError('Subscription plan not found', 404);
+    }
+    if (plan.items.length === 0 && plan.mealBoxes.length === 0) {
+      throw new AppError('This plan has no meals yet', 400);
+    }
+
+    const orderType = params.orderType || plan.orderTypes[0];
+    const deliveryDays = (params.deliveryDays || plan.deliveryDays).map(Number);
+    const slotTime = params.slotTime || plan.deliverySlots[0];
+    this.validatePreferences(plan, { deliveryDays, slotTime, orderType, deliveryAddress: params.deliveryAddress });
+    if (orderType === 'delivery') {
+      const { point } = await deliveryService.resolveAddress(params.deliveryAddress, userId);
+      await deliveryService.assertDeliverable(point);
+    }
+
+    const startDate = params.startDate ? new Date(params.startDate) : new Date();
+    if (Number.isNaN(startDate.getTime()) || startDate < new Date(Date.now() - DAY_MS)) {
+      throw new AppError('Start date must be today or later', 400);
+    }
+
+    const subscription = await Subscription.create({
+      user: userId,
+      planId: plan._id,
+      plan: plan.name,
+      price: plan.pricePerDelivery,
+      recurringInterval: plan.billingCycle,
+      deliveryDays: [...new Set(deliveryDays)].sort(),
+      slotTime,
+      orderType,
+      deliveryAddress: orderType === 'delivery' ? params.deliveryAddress : undefined,
+      cookingInstructions: params.cookingInstructions || '',
+      autoRenew: params.autoRenew !== false,
+      startDate,
+      endDate: addCycle(startDate, plan.billingCycle)
+    });
+
+    await notify(userId, 'Subscription Started', `You're subscribed to ${plan.name}. Each delivery of ₹${plan.pricePerDelivery} is paid from your wallet.`, { subscriptionId: subscription._id });
+    return subscription;
+  },
+
+  /**
+   * Load a user's subscription or throw 404
+   * @param {String} subscriptionId - Subscription ID
+   * @param {String} [userId] - Owner (omit for admin access)
+   * @returns {Object} Subscription document
+   */
+  async findSubscription(subscriptionId, userId) {
+    const filter = { _id: subscriptionId };
+    if (userId) filter.user = userId;
+    const subscription = await Subscription.findOne(filter);
+    if (!subscription) {
+      throw new AppError('Subscription not found', 404);
+    }
+    return subscription;
+  },
+
+  /**
+   * Change delivery preferences. Orders already generated keep their old details.
+   * @param {String} subscriptionId - Subscription ID
+   * @param {String} userId - Owner
+   * @param {Object} changes - { deliveryDays, slotTime, orderType, deliveryAddress, cookingInstructions, autoRenew }
+   * @returns {Object} Subscription
+   */
+  async updatePreferences(subscriptionId, userId, changes) {
+    const subscription = await this.findSubscription(subscriptionId, userId);
+    if (!['active', 'paused'].includes(subscription.status)) {
+      throw new AppError(`Subscription is ${subscription.status}`, 409);
+    }
+    const plan = await SubscriptionPlan.findById(subscription.planId);
+    if (!plan) {
+      throw new AppError('Subscription plan no longer exists', 409);
+    }
+
+    const next = {
+      deliveryDays: (changes.deliveryDays || subscription.deliveryDays).map(Number),
+      slotTime: changes.slotTime || subscription.slotTime,
+      orderType: changes.orderType || subscription.orderType,
+      deliveryAddress: changes.deliveryAddress !== undefined ? changes.deliveryAddress : subscription.deliveryAddress
+    };
+    this.validatePreferences(plan, next);
+    if (next.orderType === 'delivery' && (changes.deliveryAddress !== undefined || changes.orderType !== undefined)) {
+      const { point } = await deliveryService.resolveAddress(next.deliveryAddress, userId);
+      await deliveryService.assertDeliverable(point);
+    }
+
+    subscription.deliveryDays = [...new Set(next.deliveryDays)].sort();
+    subscription.slotTime = next.slotTime;
+    subscription.orderType = next.orderType;
+    subscription.deliveryAddress = next.orderType === 'delivery' ? next.deliveryAddress : undefined;
+    if (changes.cookingInstructions !== undefined) subscription.cookingInstructions = changes.cookingInstructions;
+    if (changes.autoRenew !== undefined) subscription.autoRenew = !!changes.autoRenew;
+    await subscription.save();
+    return subscription;
+  },
+
+  /**
+   * Earliest slot that can still be changed (skip / pause) given the plan cutoff
+   * @param {Object} subscription - Subscription document
+   * @returns {Number} Cutoff in hours
+   */
+  async getCutoffHours(subscription) {
+    const plan = await SubscriptionPlan.findById(subscription.planId).select('cutoffHours').lean();
+    return plan?.cutoffHours ?? 14;
+  },
+
+  /**
+   * Skip one delivery date. If its order was already generated and the kitchen
+   * has not accepted it, the order is cancelled and refunded to the wallet.
+   * @param {Object} subscription - Subscription document
+   * @param {String} date - 'YYYY-MM-DD'
+   * @returns {Object} Subscription
+   */
+  async skipDate(subscription, date) {
+    if (!['active', 'paused'].includes(subscription.status)) {
+      throw new AppError(`Subscription is ${subscription.status}`, 409);
+    }
+
+    const slot = atSlot(parseDay(date), subscription.slotTime);
+    if (!subscription.deliveryDays.includes(slot.getDay())) {
+      throw new AppError('No delivery is scheduled on that date', 400);
+    }
+    const cutoffHours = await this.getCutoffHours(subscription);
+    if (slot.getTime() - Date.now() < cutoffHours * 60 * 60 * 1000) {
+      throw new AppError(`Deliveries can only be skipped up to ${cutoffHours} hours before the slot`, 409);
+    }
+
+    if (!subscription.skipDates.includes(date)) {
+      subscription.skipDates.push(date);
+      await subscription.save();
+    }
+
+    await this.cancelGeneratedOrders(subscription, { from: slot, to: slot, reason: 'Subscription delivery skipped' });
+    return subscription;
+  },
+
+  /**
+   * Undo a skip while it is still before the cutoff
+   * @param {Object} subscription - Subscription document
+   * @param {String} date - 'YYYY-MM-DD'
+   * @returns {Object} Subscription
+   */
+  async unskipDate(subscription, date) {
+    if (!['active', 'paused'].includes(subscription.status)) {
+      throw new AppError(`Subscription is ${subscription.status}`, 409);
+    }
+
+    const slot = atSlot(parseDay(date), subscription.slotTime);
+    const cutoffHours = await this.getCutoffHours(subscription);
+    if (slot.getTime() - Date.now() < cutoffHours * 60 * 60 * 1000) {
+      throw new AppError(`Skips can only be undone up to ${cutoffHours} hours before the slot`, 409);
+    }
+    subscription.skipDates = subscription.skipDates.filter(d => d !== date);
+    await subscription.save();
+    return subscription;
+  },
+
+  /**
+   * Pause deliveries, indefinitely or until a date
+   * @param {Object} subscription - Subscription document
+   * @param {Date} [until] - Resume automatically at this time
+   * @returns {Object} Subscription
+   */
+  async pause(subscription, until) {
+    if (subscription.status !== 'active') {
+      throw new AppError(`Only active subscriptions can be paused (this one is ${subscription.status})`, 409);
+    }
+    const pausedUntil = until ? new Date(until) : null;
+    if (pausedUntil && (Number.isNaN(pausedUntil.getTime()) || pausedUntil <= new Date())) {
+      throw new AppError('Pause end must be in the future', 400);
+    }
+
+    subscription.status = 'paused';
+    subscription.pausedAt = new Date();
+    subscription.pausedUntil = pausedUntil;
+    await subscription.save();
+
+    const cutoffHours = await this.getCutoffHours(subscription);
+    await this.cancelGeneratedOrders(subscription, {
+      from: new Date(Date.now() + cutoffHours * 60 * 60 * 1000),
+      to: pausedUntil || subscription.endDate,
+      reason: 'Subscription paused'
+    });
+    return subscription;
+  },
+
+  /**
+   * Resume a paused subscription
+   * @param {Object} subscription - Subscription document
+   * @returns {Object} Subscription
+   */
+  async resume(subscription) {
+    if (subscription.status !== 'paused') {
+      throw new AppError('Subscription is not paused', 409);
+    }
+    subscription.status = 'active';
+    subscription.pausedAt = null;
+    subscription.pausedUntil = null;
+    subscription.failedCharges = 0;
+    // Don't backfill slots missed while paused
+    subscription.lastGeneratedFor = new Date();
+    await subscription.save();
+    return subscription;
+  },
+
+  /**
+   * Cancel a subscription and any generated orders the kitchen hasn't accepted
+   * @param {Object} subscription - Subscription document
+   * @param {String} reason - Cancellation reason
+   * @returns {Object} Subscription
+   */
+  async cancel(subscription, reason) {
+    if (['cancelled', 'expired'].includes(subscription.status)) {
+      throw new AppError(`Subscription is already ${subscription.status}`, 409);
+    }
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = new Date();
+    subscription.cancellationReason = reason || null;
+    await subscription.save();
+
+    await this.cancelGeneratedOrders(subscription, { from: new Date(), to: null, reason: 'Subscription cancelled' });
+    await notify(subscription.user, 'Subscription Cancelled', `Your ${subscription.plan} subscription has been cancelled.`, { subscriptionId: subscription._id });
+    return subscription;
+  },
+
+  /**
+   * Cancel generated orders still waiting for the kitchen (refunds run from the state machine)
+   * @param {Object} subscription - Subscription document
+   * @param {Object} range - { from, to (null = open-ended), reason }
+   */
+  async cancelGeneratedOrders(subscription, { from, to, reason }) {
+    const filter = { subscription: subscription._id, status: 'placed', scheduledTime: { $gte: from } };
+    if (to) filter.scheduledTime.$lte = to;
+
+    const orders = await Order.find(filter);
+    for (const order of orders) {
+      try {
+        await orderStateMachine.transition(order, 'cancelled', {
+          actor: 'user',
+          actorId: subscription.user,
+          reason
+        });
+      } catch (error) {
+        console.error('Error cancelling subscription order', order._id, error.message);
+      }
+    }
+  },
+
+  /**
+   * What each delivery contains, with meal boxes expanded to their dishes
+   * @param {Object} plan - SubscriptionPlan document
+   * @returns {Array} [{ menuItem, quantity }] for available items
+   */
+  async resolvePlanItems(plan) {
+    const lines = plan.items.map(i => ({ menuItem: String(i.menuItem), quantity: i.quantity }));
+
+    if (plan.mealBoxes.length > 0) {
+      const boxes = await MealBox.find({ _id: { $in: plan.mealBoxes.map(b => b.mealBox) }, isActive: true }).lean();
+      const boxMap = new Map(boxes.map(b => [String(b._id), b]));
+      for (const entry of plan.mealBoxes) {
+        const box = boxMap.get(String(entry.mealBox));
+        if (!box) continue;
+        for (const dish of box.dishes) {
+          lines.push({ menuItem: String(dish.menuItem), quantity: (dish.quantity || 1) * entry.quantity });
+        }
+      }
+    }
+
+    const menuItems = await MenuItem.find({ _id: { $in: lines.map(l => l.menuItem) }, isAvailable: true })
+      .select('name price')
+      .lean();
+    const menuMap = new Map(menuItems.map(m => [String(m._id), m]));
+
+    return lines
+      .filter(l => menuMap.has(l.menuItem))
+      .map(l => ({ menuItem: menuMap.get(l.menuItem), quantity: l.quantity }));
+  },
+
+  /**
+   * Create and pay for the order of one slot. Idempotent per (subscription, slot).
+   * @param {Object} subscription - Subscription document
+   * @param {Object} plan - SubscriptionPlan document
+   * @param {Date} slot - Slot start time
+   * @returns {Object} { order, skipped, reason }
+   */
+  async createSlotOrder(subscription, plan, slot) {
+    // One delivery per day, even if the slot time changed after that day's order was generated
+    const dayStart = new Date(slot);
+    dayStart.setHours(0, 0, 0, 0);
+    const existing = await Order.findOne({
+      subscription: subscription._id,
+      scheduledTime: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+    });
+    if (existing) return { order: existing, skipped: true, reason: 'already generated' };
+
+    const lines = await this.resolvePlanItems(plan);
+    if (lines.length === 0) {
+      await notify(subscription.user, 'Subscription Delivery Skipped', `None of the meals in ${plan.name} are available for ${dateKey(slot)}. You have not been charged.`, { subscriptionId: subscription._id });
+      return { order: null, skipped: true, reason: 'no available items' };
+    }
+
+    // Spread the plan price over the items by menu price so per-item refunds stay fair
+    const price = subscription.price;
+    const menuValue = lines.reduce((sum, l) => sum + l.menuItem.price * l.quantity, 0);
+    const factor = menuValue > 0 ? price / menuValue : 0;
+    const lineItems = lines.map(l => {
+      const unitPrice = round2(l.menuItem.price * factor);
+      return {
+        itemId: l.menuItem._id,
+        name: l.menuItem.name,
+        quantity: l.quantity,
+        unitPrice,
+        basePrice: unitPrice,
+        addOnsPrice: 0,
+        lineTotal: round2(unitPrice * l.quantity)
+      };
+    });
+
+    let walletTransactionId = null;
+    if (price > 0) {
+      try {
+        const result = await walletService.debitWallet(
+          subscription.user,
+          price,
+          'order_payment',
+          `${plan.name} delivery on ${dateKey(slot)}`,
+          { reason: 'Subscription delivery' }
+        );
+        walletTransactionId = result.transaction.transactionId;
+      } catch (error) {
+        subscription.failedCharges += 1;
+        const pausing = subscription.failedCharges >= MAX_FAILED_CHARGES;
+        if (pausing) {
+          subscription.status = 'paused';
+          subscription.pausedAt = new Date();
+          subscription.pausedUntil = null;
+        }
+        await notify(
+          subscription.user,
+          pausing ? 'Subscription Paused' : 'Subscription Payment Failed',
+          pausing
+            ? `We couldn't charge your wallet ${MAX_FAILED_CHARGES} times in a row, so ${plan.name} is paused. Top up and resume to continue.`
+            : `We couldn't charge ₹${price} for your ${plan.name} delivery on ${dateKey(slot)}. Please top up your wallet.`,
+          { subscriptionId: subscription._id }
+        );
+        return { order: null, skipped: true, reason: error.message };
+      }
+    }
+
+    // Subscribers are committed ahead of time, so they always get their place
+    // in the slot; it still counts against capacity for one-off orders
+    const orderId = new mongoose.Types.ObjectId();
+    let reserved = false;
+    try {
+      const kitchenSlot = await slotService.resolveSlot(slot, { enforceLead: false });
+      await slotService.reserve(orderId, kitchenSlot.start, subscription.orderType, { force: true });
+      reserved = true;
+    } catch (error) {
+      console.error('Subscription slot outside the kitchen schedule', subscription._id, error.message);
+    }
+
+    let order;
+    try {
+      order = await Order.create({
+        _id: orderId,
+        user: subscription.user,
+        orderType: subscription.orderType,
+        dayPart: dayPartFor(slot),
+        scheduleType: 'scheduled',
+        scheduledTime: slot,
+        items: lineItems.map(l => ({ itemId: l.itemId, quantity: l.quantity, price: l.unitPrice })),
+        billing: {
+          lineItems,
+          subtotal: price,
+          taxableAmount: price,
+          totalAmount: price,
+          remainingAmount: 0,
+          paidViaWallet: price > 0,
+          discounts: {
+            walletPayment: { amount: price, transactionId: walletTransactionId }
+          },
+          pricedAt: new Date()
+        },
+        paymentStatus: 'paid',
+        paymentDetails: { paymentId: walletTransactionId, status: 'Completed' },
+        subscription: subscription._id,
+        deliveryAddress: subscription.orderType === 'delivery' ? subscription.deliveryAddress : undefined,
+        cookingInstructions: subscription.cookingInstructions,
+        trackingHistory: [{
+          status: 'placed',
+          timestamp: new Date(),
+          actor: 'system',
+          notes: `Subscription: ${plan.name}`
+        }]
+      });
+    } catch (error) {
+      // Lost a race with another run (unique slot index) or failed to save: give the money back
+      if (reserved) await slotService.release(orderId);
+      if (walletTransactionId) {
+        await walletService.creditWallet(subscription.user, price, 'refund', `Refund for ${plan.name} delivery on ${dateKey(slot)}`, {
+          reason: 'Subscription order was not created'
+        });
+      }
+      if (error.code === 11000) {
+        return { order: await Order.findOne({ subscription: subscription._id, scheduledTime: slot }), skipped: true, reason: 'already generated' };
+      }
+      throw error;
+    }
+
+    subscription.failedCharges = 0;
+    subscription.lastChargeDate = new Date();
+    subscription.deliveriesCount += 1;
+
+    await notify(subscription.user, 'Subscription Order Placed', `Your ${plan.name} for ${dateKey(slot)} at ${subscription.slotTime} is confirmed. ₹${price} was paid from your wallet.`, { orderId: order._id, subscriptionId: subscription._id });
+    return { order, skipped: false };
+  },
+
+  /**
+   * Create orders for every slot entering its plan's lead time
+   * @param {Date} now - Reference time
+   * @returns {Object} { generated, skipped }
+   */
+  async generateDueOrders(now = new Date()) {
+    const plans = await SubscriptionPlan.find({}).lean();
+    const planMap = new Map(plans.map(p => [String(p._id), p]));
+    const maxLead = Math.max(12, ...plans.map(p => p.leadTimeHours || 12));
+
+    const subscriptions = await Subscription.find({
+      status: { $in: ['active', 'paused'] },
+      startDate: { $lte: new Date(now.getTime() + maxLead * 60 * 60 * 1000) }
+    });
+
+    let generated = 0;
+    let skipped = 0;
+
+    for (const subscription of subscriptions) {
+      const plan = planMap.get(String(subscription.planId));
+      if (!plan) continue;
+
+      // Timed pauses end on their own
+      if (subscription.status === 'paused' && subscription.pausedUntil && subscription.pausedUntil <= now) {
+        subscription.status = 'active';
+        subscription.pausedAt = null;
+        subscription.pausedUntil = null;
+        subscription.failedCharges = 0;
+      }
+
+      const horizon = new Date(now.getTime() + plan.leadTimeHours * 60 * 60 * 1000);
+      const from = subscription.lastGeneratedFor && subscription.lastGeneratedFor > now ? subscription.lastGeneratedFor : now;
+      const slots = this.getSlotsBetween(subscription, from, horizon);
+
+      for (const slot of slots) {
+        if (subscription.status !== 'active') break;
+        try {
+          const result = await this.createSlotOrder(subscription, plan, slot);
+          if (result.skipped) skipped += 1;
+          else generated += 1;
+        } catch (error) {
+          console.error('Error generating subscription order', subscription._id, error.message);
+          skipped += 1;
+        }
+        subscription.lastGeneratedFor = slot;
+      }
+
+      if (subscription.isModified()) {
+        await subscription.save();
+      }
+    }
+
+    return { generated, skipped };
+  },
+
+  /**
+   * Renewal reminders, renewals and expiries
+   * @param {Date} now - Reference time
+   * @returns {Object} { reminded, renewed, expired }
+   */
+  async processRenewals(now = new Date()) {
+    const stats = { reminded: 0, renewed: 0, expired: 0 };
+
+    const reminderCutoff = new Date(now.getTime() + RENEWAL_REMINDER_DAYS * DAY_MS);
+    const upcoming = await Subscription.find({
+      status: { $in: ['active', 'paused'] },
+      endDate: { $gt: now, $lte: reminderCutoff },
+      renewalReminderSentAt: null
+    });
+    for (const subscription of upcoming) {
+      const when = dateKey(subscription.endDate);
+      await notify(
+        subscription.user,
+        subscription.autoRenew ? 'Subscription Renewing Soon' : 'Subscription Ending Soon',
+        subscription.autoRenew
+          ? `Your ${subscription.plan} subscription renews on ${when}. Keep your wallet topped up for uninterrupted deliveries.`
+          : `Your ${subscription.plan} subscription ends on ${when}. Turn on auto-renew to keep your meals coming.`,
+        { subscriptionId: subscription._id }
+      );
+      subscription.renewalReminderSentAt = now;
+      await subscription.save();
+      stats.reminded += 1;
+    }
+
+    const ending = await Subscription.find({
+      status: { $in: ['active', 'paused'] },
+      endDate: { $lte: now }
+    });
+    for (const subscription of ending) {
+      const plan = subscription.planId ? await SubscriptionPlan.findById(subscription.planId).select('isActive pricePerDelivery').lean() : null;
+      if (subscription.autoRenew && plan && plan.isActive) {
+        subscription.endDate = addCycle(subscription.endDate, subscription.recurringInterval);
+        subscription.price = plan.pricePerDelivery;
+        subscription.renewalReminderSentAt = null;
+        subscription.skipDates = subscription.skipDates.filter(d => d >= dateKey(now));
+        await subscription.save();
+        await notify(subscription.user, 'Subscription Renewed', `Your ${subscription.plan} subscription has been renewed until ${dateKey(subscription.endDate)}.`, { subscriptionId: subscription._id });
+        stats.renewed += 1;
+      } else {
+        subscription.status = 'expired';
+        await subscription.save();
+        await notify(subscription.user, 'Subscription Expired', `Your ${subscription.plan} subscription has ended. We hope you enjoyed your meals!`, { subscriptionId: subscription._id });
+        stats.expired += 1;
+      }
+    }
+
+    return stats;
+  },
+
+  /**
+   * Scheduler entry point (cron in app.js)
+   * @param {Date} now - Reference time
+   * @returns {Object} Combined stats
+   */
+  async runScheduledJobs(now = new Date()) {
+    const renewals = await this.processRenewals(now);
+    const orders = await this.generateDueOrders(now);
+    return { ...renewals, ...orders };
+  },
+
+  /**
+   * Next deliveries for display
+   * @param {Object} subscription - Subscription document
+   * @param {Number} days - How far ahead to look
+   * @returns {Array} [{ date, slot, skipped, orderId }]
+   */
+  async getUpcomingDeliveries(subscription, days = 14) {
+    const now = new Date();
+    const to = new Date(now.getTime() + days * DAY_MS);
+    const orders = await Order.find({ subscription: subscription._id, scheduledTime: { $gte: now } })
+      .select('scheduledTime status')
+      .lean();
+    const orderMap = new Map(orders.map(o => [new Date(o.scheduledTime).getTime(), o]));
+
+    // Include skipped dates so they can be un-skipped
+    const unskipped = { ...subscription.toObject(), skipDates: [], status: subscription.status };
+    return this.getSlotsBetween(unskipped, now, to).map(slot => {
+      const order = orderMap.get(slot.getTime());
+      return {
+        date: dateKey(slot),
+        slot,
+        skipped: subscription.skipDates.includes(dateKey(slot)),
+        orderId: order ? order._id : null,
+        orderStatus: order ? order.status : null
+      };
+    });
+  }
+};
@@ -1,178 +1,303 @@
+const mongoose = require('mongoose');
 const User = require('../models/userModel');
+const Order = require('../models/orderModel');
 const Settings = require('../models/settingsModel');
+const notificationService = require('./notification');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Tier Service - Bronze / silver / gold membership
+ *
+ * A user's tier is the highest one whose Settings.tierConfig thresholds they
+ * meet: delivered orders and spend over the last windowDays. Upgrades happen
+ * as soon as an order is delivered. Downgrades only happen at the monthly
+ * review, after gracePeriodDays in which the user can requalify. The tier
+ * discount itself is applied by services/pricing.js.
+ */
+
+const TIERS = ['bronze', 'silver', 'gold'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_LIMIT = 50;
+
+const rank = (tier) => Math.max(0, TIERS.indexOf(tier));
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
 
 module.exports = {
+  TIERS,
+
   /**
-   * Calculate user's current tier based on monthly orders
-   * @param {String} userId - User ID
-   * @returns {Object} Tier information
+   * Highest tier the stats qualify for (pure)
+   * @param {Object} stats - { orders, spend } over the window
+   * @param {Object} tierConfig - Settings.tierConfig
+   * @returns {String} Tier
    */
-  async calculateUserTier(userId) {
-    try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
+  qualifyingTier(stats, tierConfig) {
+    for (const tier of [...TIERS].reverse()) {
+      const config = tierConfig[tier] || {};
+      if (stats.orders >= (config.minOrders || 0) && stats.spend >= (config.minSpend || 0)) {
+        return tier;
       }
+    }
+    return 'bronze';
+  },
 
-      const settings = await Settings.getInstance();
-      const tierConfig = settings.tierSystem;
+  /**
+   * What a user still needs for the next tier (pure)
+   * @param {Object} stats - { orders, spend }
+   * @param {String} currentTier - Current tier
+   * @param {Object} tierConfig - Settings.tierConfig
+   * @returns {Object|null} { tier, orders, spend } or null at the top tier
+   */
+  getNextTierGap(stats, currentTier, tierConfig) {
+    const nextTier = this.getNextTier(currentTier);
+    if (!nextTier) return null;
+    const config = tierConfig[nextTier] || {};
+    return {
+      tier: nextTier,
+      orders: Math.max(0, (config.minOrders || 0) - stats.orders),
+      spend: Math.max(0, Math.round(((config.minSpend || 0) - stats.spend) * 100) / 100)
+    };
+  },
 
-      const monthlyOrders = user.tierProgress?.currentMonthOrders || 0;
+  /**
+   * Decide what a review should do with a user's tier (pure)
+   * @param {Object} params - { currentTier, qualifiedTier, graceUntil, gracePeriodDays, allowDowngrade, now }
+   * @returns {Object} { action: 'upgrade' | 'downgrade' | 'start_grace' | 'clear_grace' | 'none', tier? , graceUntil? }
+   */
+  decide({ currentTier, qualifiedTier, graceUntil, gracePeriodDays, allowDowngrade, now }) {
+    if (rank(qualifiedTier) > rank(currentTier)) {
+      return { action: 'upgrade', tier: qualifiedTier };
+    }
+    if (rank(qualifiedTier) === rank(currentTier)) {
+      return { action: graceUntil ? 'clear_grace' : 'none' };
+    }
+    if (!allowDowngrade) {
+      return { action: 'none' };
+    }
+    if (!gracePeriodDays || (graceUntil && graceUntil <= now)) {
+      return { action: 'downgrade', tier: qualifiedTier };
+    }
+    if (!graceUntil) {
+      return { action: 'start_grace', tier: qualifiedTier, graceUntil: new Date(now.getTime() + gracePeriodDays * DAY_MS) };
+    }
+    return { action: 'none' };
+  },
 
-      let newTier = 'bronze';
-      if (monthlyOrders >= tierConfig.gold.requiredOrders) {
-        newTier = 'gold';
-      } else if (monthlyOrders >= tierConfig.silver.requiredOrders) {
-        newTier = 'silver';
+  /**
+   * Delivered orders and spend since a date
+   * @param {String} userId - User ID
+   * @param {Date} since - Window start
+   * @returns {Object} { orders, spend }
+   */
+  async getWindowStats(userId, since) {
+    const [stats] = await Order.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)), status: 'delivered', createdAt: { $gte: since } } },
+      { $group: { _id: null, orders: { $sum: 1 }, spend: { $sum: '$billing.totalAmount' } } }
+    ]);
+    return { orders: stats?.orders || 0, spend: Math.round((stats?.spend || 0) * 100) / 100 };
+  },
+
+  /**
+   * Re-evaluate a user's tier and apply the result
+   * @param {String} userId - User ID
+   * @param {Object} [options] - { allowDowngrade, now, settings }
+   * @returns {Object} { tier, previousTier, action, stats }
+   */
+  async evaluateUser(userId, { allowDowngrade = false, now = new Date(), settings } = {}) {
+    settings = settings || await Settings.getSettings();
+    const tierConfig = settings.tierConfig;
+
+    const user = await User.findById(userId).select('tier tierProgress isGuest').lean();
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    const currentTier = user.tier || 'bronze';
+    if (user.isGuest) {
+      return { tier: currentTier, previousTier: currentTier, action: 'none', stats: null };
+    }
+
+    const stats = await this.getWindowStats(userId, new Date(now.getTime() - tierConfig.windowDays * DAY_MS));
+    const decision = this.decide({
+      currentTier,
+      qualifiedTier: this.qualifyingTier(stats, tierConfig),
+      graceUntil: user.tierProgress?.graceUntil || null,
+      gracePeriodDays: tierConfig.gracePeriodDays,
+      allowDowngrade,
+      now
+    });
+
+    if (decision.action === 'upgrade' || decision.action === 'downgrade') {
+      await this.changeTier(userId, currentTier, decision.tier, stats, now);
+    } else if (decision.action === 'start_grace') {
+      const updated = await User.updateOne(
+        { _id: userId, tier: currentTier, 'tierProgress.graceUntil': null },
+        { $set: { 'tierProgress.graceUntil': decision.graceUntil, 'tierProgress.graceTier': decision.tier } }
+      );
+      if (updated.modifiedCount > 0) {
+        await this.notifyUser(userId, 'tier_grace_started', {
+          tier: currentTier,
+          newTier: decision.tier,
+          graceUntil: decision.graceUntil
+        });
       }
+    } else if (decision.action === 'clear_grace') {
+      await User.updateOne({ _id: userId }, { $set: { 'tierProgress.graceUntil': null, 'tierProgress.graceTier': null } });
+    }
+
+    return {
+      tier: ['upgrade', 'downgrade'].includes(decision.action) ? decision.tier : currentTier,
+      previousTier: currentTier,
+      action: decision.action,
+      stats
+    };
+  },
 
-      // Update user tier if changed
-      if (user.tier !== newTier) {
-        user.tier = newTier;
-        user.tierProgress.lastTierUpdate = new Date();
-        await user.save();
+  /**
+   * Move a user to a new tier, record it and tell them
+   * Only applies if the user is still on the tier the decision was made from.
+   */
+  async changeTier(userId, from, to, stats, now = new Date()) {
+    const reason = rank(to) > rank(from) ? 'upgrade' : 'downgrade';
+    const updated = await User.updateOne(
+      { _id: userId, tier: from },
+      {
+        $set: {
+          tier: to,
+          'tierProgress.lastTierUpdate': now,
+          'tierProgress.graceUntil': null,
+          'tierProgress.graceTier': null
+        },
+        $push: {
+          tierHistory: {
+            $each: [{ from, to, reason, orders: stats.orders, spend: stats.spend, changedAt: now }],
+            $slice: -HISTORY_LIMIT
+          }
+        }
       }
+    );
+    if (updated.modifiedCount === 0) return false;
 
-      return {
-        currentTier: newTier,
-        monthlyOrders,
-        discount: tierConfig[newTier].discount,
-        nextTier: this.getNextTier(newTier),
-        ordersToNextTier: this.getOrdersToNextTier(monthlyOrders, newTier, tierConfig)
-      };
-    } catch (error) {
-      console.error('Calculate user tier error:', error);
-      throw error;
-    }
+    await this.notifyUser(userId, reason === 'upgrade' ? 'tier_upgraded' : 'tier_downgraded', { tier: to, previousTier: from });
+    return true;
   },
 
   /**
-   * Get user's tier progress
+   * Count a delivered order toward this month and upgrade if it qualifies
    * @param {String} userId - User ID
-   * @returns {Object} Tier progress details
+   * @param {Number} amount - Order total
+   * @returns {Object} Result of evaluateUser
    */
-  async getTierProgress(userId) {
-    try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
+  async recordDelivery(userId, amount, now = new Date()) {
+    const monthStart = startOfMonth(now);
+    // Counters left over from an earlier month (the rollover job hasn't run yet) start again
+    const staleMonth = { $lt: [{ $ifNull: ['$tierProgress.monthStart', new Date(0)] }, monthStart] };
+    await User.updateOne({ _id: userId }, [{
+      $set: {
+        'tierProgress.currentMonthOrders': { $cond: [staleMonth, 1, { $add: [{ $ifNull: ['$tierProgress.currentMonthOrders', 0] }, 1] }] },
+        'tierProgress.currentMonthSpend': { $cond: [staleMonth, amount, { $add: [{ $ifNull: ['$tierProgress.currentMonthSpend', 0] }, amount] }] },
+        'tierProgress.monthStart': monthStart
       }
+    }]);
 
-      const settings = await Settings.getInstance();
-      const tierConfig = settings.tierSystem;
-
-      const monthlyOrders = user.tierProgress?.currentMonthOrders || 0;
-      const currentTier = user.tier || 'bronze';
-
-      return {
-        currentTier,
-        monthlyOrders,
-        currentDiscount: tierConfig[currentTier].discount,
-        nextTier: this.getNextTier(currentTier),
-        ordersToNextTier: this.getOrdersToNextTier(monthlyOrders, currentTier, tierConfig),
-        tiers: {
-          bronze: tierConfig.bronze,
-          silver: tierConfig.silver,
-          gold: tierConfig.gold
-        }
-      };
-    } catch (error) {
-      console.error('Get tier progress error:', error);
-      throw error;
-    }
+    return this.evaluateUser(userId, { now });
   },
 
   /**
-   * Apply tier discount to amount
-   * @param {Number} amount - Original amount
-   * @param {String} tier - User tier
-   * @returns {Object} Discount details
+   * Monthly rollover: reset the month counters and review every non-bronze tier
+   * Users below their tier get a grace period (or drop at once if it is 0).
+   * @param {Date} now - Reference time
+   * @returns {Object} { reset, reviewed, downgraded, graceStarted }
    */
-  async applyTierDiscount(amount, tier) {
-    try {
-      const settings = await Settings.getInstance();
-      const tierConfig = settings.tierSystem;
-
-      const discountPercent = tierConfig[tier]?.discount || 0;
-      const discountAmount = (amount * discountPercent) / 100;
-
-      return {
-        originalAmount: amount,
-        discountPercent,
-        discountAmount,
-        finalAmount: amount - discountAmount
-      };
-    } catch (error) {
-      console.error('Apply tier discount error:', error);
-      return {
-        originalAmount: amount,
-        discountPercent: 0,
-        discountAmount: 0,
-        finalAmount: amount
-      };
-    }
+  async runMonthlyRollover(now = new Date()) {
+    const monthStart = startOfMonth(now);
+    const reset = await User.updateMany(
+      { $or: [{ 'tierProgress.monthStart': { $lt: monthStart } }, { 'tierProgress.monthStart': null }] },
+      { $set: { 'tierProgress.currentMonthOrders': 0, 'tierProgress.currentMonthSpend': 0, 'tierProgress.monthStart': monthStart } }
+    );
+
+    const result = await this.reviewUsers({ isGuest: { $ne: true }, tier: { $in: ['silver', 'gold'] } }, now);
+    return { reset: reset.modifiedCount, ...result };
   },
 
   /**
-   * Check and update tier eligibility (monthly check)
-   * @param {String} userId - User ID
-   * @returns {Object} Update result
+   * Downgrade users whose grace period has ended without requalifying (daily)
+   * @param {Date} now - Reference time
+   * @returns {Object} { reviewed, downgraded, graceStarted }
    */
-  async checkTierEligibility(userId) {
-    try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
-      }
+  async processGracePeriods(now = new Date()) {
+    return this.reviewUsers({ 'tierProgress.graceUntil': { $ne: null, $lte: now } }, now);
+  },
 
-      // Check if it's a new month
-      const lastUpdate = user.tierProgress?.lastTierUpdate || new Date(0);
-      const now = new Date();
-      const isNewMonth = now.getMonth() !== lastUpdate.getMonth() || 
-                         now.getFullYear() !== lastUpdate.getFullYear();
-
-      if (isNewMonth) {
-        // Reset monthly counter
-        user.tierProgress.currentMonthOrders = 0;
-        user.tierProgress.lastTierUpdate = now;
-        user.tier = 'bronze'; // Reset to bronze at start of new month
-        await user.save();
-
-        return {
-          reset: true,
-          message: 'Tier reset for new month'
-        };
-      }
+  /**
+   * Review the tiers of matching users, downgrades allowed
+   */
+  async reviewUsers(filter, now) {
+    const settings = await Settings.getSettings();
+    const result = { reviewed: 0, downgraded: 0, graceStarted: 0 };
 
-      // Recalculate tier
-      return await this.calculateUserTier(userId);
-    } catch (error) {
-      console.error('Check tier eligibility error:', error);
-      throw error;
+    const cursor = User.find(filter).select('_id').lean().cursor();
+    for await (const user of cursor) {
+      try {
+        const review = await this.evaluateUser(user._id, { allowDowngrade: true, now, settings });
+        result.reviewed += 1;
+        if (review.action === 'downgrade') result.downgraded += 1;
+        if (review.action === 'start_grace') result.graceStarted += 1;
+      } catch (error) {
+        console.error('Tier review failed for user', user._id, error.message);
+      }
     }
+    return result;
   },
 
   /**
-   * Upgrade user tier
+   * Get user's tier progress
    * @param {String} userId - User ID
-   * @param {String} newTier - New tier
-   * @returns {Object} Updated user
+   * @returns {Object} Tier progress details
    */
-  async upgradeTier(userId, newTier) {
-    try {
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { 
-          tier: newTier,
-          'tierProgress.lastTierUpdate': new Date()
-        },
-        { new: true }
-      );
+  async getTierProgress(userId) {
+    const user = await User.findById(userId).select('tier tierProgress tierHistory totalSpent').lean();
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const settings = await Settings.getSettings();
+    const tierConfig = settings.tierConfig;
+    const currentTier = user.tier || 'bronze';
+    const stats = await this.getWindowStats(userId, new Date(Date.now() - tierConfig.windowDays * DAY_MS));
+    const sameMonth = user.tierProgress?.monthStart && user.tierProgress.monthStart >= startOfMonth(new Date());
+
+    return {
+      currentTier,
+      currentDiscount: tierConfig[currentTier]?.discount || 0,
+      window: { days: tierConfig.windowDays, ...stats },
+      thisMonth: {
+        orders: sameMonth ? user.tierProgress.currentMonthOrders || 0 : 0,
+        spend: sameMonth ? user.tierProgress.currentMonthSpend || 0 : 0
+      },
+      nextTier: this.getNextTierGap(stats, currentTier, tierConfig),
+      grace: user.tierProgress?.graceUntil
+        ? { until: user.tierProgress.graceUntil, tier: user.tierProgress.graceTier }
+        : null,
+      totalSpent: user.totalSpent || 0,
+      tiers: TIERS.map(tier => ({
+        tier,
+        minOrders: tierConfig[tier].minOrders,
+        minSpend: tierConfig[tier].minSpend,
+        discount: tierConfig[tier].discount
+      })),
+      history: (user.tierHistory || []).slice(-10).reverse()
+    };
+  },
 
-      return user;
+  /**
+   * Send a tier notification; failures are logged only
+   */
+  async notifyUser(userId, template, vars) {
+    try {
+      await notificationService.notify(userId, template, vars, { data: { tier: vars.tier } });
     } catch (error) {
-      console.error('Upgrade tier error:', error);
-      throw error;
+      console.error('Tier notification failed for user', userId, error.message);
     }
   },
 
@@ -182,23 +307,7 @@ module.exports = {
    * @returns {String|null} Next tier or null
    */
   getNextTier(currentTier) {
-    const tierOrder = ['bronze', 'silver', 'gold'];
-    const currentIndex = tierOrder.indexOf(currentTier);
-    return currentIndex < tierOrder.length - 1 ? tierOrder[currentIndex + 1] : null;
-  },
-
-  /**
-   * Helper: Get orders needed to reach next tier
-   * @param {Number} currentOrders - Current monthly orders
-   * @param {String} currentTier - Current tier
-   * @param {Object} tierConfig - Tier configuration
-   * @returns {Number} Orders needed
-   */
-  getOrdersToNextTier(currentOrders, currentTier, tierConfig) {
-    const nextTier = this.getNextTier(currentTier);
-    if (!nextTier) return 0;
-
-    const requiredOrders = tierConfig[nextTier].requiredOrders;
-    return Math.max(0, requiredOrders - currentOrders);
+    const currentIndex = TIERS.indexOf(currentTier);
+    return currentIndex < TIERS.length - 1 ? TIERS[currentIndex + 1] : null;
   }
 };
@@ -0,0 +1,67 @@
+/**
+ * Delivery Address Tests (No DB Connection Required)
+ * Run this with: node tests/delivery-address.js
+ *
+ * The Location, Settings and DeliveryZone lookups are replaced with in-memory
+ * fakes so saved-location checkouts can be resolved and checked offline.
+ */
+
+const mongoose = require('mongoose');
+const { Location } = require('../models/locationModel');
+const Settings = require('../models/settingsModel');
+const DeliveryZone = require('../models/deliveryZoneModel');
+const deliveryService = require('../services/delivery');
+const { check, run } = require('./helpers');
+
+console.log('🧪 Testing Delivery Addresses (No DB Connection Required)\n');
+
+const userId = new mongoose.Types.ObjectId();
+const otherUser = new mongoose.Types.ObjectId();
+
+// Saved about 2.2 km north of the kitchen
+const saved = {
+  _id: new mongoose.Types.ObjectId(),
+  user: userId,
+  flatNumber: '12B',
+  coordinates: { type: 'Point', coordinates: [77.5946, 12.9916] }
+};
+
+// In-memory fakes
+Location.findOne = (filter) => ({
+  lean: async () => (String(filter._id) === String(saved._id) && String(filter.user) === String(saved.user) ? saved : null)
+});
+Settings.getSettings = async () => ({
+  business: { coordinates: { latitude: 12.9716, longitude: 77.5946 } },
+  deliveryCharges: { baseFee: 20, perKm: 5, maxDeliveryDistance: 5, minOrderAmount: 0 }
+});
+DeliveryZone.exists = async () => null;
+
+run(async () => {
+  // Test 1: A saved location ID resolves to its coordinates
+  console.log('Test 1: Saved location');
+  const byId = await deliveryService.resolveAddress(String(saved._id), userId);
+  check('Location found', byId.location && String(byId.location._id), String(saved._id));
+  check('Latitude', byId.point.latitude, 12.9916);
+  check('Longitude', byId.point.longitude, 77.5946);
+
+  const byField = await deliveryService.resolveAddress({ locationId: saved._id }, userId);
+  check('Found through { locationId }', byField.point && byField.point.latitude, 12.9916);
+
+  // Test 2: Someone else's saved location isn't used
+  console.log('\nTest 2: Other users and plain addresses');
+  const foreign = await deliveryService.resolveAddress(String(saved._id), otherUser);
+  check('Other user gets no location', foreign.location, null);
+  check('Other user gets no point', foreign.point, null);
+  const plain = await deliveryService.resolveAddress({ latitude: 12.98, longitude: 77.6 }, userId);
+  check('Address with coordinates', `${plain.point.latitude},${plain.point.longitude}`, '12.98,77.6');
+
+  // Test 3: A saved location goes through the serviceability check
+  console.log('\nTest 3: Serviceability of a saved location');
+  const result = await deliveryService.checkServiceability(byId.point);
+  check('Serviceable', result.serviceable, true);
+  check('Distance (km)', result.distanceKm, 2.22);
+  check('Delivery fee', result.deliveryFee, 31.1);
+
+  const far = await deliveryService.checkServiceability({ latitude: 13.1, longitude: 77.5946 });
+  check('Too far', far.reason, 'too_far');
+});
@@ -0,0 +1,224 @@
+/**
+ * Local fake PhonePe PG (v1) server for tests and manual QA
+ * Run standalone with: node tests/fake-phonepe-server.js
+ * Then start the API with PHONEPE_API_URL=http://localhost:7070
+ *
+ * Implements /pg/v1/pay, /pg/v1/status and /pg/v1/refund with real X-VERIFY
+ * checks, and can fire signed S2S callbacks (once or several times) to the
+ * callbackUrl sent with each pay request.
+ *
+ * Control endpoints:
+ *   POST /__fake/outcome  { merchantTransactionId?, outcome: success|failure|pending }
+ *   POST /__fake/callback { merchantTransactionId, outcome?, times?, tamper? }
+ *   GET  /__fake/transactions
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const OUTCOME_CODES = {
+  success: { code: 'PAYMENT_SUCCESS', state: 'COMPLETED', responseCode: 'SUCCESS' },
+  failure: { code: 'PAYMENT_ERROR', state: 'FAILED', responseCode: 'PAYMENT_DECLINED' },
+  pending: { code: 'PAYMENT_PENDING', state: 'PENDING', responseCode: 'PENDING' }
+};
+
+const createFakePhonePeServer = (options = {}) => {
+  const merchantId = options.merchantId || process.env.PHONEPE_MERCHANT_ID || 'MERCHANTUAT';
+  const saltKey = options.saltKey || process.env.PHONEPE_SALT_KEY || '099eb0cd-02cf-4e2a-8aca-3e6c6aff0399';
+  const saltIndex = options.saltIndex || process.env.PHONEPE_SALT_INDEX || '1';
+
+  const transactions = new Map();
+  let defaultOutcome = options.defaultOutcome || 'success';
+  let httpServer = null;
+
+  const checksumFor = (body, path) => `${sha256(body + path + saltKey)}###${saltIndex}`;
+  const callbackChecksum = (base64) => `${sha256(base64 + saltKey)}###${saltIndex}`;
+
+  const buildResponse = (txn, outcome) => {
+    const meta = OUTCOME_CODES[outcome];
+    return {
+      success: outcome === 'success',
+      code: meta.code,
+      message: `Fake PhonePe: ${meta.state}`,
+      data: {
+        merchantId,
+        merchantTransactionId: txn.merchantTransactionId,
+        transactionId: txn.providerReferenceId,
+        amount: txn.amount,
+        state: meta.state,
+        responseCode: meta.responseCode,
+        paymentInstrument: { type: 'UPI' }
+      }
+    };
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.post('/pg/v1/pay', (req, res) => {
+    const base64 = req.body?.request || '';
+    if (req.headers['x-verify'] !== checksumFor(base64, '/pg/v1/pay')) {
+      return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Invalid X-VERIFY' });
+    }
+
+    const payload = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+    const txn = {
+      merchantTransactionId: payload.merchantTransactionId,
+      providerReferenceId: `FAKE${Date.now()}${Math.floor(Math.random() * 1000)}`,
+      amount: payload.amount,
+      callbackUrl: payload.callbackUrl,
+      outcome: transactions.get(payload.merchantTransactionId)?.outcome || defaultOutcome,
+      refunds: []
+    };
+    transactions.set(txn.merchantTransactionId, txn);
+
+    res.json({
+      success: true,
+      code: 'PAYMENT_INITIATED',
+      message: 'Payment initiated',
+      data: {
+        merchantId,
+        merchantTransactionId: txn.merchantTransactionId,
+        instrumentResponse: {
+          type: 'PAY_PAGE',
+          redirectInfo: { url: `http://fake-phonepe.local/pay/${txn.merchantTransactionId}`, method: 'GET' }
+        }
+      }
+    });
+  });
+
+  app.get('/pg/v1/status/:merchantId/:merchantTransactionId', (req, res) => {
+    const path = `/pg/v1/status/${req.params.merchantId}/${req.params.merchantTransactionId}`;
+    if (req.headers['x-verify'] !== checksumFor('', path) || req.headers['x-merchant-id'] !== merchantId) {
+      return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Invalid X-VERIFY' });
+    }
+
+    const txn = transactions.get(req.params.merchantTransactionId);
+    if (!txn) {
+      return res.status(404).json({ success: false, code: 'TRANSACTION_NOT_FOUND', message: 'No such transaction' });
+    }
+    res.json(buildResponse(txn, txn.outcome));
+  });
+
+  app.post('/pg/v1/refund', (req, res) => {
+    const base64 = req.body?.request || '';
+    if (req.headers['x-verify'] !== checksumFor(base64, '/pg/v1/refund')) {
+      return res.status(400).json({ success: false, code: 'BAD_REQUEST', message: 'Invalid X-VERIFY' });
+    }
+
+    const payload = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+    const txn = transactions.get(payload.originalTransactionId);
+    if (!txn || txn.outcome !== 'success') {
+      return res.status(400).json({ success: false, code: 'PAYMENT_ERROR', message: 'Original transaction not refundable' });
+    }
+
+    const refunded = txn.refunds.reduce((sum, r) => sum + r.amount, 0);
+    if (refunded + payload.amount > txn.amount) {
+      return res.status(400).json({ success: false, code: 'PAYMENT_ERROR', message: 'Refund exceeds paid amount' });
+    }
+
+    txn.refunds.push({ merchantTransactionId: payload.merchantTransactionId, amount: payload.amount });
+    res.json({
+      success: true,
+      code: 'PAYMENT_SUCCESS',
+      message: 'Refund processed',
+      data: {
+        merchantId,
+        merchantTransactionId: payload.merchantTransactionId,
+        transactionId: `FAKEREF${Date.now()}`,
+        amount: payload.amount,
+        state: 'COMPLETED'
+      }
+    });
+  });
+
+  app.post('/__fake/outcome', (req, res) => {
+    const { merchantTransactionId, outcome } = req.body || {};
+    if (!OUTCOME_CODES[outcome]) {
+      return res.status(400).json({ success: false, message: 'outcome must be success, failure or pending' });
+    }
+    if (merchantTransactionId) {
+      const txn = transactions.get(merchantTransactionId) || { merchantTransactionId, refunds: [] };
+      txn.outcome = outcome;
+      transactions.set(merchantTransactionId, txn);
+    } else {
+      defaultOutcome = outcome;
+    }
+    res.json({ success: true });
+  });
+
+  app.post('/__fake/callback', async (req, res) => {
+    try {
+      const deliveries = await sendCallback(req.body.merchantTransactionId, req.body);
+      res.json({ success: true, deliveries });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
+  app.get('/__fake/transactions', (req, res) => {
+    res.json({ success: true, data: Array.from(transactions.values()) });
+  });
+
+  /**
+   * POST a signed S2S callback to the transaction's callbackUrl
+   * @param {String} merchantTransactionId - Transaction to report on
+   * @param {Object} opts - { outcome, times (duplicates), tamper (break the signature), callbackUrl }
+   * @returns {Array} Status and body of each delivery
+   */
+  async function sendCallback(merchantTransactionId, opts = {}) {
+    const txn = transactions.get(merchantTransactionId);
+    if (!txn) throw new Error(`Unknown transaction ${merchantTransactionId}`);
+
+    const outcome = opts.outcome || txn.outcome;
+    txn.outcome = outcome;
+    const base64 = Buffer.from(JSON.stringify(buildResponse(txn, outcome))).toString('base64');
+    const checksum = opts.tamper ? callbackChecksum(base64 + 'x') : callbackChecksum(base64);
+    const url = opts.callbackUrl || txn.callbackUrl;
+
+    const deliveries = [];
+    for (let i = 0; i < (opts.times || 1); i++) {
+      const response = await axios.post(url, { response: base64 }, {
+        headers: { 'Content-Type': 'application/json', 'X-VERIFY': checksum },
+        validateStatus: () => true
+      });
+      deliveries.push({ status: response.status, body: response.data });
+    }
+    return deliveries;
+  }
+
+  return {
+    app,
+    transactions,
+    sendCallback,
+    setOutcome(outcome, merchantTransactionId) {
+      if (merchantTransactionId) {
+        const txn = transactions.get(merchantTransactionId) || { merchantTransactionId, refunds: [] };
+        txn.outcome = outcome;
+        transactions.set(merchantTransactionId, txn);
+      } else {
+        defaultOutcome = outcome;
+      }
+    },
+    start(port = 0) {
+      return new Promise(resolve => {
+        httpServer = app.listen(port, () => resolve(httpServer.address().port));
+      });
+    },
+    stop() {
+      return new Promise(resolve => (httpServer ? httpServer.close(() => resolve()) : resolve()));
+    }
+  };
+};
+
+module.exports = { createFakePhonePeServer };
+
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_PHONEPE_PORT, 10) || 7070;
+  createFakePhonePeServer().start(port).then(p => {
+    console.log(`🧪 Fake PhonePe server listening on http://localhost:${p}`);
+  });
+}
@@ -0,0 +1,32 @@
+/**
+ * Shared helpers for the scripts in this folder
+ */
+
+/**
+ * Print ✅ when a value is what was expected, ❌ with both otherwise
+ * @param {String} label - What is being checked
+ * @param {*} actual - Value produced
+ * @param {*} expected - Value wanted (compared with ===)
+ */
+const check = (label, actual, expected) => {
+  if (actual === expected) {
+    console.log(`  ✅ ${label}: ${actual}`);
+  } else {
+    console.log(`  ❌ ${label}: expected ${expected}, got ${actual}`);
+  }
+};
+
+/**
+ * Run an async test script and exit once it is done (open model/service handles would keep it alive)
+ * @param {Function} tests - async () => {}
+ */
+const run = (tests) => {
+  tests()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.log('  ❌ Error:', err.message);
+      process.exit(1);
+    });
+};
+
+module.exports = { check, run };
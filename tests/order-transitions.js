@@ -0,0 +1,68 @@
+/**
+ * Order Transition Tests (No DB Connection Required)
+ * Run this with: node tests/order-transitions.js
+ *
+ * The orders collection is replaced with a one-document in-memory fake that
+ * honours the filter of each write, like MongoDB would.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/orderModel');
+const notificationService = require('../services/notification');
+const orderStateMachine = require('../services/orderStateMachine');
+const { check, run } = require('./helpers');
+
+console.log('🧪 Testing Order Transitions (No DB Connection Required)\n');
+
+const orderId = new mongoose.Types.ObjectId();
+const stored = { _id: orderId, status: 'placed' };
+
+// In-memory fakes
+Order.collection.updateOne = async (filter, update) => {
+  await new Promise(resolve => setImmediate(resolve)); // let the other request interleave
+  const matches = String(filter._id) === String(stored._id) && (!filter.status || filter.status === stored.status);
+  if (!matches) return { matchedCount: 0, modifiedCount: 0 };
+  Object.assign(stored, update.$set || {});
+  return { matchedCount: 1, modifiedCount: 1 };
+};
+notificationService.notify = async () => {};
+
+const events = [];
+orderStateMachine.onTransition(async (order, event) => {
+  events.push(`${event.from}->${event.to}`);
+});
+
+// Each request loads its own copy of the order
+const load = () => Order.hydrate({
+  _id: orderId,
+  user: new mongoose.Types.ObjectId(),
+  orderType: 'delivery',
+  status: stored.status,
+  items: [],
+  billing: { subtotal: 200, totalAmount: 210 },
+  trackingHistory: []
+});
+
+run(async () => {
+  // Test 1: A single move is written with the status it started from
+  console.log('Test 1: Single transition');
+  const order = await orderStateMachine.transition(load(), 'accepted', { actor: 'kitchen' });
+  check('Stored status', stored.status, 'accepted');
+  check('Document status', order.status, 'accepted');
+  check('Listeners ran', events.join(', '), 'placed->accepted');
+  check('Later saves are unconditional', order.$where, undefined);
+
+  // Test 2: Customer cancel and kitchen accept race from the same status
+  console.log('\nTest 2: Two transitions from the same status');
+  stored.status = 'placed';
+  events.length = 0;
+  const [cancel, accept] = await Promise.allSettled([
+    orderStateMachine.transition(load(), 'cancelled', { actor: 'user', reason: 'Changed my mind' }),
+    orderStateMachine.transition(load(), 'accepted', { actor: 'kitchen' })
+  ]);
+  check('Cancel applied', cancel.status, 'fulfilled');
+  check('Accept refused', accept.status, 'rejected');
+  check('Refusal status code', accept.reason && accept.reason.statusCode, 409);
+  check('Stored status', stored.status, 'cancelled');
+  check('Listeners ran once', events.join(', '), 'placed->cancelled');
+});
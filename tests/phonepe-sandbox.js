@@ -0,0 +1,116 @@
+/**
+ * PhonePe Adapter Tests against the local fake PhonePe server
+ * Run this with: node tests/phonepe-sandbox.js
+ * Set MONGODB_URI_TEST to also run the callback idempotency checks against a database.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { createFakePhonePeServer } = require('./fake-phonepe-server');
+
+const check = (label, condition, detail = '') => {
+  console.log(`  ${condition ? '✅' : '❌'} ${label}${detail ? `: ${detail}` : ''}`);
+};
+
+async function runTests() {
+  console.log('🧪 Testing PhonePe Adapter (fake PhonePe server)\n');
+
+  const fake = createFakePhonePeServer();
+  const fakePort = await fake.start(0);
+  process.env.PHONEPE_API_URL = `http://localhost:${fakePort}`;
+
+  // Receiver standing in for /api/payments/phonepe/callback
+  const received = [];
+  const receiver = express();
+  receiver.use(express.json());
+  const paymentService = require('../services/payment');
+  receiver.post('/callback', (req, res) => {
+    const verified = paymentService.verifyCallbackChecksum(req.body.response, req.headers['x-verify']);
+    received.push({ verified, decoded: verified ? paymentService.decodeResponse(req.body.response) : null });
+    res.status(verified ? 200 : 400).json({ verified });
+  });
+  const receiverServer = await new Promise(resolve => {
+    const s = receiver.listen(0, () => resolve(s));
+  });
+  process.env.PHONEPE_CALLBACK_URL = `http://localhost:${receiverServer.address().port}/callback`;
+
+  try {
+    // Test 1: Pay request is signed and accepted
+    console.log('Test 1: Initiate payment');
+    const init = await paymentService.initiatePayment({ merchantTransactionId: 'TXN_TEST_1', amount: 249.5, userId: 'u1' });
+    check('Gateway accepted X-VERIFY', init.success);
+    check('Amount sent in paise', init.payload.amount === 24950, String(init.payload.amount));
+    check('Redirect URL returned', !!init.paymentUrl);
+
+    // Test 2: Status polling for success, failure and pending
+    console.log('\nTest 2: Status polling');
+    for (const outcome of ['success', 'failure', 'pending']) {
+      fake.setOutcome(outcome, 'TXN_TEST_1');
+      const status = await paymentService.getPaymentStatus('TXN_TEST_1');
+      const mapped = paymentService.mapCode(status.code);
+      check(`${outcome} maps correctly`, mapped === { success: 'success', failure: 'failed', pending: 'pending' }[outcome], `${status.code} -> ${mapped}`);
+    }
+    const unknown = await paymentService.getPaymentStatus('TXN_DOES_NOT_EXIST');
+    check('Unknown transaction maps to failed', paymentService.mapCode(unknown.code) === 'failed', unknown.code);
+
+    // Test 3: Signed callbacks, duplicates and tampering
+    console.log('\nTest 3: Callbacks');
+    await fake.sendCallback('TXN_TEST_1', { outcome: 'success', times: 3 });
+    check('Duplicate callbacks delivered', received.length === 3, `${received.length} deliveries`);
+    check('All duplicates carry a valid signature', received.every(r => r.verified));
+    const tampered = await fake.sendCallback('TXN_TEST_1', { tamper: true });
+    check('Tampered callback rejected', tampered[0].status === 400);
+
+    // Test 4: Refund
+    console.log('\nTest 4: Refund');
+    const refund = await paymentService.refundPayment({ originalTransactionId: 'TXN_TEST_1', merchantTransactionId: 'REF_TEST_1', amount: 100, userId: 'u1' });
+    check('Partial refund accepted', paymentService.mapCode(refund.code) === 'success', refund.code);
+    const over = await paymentService.refundPayment({ originalTransactionId: 'TXN_TEST_1', merchantTransactionId: 'REF_TEST_2', amount: 200, userId: 'u1' });
+    check('Refund above paid amount rejected', paymentService.mapCode(over.code) === 'failed', over.code);
+
+    // Test 5: Idempotent settlement (needs a database)
+    console.log('\nTest 5: Idempotent settlement');
+    if (!process.env.MONGODB_URI_TEST) {
+      console.log('  ⚠️  Skipped (set MONGODB_URI_TEST to run)');
+    } else {
+      await mongoose.connect(process.env.MONGODB_URI_TEST);
+      const Order = require('../models/orderModel');
+      const Payment = require('../models/paymentModel');
+
+      const order = await Order.create({
+        user: new mongoose.Types.ObjectId(),
+        orderType: 'take_away',
+        items: [{ itemId: new mongoose.Types.ObjectId(), quantity: 1, price: 249.5 }],
+        billing: { subtotal: 249.5, totalAmount: 249.5 }
+      });
+      const payment = await Payment.create({ orderId: order._id, method: 'upi', amount: 249.5, transactionId: 'TXN_TEST_1' });
+
+      const results = await Promise.all([1, 2, 3].map(() => paymentService.applyGatewayResult(
+        { code: 'PAYMENT_SUCCESS', data: { merchantTransactionId: 'TXN_TEST_1', transactionId: 'FAKE1', amount: 24950 } },
+        'callback'
+      )));
+      check('Settled exactly once', results.filter(r => !r.duplicate).length === 1);
+
+      await paymentService.applyGatewayResult({ code: 'PAYMENT_ERROR', data: { merchantTransactionId: 'TXN_TEST_1' } }, 'webhook');
+      const after = await Payment.findById(payment._id);
+      const paidOrder = await Order.findById(order._id);
+      check('Late failure does not downgrade success', after.status === 'success');
+      check('Order marked paid', paidOrder.paymentStatus === 'paid' && paidOrder.paymentDetails.status === 'Completed');
+
+      await Payment.deleteOne({ _id: payment._id });
+      await Order.deleteOne({ _id: order._id });
+      await mongoose.connection.close();
+    }
+  } catch (err) {
+    console.log('  ❌ Error:', err.message);
+  } finally {
+    await fake.stop();
+    await new Promise(resolve => receiverServer.close(resolve));
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log('✅ PhonePe adapter tests completed!');
+  console.log('='.repeat(50) + '\n');
+}
+
+runTests();
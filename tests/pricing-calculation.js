@@ -0,0 +1,116 @@
+/**
+ * Pricing Engine Tests (No DB Connection Required)
+ * Run this with: node tests/pricing-calculation.js
+ */
+
+const pricing = require('../services/pricing');
+const { check } = require('./helpers');
+
+console.log('🧪 Testing Pricing Engine (No DB Connection Required)\n');
+
+const settings = {
+  taxInfo: { gstRate: 5, serviceTax: 0, packagingCharge: 10 },
+  deliveryCharges: { baseFee: 20, perKm: 5, freeDeliveryThreshold: 500 },
+  tierConfig: { bronze: { discount: 0 }, silver: { discount: 5 }, gold: { discount: 10 } },
+  loyaltyConfig: { pointValue: 1, maxRedemptionPercent: 20 }
+};
+
+const menuItems = new Map([
+  ['aaaaaaaaaaaaaaaaaaaaaaaa', {
+    _id: 'aaaaaaaaaaaaaaaaaaaaaaaa',
+    name: 'Paneer Bowl',
+    price: 150,
+    customizationOptions: { addOns: [{ name: 'Extra Paneer', price: 40, isVeg: true }] }
+  }],
+  ['bbbbbbbbbbbbbbbbbbbbbbbb', {
+    _id: 'bbbbbbbbbbbbbbbbbbbbbbbb',
+    name: 'Cold Coffee',
+    price: 90,
+    customizationOptions: { addOns: [] }
+  }]
+]);
+
+// Test 1: Line pricing with add-ons
+console.log('Test 1: Line pricing with add-ons');
+let lines;
+try {
+  lines = pricing.priceLines([
+    { menuItem: 'aaaaaaaaaaaaaaaaaaaaaaaa', quantity: 2, customizations: { addOns: ['extra paneer'] } },
+    { menuItem: 'bbbbbbbbbbbbbbbbbbbbbbbb', quantity: 1 }
+  ], menuItems);
+  check('Paneer Bowl unit price', lines[0].unitPrice, 190);
+  check('Paneer Bowl line total', lines[0].lineTotal, 380);
+  check('Add-on name normalized', lines[0].customizations.addOns[0].name, 'Extra Paneer');
+} catch (err) {
+  console.log('  ❌ Error:', err.message);
+}
+
+// Test 2: Unknown add-on is rejected
+console.log('\nTest 2: Unknown add-on is rejected');
+try {
+  pricing.priceLines([
+    { menuItem: 'bbbbbbbbbbbbbbbbbbbbbbbb', quantity: 1, customizations: { addOns: [{ name: 'Gold Flakes', price: 0 }] } }
+  ], menuItems);
+  console.log('  ❌ Unknown add-on was accepted');
+} catch (err) {
+  check('Status code', err.statusCode, 400);
+}
+
+// Test 3: Full bill with coupon, tier, points, taxes and delivery
+console.log('\nTest 3: Full bill');
+try {
+  const bill = pricing.computeBill({
+    lines,
+    orderType: 'delivery',
+    coupon: { _id: 'c1', code: 'SAVE10', discountType: 'percentage', discountValue: 10, maxDiscount: 30 },
+    tier: 'silver',
+    availablePoints: 500,
+    nanoPoints: 500,
+    walletAmount: 100,
+    distanceKm: 3,
+    settings
+  });
+  check('Subtotal', bill.subtotal, 470);
+  check('Coupon discount (capped)', bill.discounts.coupon.amount, 30);
+  check('Tier discount', bill.discounts.tier.amount, 22);
+  check('Points redeemed (20% cap)', bill.discounts.nanoPointsRedemption.points, 83);
+  check('Taxable amount', bill.taxableAmount, 335);
+  check('GST', bill.tax, 16.75);
+  check('Delivery fee (base + 3km)', bill.deliveryFee, 35);
+  check('Total', bill.totalAmount, 396.75);
+  check('Remaining after wallet', bill.remainingAmount, 296.75);
+} catch (err) {
+  console.log('  ❌ Error:', err.message);
+}
+
+// Test 4: Free delivery threshold and non-delivery orders
+console.log('\nTest 4: Delivery fee waivers');
+try {
+  const waived = pricing.computeDeliveryFee({ orderType: 'delivery', amount: 600, distanceKm: 4, deliveryCharges: settings.deliveryCharges });
+  check('Fee above threshold', waived.fee, 0);
+  const takeAway = pricing.computeDeliveryFee({ orderType: 'take_away', amount: 100, distanceKm: 4, deliveryCharges: settings.deliveryCharges });
+  check('Fee for take away', takeAway.fee, 0);
+} catch (err) {
+  console.log('  ❌ Error:', err.message);
+}
+
+// Test 5: Delivery zone fees override the global ones
+console.log('\nTest 5: Delivery zone fees');
+try {
+  const bill = pricing.computeBill({
+    lines,
+    orderType: 'delivery',
+    distanceKm: 3,
+    zone: { baseFee: 40, perKm: null, freeDeliveryThreshold: null },
+    settings
+  });
+  check('Zone base fee + global per-km', bill.deliveryFee, 55);
+  check('Zone fee in breakdown', bill.delivery.baseFee, 40);
+} catch (err) {
+  console.log('  ❌ Error:', err.message);
+}
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log('✅ Pricing engine tests completed!');
+console.log('='.repeat(50) + '\n');
@@ -0,0 +1,211 @@
+/**
+ * Refund Split Tests (No DB Connection Required)
+ * Run this with: node tests/refund-split.js
+ *
+ * Wallet and gateway services are replaced with in-memory fakes so the
+ * wallet-then-gateway order and the gateway failure path can run offline.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/orderModel');
+const Payment = require('../models/paymentModel');
+const Settings = require('../models/settingsModel');
+const walletService = require('../services/walletService');
+const paymentService = require('../services/payment');
+const nanoPointsService = require('../services/nanoPoints');
+const notificationService = require('../services/notification');
+const refundService = require('../services/refund');
+const { check, run } = require('./helpers');
+
+console.log('🧪 Testing Refund Split (No DB Connection Required)\n');
+
+const paneer = new mongoose.Types.ObjectId();
+const coffee = new mongoose.Types.ObjectId();
+
+// ₹100 paid from the wallet, ₹200 online
+const makeOrder = () => {
+  const order = new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderType: 'delivery',
+    items: [
+      { itemId: paneer, quantity: 2, price: 100 },
+      { itemId: coffee, quantity: 1, price: 100 }
+    ],
+    billing: {
+      lineItems: [
+        { itemId: paneer, name: 'Paneer Bowl', quantity: 2, unitPrice: 100, lineTotal: 200 },
+        { itemId: coffee, name: 'Cold Coffee', quantity: 1, unitPrice: 100, lineTotal: 100 }
+      ],
+      subtotal: 300,
+      taxableAmount: 300,
+      totalAmount: 300,
+      discounts: { walletPayment: { amount: 100, transactionId: 'WTX1' } }
+    },
+    paymentStatus: 'paid'
+  });
+  order.save = async () => order;
+  return order;
+};
+
+const payment = { _id: 'pay1', method: 'phonepe', amount: 200, transactionId: 'TXN1', save: async () => payment };
+
+// In-memory fakes
+const walletCredits = [];
+walletService.creditWallet = async (userId, amount) => {
+  walletCredits.push(amount);
+  return { transaction: { transactionId: `WTX_REFUND_${walletCredits.length}` } };
+};
+let gatewayCode = 'PAYMENT_ERROR';
+const gatewayRefunds = [];
+paymentService.refundPayment = async ({ amount }) => {
+  gatewayRefunds.push(amount);
+  return { code: gatewayCode, message: 'Gateway unavailable' };
+};
+let currentPayment = payment;
+Payment.findOne = async () => currentPayment;
+refundService.notifyUser = async () => {};
+nanoPointsService.restoreRedemption = async () => 0;
+notificationService.notify = async () => {};
+Settings.getSettings = async () => ({ refundConfig: { approvalThreshold: 1000 } });
+
+run(async () => {
+  // Test 1: Wallet is refunded first, then the gateway
+  console.log('Test 1: Split across wallet and gateway');
+  const order = makeOrder();
+  const sources = refundService.getFundingSources(order, payment);
+  check('Refundable', sources.refundable, 300);
+  const split = refundService.splitAmount(250, sources);
+  check('Wallet share', split.walletAmount, 100);
+  check('Gateway share', split.gatewayAmount, 150);
+
+  // Test 2: Gateway fails after the wallet leg ran
+  console.log('\nTest 2: Gateway failure after the wallet credit');
+  order.refunds.push({
+    refundId: 'RFD1',
+    scope: 'partial',
+    items: [{ itemId: paneer, name: 'Paneer Bowl', quantity: 2, amount: 200 }],
+    amount: 200,
+    walletAmount: 100,
+    gatewayAmount: 100,
+    status: 'processing',
+    requestedBy: { actor: 'admin' }
+  });
+  const entry = order.refunds[0];
+  await refundService.executeRefund(order, entry, payment);
+  check('Entry status', entry.status, 'failed');
+  check('Wallet credited once', walletCredits.length, 1);
+  check('Wallet transaction kept', !!entry.walletTransactionId, true);
+  check('Failed entry still holds its refund', refundService.holdsRefund(entry), true);
+
+  const after = refundService.getFundingSources(order, payment);
+  check('Wallet left to refund', after.refundableWallet, 0);
+  check('Refundable after failure', after.refundable, 100);
+
+  // Test 3: The items of the failed entry can't be refunded again
+  console.log('\nTest 3: Items stay held by the failed entry');
+  try {
+    refundService.priceItems(order, [{ itemId: paneer, quantity: 1 }]);
+    console.log('  ❌ Paneer Bowl was refundable again');
+  } catch (err) {
+    check('Status code', err.statusCode, 400);
+  }
+  check('Other items still refundable', refundService.priceItems(order, [{ itemId: coffee, quantity: 1 }]).amount, 100);
+
+  // Test 4: Retrying skips the wallet leg
+  console.log('\nTest 4: Retry finishes the gateway leg only');
+  gatewayCode = 'PAYMENT_SUCCESS';
+  await refundService.executeRefund(order, entry, payment);
+  check('Entry status', entry.status, 'completed');
+  check('Wallet credits', walletCredits.length, 1);
+  check('Order refunded amount', order.refundedAmount, 200);
+
+  // Test 5: A failure before any money moved releases the entry
+  console.log('\nTest 5: Failure with nothing paid out');
+  const untouched = { status: 'failed', walletAmount: 0, gatewayAmount: 100, gatewayStatus: 'failed' };
+  check('Holds refund', refundService.holdsRefund(untouched), false);
+
+  // Test 6: Refunding everything of an online order closes it out
+  console.log('\nTest 6: Full refund of an online order');
+  const online = new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderType: 'delivery',
+    status: 'delivered',
+    items: [{ itemId: coffee, quantity: 1, price: 100 }],
+    billing: {
+      lineItems: [{ itemId: coffee, name: 'Cold Coffee', quantity: 1, unitPrice: 100, lineTotal: 100 }],
+      subtotal: 100,
+      taxableAmount: 100,
+      totalAmount: 100
+    },
+    paymentStatus: 'paid'
+  });
+  online.save = async () => online;
+  currentPayment = { _id: 'pay2', method: 'phonepe', amount: 100, transactionId: 'TXN2', save: async () => currentPayment };
+  online.refunds.push({
+    refundId: 'RFD2',
+    scope: 'full',
+    items: [{ itemId: coffee, name: 'Cold Coffee', quantity: 1, amount: 100 }],
+    amount: 100,
+    walletAmount: 0,
+    gatewayAmount: 100,
+    status: 'processing',
+    requestedBy: { actor: 'admin' }
+  });
+  await refundService.executeRefund(online, online.refunds[0], currentPayment);
+  check('Entry status', online.refunds[0].status, 'completed');
+  check('Order status', online.status, 'refunded');
+  check('Payment status', online.paymentStatus, 'refunded');
+
+  // Test 7: Two refunds raised at once can't both take the same money (₹250 left)
+  console.log('\nTest 7: Parallel refund requests');
+  const orderId = new mongoose.Types.ObjectId();
+  const stored = { __v: 0, refunds: 1 };
+  Order.collection.updateOne = async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve)); // let the other request interleave
+    if (filter.__v !== undefined && filter.__v !== stored.__v) return { matchedCount: 0, modifiedCount: 0 };
+    stored.__v += update.$inc?.__v || 0;
+    stored.refunds += update.$push?.refunds ? 1 : 0;
+    return { matchedCount: 1, modifiedCount: 1 };
+  };
+  currentPayment = { _id: 'pay3', method: 'phonepe', amount: 300, transactionId: 'TXN3', save: async () => currentPayment };
+  // Each request loads its own copy of the order
+  const load = () => Order.hydrate({
+    _id: orderId,
+    __v: 0,
+    user: new mongoose.Types.ObjectId(),
+    orderType: 'delivery',
+    status: 'delivered',
+    items: [{ itemId: coffee, quantity: 3, price: 100 }],
+    billing: {
+      lineItems: [{ itemId: coffee, name: 'Cold Coffee', quantity: 3, unitPrice: 100, lineTotal: 300 }],
+      subtotal: 300,
+      taxableAmount: 300,
+      totalAmount: 300
+    },
+    paymentStatus: 'paid',
+    trackingHistory: [],
+    dietaryAcknowledgement: { conflicts: [] },
+    refundedAmount: 50,
+    refunds: [{
+      refundId: 'RFD0',
+      scope: 'partial',
+      amount: 50,
+      walletAmount: 0,
+      gatewayAmount: 50,
+      gatewayStatus: 'success',
+      status: 'completed',
+      requestedBy: { actor: 'admin' }
+    }]
+  });
+  gatewayRefunds.length = 0;
+  const results = await Promise.allSettled([
+    refundService.requestRefund(load(), { amount: 200, reason: 'Cold food', actor: 'admin' }),
+    refundService.requestRefund(load(), { amount: 200, reason: 'Late delivery', actor: 'admin' })
+  ]);
+  const refused = results.filter(r => r.status === 'rejected');
+  check('Refunds applied', results.filter(r => r.status === 'fulfilled').length, 1);
+  check('Refunds refused', refused.length, 1);
+  check('Refusal status code', refused[0] && refused[0].reason.statusCode, 409);
+  check('Ledger entries stored', stored.refunds, 2);
+  check('Sent back through the gateway', gatewayRefunds.join(' + '), '200');
+});
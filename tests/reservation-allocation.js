@@ -0,0 +1,83 @@
+/**
+ * Reservation Allocation Tests (No DB Connection Required)
+ * Run this with: node tests/reservation-allocation.js
+ */
+
+const reservationService = require('../services/reservation');
+const { check } = require('./helpers');
+
+console.log('🧪 Testing Reservation Allocation (No DB Connection Required)\n');
+
+const MINUTE_MS = 60 * 1000;
+const at = (time) => new Date(`2026-11-20T${time}:00`).getTime();
+const hold = (from, to) => ({ startTime: new Date(at(from)), endTime: new Date(at(to)) });
+const numbers = (tables) => (tables ? tables.map(t => t.tableNumber).join(',') : 'none');
+
+const table = (tableNumber, capacity, location, extra = {}) => ({
+  _id: `id-${tableNumber}`,
+  tableNumber,
+  capacity,
+  location,
+  isAvailable: true,
+  currentStatus: 'available',
+  isCombinable: true,
+  displayOrder: Number(tableNumber.replace(/\D/g, '')),
+  reservations: [],
+  ...extra
+});
+
+try {
+  // Test 1: Overlap with the turnover buffer
+  console.log('Test 1: isTableFree with a buffer');
+  const booked = table('T1', 4, 'Indoor', { reservations: [hold('19:00', '20:30')] });
+  const buffer = 15 * MINUTE_MS;
+  check('Overlapping booking', reservationService.isTableFree(booked, at('20:00'), at('21:00')), false);
+  check('Right after, no buffer', reservationService.isTableFree(booked, at('20:30'), at('22:00')), true);
+  check('Right after, 15 min buffer', reservationService.isTableFree(booked, at('20:30'), at('22:00'), buffer), false);
+  check('15 min later, 15 min buffer', reservationService.isTableFree(booked, at('20:45'), at('22:00'), buffer), true);
+  check('Ending inside the buffer before', reservationService.isTableFree(booked, at('17:30'), at('18:50'), buffer), false);
+  check('Ending 15 min before', reservationService.isTableFree(booked, at('17:30'), at('18:45'), buffer), true);
+  check('Under maintenance', reservationService.isTableFree(table('T2', 4, 'Indoor', { currentStatus: 'maintenance' }), at('12:00'), at('13:00')), false);
+  check('Switched off', reservationService.isTableFree(table('T3', 4, 'Indoor', { isAvailable: false }), at('12:00'), at('13:00')), false);
+
+  const tables = [
+    table('T1', 2, 'Indoor'),
+    table('T2', 4, 'Indoor'),
+    table('T3', 4, 'Indoor'),
+    table('T4', 6, 'Indoor', { reservations: [hold('19:00', '21:00')] }),
+    table('T5', 2, 'Indoor'),
+    table('T6', 4, 'Outdoor'),
+    table('T7', 6, 'Outdoor', { isCombinable: false })
+  ];
+  const evening = { start: at('19:30'), end: at('21:00') };
+
+  // Test 2: Single tables
+  console.log('\nTest 2: Smallest single table that fits');
+  check('Party of 2', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 2 })), 'T1');
+  check('Party of 3', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 3 })), 'T2');
+  check('Party of 6 (T4 is booked)', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 6 })), 'T7');
+  check('Party of 4 outdoors', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 4, location: 'Outdoor' })), 'T6');
+  check('Requested table', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 3, tableId: 'id-T3' })), 'T3');
+  check('Requested table too small', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 3, tableId: 'id-T1' })), 'none');
+  check('Requested table booked', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 4, tableId: 'id-T4' })), 'none');
+
+  // Test 3: Combining tables
+  console.log('\nTest 3: Combining tables');
+  check('Party of 8, no combining', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 8 })), 'none');
+  check('Party of 8, two tables', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 8, maxCombined: 2 })), 'T2,T3');
+  check('Party of 10, two tables', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 10, maxCombined: 2 })), 'none');
+  check('Party of 10, three tables', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 10, maxCombined: 3 })), 'T1,T2,T3');
+  check('Party of 10 outdoors (T7 stays alone)', numbers(reservationService.findAllocation(tables, { ...evening, guestCount: 10, maxCombined: 3, location: 'Outdoor' })), 'none');
+  check('Party of 6 at lunch (T4 free)', numbers(reservationService.findAllocation(tables, { start: at('12:00'), end: at('13:30'), guestCount: 6 })), 'T4');
+
+  const spread = [
+    table('T1', 4, 'Indoor'),
+    table('T2', 2, 'Indoor'),
+    table('T8', 4, 'Indoor'),
+    table('T9', 4, 'Indoor')
+  ];
+  check('Equal seats, closest tables', numbers(reservationService.findAllocation(spread, { ...evening, guestCount: 8, maxCombined: 2 })), 'T8,T9');
+  check('Fewest empty seats', numbers(reservationService.findAllocation(spread, { ...evening, guestCount: 6, maxCombined: 2 })), 'T1,T2');
+} catch (error) {
+  console.log('  ❌ Error:', error.message);
+}
@@ -0,0 +1,86 @@
+/**
+ * Slot Window Tests (No DB Connection Required)
+ * Run this with: node tests/slot-windows.js
+ */
+
+const slotService = require('../services/slot');
+const { check, run } = require('./helpers');
+
+console.log('🧪 Testing Slot Windows (No DB Connection Required)\n');
+
+const formatTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+const formatSlot = (slot) => `${slot.start.getDate()} ${formatTime(slot.start)}-${formatTime(slot.end)}`;
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const makeSettings = (hours, schedulingConfig = {}) => ({
+  businessHours: Object.fromEntries(DAYS.map(day => [day, hours[day] || hours.all || { isClosed: true }])),
+  schedulingConfig: { slotDuration: 30, minLeadMinutes: 45, maxDaysInAdvance: 7, allowPreOrders: true, ...schedulingConfig }
+});
+
+// Friday 20 November 2026
+const friday = new Date('2026-11-20T15:00:00');
+
+const expectError = async (label, promise, message) => {
+  try {
+    await promise;
+    console.log(`  ❌ ${label}: no error`);
+  } catch (error) {
+    check(label, `${error.statusCode} ${error.message}`, `400 ${message}`);
+  }
+};
+
+run(async () => {
+  // Test 1: Slots within one day
+  console.log('Test 1: Daytime window');
+  const daytime = slotService.buildSlots(makeSettings({ friday: { open: '11:00', close: '23:00' } }), friday);
+  check('Slot count', daytime.length, 24);
+  check('First slot', formatSlot(daytime[0]), '20 11:00-11:30');
+  check('Last slot', formatSlot(daytime[daytime.length - 1]), '20 22:30-23:00');
+
+  const uneven = slotService.buildSlots(makeSettings({ friday: { open: '11:00', close: '12:00' } }, { slotDuration: 45 }), friday);
+  check('Last slot ends before closing', uneven.map(formatSlot).join(', '), '20 11:00-11:45');
+  check('Closed day', slotService.buildSlots(makeSettings({ friday: { open: '11:00', close: '23:00', isClosed: true } }), friday).length, 0);
+  check('No hours set', slotService.buildSlots(makeSettings({}), friday).length, 0);
+
+  // Test 2: Windows that close after midnight
+  console.log('\nTest 2: Window past midnight');
+  const lateSettings = makeSettings({ friday: { open: '18:00', close: '01:00' } });
+  const late = slotService.buildSlots(lateSettings, friday);
+  check('Slot count', late.length, 14);
+  check('Slot across midnight', formatSlot(late[11]), '20 23:30-00:00');
+  check('Last slot is on the next day', formatSlot(late[late.length - 1]), '21 00:30-01:00');
+  const window = slotService.getOpeningWindow(lateSettings, friday);
+  check('Window closes on the next day', `${window.close.getDate()} ${formatTime(window.close)}`, '21 01:00');
+  check('Open around the clock', slotService.buildSlots(makeSettings({ friday: { open: '00:00', close: '00:00' } }), friday).length, 48);
+
+  // Test 3: Snapping a requested time to its slot
+  console.log('\nTest 3: resolveSlot');
+  const settings = makeSettings({ all: { open: '18:00', close: '01:00' } });
+  const inTwoDays = new Date();
+  inTwoDays.setDate(inTwoDays.getDate() + 2);
+  const timeOn = (time, days = 0) => {
+    const date = new Date(inTwoDays);
+    date.setDate(date.getDate() + days);
+    const [hours, minutes] = time.split(':').map(Number);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+  };
+
+  const evening = await slotService.resolveSlot(timeOn('19:10'), { settings });
+  check('19:10 snaps to', `${formatTime(evening.start)}-${formatTime(evening.end)}`, '19:00-19:30');
+  const afterMidnight = await slotService.resolveSlot(timeOn('00:40', 1), { settings });
+  check('00:40 is in the previous day\'s last slot', `${formatTime(afterMidnight.start)}-${formatTime(afterMidnight.end)}`, '00:30-01:00');
+  check('Slot date', afterMidnight.start.getDate(), timeOn('00:00', 1).getDate());
+  await expectError('01:30', slotService.resolveSlot(timeOn('01:30', 1), { settings }), 'Scheduled time is outside opening hours');
+  await expectError('17:00', slotService.resolveSlot(timeOn('17:00'), { settings }), 'Scheduled time is outside opening hours');
+  await expectError('Too far ahead', slotService.resolveSlot(timeOn('19:00', 10), { settings }), 'Orders can be scheduled at most 7 days in advance');
+  await expectError('Pre-orders off', slotService.resolveSlot(timeOn('19:00'), { settings: makeSettings({ all: { open: '18:00', close: '01:00' } }, { allowPreOrders: false }) }), 'Scheduled orders are not available right now');
+
+  // Test 4: Lead time
+  console.log('\nTest 4: Lead time');
+  const allDay = makeSettings({ all: { open: '00:00', close: '00:00' } });
+  const soon = new Date(Date.now() + 10 * 60 * 1000);
+  await expectError('10 minutes from now', slotService.resolveSlot(soon, { settings: allDay }), 'Scheduled time must be at least 45 minutes from now');
+  const unchecked = await slotService.resolveSlot(soon, { settings: allDay, enforceLead: false });
+  check('Without the lead check', unchecked.start <= soon && soon < unchecked.end, true);
+});
@@ -0,0 +1,117 @@
+/**
+ * Spin Wheel Fairness Tests (No DB Connection Required)
+ * Run this with: node tests/spin-wheel-fairness.js
+ */
+
+const SpinWheelConfig = require('../models/spinWheelConfigModel');
+const spinWheel = require('../services/spinWheel');
+const { check } = require('./helpers');
+
+console.log('🧪 Testing Spin Wheel Fairness (No DB Connection Required)\n');
+
+const now = new Date();
+const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+const weightOf = (weights, label) => {
+  const entry = weights.find(w => w.label === label);
+  return entry ? Math.round(entry.weight * 100) / 100 : undefined;
+};
+const totalOf = (weights) => Math.round(weights.reduce((sum, w) => sum + w.weight, 0) * 100) / 100;
+
+const makeCampaign = ({ budget = {}, fiveOff = {}, eightOff = {} } = {}) => new SpinWheelConfig({
+  budget,
+  prizes: [
+    { type: 'blank', label: 'Nice Try', probability: 30 },
+    { type: 'blank', label: 'Spin Again Tomorrow', probability: 10 },
+    { type: 'points', label: '100 Points', pointsRange: { min: 100, max: 100 }, probability: 30 },
+    { type: 'coupon', label: '₹5 off', couponConfig: { discountType: 'fixed', discountRange: { min: 5, max: 5 } }, probability: 20, ...fiveOff },
+    { type: 'coupon', label: '₹8 off', couponConfig: { discountType: 'fixed', discountRange: { min: 8, max: 8 } }, probability: 10, ...eightOff }
+  ]
+});
+
+try {
+  // Test 1: Rolls depend only on the seeds and nonce
+  console.log('Test 1: Rolls are deterministic');
+  const first = spinWheel.roll('server-seed', 'client-seed', 0);
+  check('Same inputs, same hash', spinWheel.roll('server-seed', 'client-seed', 0).hash, first.hash);
+  check('Next nonce, new hash', spinWheel.roll('server-seed', 'client-seed', 1).hash !== first.hash, true);
+  check('Prize roll in [0, 1)', first.prizeRoll >= 0 && first.prizeRoll < 1, true);
+  check('Value roll in [0, 1)', first.valueRoll >= 0 && first.valueRoll < 1, true);
+
+  // Test 2: A recorded draw re-runs to the same prize
+  console.log('\nTest 2: verify() reproduces a recorded draw');
+  const campaign = makeCampaign();
+  const weights = spinWheel.getWeights(campaign, 1, now);
+  for (let nonce = 0; nonce < 5; nonce++) {
+    const { hash, prizeRoll } = spinWheel.roll('server-seed', 'client-seed', nonce);
+    const drawn = weights[spinWheel.pick(weights, prizeRoll)];
+    const fairness = {
+      serverSeed: 'server-seed',
+      serverSeedHash: spinWheel.hashSeed('server-seed'),
+      clientSeed: 'client-seed',
+      nonce,
+      hash,
+      weights
+    };
+    const result = spinWheel.verify(fairness);
+    check(`Nonce ${nonce} lands on ${drawn.label}`, result.valid && result.label, drawn.label);
+  }
+
+  const recorded = {
+    serverSeed: 'server-seed',
+    serverSeedHash: spinWheel.hashSeed('server-seed'),
+    clientSeed: 'client-seed',
+    nonce: 0,
+    hash: first.hash,
+    weights
+  };
+  check('Swapped server seed', spinWheel.verify({ ...recorded, serverSeed: 'other-seed' }).reason, 'Server seed does not match its commitment');
+  check('Edited nonce', spinWheel.verify({ ...recorded, nonce: 1 }).reason, 'Recorded hash does not match the seeds');
+  check('Spin without a seed', spinWheel.verify({ weights }).valid, false);
+
+  // Test 3: Sold-out prizes can't be drawn and their odds go to the blanks
+  console.log('\nTest 3: Sold-out prize gets zero weight');
+  const soldOut = spinWheel.getWeights(makeCampaign({ fiveOff: { inventory: { totalLimit: 2 }, issued: { total: 2 } } }), 1, now);
+  check('₹5 off weight', weightOf(soldOut, '₹5 off'), 0);
+  check('Nice Try weight', weightOf(soldOut, 'Nice Try'), 45);
+  check('Spin Again Tomorrow weight', weightOf(soldOut, 'Spin Again Tomorrow'), 15);
+  check('Total weight', totalOf(soldOut), 100);
+
+  // Test 4: Daily caps only count today's wins
+  console.log('\nTest 4: Daily cap');
+  const capped = { inventory: { dailyLimit: 1 }, issued: { today: 1, day: today } };
+  check('Cap reached today', weightOf(spinWheel.getWeights(makeCampaign({ eightOff: capped }), 1, now), '₹8 off'), 0);
+  const yesterday = { inventory: { dailyLimit: 1 }, issued: { today: 1, day: '2000-01-01' } };
+  check('Cap reached on another day', weightOf(spinWheel.getWeights(makeCampaign({ eightOff: yesterday }), 1, now), '₹8 off'), 10);
+
+  // Test 5: Prizes the budget can't pay for get zero weight
+  console.log('\nTest 5: Budget');
+  const tight = makeCampaign({ budget: { total: 100, spent: 94 } });
+  const tightWeights = spinWheel.getWeights(tight, 1, now);
+  check('100 Points weight (costs ₹100)', weightOf(tightWeights, '100 Points'), 0);
+  check('₹8 off weight (₹6 left)', weightOf(tightWeights, '₹8 off'), 0);
+  check('₹5 off weight', weightOf(tightWeights, '₹5 off'), 20);
+  check('Nice Try weight', weightOf(tightWeights, 'Nice Try'), 60);
+  check('Total weight', totalOf(tightWeights), 100);
+  check('Budget exhausted with ₹6 left', spinWheel.isBudgetExhausted(tight, 1), false);
+  check('Budget exhausted with ₹4 left', spinWheel.isBudgetExhausted(tight, 1, 96), true);
+
+  // Test 6: Without blanks the odds go to a fallback blank
+  console.log('\nTest 6: Fallback blank');
+  const noBlanks = new SpinWheelConfig({
+    prizes: [
+      { type: 'points', label: '10 Points', pointsRange: { min: 10, max: 10 }, probability: 60 },
+      { type: 'coupon', label: '₹5 off', couponConfig: { discountType: 'fixed', discountRange: { min: 5, max: 5 } }, probability: 40, inventory: { totalLimit: 1 }, issued: { total: 1 } }
+    ]
+  });
+  const fallback = spinWheel.getWeights(noBlanks, 1, now);
+  check('Fallback weight', weightOf(fallback, 'Nice Try'), 40);
+  check('Fallback has no prize', fallback[fallback.length - 1].prizeId, null);
+
+  noBlanks.prizes[0].inventory.totalLimit = 0;
+  const nothingLeft = spinWheel.getWeights(noBlanks, 1, now);
+  check('Only the fallback is left', nothingLeft.length, 1);
+  check('It is always drawn', nothingLeft[spinWheel.pick(nothingLeft, 0.99)].label, 'Nice Try');
+} catch (error) {
+  console.log('  ❌ Error:', error.message);
+}
@@ -0,0 +1,48 @@
+const jobQueue = require('../services/jobQueue');
+const { cleanupExpiredGuests } = require('../services/guestService');
+const subscriptionService = require('../services/subscription');
+const notificationService = require('../services/notification');
+const analyticsExport = require('../services/analyticsExport');
+const cartRecovery = require('../services/cartRecovery');
+const nanoPoints = require('../services/nanoPoints');
+const tierService = require('../services/tier');
+const recommendationService = require('../services/recommendation');
+const reservationService = require('../services/reservation');
+const complaintSla = require('../services/complaintSla');
+
+/**
+ * Background jobs and their cron schedules
+ * Handlers throw on failure so the queue retries them; the result is stored on the job
+ */
+const registerJobs = () => {
+  // Scheduled maintenance. The next tick comes soon, so these aren't retried much
+  jobQueue.define('guests.cleanup', () => cleanupExpiredGuests(), { maxAttempts: 3, backoffMs: 5 * 60 * 1000 });
+  jobQueue.define('subscriptions.run', () => subscriptionService.runScheduledJobs(), { maxAttempts: 2 });
+  jobQueue.define('notifications.retry', () => notificationService.processRetries(), { maxAttempts: 1 });
+  jobQueue.define('carts.recovery', () => cartRecovery.runScheduledJobs(), { maxAttempts: 2 });
+  jobQueue.define('tiers.rollover', () => tierService.runMonthlyRollover(), { maxAttempts: 3, backoffMs: 5 * 60 * 1000 });
+  jobQueue.define('tiers.grace', () => tierService.processGracePeriods(), { maxAttempts: 3, backoffMs: 5 * 60 * 1000 });
+  jobQueue.define('recommendations.build', () => recommendationService.buildItemSimilarity(), { maxAttempts: 3, backoffMs: 10 * 60 * 1000 });
+  jobQueue.define('points.expire', () => nanoPoints.expirePoints(), { maxAttempts: 3, backoffMs: 5 * 60 * 1000 });
+  jobQueue.define('reservations.run', () => reservationService.runScheduledJobs(), { maxAttempts: 2 });
+  jobQueue.define('complaints.sla', () => complaintSla.runScheduledJobs(), { maxAttempts: 2 });
+
+  // Work moved out of request handlers
+  jobQueue.define('notifications.bulk', (payload) => notificationService.sendBulkNotifications(payload.userIds, payload));
+  jobQueue.define('export.analytics', () => analyticsExport.buildAnalyticsCsv(), { maxAttempts: 3 });
+
+  jobQueue.schedule('guest-cleanup', '0 2 * * *', 'guests.cleanup'); // Daily at 2 AM
+  jobQueue.schedule('subscriptions', '*/15 * * * *', 'subscriptions.run'); // Every 15 minutes
+  jobQueue.schedule('notification-retries', '* * * * *', 'notifications.retry'); // Every minute
+  jobQueue.schedule('cart-recovery', '*/10 * * * *', 'carts.recovery'); // Every 10 minutes
+  jobQueue.schedule('tier-rollover', '0 3 1 * *', 'tiers.rollover'); // 3 AM on the 1st of each month
+  jobQueue.schedule('tier-grace', '0 4 * * *', 'tiers.grace'); // Daily at 4 AM
+  jobQueue.schedule('points-expiry', '30 2 * * *', 'points.expire'); // Daily at 2:30 AM
+  jobQueue.schedule('recommendations', '30 3 * * *', 'recommendations.build'); // Daily at 3:30 AM
+  jobQueue.schedule('reservations', '*/5 * * * *', 'reservations.run'); // Every 5 minutes
+  jobQueue.schedule('complaint-sla', '*/5 * * * *', 'complaints.sla'); // Every 5 minutes
+};
+
+module.exports = {
+  registerJobs
+};